@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ * MOCK STAFF AUTH SERVER
+ * ============================================================================
+ *
+ * Tiny stand-in for the backend's /auth endpoints so the login screen,
+ * token refresh and role gating can be tried without the real backend.
+ *
+ * USAGE:
+ * ------
+ * 1. Start it:           npm run mock:auth
+ * 2. In .env.local set:  REACT_APP_AUTH_URL=http://localhost:3003
+ * 3. Restart frontend:   npm start
+ * 4. Sign in with any of these (password: "password"):
+ *
+ *    host@example.com     - Host
+ *    manager@example.com  - Manager (can cancel and reassign tables)
+ *    admin@example.com    - Admin (also edits restaurant settings)
+ *
+ * Access tokens expire quickly so the refresh flow runs often. Check a
+ * token by hand with:
+ *
+ *    curl http://localhost:3003/auth/me -H "Authorization: Bearer <token>"
+ *
+ * OPTIONS (environment variables):
+ * --------------------------------
+ * - MOCK_AUTH_PORT: Port to listen on (default: 3003)
+ * - MOCK_AUTH_TOKEN_TTL: Seconds an access token stays valid (default: 60)
+ *
+ * Restarting the server forgets every token, which is a quick way to test
+ * the "session expired" path.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.env.MOCK_AUTH_PORT || "3003", 10);
+const TOKEN_TTL = parseInt(process.env.MOCK_AUTH_TOKEN_TTL || "60", 10);
+const PASSWORD = "password";
+
+const USERS = [
+  { id: "u-host", name: "Hana Host", email: "host@example.com", role: "host" },
+  {
+    id: "u-manager",
+    name: "Mira Manager",
+    email: "manager@example.com",
+    role: "manager",
+  },
+  {
+    id: "u-admin",
+    name: "Arun Admin",
+    email: "admin@example.com",
+    role: "admin",
+  },
+];
+
+// token → { user, expiresAt }
+const accessTokens = new Map();
+// token → user
+const refreshTokens = new Map();
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const issueTokens = (user) => {
+  const accessToken = crypto.randomBytes(16).toString("hex");
+  const refreshToken = crypto.randomBytes(24).toString("hex");
+
+  accessTokens.set(accessToken, {
+    user,
+    expiresAt: Date.now() + TOKEN_TTL * 1000,
+  });
+  refreshTokens.set(refreshToken, user);
+
+  return { accessToken, refreshToken, user };
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+const routes = {
+  "POST /auth/login": async (req, res) => {
+    const { email = "", password } = await readBody(req);
+    const user = USERS.find((u) => u.email === email.toLowerCase());
+
+    if (!user || password !== PASSWORD) {
+      console.log(`❌ Login failed for ${email}`);
+      sendJson(res, 401, { message: "Invalid email or password" });
+      return;
+    }
+
+    console.log(`🔑 ${user.email} logged in (${user.role})`);
+    sendJson(res, 200, issueTokens(user));
+  },
+
+  "POST /auth/refresh": async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    const user = refreshTokens.get(refreshToken);
+
+    if (!user) {
+      sendJson(res, 401, { message: "Refresh token is invalid" });
+      return;
+    }
+
+    // Rotate: the old refresh token can't be used twice
+    refreshTokens.delete(refreshToken);
+    console.log(`🔄 Refreshed token for ${user.email}`);
+    sendJson(res, 200, issueTokens(user));
+  },
+
+  "POST /auth/logout": async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    const user = refreshTokens.get(refreshToken);
+
+    refreshTokens.delete(refreshToken);
+    if (user) console.log(`👋 ${user.email} logged out`);
+    res.writeHead(204, corsHeaders);
+    res.end();
+  },
+
+  "GET /auth/me": async (req, res) => {
+    const header = req.headers.authorization || "";
+    const token = header.replace(/^Bearer /, "");
+    const entry = accessTokens.get(token);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      accessTokens.delete(token);
+      sendJson(res, 401, { message: "Access token expired or invalid" });
+      return;
+    }
+
+    sendJson(res, 200, entry.user);
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  const route = routes[`${req.method} ${pathname}`];
+  if (!route) {
+    res.writeHead(404, corsHeaders);
+    res.end("Not found");
+    return;
+  }
+
+  try {
+    await route(req, res);
+  } catch (error) {
+    sendJson(res, 400, { message: `Invalid JSON: ${error.message}` });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock auth server on http://localhost:${PORT}`);
+  console.log(`  Users:  ${USERS.map((u) => u.email).join(", ")}`);
+  console.log(`  Password: ${PASSWORD}`);
+  console.log(`  Access tokens expire after ${TOKEN_TTL}s`);
+});
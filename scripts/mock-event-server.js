@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * MOCK RESERVATION EVENT SERVER
+ * ============================================================================
+ *
+ * Tiny Server-Sent Events server for testing live dashboard updates
+ * without the real backend or a phone call to the voice agent.
+ *
+ * USAGE:
+ * ------
+ * 1. Start it:           npm run mock:events
+ * 2. In .env.local set:  REACT_APP_EVENTS_URL=http://localhost:3002
+ * 3. Restart frontend:   npm start
+ * 4. Push an event:
+ *
+ *    curl -X POST http://localhost:3002/events/created \
+ *      -H "Content-Type: application/json" \
+ *      -d '{"_id":"mock-1","reservationId":"RES-MOCK1","name":"Asha Patel",
+ *           "phone":"+15551234567","partySize":4,"date":"2024-12-25",
+ *           "time":"7:00 PM","tableNumber":3,"status":"confirmed"}'
+ *
+ *    Event types: created, updated, cancelled
+ *
+ * OPTIONS (environment variables):
+ * --------------------------------
+ * - MOCK_EVENTS_PORT: Port to listen on (default: 3002)
+ * - MOCK_EVENTS_INTERVAL: Seconds between auto-generated "created"
+ *   events for today (default: off)
+ * - MOCK_EVENTS_TIME_ZONE: Restaurant timezone that decides "today"
+ *   (default: REACT_APP_RESTAURANT_TIME_ZONE, else America/Los_Angeles)
+ *
+ * Stream tickets (POST /reservations/events/ticket) are handed to anyone
+ * and expire after a minute; the real backend checks the caller's token.
+ *
+ * Stop the server with Ctrl+C. Killing it is also a quick way to test
+ * reconnect backoff and the polling fallback.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+
+const PORT = parseInt(process.env.MOCK_EVENTS_PORT || "3002", 10);
+const INTERVAL = parseInt(process.env.MOCK_EVENTS_INTERVAL || "0", 10);
+const EVENT_TYPES = ["created", "updated", "cancelled"];
+const TIME_ZONE =
+  process.env.MOCK_EVENTS_TIME_ZONE ||
+  process.env.REACT_APP_RESTAURANT_TIME_ZONE ||
+  "America/Los_Angeles";
+
+const TICKET_TTL_MS = 60 * 1000;
+
+const clients = new Set();
+const tickets = new Map(); // ticket → expiry time
+let counter = 0;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Authorization, X-Location-Id, X-API-Key",
+};
+
+// Today on the restaurant's clock as "YYYY-MM-DD" (en-CA formats dates
+// that way), matching toRestaurantDate() in src/utils/dateTime.js
+const restaurantToday = () =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date());
+
+const broadcast = (type, reservation) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(reservation)}\n\n`;
+  clients.forEach((res) => res.write(message));
+  console.log(`📨 ${type} → ${clients.size} client(s):`, reservation._id);
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(
+    req.url,
+    `http://localhost:${PORT}`
+  );
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  // Single-use ticket for the next stream connection
+  if (req.method === "POST" && pathname === "/reservations/events/ticket") {
+    const ticket = crypto.randomBytes(16).toString("hex");
+    tickets.set(ticket, Date.now() + TICKET_TTL_MS);
+    res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ticket }));
+    return;
+  }
+
+  // Event stream
+  if (req.method === "GET" && pathname === "/reservations/events") {
+    const ticket = searchParams.get("ticket");
+    const expiresAt = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!expiresAt || expiresAt < Date.now()) {
+      res.writeHead(401, corsHeaders);
+      res.end("Invalid or expired ticket");
+      return;
+    }
+
+    res.writeHead(200, {
+      ...corsHeaders,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+    clients.add(res);
+    console.log(`✅ Client connected (${clients.size} total)`);
+
+    req.on("close", () => {
+      clients.delete(res);
+      console.log(`ℹ️ Client disconnected (${clients.size} total)`);
+    });
+    return;
+  }
+
+  // Push an event to every connected client
+  const match = /^\/events\/([a-z]+)$/.exec(pathname);
+  if (req.method === "POST" && match && EVENT_TYPES.includes(match[1])) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        broadcast(match[1], JSON.parse(body));
+        res.writeHead(202, corsHeaders);
+        res.end();
+      } catch (error) {
+        res.writeHead(400, corsHeaders);
+        res.end(`Invalid JSON: ${error.message}`);
+      }
+    });
+    return;
+  }
+
+  res.writeHead(404, corsHeaders);
+  res.end("Not found");
+});
+
+server.listen(PORT, () => {
+  console.log(`📡 Mock event server on http://localhost:${PORT}`);
+  console.log(`  Ticket: POST /reservations/events/ticket`);
+  console.log(`  Stream: GET  /reservations/events?ticket=...`);
+  console.log(`  Push:   POST /events/{${EVENT_TYPES.join("|")}}`);
+});
+
+if (INTERVAL > 0) {
+  setInterval(() => {
+    counter += 1;
+    broadcast("created", {
+      _id: `mock-${Date.now()}`,
+      reservationId: `RES-MOCK${counter}`,
+      name: `Voice Caller ${counter}`,
+      phone: "+15550000000",
+      partySize: 2 + (counter % 5),
+      date: restaurantToday(),
+      time: "7:00 PM",
+      tableNumber: 1 + (counter % 12),
+      status: "confirmed",
+      specialRequests: [],
+    });
+  }, INTERVAL * 1000);
+}
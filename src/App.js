@@ -10,19 +10,56 @@
  * ---------
  * ✅ Real-time Dashboard - Today's reservations at a glance
  * ✅ Reservation Management - Create, edit, cancel with ease
- * ✅ Advanced Search - Filter by date, status, customer name
+ * ✅ Advanced Search - Server-side filters, sorting and pagination
  * ✅ Responsive Design using Tailwind CSS - Works on desktop, tablet, mobile
- * ✅ API Authentication - Secure with API key protection
- * ✅ Error Handling - User-friendly error messages
+ * ✅ Staff Login - Personal accounts with host/manager/admin roles
+ * ✅ Error Handling - User-friendly error toasts, with Retry where it helps
+ * ✅ Notifications - Non-blocking toasts and confirmation dialogs
+ * ✅ Undo - Undo a cancel or edit from its toast; restore cancelled bookings
+ * ✅ Exports - CSV, iCal and a printable run sheet of the filtered list
+ * ✅ Imports - CSV import with column mapping, conflict preview and error report
+ * ✅ Bulk Actions - Select rows (shift-click, all matching) to cancel, move or re-status
+ * ✅ Analytics - Covers, no-shows, lead time and sources vs the previous period
  * ✅ Network Detection - Offline indicator and reconnection
  * ✅ Loading States - Clear feedback during operations
- * ✅ Timezone Clarity - Shows Pacific Time (PT) for all times
+ * ✅ Timezone Clarity - Dates and times in the restaurant's timezone, labelled (PT)
  * ✅ Configurable Phone Number - Via environment variables
+ * ✅ Calendar - Month/week/day views with drag-to-reschedule
+ * ✅ Floor Plan - Drag-and-drop table assignment per time slot
+ * ✅ Live Updates - Voice agent bookings stream in via SSE (polling fallback)
+ * ✅ Call Details - Transcript and recording of the call behind a booking
+ * ✅ History - Who changed each booking, when, and what changed
+ * ✅ Waitlist - Queue parties for full slots and book them when a table opens
+ * ✅ Guests - Returning guest profiles by phone, with notes, tags and autocomplete
+ * ✅ Phone Numbers - Validated, stored as E.164, searched by digits
+ * ✅ Form Validation - Inline field errors, including the server's
+ * ✅ Service Workflow - Check in, seat, complete or mark no-show from a card
+ * ✅ Offline Outbox - Create/edit/cancel offline; changes sync on reconnect
+ * ✅ Locations - Switch branches in the header; owners get a combined view
+ * ✅ Languages - English, Spanish and Hindi, with locale-aware dates and numbers
  *
  * TIMEZONE HANDLING:
  * ------------------
- * All times are displayed and interpreted in Pacific Time (PT).
- * Backend handles timezone conversion to ensure consistency.
+ * Reservation dates and times are wall-clock values in the restaurant's
+ * timezone (the active location's timeZone, Pacific Time by default), not
+ * the device's. Every date here goes through utils/dateTime: todayDateString()
+ * for "today", reservationDate() to read reservation.date, formatInstant()
+ * for timestamps and timeZoneLabel() for the "PT" labels.
+ *
+ * LOCATIONS:
+ * ----------
+ * Every request carries the active location (services/locations), so
+ * stats, today's schedule and All Reservations come back scoped to it.
+ * Switching location clears what's on screen and loads it again. The
+ * combined view ('all', owners only) shows Dashboard, All Reservations
+ * and Analytics across every location; new bookings need a location.
+ *
+ * LANGUAGES:
+ * ----------
+ * The dashboard, reservation cards and form show their text through t()
+ * (services/i18n), picked per device from the header. Dates, time slots
+ * and numbers follow the language's locale; saved values (statuses,
+ * special requests, "7:00 PM" slots) stay in English.
  *
  * @module App
  * @requires react
@@ -31,7 +68,7 @@
  * @requires ./services/api
  */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   Calendar,
   Phone,
@@ -43,29 +80,289 @@ import {
   Trash2,
   Plus,
   Search,
+  ArrowUpDown,
+  ChevronLeft,
+  ChevronRight,
   AlertCircle,
   WifiOff,
+  Radio,
+  PhoneCall,
+  CloudOff,
+  LogOut,
+  History,
+  RotateCcw,
+  Upload,
+  MapPin,
 } from "lucide-react";
-import { api, ApiError, withRetry } from "./services/api";
+import {
+  api,
+  ApiError,
+  createLatestRequest,
+  isAbortError,
+  reservationApi,
+  restaurantApi,
+  waitlistApi,
+  withRetry,
+  subscribeToReservations,
+  guestApi,
+} from "./services/api";
+import {
+  applyPendingOperations,
+  discardOperation,
+  isLocalId,
+  previousValues,
+  replayOutbox,
+  reservationMutations,
+  retryOperation,
+  subscribeToOutbox,
+} from "./services/outbox";
+import { getSession, login, logout, subscribeToSession } from "./services/auth";
+import {
+  ALL_LOCATIONS,
+  findLocation,
+  getActiveLocation,
+  getActiveLocationId,
+  getLocations,
+  inActiveLocation,
+  locationDefaults,
+  setActiveLocation,
+  subscribeToLocation,
+} from "./services/locations";
+import { confirmAction, toast } from "./services/notifications";
+import {
+  formatNumber,
+  getLanguage,
+  setLanguage,
+  subscribeToLanguage,
+  t,
+} from "./services/i18n";
 import config from "./config";
+import FloorPlan from "./components/FloorPlan";
+import CalendarView from "./components/CalendarView";
+import CallDetailsDrawer, { SourceBadge } from "./components/CallDetailsDrawer";
+import Waitlist, { findWaitlistMatches } from "./components/Waitlist";
+import Guests, { GuestSummary } from "./components/Guests";
+import OutboxReview from "./components/OutboxReview";
+import ReservationHistoryDrawer from "./components/ReservationHistoryDrawer";
+import LoginScreen from "./components/LoginScreen";
+import LocationSwitcher from "./components/LocationSwitcher";
+import LanguagePicker from "./components/LanguagePicker";
+import Modal from "./components/Modal";
+import ExportMenu from "./components/ExportMenu";
+import ImportWizard from "./components/ImportWizard";
+import BulkActionBar from "./components/BulkActionBar";
+import Analytics from "./components/Analytics";
+import Notifications from "./components/Notifications";
+import SettingsPanel from "./components/SettingsPanel";
+import {
+  RESTORED_STATUS,
+  STATUS_ACTIONS,
+  STATUS_TRANSITIONS,
+  canRestore,
+  canTransition,
+  minutesLate,
+} from "./utils/reservationStatus";
+import {
+  compareByTime,
+  formatDateLabel,
+  formatInstant,
+  formatTimeSlot,
+  getTimeSlots,
+  reservationDate,
+  timeSlotToMinutes,
+  timeZoneLabel,
+  todayDateString,
+} from "./utils/dateTime";
+import {
+  DEFAULT_RESERVATION_QUERY,
+  PAGE_SIZES,
+  SORT_OPTIONS,
+  countActiveFilters,
+  matchesReservationQuery,
+} from "./utils/reservationQuery";
+import { ROLE_LABELS, can } from "./utils/permissions";
+import { runBatch, selectRange, skipReason } from "./utils/bulk";
+import {
+  GUEST_LOOKUP_MIN_DIGITS,
+  findGuest,
+  suggestGuests,
+} from "./utils/guests";
+import { formatPhone, phoneDigits, toE164 } from "./utils/phone";
+import {
+  RESERVATION_SCHEMA,
+  errorMessage,
+  isValidationError,
+  mapServerErrors,
+  validate,
+} from "./utils/validation";
 
 // ==================== UTILITY FUNCTIONS ====================
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString("en-US", {
-      weekday: "short",
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    });
-  };
+/**
+ * Formats a "YYYY-MM-DD" restaurant date as "Tue, Dec 24, 2024".
+ */
+const formatDate = (date) =>
+  formatDateLabel(date, {
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * Suggested special requests. The English value is what gets saved (the
+ * voice agent and exports read it); the key picks the translated label.
+ */
+const COMMON_REQUESTS = [
+  { key: "windowSeat", value: "Window seat" },
+  { key: "highChair", value: "High chair" },
+  { key: "birthday", value: "Birthday celebration" },
+  { key: "anniversary", value: "Anniversary" },
+  { key: "vegetarian", value: "Vegetarian options" },
+  { key: "glutenFree", value: "Gluten-free options" },
+  { key: "wheelchair", value: "Wheelchair accessible" },
+  { key: "quiet", value: "Quiet area" },
+  { key: "outdoor", value: "Outdoor seating" },
+];
+
+/**
+ * A saved special request in the active language. Custom requests are
+ * shown as typed.
+ */
+const requestLabel = (request) => {
+  const common = COMMON_REQUESTS.find(({ value }) => value === request);
+  return common ? t(`requests.${common.key}`) : request;
+};
+
+/**
+ * Tabs shown in the combined all-locations view. The others need one
+ * location's tables, hours or waitlist.
+ */
+const COMBINED_TABS = ["dashboard", "all", "analytics"];
+
+/**
+ * Guests tab search; the backend pages the profiles.
+ */
+const DEFAULT_GUEST_QUERY = { search: "", page: 1, pageSize: 25 };
+
+// Pause in typing before the booking form looks up a phone number
+const GUEST_LOOKUP_DELAY_MS = 300;
+
+/**
+ * Name of a reservation's location for the combined view's badges.
+ */
+const locationName = (id) => {
+  const location = findLocation(id);
+  return location ? location.name : id || null;
+};
+
+/**
+ * True if the reservation is for today and still counts as booked.
+ */
+const countsForToday = (reservation) =>
+  reservationDate(reservation.date) === todayDateString() &&
+  reservation.status !== "cancelled";
+
+/**
+ * Picks the open slots closest to `time`, returned in chronological order.
+ */
+const findNearestOpenSlots = (slots, time, isOpen, count = 3) => {
+  const target = timeSlotToMinutes(time) ?? 0;
+  const distance = (slot) => Math.abs(timeSlotToMinutes(slot) - target);
+
+  return slots
+    .filter((slot) => slot !== time && isOpen(slot))
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, count)
+    .sort((a, b) => timeSlotToMinutes(a) - timeSlotToMinutes(b));
+};
+
+/**
+ * Merges a reservation from a realtime event into a list.
+ * Existing entries (matched by _id) are replaced; entries that no longer
+ * satisfy `belongs` are dropped and new ones are added when they do.
+ */
+const mergeReservation = (list, reservation, belongs) => {
+  const others = list.filter((res) => res._id !== reservation._id);
+  const existing = list.find((res) => res._id === reservation._id);
+
+  if (!belongs(reservation)) return existing ? others : list;
+  if (!existing) return [...list, reservation];
 
+  return list.map((res) =>
+    res._id === reservation._id ? { ...res, ...reservation } : res
+  );
+};
+
+/**
+ * Adjusts dashboard statistics for a realtime event.
+ * `previous` is the last known version of the reservation (if any); when it
+ * is unknown, an update/cancel is assumed to start from a confirmed booking
+ * on the same date.
+ */
+const applyEventToStats = (stats, { type, reservation }, previous) => {
+  const before =
+    previous ||
+    (type === "created" ? null : { ...reservation, status: "confirmed" });
+  const wasToday = before ? countsForToday(before) : false;
+  const isToday = countsForToday(reservation);
+  const next = { ...stats };
+
+  if (type === "created" && !previous) {
+    next.totalReservations += 1;
+  }
+  if (isToday && !wasToday) {
+    next.todayReservations += 1;
+  }
+  if (wasToday && !isToday) {
+    next.todayReservations = Math.max(0, next.todayReservations - 1);
+  }
+  if (
+    type === "cancelled" &&
+    reservationDate(reservation.date) === todayDateString() &&
+    (!before || before.status !== "cancelled")
+  ) {
+    next.cancelledToday += 1;
+  }
+
+  return next;
+};
+
+/**
+ * ============================================================================
+ * APP ROOT - STAFF LOGIN GATE
+ * ============================================================================
+ *
+ * Shows the login screen until a staff member signs in, then the dashboard.
+ * Logging out, or the server rejecting the refresh token, comes back here.
+ */
+export default function App() {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => subscribeToSession(setSession), []);
+
+  if (!session) {
+    return <LoginScreen onLogin={login} />;
+  }
+
+  // Keyed by user so a different login starts from a clean dashboard
+  return (
+    <ReservationDashboard
+      key={session.user.id}
+      user={session.user}
+      onLogout={logout}
+    />
+  );
+}
 
 /**
  * ============================================================================
  * MAIN DASHBOARD COMPONENT
  * ============================================================================
+ *
+ * @param {object} user - Logged-in staff member ({ name, role })
+ * @param {Function} onLogout - Ends the session
  */
-export default function ReservationDashboard() {
+function ReservationDashboard({ user, onLogout }) {
   // ==================== STATE MANAGEMENT ====================
   const [reservations, setReservations] = useState([]);
   const [todayReservations, setTodayReservations] = useState([]);
@@ -80,20 +377,144 @@ export default function ReservationDashboard() {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedReservation, setSelectedReservation] = useState(null);
+  const [callReservation, setCallReservation] = useState(null);
+  const [historyReservation, setHistoryReservation] = useState(null);
+
+  const [waitlist, setWaitlist] = useState([]);
+  const [waitlistLoading, setWaitlistLoading] = useState(false);
+  const [waitlistAlert, setWaitlistAlert] = useState(null);
+  const [convertingEntry, setConvertingEntry] = useState(null);
+
+  const [guests, setGuests] = useState([]);
+  const [guestsLoading, setGuestsLoading] = useState(false);
+  const [guestQuery, setGuestQuery] = useState(DEFAULT_GUEST_QUERY);
+  const [guestPageInfo, setGuestPageInfo] = useState({
+    total: 0,
+    totalPages: 1,
+  });
+
+  const [outbox, setOutbox] = useState([]);
+  const [showOutboxReview, setShowOutboxReview] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+
+  // Selected rows of All Reservations by _id (may span pages)
+  const [selection, setSelection] = useState({});
+  const [selectingAll, setSelectingAll] = useState(false);
+  const selectionAnchorRef = useRef(null);
 
-  const [searchTerm, setSearchTerm] = useState("");
-  const [filterDate, setFilterDate] = useState("");
-  const [filterStatus, setFilterStatus] = useState("");
+  const [query, setQuery] = useState(DEFAULT_RESERVATION_QUERY);
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
 
-  const [error, setError] = useState(null);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [now, setNow] = useState(new Date());
+  const [restaurantSettings, setRestaurantSettings] =
+    useState(locationDefaults);
+  const [locationId, setLocationId] = useState(getActiveLocationId);
+  const [language, setLanguageCode] = useState(getLanguage);
+
+  // What this user's role allows (the backend enforces the same rules)
+  const canCancel = can(user, "cancelReservation");
+  const canReassign = can(user, "reassignTable");
+  const canManageSettings = can(user, "manageSettings");
+  const canImport = can(user, "importReservations");
+  const canViewAnalytics = can(user, "viewAnalytics");
+  const canViewAllLocations = can(user, "viewAllLocations");
+
+  const location = getActiveLocation();
+  const combined = locationId === ALL_LOCATIONS;
+
+  // Latest lists and applied query, read by the realtime event handler
+  const todayReservationsRef = useRef(todayReservations);
+  const reservationsRef = useRef(reservations);
+  const appliedQueryRef = useRef(DEFAULT_RESERVATION_QUERY);
+  todayReservationsRef.current = todayReservations;
+  reservationsRef.current = reservations;
+
+  // One in-flight request per list: a newer fetch aborts the older one,
+  // so a slow stale response can't overwrite fresh data
+  const [requests] = useState(() => ({
+    stats: createLatestRequest(),
+    today: createLatestRequest(),
+    all: createLatestRequest(),
+    waitlist: createLatestRequest(),
+    guests: createLatestRequest(),
+  }));
+
+  useEffect(
+    () => () => Object.values(requests).forEach((request) => request.abort()),
+    [requests]
+  );
+
+  // ==================== LOCATION ====================
+  useEffect(() => subscribeToLocation(setLocationId), []);
+
+  // ==================== LANGUAGE ====================
+  // Messages are read at render time; the state only triggers a re-render
+  useEffect(() => subscribeToLanguage(setLanguageCode), []);
+
+  // This device was last left in the combined view by an owner
+  useEffect(() => {
+    if (combined && !canViewAllLocations) {
+      setActiveLocation(getLocations()[0].id);
+    }
+  }, [combined, canViewAllLocations]);
+
+  // Lists on screen belong to the old location; the fetch effects below
+  // reload them for the new one
+  const handleSwitchLocation = (id) => {
+    setReservations([]);
+    setTodayReservations([]);
+    setWaitlist([]);
+    setWaitlistAlert(null);
+    setGuests([]);
+    clearSelection();
+    if (id === ALL_LOCATIONS && !COMBINED_TABS.includes(activeTab)) {
+      setActiveTab("dashboard");
+    }
+    setActiveLocation(id);
+    setRestaurantSettings(locationDefaults());
+  };
+
+  // ==================== OFFLINE OUTBOX ====================
+  useEffect(() => subscribeToOutbox(setOutbox), []);
+
+  // Sends changes queued while offline, oldest first
+  const syncOutbox = async () => {
+    const summary = await replayOutbox();
+
+    if (summary.failed > 0) {
+      toast.error(t("toast.syncFailed", { count: summary.failed }), {
+        action: {
+          label: t("common.review"),
+          onClick: () => setShowOutboxReview(true),
+        },
+      });
+    } else if (summary.synced > 0) {
+      toast.success(t("toast.synced", { count: summary.synced }));
+    }
+    return summary;
+  };
+
+  const handleRetryOperation = async (seq, options) => {
+    const synced = await retryOperation(seq, options);
+    if (synced) {
+      fetchStats();
+      fetchTodayReservations();
+      if (activeTab === "all") fetchAllReservations();
+    }
+  };
 
   // ==================== NETWORK STATUS DETECTION ====================
   useEffect(() => {
-    const handleOnline = () => {
+    const handleOnline = async () => {
       console.log("✅ Connection restored");
       setIsOnline(true);
-      setError(null);
+      try {
+        await syncOutbox();
+      } catch (error) {
+        handleApiError(error, t("errors.syncOutbox"));
+      }
       fetchStats();
       fetchTodayReservations();
     };
@@ -101,12 +522,23 @@ export default function ReservationDashboard() {
     const handleOffline = () => {
       console.log("❌ Connection lost");
       setIsOnline(false);
-      setError("No internet connection. Please check your network.");
     };
 
     window.addEventListener("online", handleOnline);
     window.addEventListener("offline", handleOffline);
 
+    // Changes queued before a reload go out as soon as we're online
+    if (navigator.onLine) {
+      syncOutbox()
+        .then((summary) => {
+          if (summary.synced > 0) {
+            fetchStats();
+            fetchTodayReservations();
+          }
+        })
+        .catch((error) => handleApiError(error, t("errors.syncOutbox")));
+    }
+
     return () => {
       window.removeEventListener("online", handleOnline);
       window.removeEventListener("offline", handleOffline);
@@ -122,201 +554,881 @@ export default function ReservationDashboard() {
       if (activeTab === "all") {
         fetchAllReservations();
       }
+      if (activeTab === "waitlist") {
+        fetchWaitlist();
+      }
     }
-  }, [activeTab, isOnline]);
+  }, [activeTab, isOnline, locationId]);
 
-  // ==================== ERROR HANDLING HELPER ====================
-  const handleApiError = (error, defaultMessage = "An error occurred") => {
-    let errorMessage = defaultMessage;
-
-    if (error instanceof ApiError) {
-      errorMessage = error.message;
-
-      if (error.status === 401) {
-        errorMessage =
-          "Authentication failed. Please check your API key configuration.";
-        console.error("❌ Auth error - API key may be incorrect or missing");
-      } else if (error.status === 404) {
-        errorMessage = "Resource not found.";
-      } else if (error.status === 429) {
-        errorMessage = "Too many requests. Please wait a moment and try again.";
-      } else if (error.status === 500) {
-        errorMessage = "Server error. Please try again later.";
+  // ==================== CLOCK (LATE ARRIVALS) ====================
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // ==================== RESTAURANT SETTINGS ====================
+  useEffect(() => {
+    if (!isOnline) return;
+
+    const fetchRestaurantSettings = async () => {
+      try {
+        console.log("🏪 Fetching restaurant settings...");
+        const data = await restaurantApi.getSettings();
+        setRestaurantSettings({ ...locationDefaults(), ...data });
+        console.log("✅ Restaurant settings loaded:", data);
+      } catch (error) {
+        // Not fatal: the built-in service hours still work
+        console.warn("⚠️ Using default restaurant settings:", error.message);
       }
-    } else if (!navigator.onLine) {
-      errorMessage = "No internet connection. Please check your network.";
-    }
+    };
 
-    setError(errorMessage);
-    console.error("Error:", errorMessage, error);
-    setTimeout(() => setError(null), 5000);
+    fetchRestaurantSettings();
+  }, [isOnline, locationId]);
+
+  // ==================== REALTIME UPDATES ====================
+  const handleReservationEvent = useCallback((event) => {
+    const { reservation } = event;
+    const previous =
+      todayReservationsRef.current.find((res) => res._id === reservation._id) ||
+      reservationsRef.current.find((res) => res._id === reservation._id);
+
+    setStats((current) => applyEventToStats(current, event, previous));
+    setTodayReservations((current) =>
+      mergeReservation(
+        current,
+        reservation,
+        (res) => reservationDate(res.date) === todayDateString()
+      ).sort(compareByTime)
+    );
+    setReservations((current) =>
+      mergeReservation(current, reservation, (res) =>
+        matchesReservationQuery(res, appliedQueryRef.current)
+      )
+    );
+  }, []);
 
-    return errorMessage;
+  // Latest refetch for the polling fallback, read through a ref so the
+  // subscription isn't reopened on every render
+  const pollRef = useRef(null);
+  pollRef.current = () => {
+    fetchStats();
+    fetchTodayReservations();
   };
 
+  useEffect(() => {
+    if (!isOnline) return;
+
+    console.log("📡 Subscribing to live reservation updates...");
+    const unsubscribe = subscribeToReservations({
+      onEvent: handleReservationEvent,
+      onPoll: () => pollRef.current(),
+      onStatusChange: setLiveStatus,
+    });
+
+    return () => {
+      unsubscribe();
+      setLiveStatus(null);
+    };
+  }, [isOnline, locationId, handleReservationEvent]);
+
+  // ==================== ERROR HANDLING HELPER ====================
+  // Shows the error as a toast; pass retry to offer a "Retry" button
+  const handleApiError = useCallback(
+    (error, defaultMessage = t("errors.generic"), retry = null) => {
+      // Superseded or unmounted requests are not errors
+      if (isAbortError(error)) return null;
+
+      let errorMessage = defaultMessage;
+
+      if (error instanceof ApiError) {
+        errorMessage = error.message;
+
+        if (error.status === 401) {
+          errorMessage = t("errors.sessionExpired");
+          console.error("❌ Auth error - session expired or invalid");
+        } else if (error.status === 403) {
+          errorMessage = t("errors.forbidden");
+        } else if (error.status === 404) {
+          errorMessage = t("errors.notFound");
+        } else if (error.status === 408) {
+          errorMessage = t("errors.timeout");
+        } else if (error.status === 429) {
+          errorMessage = t("errors.rateLimited");
+        } else if (error.status === 500) {
+          errorMessage = t("errors.server");
+        }
+      } else if (!navigator.onLine) {
+        errorMessage = t("errors.offline");
+      }
+
+      console.error("Error:", errorMessage, error);
+      toast.error(errorMessage, {
+        action: retry ? { label: t("common.retry"), onClick: retry } : null,
+      });
+
+      return errorMessage;
+    },
+    []
+  );
+
   // ==================== API FUNCTIONS ====================
   const fetchStats = async () => {
+    const signal = requests.stats.next();
     try {
-      setError(null);
       console.log("📊 Fetching statistics...");
-      const data = await withRetry(() => api.get("/reservations/stats"));
+      const data = await withRetry(() =>
+        api.get("/reservations/stats", { signal })
+      );
       setStats(data);
       console.log("✅ Statistics loaded:", data);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("❌ Error fetching stats:", error);
-      handleApiError(error, "Failed to fetch statistics");
+      handleApiError(error, t("errors.fetchStats"));
     }
   };
 
   const fetchTodayReservations = async () => {
+    const signal = requests.today.next();
     try {
-      setError(null);
       console.log("📅 Fetching today's reservations...");
-      const data = await withRetry(() => api.get("/reservations/today"));
+      const data = await withRetry(() =>
+        api.get("/reservations/today", { signal })
+      );
       setTodayReservations(data);
       console.log(`✅ Loaded ${data.length} reservations for today`);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("❌ Error fetching today's reservations:", error);
-      handleApiError(error, "Failed to fetch today's reservations");
+      handleApiError(error, t("errors.fetchToday"));
     }
   };
 
-  const fetchAllReservations = async () => {
+  /**
+   * Loads one page of All Reservations. Without an argument it reloads the
+   * last applied query, so unapplied filter edits don't sneak in after a
+   * create/edit/cancel.
+   */
+  const fetchAllReservations = async (nextQuery = appliedQueryRef.current) => {
+    const signal = requests.all.next();
     setLoading(true);
     try {
-      setError(null);
-      console.log("📋 Fetching all reservations...");
-
-      let url = "/reservations?";
-      if (filterStatus) {
-        url += `status=${filterStatus}&`;
-        console.log(`  Filter: status=${filterStatus}`);
-      }
-      if (filterDate) {
-        url += `date=${filterDate}`;
-        console.log(`  Filter: date=${filterDate}`);
-      }
-
-      const data = await api.get(url);
-      setReservations(data);
-      console.log(`✅ Loaded ${data.length} reservations`);
+      console.log(
+        `📋 Fetching reservations (page ${nextQuery.page}, sort ${nextQuery.sortBy} ${nextQuery.sortOrder})...`
+      );
+
+      const result = await reservationApi.search(nextQuery, { signal });
+      appliedQueryRef.current = nextQuery;
+      setReservations(result.items);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      console.log(
+        `✅ Loaded ${result.items.length} of ${result.total} reservations`
+      );
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("❌ Error fetching reservations:", error);
-      handleApiError(error, "Failed to fetch reservations");
+      handleApiError(error, t("errors.fetchAll"));
     } finally {
-      setLoading(false);
+      // A superseding fetch owns the spinner now
+      if (!signal.aborted) setLoading(false);
     }
   };
 
   const handleCreateReservation = async (formData) => {
     try {
-      setError(null);
       console.log("➕ Creating reservation:", formData);
 
-      await api.post("/reservations", formData);
+      const result = await reservationMutations.create(formData);
 
-      console.log("✅ Reservation created successfully");
       setShowCreateModal(false);
 
+      if (convertingEntry) {
+        await removeConvertedEntry(convertingEntry);
+      }
+
+      if (result.queued) {
+        console.log("📥 Reservation saved offline");
+        toast.info(t("toast.savedOffline.create"));
+        return;
+      }
+
+      console.log("✅ Reservation created successfully");
       fetchStats();
       fetchTodayReservations();
       if (activeTab === "all") fetchAllReservations();
 
-      alert("✅ Reservation created successfully!");
+      toast.success(t("toast.created", { name: formData.name }));
     } catch (error) {
       console.error("❌ Error creating reservation:", error);
-      const errorMsg = handleApiError(error, "Failed to create reservation");
-      alert(`❌ Error: ${errorMsg}`);
+      // The form shows field errors next to the fields
+      if (isValidationError(error)) throw error;
+      handleApiError(error, t("errors.create"));
     }
   };
 
-  const handleUpdateReservation = async (id, formData) => {
+  /**
+   * Saves an edit through the outbox with an Undo toast. Field errors are
+   * rethrown for the form; everything else is reported here.
+   *
+   * @returns {Promise<boolean>} - True once saved or queued
+   */
+  const handleUpdateReservation = async (reservation, formData) => {
+    // Captured before the PATCH: what Undo puts back
+    const previous = previousValues(reservation, formData);
+    const updated = { ...reservation, ...formData };
+    const undo = undoAction(updated, previous, "edit");
+
     try {
-      setError(null);
-      console.log(`✏️ Updating reservation ${id}:`, formData);
+      console.log(`✏️ Updating reservation ${reservation._id}:`, formData);
 
-      await api.patch(`/reservations/${id}`, formData);
+      const result = await reservationMutations.update(reservation, formData);
 
-      console.log("✅ Reservation updated successfully");
       setShowEditModal(false);
       setSelectedReservation(null);
 
+      if (result.queued) {
+        console.log("📥 Reservation change saved offline");
+        toast.info(t("toast.savedOffline.edit"), { action: undo });
+        return true;
+      }
+
+      console.log("✅ Reservation updated successfully");
+
       fetchStats();
       fetchTodayReservations();
       if (activeTab === "all") fetchAllReservations();
 
-      alert("✅ Reservation updated successfully!");
+      toast.success(t("toast.updated", { name: updated.name }), {
+        action: undo,
+      });
+      return true;
     } catch (error) {
       console.error("❌ Error updating reservation:", error);
-      const errorMsg = handleApiError(error, "Failed to update reservation");
-      alert(`❌ Error: ${errorMsg}`);
+      if (isValidationError(error)) throw error;
+      handleApiError(error, t("errors.update"));
+      return false;
     }
   };
 
-  const handleCancelReservation = async (id) => {
-    if (!window.confirm("Are you sure you want to cancel this reservation?")) {
+  // Drag-and-drop edits (calendar, floor plan): no form to show field
+  // errors next to, so those are reported like any other failure
+  const handleMoveReservation = async (reservation, changes) => {
+    try {
+      return await handleUpdateReservation(reservation, changes);
+    } catch (error) {
+      handleApiError(error, t("errors.update"));
+      return false;
+    }
+  };
+
+  const handleStatusChange = async (reservation, status) => {
+    if (!canTransition(reservation.status, status)) {
+      console.warn(
+        `⚠️ Invalid status change: ${reservation.status} → ${status}`
+      );
+      return;
+    }
+
+    if (
+      status === "no-show" &&
+      !(await confirmAction({
+        title: t("confirm.noShow.title"),
+        message: t("confirm.noShow.message", {
+          name: reservation.name,
+          partySize: reservation.partySize,
+          time: formatTimeSlot(reservation.time),
+        }),
+        confirmLabel: t("confirm.noShow.confirm"),
+        cancelLabel: t("common.cancel"),
+        tone: "danger",
+      }))
+    ) {
+      console.log("ℹ️ No-show aborted by user");
+      return;
+    }
+
+    try {
+      console.log(
+        `🔁 ${reservation.reservationId}: ${reservation.status} → ${status}`
+      );
+
+      const result = await reservationMutations.status(reservation, status);
+
+      if (result.queued) {
+        console.log("📥 Status change saved offline");
+        toast.info(t("toast.savedOffline.status"));
+        return;
+      }
+
+      console.log("✅ Status updated successfully");
+
+      fetchStats();
+      fetchTodayReservations();
+      if (activeTab === "all") fetchAllReservations();
+    } catch (error) {
+      console.error("❌ Error updating status:", error);
+      handleApiError(error, t("errors.status"), () =>
+        handleStatusChange(reservation, status)
+      );
+    }
+  };
+
+  const handleCancelReservation = async (cancelled) => {
+    if (!canCancel) {
+      console.warn(`⚠️ ${user.role} may not cancel reservations`);
+      return;
+    }
+
+    const confirmed = await confirmAction({
+      title: t("confirm.cancel.title"),
+      message: t("confirm.cancel.message", {
+        name: cancelled.name,
+        partySize: cancelled.partySize,
+        time: formatTimeSlot(cancelled.time),
+      }),
+      confirmLabel: t("confirm.cancel.confirm"),
+      cancelLabel: t("confirm.cancel.keep"),
+      tone: "danger",
+    });
+    if (!confirmed) {
       console.log("ℹ️ Cancellation aborted by user");
       return;
     }
 
+    await cancelReservation(cancelled);
+  };
+
+  // Already confirmed (the toast's Retry calls this directly)
+  const cancelReservation = async (cancelled) => {
+    // Captured before the DELETE: what Undo puts back
+    const undo = isLocalId(cancelled._id)
+      ? null // A cancelled offline booking is dropped from the outbox
+      : undoAction(
+          { ...cancelled, status: "cancelled" },
+          { status: cancelled.status },
+          "cancellation"
+        );
+
     try {
-      setError(null);
-      console.log(`🗑️ Cancelling reservation ${id}...`);
+      console.log(`🗑️ Cancelling reservation ${cancelled._id}...`);
+
+      const result = await reservationMutations.cancel(cancelled);
 
-      await api.delete(`/reservations/${id}`);
+      if (result.queued) {
+        console.log("📥 Cancellation saved offline");
+        toast.info(t("toast.savedOffline.cancel"), { action: undo });
+        return;
+      }
 
       console.log("✅ Reservation cancelled successfully");
 
       fetchStats();
       fetchTodayReservations();
       if (activeTab === "all") fetchAllReservations();
+      checkWaitlistForOpening(cancelled);
 
-      alert("✅ Reservation cancelled successfully!");
+      toast.success(t("toast.cancelled", { name: cancelled.name }), {
+        action: undo,
+      });
     } catch (error) {
       console.error("❌ Error cancelling reservation:", error);
-      const errorMsg = handleApiError(error, "Failed to cancel reservation");
-      alert(`❌ Error: ${errorMsg}`);
+      handleApiError(error, t("errors.cancel"), () =>
+        cancelReservation(cancelled)
+      );
+    }
+  };
+
+  // ==================== UNDO & RESTORE ====================
+  // Sends back the values a change replaced. `changed` is the reservation as
+  // the change left it, so an undo made offline queues like any other edit.
+  const revertReservation = async (changed, previous, label) => {
+    try {
+      console.log(`↩️ Undoing ${label} of ${changed._id}:`, previous);
+
+      const result = await reservationMutations.update(changed, previous);
+
+      if (result.queued) {
+        toast.info(t("toast.savedOffline.undo"));
+        return;
+      }
+
+      console.log("✅ Undo applied");
+      fetchStats();
+      fetchTodayReservations();
+      if (activeTab === "all") fetchAllReservations();
+
+      toast.success(t(`toast.undone.${label}`, { name: changed.name }));
+    } catch (error) {
+      console.error(`❌ Error undoing ${label}:`, error);
+      handleApiError(error, t(`errors.undo.${label}`), () =>
+        revertReservation(changed, previous, label)
+      );
+    }
+  };
+
+  const undoAction = (changed, previous, label) => ({
+    label: t("common.undo"),
+    onClick: () => revertReservation(changed, previous, label),
+  });
+
+  // Brings back a cancelled booking from the All Reservations list
+  const handleRestoreReservation = async (reservation) => {
+    if (!canCancel) {
+      console.warn(`⚠️ ${user.role} may not restore reservations`);
+      return;
+    }
+
+    const restored = { ...reservation, status: RESTORED_STATUS };
+
+    try {
+      console.log(`♻️ Restoring reservation ${reservation._id}...`);
+
+      const result = await reservationMutations.update(reservation, {
+        status: RESTORED_STATUS,
+      });
+
+      if (result.queued) {
+        toast.info(t("toast.savedOffline.restore"));
+        return;
+      }
+
+      console.log("✅ Reservation restored");
+      fetchStats();
+      fetchTodayReservations();
+      if (activeTab === "all") fetchAllReservations();
+
+      toast.success(t("toast.restored", { name: reservation.name }), {
+        action: {
+          label: t("common.undo"),
+          onClick: () => cancelReservation(restored),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error restoring reservation:", error);
+      handleApiError(error, t("errors.restore"), () =>
+        handleRestoreReservation(reservation)
+      );
+    }
+  };
+
+  // ==================== GUEST FUNCTIONS ====================
+  // One page of profiles, aggregated by the backend (guestApi.profiles)
+  useEffect(() => {
+    if (!isOnline || activeTab !== "guests") return;
+
+    const fetchGuests = async () => {
+      const signal = requests.guests.next();
+      setGuestsLoading(true);
+      try {
+        console.log(`👥 Fetching guest profiles (page ${guestQuery.page})...`);
+        const result = await guestApi.profiles(guestQuery, { signal });
+        setGuests(result.items);
+        setGuestPageInfo({
+          total: result.total,
+          totalPages: result.totalPages,
+        });
+        console.log(
+          `✅ Loaded ${result.items.length} of ${result.total} guest profiles`
+        );
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("❌ Error fetching guests:", error);
+        handleApiError(error, t("errors.fetchGuests"));
+      } finally {
+        if (!signal.aborted) setGuestsLoading(false);
+      }
+    };
+
+    fetchGuests();
+  }, [isOnline, activeTab, guestQuery, locationId, requests, handleApiError]);
+
+  const handleGuestQueryChange = useCallback(
+    (changes) => setGuestQuery((current) => ({ ...current, ...changes })),
+    []
+  );
+
+  const handleSaveGuestNotes = async (guest, changes) => {
+    try {
+      console.log(`📝 Saving notes for guest ${guest.phone}:`, changes);
+
+      await guestApi.update(guest.phone, changes);
+      setGuests((current) =>
+        current.map((profile) =>
+          profile.phone === guest.phone ? { ...profile, ...changes } : profile
+        )
+      );
+
+      console.log("✅ Guest notes saved");
+    } catch (error) {
+      console.error("❌ Error saving guest notes:", error);
+      handleApiError(error, t("errors.saveGuestNotes"));
+    }
+  };
+
+  // Rows were created one by one on the server; refresh everything once
+  const handleImported = (count) => {
+    fetchStats();
+    fetchTodayReservations();
+    if (activeTab === "all") fetchAllReservations();
+    toast.success(t("toast.imported", { count }));
+  };
+
+  // ==================== SETTINGS FUNCTIONS ====================
+  const handleSaveSettings = async (settings) => {
+    try {
+      console.log("🏪 Saving restaurant settings:", settings);
+
+      const saved = await restaurantApi.updateSettings(settings);
+      setRestaurantSettings({
+        ...locationDefaults(),
+        ...(saved || settings),
+      });
+
+      console.log("✅ Restaurant settings saved");
+      toast.success(t("toast.settingsSaved"));
+      return true;
+    } catch (error) {
+      console.error("❌ Error saving settings:", error);
+      handleApiError(error, t("errors.saveSettings"));
+      return false;
+    }
+  };
+
+  // ==================== WAITLIST FUNCTIONS ====================
+  const fetchWaitlist = async () => {
+    const signal = requests.waitlist.next();
+    setWaitlistLoading(true);
+    try {
+      console.log("⏳ Fetching waitlist...");
+      const data = await waitlistApi.list({}, { signal });
+      setWaitlist(data);
+      console.log(`✅ Loaded ${data.length} waitlist entries`);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("❌ Error fetching waitlist:", error);
+      handleApiError(error, t("errors.fetchWaitlist"));
+    } finally {
+      if (!signal.aborted) setWaitlistLoading(false);
+    }
+  };
+
+  const handleAddToWaitlist = async (entry) => {
+    try {
+      console.log("➕ Adding to waitlist:", entry);
+
+      await waitlistApi.add(entry);
+
+      console.log("✅ Added to waitlist");
+      fetchWaitlist();
+      return true;
+    } catch (error) {
+      console.error("❌ Error adding to waitlist:", error);
+      handleApiError(error, t("errors.addWaitlist"));
+      return false;
     }
   };
 
-  
-  const filteredReservations = reservations.filter(
+  const handleRemoveFromWaitlist = async (entry) => {
+    const confirmed = await confirmAction({
+      title: t("confirm.removeWaitlist.title"),
+      message: t("confirm.removeWaitlist.message", {
+        name: entry.name,
+        partySize: entry.partySize,
+      }),
+      confirmLabel: t("confirm.removeWaitlist.confirm"),
+      cancelLabel: t("common.cancel"),
+      tone: "danger",
+    });
+    if (!confirmed) {
+      console.log("ℹ️ Waitlist removal aborted by user");
+      return;
+    }
+
+    try {
+      console.log(`🗑️ Removing waitlist entry ${entry._id}...`);
+
+      await waitlistApi.remove(entry._id);
+
+      console.log("✅ Removed from waitlist");
+      fetchWaitlist();
+    } catch (error) {
+      console.error("❌ Error removing from waitlist:", error);
+      handleApiError(error, t("errors.removeWaitlist"));
+    }
+  };
+
+  const handleMoveWaitlistEntry = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waitlist.length) return;
+
+    const reordered = [...waitlist];
+    [reordered[index], reordered[target]] = [
+      reordered[target],
+      reordered[index],
+    ];
+    setWaitlist(reordered);
+
+    try {
+      console.log(`↕️ Moving ${reordered[target].name} to #${target + 1}`);
+      await waitlistApi.reorder(reordered.map((entry) => entry._id));
+    } catch (error) {
+      console.error("❌ Error reordering waitlist:", error);
+      handleApiError(error, t("errors.reorderWaitlist"));
+      fetchWaitlist();
+    }
+  };
+
+  const handleConvertWaitlistEntry = (entry) => {
+    console.log(`📅 Converting waitlist entry for ${entry.name}`);
+    setConvertingEntry(entry);
+    setShowCreateModal(true);
+  };
+
+  // Called once the reservation for a waitlisted party has been created
+  const removeConvertedEntry = async (entry) => {
+    setConvertingEntry(null);
+    setWaitlistAlert(null);
+    try {
+      await waitlistApi.remove(entry._id);
+      console.log(`✅ Removed ${entry.name} from waitlist after booking`);
+    } catch (error) {
+      console.warn("⚠️ Booked, but could not remove waitlist entry:", error);
+    }
+    if (activeTab === "waitlist") fetchWaitlist();
+  };
+
+  // Flags waitlisted parties that fit a just-cancelled reservation
+  const checkWaitlistForOpening = async (reservation) => {
+    if (!reservation) return;
+
+    try {
+      const entries = await waitlistApi.list({
+        date: reservationDate(reservation.date),
+      });
+      const matches = findWaitlistMatches(entries, reservation);
+
+      if (matches.length > 0) {
+        console.log(`🔔 ${matches.length} waitlisted parties fit the opening`);
+        setWaitlistAlert({ reservation, matches });
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not check waitlist:", error.message);
+    }
+  };
+
+  // Lists as staff expect to see them, including changes not yet synced
+  const visibleTodayReservations = applyPendingOperations(
+    todayReservations,
+    outbox,
+    (res) =>
+      inActiveLocation(res) && reservationDate(res.date) === todayDateString()
+  ).sort(compareByTime);
+  const visibleReservations = applyPendingOperations(
+    reservations,
+    outbox,
     (res) =>
-      res.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      res.phone.includes(searchTerm) ||
-      res.reservationId.toLowerCase().includes(searchTerm.toLowerCase())
+      inActiveLocation(res) &&
+      matchesReservationQuery(res, appliedQueryRef.current)
   );
+  const pendingCount = outbox.filter((op) => op.state === "pending").length;
+  const failedCount = outbox.length - pendingCount;
+
+  // Exports and select-all cover every page of the applied filters
+  const loadAllMatchingReservations = async () => {
+    const query = appliedQueryRef.current;
+    const items = await reservationApi.searchAll(query);
+    return applyPendingOperations(
+      items,
+      outbox,
+      (res) => inActiveLocation(res) && matchesReservationQuery(res, query)
+    );
+  };
+
+  // ==================== BULK ACTIONS ====================
+  const selectedCount = Object.keys(selection).length;
+  const pageSelected =
+    visibleReservations.length > 0 &&
+    visibleReservations.every((res) => selection[res._id]);
+
+  // Shift-click extends from the last row clicked on this page
+  const handleSelectReservation = (reservation, checked, shiftKey) => {
+    const ids = visibleReservations.map((res) => res._id);
+    const selectedIds = selectRange(
+      ids,
+      new Set(Object.keys(selection)),
+      shiftKey ? selectionAnchorRef.current : null,
+      reservation._id,
+      checked
+    );
+    selectionAnchorRef.current = reservation._id;
+
+    const known = { ...selection };
+    visibleReservations.forEach((res) => (known[res._id] = res));
+    setSelection(
+      Object.fromEntries([...selectedIds].map((id) => [id, known[id]]))
+    );
+  };
+
+  const handleSelectPage = (checked) => {
+    const next = { ...selection };
+    visibleReservations.forEach((res) => {
+      if (checked) next[res._id] = res;
+      else delete next[res._id];
+    });
+    setSelection(next);
+  };
+
+  const handleSelectAllMatching = async () => {
+    setSelectingAll(true);
+    try {
+      console.log("☑️ Selecting every matching reservation...");
+      const items = await loadAllMatchingReservations();
+      setSelection(Object.fromEntries(items.map((res) => [res._id, res])));
+      console.log(`✅ Selected ${items.length} reservations`);
+    } catch (error) {
+      console.error("❌ Error selecting reservations:", error);
+      handleApiError(error, t("errors.selectAll"));
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const clearSelection = () => {
+    setSelection({});
+    selectionAnchorRef.current = null;
+  };
+
+  /**
+   * Applies a batch action to the selection, one reservation at a time.
+   * Rows the action doesn't apply to are skipped; failed rows stay selected.
+   *
+   * @returns {Promise<object|null>} - { succeeded, skipped, failed }, or
+   *   null if the user backed out
+   */
+  const handleBatchAction = async (action, params, onProgress) => {
+    // Prefer the row as currently shown (realtime updates, pending edits)
+    const shown = Object.fromEntries(
+      visibleReservations.map((res) => [res._id, res])
+    );
+    const selected = Object.values(selection).map(
+      (res) => shown[res._id] || res
+    );
+
+    const skipped = [];
+    const eligible = [];
+    selected.forEach((reservation) => {
+      const reason =
+        action === "status" && isLocalId(reservation._id)
+          ? t("errors.waitingToSync")
+          : skipReason(action, reservation, params);
+      if (reason) skipped.push({ reservation, reason });
+      else eligible.push(reservation);
+    });
+
+    if (
+      action === "cancel" &&
+      eligible.length > 0 &&
+      !(await confirmAction({
+        title: t("confirm.batchCancel.title", { count: eligible.length }),
+        message:
+          skipped.length > 0
+            ? t("confirm.batchCancel.skipped", { count: skipped.length })
+            : "",
+        confirmLabel: t("confirm.batchCancel.confirm"),
+        cancelLabel: t("confirm.batchCancel.keep"),
+        tone: "danger",
+      }))
+    ) {
+      console.log("ℹ️ Batch cancellation aborted by user");
+      return null;
+    }
+
+    const changes =
+      action === "move"
+        ? Object.fromEntries(
+            ["date", "time"]
+              .filter((field) => params[field])
+              .map((field) => [field, params[field]])
+          )
+        : { tableNumber: params.tableNumber };
+    const apply = {
+      cancel: (res) => reservationMutations.cancel(res),
+      status: (res) => reservationMutations.status(res, params.status),
+      move: (res) => reservationMutations.update(res, changes),
+      table: (res) => reservationMutations.update(res, changes),
+    }[action];
+
+    console.log(
+      `📦 Batch ${action} of ${eligible.length} reservations (${skipped.length} skipped)`,
+      params
+    );
+    onProgress(0, eligible.length);
+    const result = await runBatch(eligible, apply, {
+      onProgress: (done) => onProgress(done, eligible.length),
+    });
+    console.log(
+      `✅ Batch ${action}: ${result.succeeded.length} done, ${result.failed.length} failed`
+    );
+
+    setSelection(
+      Object.fromEntries(
+        result.failed.map(({ reservation }) => [reservation._id, reservation])
+      )
+    );
+    selectionAnchorRef.current = null;
+
+    fetchStats();
+    fetchTodayReservations();
+    fetchAllReservations();
+
+    const queued = result.succeeded.filter(
+      ({ result: response }) => response && response.queued
+    ).length;
+    if (queued > 0) {
+      toast.info(t("toast.batchQueued", { count: queued }));
+    }
+
+    return { ...result, skipped };
+  };
+
+  // ==================== QUERY HELPERS ====================
+  const updateQuery = (changes) =>
+    setQuery((current) => ({ ...current, ...changes }));
+
+  // Applies the draft filters plus any changes and fetches right away.
+  // A new filter starts a new selection; paging keeps it.
+  const runQuery = (changes) => {
+    const nextQuery = { ...query, ...changes };
+    setQuery(nextQuery);
+    clearSelection();
+    fetchAllReservations(nextQuery);
+  };
+
+  // Pages through the applied query, leaving unapplied filter edits alone
+  const changePage = (changes) => {
+    setQuery((current) => ({ ...current, ...changes }));
+    fetchAllReservations({ ...appliedQueryRef.current, ...changes });
+  };
+
+  const toggleStatusFilter = (status) =>
+    updateQuery({
+      statuses: query.statuses.includes(status)
+        ? query.statuses.filter((item) => item !== status)
+        : [...query.statuses, status],
+    });
+
+  const activeFilterCount = countActiveFilters(query);
+  const firstShown = (query.page - 1) * query.pageSize + 1;
 
   // ==================== RENDER ====================
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
-      {/* ==================== ERROR BANNER ==================== */}
-      {error && (
-        <div className="fixed top-0 left-0 right-0 z-50 bg-red-500 text-white px-4 py-3 shadow-lg">
-          <div className="max-w-7xl mx-auto flex items-center justify-between">
-            <div className="flex items-center gap-3">
-              <AlertCircle className="h-5 w-5" />
-              <span className="font-medium">{error}</span>
-            </div>
-            <button
-              onClick={() => setError(null)}
-              className="text-white hover:text-red-100"
-              aria-label="Dismiss error"
-            >
-              ✕
-            </button>
-          </div>
-        </div>
-      )}
-
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 print:hidden">
       {/* ==================== OFFLINE BANNER ==================== */}
       {!isOnline && (
         <div className="fixed top-0 left-0 right-0 z-50 bg-yellow-500 text-white px-4 py-3 shadow-lg">
           <div className="max-w-7xl mx-auto flex items-center justify-center gap-3">
             <WifiOff className="h-5 w-5" />
-            <span className="font-medium">
-              You are offline. Some features may not work.
-            </span>
+            <span className="font-medium">{t("offline.banner")}</span>
           </div>
         </div>
       )}
@@ -324,19 +1436,19 @@ export default function ReservationDashboard() {
       {/* ==================== HEADER SECTION ==================== */}
       <header
         className="bg-white shadow-sm border-b border-slate-200"
-        style={{ marginTop: error || !isOnline ? "48px" : "0" }}
+        style={{ marginTop: !isOnline ? "48px" : "0" }}
       >
         {/* Top Bar with Phone Number */}
         <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2">
             <div className="flex items-center justify-center gap-2 text-sm">
               <Phone className="h-4 w-4" />
-              <span>Prefer to call? Make a reservation by phone at</span>
+              <span>{t("header.callToBook")}</span>
               <a
-                href={`tel:${config.RESERVATION_PHONE}`}
+                href={`tel:${location.phone}`}
                 className="font-semibold underline hover:text-blue-100 transition-colors"
               >
-                {config.RESERVATION_PHONE}
+                {location.phone}
               </a>
             </div>
           </div>
@@ -351,31 +1463,72 @@ export default function ReservationDashboard() {
               </div>
               <div>
                 <h1 className="text-3xl font-bold text-slate-900">
-                  Chaat Corner
+                  {combined ? t("header.allLocations") : location.name}
                 </h1>
-                <p className="text-sm text-slate-600">
-                  Reservation Management System
-                </p>
-                {config.isDevelopment && (
-                  <p className="text-xs text-amber-600 mt-1">
-                    {config.API_KEY ? "🔒 Authenticated" : "⚠️ No API Key"}
+                <p className="text-sm text-slate-600">{t("header.subtitle")}</p>
+                {liveStatus && (
+                  <p
+                    className={`flex items-center gap-1 text-xs mt-1 ${
+                      liveStatus === "live"
+                        ? "text-green-600"
+                        : "text-slate-500"
+                    }`}
+                  >
+                    <Radio className="h-3 w-3" />
+                    {t(`header.live.${liveStatus}`)}
                   </p>
                 )}
+                {outbox.length > 0 && (
+                  <button
+                    onClick={() => setShowOutboxReview(true)}
+                    className={`flex items-center gap-1 text-xs mt-1 hover:underline ${
+                      failedCount > 0 ? "text-red-600" : "text-amber-600"
+                    }`}
+                  >
+                    <CloudOff className="h-3 w-3" />
+                    {pendingCount > 0 &&
+                      t("header.waitingToSync", { count: pendingCount })}
+                    {pendingCount > 0 && failedCount > 0 && " · "}
+                    {failedCount > 0 &&
+                      t("header.needReview", { count: failedCount })}
+                  </button>
+                )}
               </div>
             </div>
 
-            <button
-              onClick={() => setShowCreateModal(true)}
-              disabled={!isOnline}
-              className={`flex items-center gap-2 px-6 py-3 rounded-lg shadow-lg transition-all ${
-                isOnline
-                  ? "bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-xl hover:scale-105"
-                  : "bg-gray-300 text-gray-500 cursor-not-allowed"
-              }`}
-            >
-              <Plus className="h-5 w-5" />
-              New Reservation
-            </button>
+            <div className="flex items-center gap-4">
+              <LocationSwitcher
+                value={locationId}
+                onChange={handleSwitchLocation}
+                allowCombined={canViewAllLocations}
+              />
+              <LanguagePicker value={language} onChange={setLanguage} />
+              <div className="text-right">
+                <p className="text-sm font-medium text-slate-900">
+                  {user.name}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {ROLE_LABELS[user.role] || user.role}
+                </p>
+              </div>
+              <button
+                onClick={onLogout}
+                className="p-2 rounded-lg transition-colors text-slate-500 hover:bg-slate-100 hover:text-slate-700"
+                title={t("header.logOut")}
+                aria-label={t("header.logOut")}
+              >
+                <LogOut className="h-5 w-5" />
+              </button>
+              <button
+                onClick={() => setShowCreateModal(true)}
+                disabled={combined}
+                title={combined ? t("header.pickLocation") : ""}
+                className="flex items-center gap-2 px-6 py-3 rounded-lg shadow-lg transition-all bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-xl hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+              >
+                <Plus className="h-5 w-5" />
+                {t("header.newReservation")}
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -384,47 +1537,102 @@ export default function ReservationDashboard() {
       <div className="bg-white border-b border-slate-200">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <nav className="flex space-x-8">
-            {["dashboard", "all"].map((tab) => (
-              <button
-                key={tab}
-                onClick={() => {
-                  console.log(`📑 Switching to ${tab} tab`);
-                  setActiveTab(tab);
-                }}
-                className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
-                  activeTab === tab
-                    ? "border-amber-500 text-amber-600"
-                    : "border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300"
-                }`}
-              >
-                {tab === "dashboard" && "Dashboard"}
-                {tab === "all" && "All Reservations"}
-              </button>
-            ))}
+            {[
+              "dashboard",
+              "all",
+              ...(config.features.enableCalendar ? ["calendar"] : []),
+              "floor",
+              "waitlist",
+              "guests",
+              ...(canViewAnalytics ? ["analytics"] : []),
+              ...(canManageSettings ? ["settings"] : []),
+            ]
+              .filter((tab) => !combined || COMBINED_TABS.includes(tab))
+              .map((tab) => (
+                <button
+                  key={tab}
+                  onClick={() => {
+                    console.log(`📑 Switching to ${tab} tab`);
+                    setActiveTab(tab);
+                  }}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                    activeTab === tab
+                      ? "border-amber-500 text-amber-600"
+                      : "border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300"
+                  }`}
+                >
+                  {t(`tabs.${tab}`)}
+                </button>
+              ))}
           </nav>
         </div>
       </div>
 
-      {/* ==================== MAIN CONTENT AREA ==================== */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* ==================== MAIN CONTENT AREA ==================== */}
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* ==================== WAITLIST OPENING ALERT ==================== */}
+        {waitlistAlert && (
+          <div className="mb-6 bg-green-50 border border-green-200 rounded-xl px-6 py-4 flex items-start justify-between gap-4">
+            <div className="text-sm text-green-900">
+              <p className="font-semibold">
+                {t("waitlistAlert.opened", {
+                  partySize: waitlistAlert.reservation.partySize,
+                  time: formatTimeSlot(waitlistAlert.reservation.time),
+                  zone: timeZoneLabel(),
+                  date: formatDate(
+                    reservationDate(waitlistAlert.reservation.date)
+                  ),
+                })}
+              </p>
+              <p className="mt-1">
+                {t("waitlistAlert.fits", {
+                  names: waitlistAlert.matches
+                    .map(
+                      (entry) =>
+                        `${entry.name} (${formatNumber(entry.partySize)})`
+                    )
+                    .join(", "),
+                })}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {activeTab !== "waitlist" && (
+                <button
+                  onClick={() => setActiveTab("waitlist")}
+                  className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 transition-colors text-sm"
+                >
+                  {t("waitlistAlert.view")}
+                </button>
+              )}
+              <button
+                onClick={() => setWaitlistAlert(null)}
+                className="text-green-700 hover:text-green-900"
+                aria-label={t("waitlistAlert.dismiss")}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* ==================== DASHBOARD TAB ==================== */}
         {activeTab === "dashboard" && (
           <div className="space-y-6">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <StatCard
-                title="Today's Reservations"
+                title={t("stats.today")}
                 value={stats.todayReservations}
                 icon={<Calendar className="h-6 w-6" />}
                 color="blue"
               />
               <StatCard
-                title="Total Reservations"
+                title={t("stats.total")}
                 value={stats.totalReservations}
                 icon={<CheckCircle className="h-6 w-6" />}
                 color="green"
               />
               <StatCard
-                title="Cancelled Today"
+                title={t("stats.cancelledToday")}
                 value={stats.cancelledToday}
                 icon={<XCircle className="h-6 w-6" />}
                 color="red"
@@ -433,21 +1641,33 @@ export default function ReservationDashboard() {
 
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
               <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100">
-                <h2 className="text-xl font-semibold text-slate-900">
-                  Today's Schedule
-                </h2>
+                <div className="flex items-center justify-between gap-4">
+                  <h2 className="text-xl font-semibold text-slate-900">
+                    {t("schedule.title")}
+                  </h2>
+                  <ExportMenu
+                    title={t("schedule.title")}
+                    filename={`reservations-${todayDateString()}`}
+                    loadReservations={async () => visibleTodayReservations}
+                    onError={handleApiError}
+                  />
+                </div>
                 <p className="text-sm text-slate-600 mt-1">
-                  {formatDate(new Date())}
+                  {formatDate(todayDateString(now))}
                 </p>
+                <ServiceSummary
+                  reservations={visibleTodayReservations}
+                  now={now}
+                />
               </div>
               <div className="divide-y divide-slate-200">
-                {todayReservations.length === 0 ? (
+                {visibleTodayReservations.length === 0 ? (
                   <div className="px-6 py-12 text-center text-slate-500">
                     <Calendar className="h-12 w-12 mx-auto mb-3 text-slate-300" />
-                    <p>No reservations scheduled for today</p>
+                    <p>{t("schedule.empty")}</p>
                   </div>
                 ) : (
-                  todayReservations.map((reservation) => (
+                  visibleTodayReservations.map((reservation) => (
                     <ReservationCard
                       key={reservation._id}
                       reservation={reservation}
@@ -458,8 +1678,22 @@ export default function ReservationDashboard() {
                         setSelectedReservation(reservation);
                         setShowEditModal(true);
                       }}
-                      onCancel={() => handleCancelReservation(reservation._id)}
-                      isOnline={isOnline}
+                      onCancel={() => handleCancelReservation(reservation)}
+                      canCancel={canCancel}
+                      onShowCall={() => setCallReservation(reservation)}
+                      onShowHistory={() => setHistoryReservation(reservation)}
+                      onStatusChange={(status) =>
+                        handleStatusChange(reservation, status)
+                      }
+                      lateMinutes={minutesLate(
+                        reservation,
+                        now,
+                        todayDateString(),
+                        config.LATE_GRACE_MINUTES
+                      )}
+                      locationName={
+                        combined ? locationName(reservation.locationId) : null
+                      }
                     />
                   ))
                 )}
@@ -472,87 +1706,252 @@ export default function ReservationDashboard() {
         {activeTab === "all" && (
           <div className="space-y-6">
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Search
-                  </label>
-                  <div className="relative">
-                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  console.log("🔍 Applying filters...");
+                  runQuery({ page: 1 });
+                }}
+              >
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.search")}
+                    </label>
+                    <div className="relative">
+                      <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+                      <input
+                        type="text"
+                        value={query.search}
+                        onChange={(e) =>
+                          updateQuery({ search: e.target.value })
+                        }
+                        placeholder={t("filters.searchPlaceholder")}
+                        className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.from")}
+                    </label>
                     <input
-                      type="text"
-                      value={searchTerm}
-                      onChange={(e) => setSearchTerm(e.target.value)}
-                      placeholder="Name, phone, or ID..."
-                      className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      type="date"
+                      value={query.dateFrom}
+                      max={query.dateTo || undefined}
+                      onChange={(e) =>
+                        updateQuery({ dateFrom: e.target.value })
+                      }
+                      className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
                     />
                   </div>
-                </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Date
-                  </label>
-                  <input
-                    type="date"
-                    value={filterDate}
-                    onChange={(e) => setFilterDate(e.target.value)}
-                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
-                  />
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.to")}
+                    </label>
+                    <input
+                      type="date"
+                      value={query.dateTo}
+                      min={query.dateFrom || undefined}
+                      onChange={(e) => updateQuery({ dateTo: e.target.value })}
+                      className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                    />
+                  </div>
+
+                  <div className="md:col-span-2">
+                    <span className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.status")}
+                    </span>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.keys(STATUS_TRANSITIONS).map((status) => (
+                        <button
+                          key={status}
+                          type="button"
+                          onClick={() => toggleStatusFilter(status)}
+                          aria-pressed={query.statuses.includes(status)}
+                          className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                            query.statuses.includes(status)
+                              ? "bg-amber-500 border-amber-500 text-white"
+                              : "bg-white border-slate-300 text-slate-700 hover:bg-slate-50"
+                          }`}
+                        >
+                          {t(`filters.statuses.${status}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.partySize")}
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="1"
+                        value={query.partySizeMin}
+                        onChange={(e) =>
+                          updateQuery({
+                            partySizeMin: parseInt(e.target.value) || "",
+                          })
+                        }
+                        placeholder={t("filters.min")}
+                        aria-label={t("filters.minLabel")}
+                        className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      />
+                      <span className="text-slate-400">–</span>
+                      <input
+                        type="number"
+                        min={query.partySizeMin || 1}
+                        value={query.partySizeMax}
+                        onChange={(e) =>
+                          updateQuery({
+                            partySizeMax: parseInt(e.target.value) || "",
+                          })
+                        }
+                        placeholder={t("filters.max")}
+                        aria-label={t("filters.maxLabel")}
+                        className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                      {t("filters.sortBy")}
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={query.sortBy}
+                        onChange={(e) =>
+                          runQuery({ sortBy: e.target.value, page: 1 })
+                        }
+                        disabled={!isOnline}
+                        className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      >
+                        {SORT_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {t(`sort.${option.value}`)}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          runQuery({
+                            sortOrder:
+                              query.sortOrder === "asc" ? "desc" : "asc",
+                            page: 1,
+                          })
+                        }
+                        disabled={!isOnline}
+                        className="flex items-center gap-1 px-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-700 hover:bg-slate-50 disabled:text-gray-400"
+                        title={t("filters.toggleSort")}
+                      >
+                        <ArrowUpDown className="h-4 w-4" />
+                        {t(`filters.${query.sortOrder}`)}
+                      </button>
+                    </div>
+                  </div>
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Status
-                  </label>
-                  <select
-                    value={filterStatus}
-                    onChange={(e) => setFilterStatus(e.target.value)}
-                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                <div className="mt-4 flex flex-col md:flex-row gap-2">
+                  <button
+                    type="submit"
+                    disabled={!isOnline}
+                    className={`w-full md:w-auto px-6 py-2 rounded-lg transition-colors ${
+                      isOnline
+                        ? "bg-amber-500 text-white hover:bg-amber-600"
+                        : "bg-gray-300 text-gray-500 cursor-not-allowed"
+                    }`}
                   >
-                    <option value="">All Statuses</option>
-                    <option value="confirmed">Confirmed</option>
-                    <option value="cancelled">Cancelled</option>
-                    <option value="completed">Completed</option>
-                  </select>
+                    {t("filters.apply")}
+                  </button>
+                  {activeFilterCount > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        console.log("🔍 Clearing filters...");
+                        runQuery({
+                          ...DEFAULT_RESERVATION_QUERY,
+                          sortBy: query.sortBy,
+                          sortOrder: query.sortOrder,
+                          pageSize: query.pageSize,
+                        });
+                      }}
+                      disabled={!isOnline}
+                      className="w-full md:w-auto px-6 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
+                    >
+                      {t("filters.clear", { count: activeFilterCount })}
+                    </button>
+                  )}
                 </div>
-              </div>
-
-              <button
-                onClick={() => {
-                  console.log("🔍 Applying filters...");
-                  fetchAllReservations();
-                }}
-                disabled={!isOnline}
-                className={`mt-4 w-full md:w-auto px-6 py-2 rounded-lg transition-colors ${
-                  isOnline
-                    ? "bg-amber-500 text-white hover:bg-amber-600"
-                    : "bg-gray-300 text-gray-500 cursor-not-allowed"
-                }`}
-              >
-                Apply Filters
-              </button>
+              </form>
             </div>
 
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
               <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100">
-                <h2 className="text-xl font-semibold text-slate-900">
-                  All Reservations ({filteredReservations.length})
-                </h2>
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex items-center gap-4">
+                    <input
+                      type="checkbox"
+                      checked={pageSelected}
+                      onChange={(e) => handleSelectPage(e.target.checked)}
+                      disabled={visibleReservations.length === 0}
+                      aria-label={t("list.selectPage")}
+                      title={t("list.selectPage")}
+                      className="h-4 w-4"
+                    />
+                    <h2 className="text-xl font-semibold text-slate-900">
+                      {t("list.title", { count: pageInfo.total })}
+                    </h2>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {canImport && !combined && (
+                      <button
+                        onClick={() => setShowImportWizard(true)}
+                        disabled={!isOnline}
+                        className="flex items-center gap-2 px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50"
+                      >
+                        <Upload className="h-4 w-4" />
+                        {t("list.import")}
+                      </button>
+                    )}
+                    <ExportMenu
+                      title={t("list.exportTitle")}
+                      filename={`reservations-${todayDateString()}`}
+                      loadReservations={loadAllMatchingReservations}
+                      onError={handleApiError}
+                    />
+                  </div>
+                </div>
               </div>
+              <BulkActionBar
+                selectedCount={selectedCount}
+                matchingCount={pageInfo.total}
+                selectingAll={selectingAll}
+                onSelectAll={handleSelectAllMatching}
+                onClear={clearSelection}
+                onRun={handleBatchAction}
+                canCancel={canCancel}
+                canReassign={canReassign && !combined}
+                settings={restaurantSettings}
+              />
               <div className="divide-y divide-slate-200">
                 {loading ? (
                   <div className="px-6 py-12 text-center text-slate-500">
                     <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
-                    <p className="mt-4">Loading reservations...</p>
+                    <p className="mt-4">{t("list.loading")}</p>
                   </div>
-                ) : filteredReservations.length === 0 ? (
+                ) : visibleReservations.length === 0 ? (
                   <div className="px-6 py-12 text-center text-slate-500">
                     <Calendar className="h-12 w-12 mx-auto mb-3 text-slate-300" />
-                    <p>No reservations found</p>
+                    <p>{t("list.empty")}</p>
                   </div>
                 ) : (
-                  filteredReservations.map((reservation) => (
+                  visibleReservations.map((reservation) => (
                     <ReservationCard
                       key={reservation._id}
                       reservation={reservation}
@@ -563,15 +1962,178 @@ export default function ReservationDashboard() {
                         setSelectedReservation(reservation);
                         setShowEditModal(true);
                       }}
-                      onCancel={() => handleCancelReservation(reservation._id)}
-                      isOnline={isOnline}
+                      onCancel={() => handleCancelReservation(reservation)}
+                      onRestore={() => handleRestoreReservation(reservation)}
+                      canCancel={canCancel}
+                      onShowCall={() => setCallReservation(reservation)}
+                      onShowHistory={() => setHistoryReservation(reservation)}
+                      onStatusChange={(status) =>
+                        handleStatusChange(reservation, status)
+                      }
+                      lateMinutes={minutesLate(
+                        reservation,
+                        now,
+                        todayDateString(),
+                        config.LATE_GRACE_MINUTES
+                      )}
+                      locationName={
+                        combined ? locationName(reservation.locationId) : null
+                      }
+                      selected={Boolean(selection[reservation._id])}
+                      onSelect={(checked, shiftKey) =>
+                        handleSelectReservation(reservation, checked, shiftKey)
+                      }
                     />
                   ))
                 )}
               </div>
+
+              {pageInfo.total > 0 && (
+                <div className="px-6 py-4 border-t border-slate-200 flex flex-col md:flex-row items-center justify-between gap-4 text-sm text-slate-600">
+                  <span>
+                    {t("list.showing", {
+                      from: firstShown,
+                      to: Math.min(
+                        firstShown + query.pageSize - 1,
+                        pageInfo.total
+                      ),
+                      total: pageInfo.total,
+                    })}
+                  </span>
+
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => changePage({ page: query.page - 1 })}
+                      disabled={!isOnline || loading || query.page <= 1}
+                      className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label={t("list.previous")}
+                    >
+                      <ChevronLeft className="h-5 w-5" />
+                    </button>
+                    <span>
+                      {t("list.page", {
+                        page: query.page,
+                        pages: pageInfo.totalPages,
+                      })}
+                    </span>
+                    <button
+                      onClick={() => changePage({ page: query.page + 1 })}
+                      disabled={
+                        !isOnline ||
+                        loading ||
+                        query.page >= pageInfo.totalPages
+                      }
+                      className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label={t("list.next")}
+                    >
+                      <ChevronRight className="h-5 w-5" />
+                    </button>
+                  </div>
+
+                  <label className="flex items-center gap-2">
+                    {t("list.perPage")}
+                    <select
+                      value={query.pageSize}
+                      onChange={(e) =>
+                        changePage({
+                          pageSize: parseInt(e.target.value),
+                          page: 1,
+                        })
+                      }
+                      disabled={!isOnline}
+                      className="px-2 py-1 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                    >
+                      {PAGE_SIZES.map((size) => (
+                        <option key={size} value={size}>
+                          {formatNumber(size)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              )}
             </div>
           </div>
         )}
+
+        {/* ==================== CALENDAR TAB ==================== */}
+        {/* Keyed by location so a switch remounts them with fresh data */}
+        {activeTab === "calendar" && config.features.enableCalendar && (
+          <CalendarView
+            key={locationId}
+            settings={restaurantSettings}
+            isOnline={isOnline}
+            onError={handleApiError}
+            onEdit={(reservation) => {
+              console.log(
+                `✏️ Editing reservation: ${reservation.reservationId}`
+              );
+              setSelectedReservation(reservation);
+              setShowEditModal(true);
+            }}
+            onReschedule={handleMoveReservation}
+          />
+        )}
+
+        {/* ==================== FLOOR TAB ==================== */}
+        {activeTab === "floor" && (
+          <FloorPlan
+            key={locationId}
+            settings={restaurantSettings}
+            isOnline={isOnline}
+            canReassign={canReassign}
+            onError={handleApiError}
+            onAssignTable={handleMoveReservation}
+          />
+        )}
+
+        {/* ==================== WAITLIST TAB ==================== */}
+        {activeTab === "waitlist" && (
+          <Waitlist
+            entries={waitlist}
+            loading={waitlistLoading}
+            highlightedIds={
+              new Set(
+                waitlistAlert
+                  ? waitlistAlert.matches.map((entry) => entry._id)
+                  : []
+              )
+            }
+            settings={restaurantSettings}
+            isOnline={isOnline}
+            onAdd={handleAddToWaitlist}
+            onRemove={handleRemoveFromWaitlist}
+            onMove={handleMoveWaitlistEntry}
+            onConvert={handleConvertWaitlistEntry}
+          />
+        )}
+
+        {/* ==================== GUESTS TAB ==================== */}
+        {activeTab === "guests" && (
+          <Guests
+            guests={guests}
+            loading={guestsLoading}
+            query={guestQuery}
+            pageInfo={guestPageInfo}
+            isOnline={isOnline}
+            onQueryChange={handleGuestQueryChange}
+            onSave={handleSaveGuestNotes}
+          />
+        )}
+
+        {/* ==================== ANALYTICS TAB ==================== */}
+        {activeTab === "analytics" && canViewAnalytics && (
+          <Analytics key={locationId} onError={handleApiError} />
+        )}
+
+        {/* ==================== SETTINGS TAB (ADMIN) ==================== */}
+        {activeTab === "settings" && canManageSettings && (
+          <SettingsPanel
+            settings={restaurantSettings}
+            isOnline={isOnline}
+            onSave={handleSaveSettings}
+          />
+        )}
       </main>
 
       {/* ==================== MODALS ==================== */}
@@ -580,12 +2142,33 @@ export default function ReservationDashboard() {
           onClose={() => {
             console.log("ℹ️ Closing create modal");
             setShowCreateModal(false);
+            setConvertingEntry(null);
           }}
-          title="Create New Reservation"
+          title={
+            convertingEntry
+              ? t("modals.bookFromWaitlist", { name: convertingEntry.name })
+              : t("modals.create")
+          }
         >
           <ReservationForm
+            defaults={
+              convertingEntry && {
+                name: convertingEntry.name,
+                phone: convertingEntry.phone,
+                partySize: convertingEntry.partySize,
+                date: convertingEntry.date,
+                time: convertingEntry.timeFrom,
+                specialRequests: convertingEntry.notes
+                  ? [convertingEntry.notes]
+                  : [],
+              }
+            }
             onSubmit={handleCreateReservation}
-            onCancel={() => setShowCreateModal(false)}
+            onCancel={() => {
+              setShowCreateModal(false);
+              setConvertingEntry(null);
+            }}
+            settings={restaurantSettings}
             isOnline={isOnline}
           />
         </Modal>
@@ -598,21 +2181,76 @@ export default function ReservationDashboard() {
             setShowEditModal(false);
             setSelectedReservation(null);
           }}
-          title="Edit Reservation"
+          title={t("modals.edit")}
         >
           <ReservationForm
             reservation={selectedReservation}
             onSubmit={(data) =>
-              handleUpdateReservation(selectedReservation._id, data)
+              handleUpdateReservation(selectedReservation, data)
             }
             onCancel={() => {
               setShowEditModal(false);
               setSelectedReservation(null);
             }}
+            settings={restaurantSettings}
+            isOnline={isOnline}
+          />
+        </Modal>
+      )}
+
+      {showOutboxReview && (
+        <Modal
+          onClose={() => setShowOutboxReview(false)}
+          title={t("modals.outbox")}
+        >
+          <OutboxReview
+            operations={outbox}
+            isOnline={isOnline}
+            onRetry={handleRetryOperation}
+            onDiscard={discardOperation}
+          />
+        </Modal>
+      )}
+
+      {showImportWizard && (
+        <Modal
+          onClose={() => setShowImportWizard(false)}
+          title={t("modals.import")}
+        >
+          <ImportWizard
+            settings={restaurantSettings}
             isOnline={isOnline}
+            onImported={handleImported}
+            onClose={() => setShowImportWizard(false)}
+            onError={handleApiError}
           />
         </Modal>
       )}
+
+      {callReservation && (
+        <CallDetailsDrawer
+          reservation={callReservation}
+          onClose={() => {
+            console.log("ℹ️ Closing call details");
+            setCallReservation(null);
+          }}
+          onError={handleApiError}
+        />
+      )}
+
+      {historyReservation && (
+        <ReservationHistoryDrawer
+          reservation={historyReservation}
+          onClose={() => {
+            console.log("ℹ️ Closing reservation history");
+            setHistoryReservation(null);
+          }}
+          onError={handleApiError}
+        />
+      )}
+
+      {/* Last, so confirmations stack above any open modal */}
+      <Notifications />
     </div>
   );
 }
@@ -635,7 +2273,9 @@ function StatCard({ title, value, icon, color }) {
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-slate-600">{title}</p>
-            <p className="text-3xl font-bold text-slate-900 mt-2">{value}</p>
+            <p className="text-3xl font-bold text-slate-900 mt-2">
+              {formatNumber(value)}
+            </p>
           </div>
           <div
             className={`bg-gradient-to-r ${colorClasses[color]} p-3 rounded-lg`}
@@ -648,22 +2288,111 @@ function StatCard({ title, value, icon, color }) {
   );
 }
 
+/**
+ * ============================================================================
+ * SERVICE SUMMARY COMPONENT
+ * ============================================================================
+ *
+ * One-line breakdown of today's parties: still expected, running late,
+ * arrived, seated and gone (completed or no-show).
+ */
+function ServiceSummary({ reservations, now }) {
+  const today = todayDateString();
+  const count = (predicate) => reservations.filter(predicate).length;
+
+  const late = count(
+    (res) => minutesLate(res, now, today, config.LATE_GRACE_MINUTES) > 0
+  );
+  const groups = [
+    {
+      key: "expected",
+      value: count((res) => res.status === "confirmed") - late,
+      className: "bg-green-100 text-green-800",
+    },
+    { key: "late", value: late, className: "bg-orange-100 text-orange-800" },
+    {
+      key: "arrived",
+      value: count((res) => res.status === "arrived"),
+      className: "bg-amber-100 text-amber-800",
+    },
+    {
+      key: "seated",
+      value: count((res) => res.status === "seated"),
+      className: "bg-purple-100 text-purple-800",
+    },
+    {
+      key: "gone",
+      value: count((res) => ["completed", "no-show"].includes(res.status)),
+      className: "bg-slate-200 text-slate-700",
+    },
+  ];
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-3">
+      {groups.map((group) => (
+        <span
+          key={group.key}
+          className={`px-3 py-1 rounded-full text-xs font-medium ${group.className}`}
+        >
+          {t(`summary.${group.key}`)}: {formatNumber(group.value)}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 /**
  * ============================================================================
  * RESERVATION CARD COMPONENT
  * ============================================================================
  */
-function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
+function ReservationCard({
+  reservation,
+  onEdit,
+  onCancel,
+  onRestore,
+  canCancel,
+  onShowCall,
+  onShowHistory,
+  onStatusChange,
+  lateMinutes,
+  locationName,
+  selected,
+  onSelect,
+}) {
   const statusColors = {
     confirmed: "bg-green-100 text-green-800",
+    arrived: "bg-amber-100 text-amber-800",
+    seated: "bg-purple-100 text-purple-800",
     cancelled: "bg-red-100 text-red-800",
     completed: "bg-blue-100 text-blue-800",
     "no-show": "bg-gray-100 text-gray-800",
   };
 
+  const nextStatuses = STATUS_TRANSITIONS[reservation.status] || [];
+  // A booking still waiting to sync has no server-side _id to update yet
+  const canChangeStatus = !isLocalId(reservation._id);
+  const timestamps = Object.entries(STATUS_ACTIONS).filter(
+    ([, action]) => reservation[action.timestampField]
+  );
+
   return (
-    <div className="px-6 py-4 hover:bg-slate-50 transition-colors">
+    <div
+      className={`px-6 py-4 transition-colors ${
+        selected ? "bg-amber-50" : "hover:bg-slate-50"
+      }`}
+    >
       <div className="flex items-start justify-between">
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={Boolean(selected)}
+            onChange={(e) => onSelect(e.target.checked, e.nativeEvent.shiftKey)}
+            aria-label={t("card.select", { name: reservation.name })}
+            title={t("card.selectHint")}
+            className="mt-2 mr-4 h-4 w-4"
+          />
+        )}
         <div className="flex-1">
           <div className="flex items-center gap-3 mb-2">
             <h3 className="text-lg font-semibold text-slate-900">
@@ -674,38 +2403,60 @@ function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
                 statusColors[reservation.status]
               }`}
             >
-              {reservation.status}
+              {t(`status.${reservation.status}`)}
             </span>
+            <SourceBadge source={reservation.source} />
+            {locationName && (
+              <span className="flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-slate-100 text-slate-700">
+                <MapPin className="h-3 w-3" />
+                {locationName}
+              </span>
+            )}
+            {lateMinutes > 0 && (
+              <span className="px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                {t("card.late", { minutes: lateMinutes })}
+              </span>
+            )}
+            {reservation.pendingSync && (
+              <span className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-slate-100 text-slate-700">
+                <CloudOff className="h-3 w-3" />
+                {t("card.pendingSync")}
+              </span>
+            )}
           </div>
 
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-slate-600">
             <div className="flex items-center gap-2">
               <Phone className="h-4 w-4 text-slate-400" />
-              <span>{reservation.phone}</span>
+              <span>{formatPhone(reservation.phone)}</span>
             </div>
 
             <div className="flex items-center gap-2">
               <Users className="h-4 w-4 text-slate-400" />
-              <span>{reservation.partySize} guests</span>
+              <span>{t("card.guests", { count: reservation.partySize })}</span>
             </div>
 
             <div className="flex items-center gap-2">
               <Users className="h-4 w-4 text-slate-400" />
-              <span>{reservation.date.slice(0, 10)}</span>
+              <span>{formatDate(reservationDate(reservation.date))}</span>
             </div>
 
-            {/* COSMETIC CHANGE: Added PT timezone indicator */}
+            {/* Times are the restaurant's, whatever the device's timezone */}
             <div className="flex items-center gap-2">
               <Clock className="h-4 w-4 text-slate-400" />
               <span>
-                {reservation.time}{" "}
-                <span className="text-slate-500 text-xs">PT</span>
+                {formatTimeSlot(reservation.time)}{" "}
+                <span className="text-slate-500 text-xs">
+                  {timeZoneLabel()}
+                </span>
               </span>
             </div>
 
             <div className="flex items-center gap-2">
               <Calendar className="h-4 w-4 text-slate-400" />
-              <span>Table {reservation.tableNumber}</span>
+              <span>
+                {t("card.table", { number: reservation.tableNumber })}
+              </span>
             </div>
           </div>
 
@@ -713,7 +2464,7 @@ function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
             reservation.specialRequests.length > 0 && (
               <div className="mt-3">
                 <p className="text-sm font-medium text-slate-700">
-                  Special Requests:
+                  {t("card.specialRequests")}
                 </p>
                 <div className="flex flex-wrap gap-2 mt-1">
                   {reservation.specialRequests.map((request, idx) => (
@@ -721,7 +2472,7 @@ function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
                       key={idx}
                       className="px-2 py-1 bg-amber-100 text-amber-800 text-xs rounded"
                     >
-                      {request}
+                      {requestLabel(request)}
                     </span>
                   ))}
                 </div>
@@ -729,39 +2480,94 @@ function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
             )}
 
           <div className="mt-2 text-xs text-slate-500">
-            ID: {reservation.reservationId}
+            {t("card.id", {
+              id: reservation.reservationId || t("card.pendingSync"),
+            })}
+            {timestamps.map(([status, action]) => (
+              <span key={status}>
+                {" · "}
+                {t(`card.timestamps.${status}`, {
+                  time: formatInstant(reservation[action.timestampField]),
+                })}
+              </span>
+            ))}
           </div>
+
+          {nextStatuses.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              {nextStatuses.map((status) => (
+                <button
+                  key={status}
+                  onClick={() => onStatusChange(status)}
+                  disabled={!canChangeStatus}
+                  className={`px-3 py-1 text-sm rounded-full transition-colors ${
+                    !canChangeStatus
+                      ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                      : status === "no-show"
+                        ? "bg-slate-100 text-slate-700 hover:bg-slate-200"
+                        : "bg-amber-100 text-amber-800 hover:bg-amber-200"
+                  }`}
+                >
+                  {t(`statusActions.${status}`)}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
-        {reservation.status === "confirmed" && (
-          <div className="flex items-center gap-2 ml-4">
-            <button
-              onClick={onEdit}
-              disabled={!isOnline}
-              className={`p-2 rounded-lg transition-colors ${
-                isOnline
-                  ? "text-blue-600 hover:bg-blue-50"
-                  : "text-gray-400 cursor-not-allowed"
-              }`}
-              title="Edit Reservation"
-            >
-              <Edit className="h-5 w-5" />
-            </button>
+        <div className="flex items-center gap-2 ml-4">
+          <button
+            onClick={onShowCall}
+            className="p-2 rounded-lg transition-colors text-purple-600 hover:bg-purple-50"
+            title={t("card.callDetails")}
+          >
+            <PhoneCall className="h-5 w-5" />
+          </button>
 
+          {!isLocalId(reservation._id) && (
             <button
-              onClick={onCancel}
-              disabled={!isOnline}
-              className={`p-2 rounded-lg transition-colors ${
-                isOnline
-                  ? "text-red-600 hover:bg-red-50"
-                  : "text-gray-400 cursor-not-allowed"
-              }`}
-              title="Cancel Reservation"
+              onClick={onShowHistory}
+              className="p-2 rounded-lg transition-colors text-slate-600 hover:bg-slate-100"
+              title={t("card.history")}
             >
-              <Trash2 className="h-5 w-5" />
+              <History className="h-5 w-5" />
             </button>
-          </div>
-        )}
+          )}
+
+          {reservation.status === "confirmed" && (
+            <>
+              <button
+                onClick={onEdit}
+                className="p-2 rounded-lg transition-colors text-blue-600 hover:bg-blue-50"
+                title={t("card.edit")}
+              >
+                <Edit className="h-5 w-5" />
+              </button>
+
+              {canCancel && (
+                <button
+                  onClick={onCancel}
+                  className="p-2 rounded-lg transition-colors text-red-600 hover:bg-red-50"
+                  title={t("card.cancel")}
+                >
+                  <Trash2 className="h-5 w-5" />
+                </button>
+              )}
+            </>
+          )}
+
+          {onRestore &&
+            canCancel &&
+            canRestore(reservation, todayDateString()) && (
+              <button
+                onClick={onRestore}
+                className="p-2 rounded-lg transition-colors text-green-600 hover:bg-green-50"
+                title={t("card.restore")}
+              >
+                <RotateCcw className="h-5 w-5" />
+              </button>
+            )}
+        </div>
       </div>
     </div>
   );
@@ -772,217 +2578,519 @@ function ReservationCard({ reservation, onEdit, onCancel, isOnline }) {
  * RESERVATION FORM COMPONENT
  * ============================================================================
  */
-function ReservationForm({ reservation, onSubmit, onCancel, isOnline }) {
-  const [formData, setFormData] = useState({
-    name: reservation?.name || "",
-    phone: reservation?.phone || "",
-    email: reservation?.email || "",
-    partySize: reservation?.partySize || 2,
-    date: reservation?.date
-      ? new Date(reservation.date).toISOString().split("T")[0]
-      : "",
-    time: reservation?.time || "7:00 PM",
-    specialRequests: reservation?.specialRequests || [],
-  });
+function ReservationForm({
+  reservation,
+  defaults,
+  onSubmit,
+  onCancel,
+  settings,
+  isOnline,
+}) {
+  // Editing starts from the reservation; creating may start from defaults
+  // (e.g. a waitlist entry being converted)
+  const initial = reservation || defaults;
+  const [initialValues] = useState(() => ({
+    name: initial?.name || "",
+    phone: formatPhone(initial?.phone),
+    email: initial?.email || "",
+    partySize: initial?.partySize || 2,
+    date: initial?.date ? reservationDate(initial.date) : "",
+    time: initial?.time || "7:00 PM",
+    specialRequests: initial?.specialRequests || [],
+  }));
+  const [formData, setFormData] = useState(initialValues);
+
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [formError, setFormError] = useState(null);
 
   const [newRequest, setNewRequest] = useState("");
+  const [showGuestSuggestions, setShowGuestSuggestions] = useState(false);
+  const [guestMatches, setGuestMatches] = useState([]);
+  const [availability, setAvailability] = useState(null);
+  const [checkingAvailability, setCheckingAvailability] = useState(false);
 
-  const timeSlots = [
-    "11:00 AM",
-    "11:30 AM",
-    "12:00 PM",
-    "12:30 PM",
-    "1:00 PM",
-    "1:30 PM",
-    "2:00 PM",
-    "2:30 PM",
-    "5:00 PM",
-    "5:30 PM",
-    "6:00 PM",
-    "6:30 PM",
-    "7:00 PM",
-    "7:30 PM",
-    "8:00 PM",
-    "8:30 PM",
-    "9:00 PM",
-    "9:30 PM",
-  ];
+  const reservationId = reservation?._id;
+  const timeSlots = getTimeSlots(settings, formData.date);
 
-  const commonRequests = [
-    "Window seat",
-    "High chair",
-    "Birthday celebration",
-    "Anniversary",
-    "Vegetarian options",
-    "Gluten-free options",
-    "Wheelchair accessible",
-    "Quiet area",
-    "Outdoor seating",
-  ];
+  // ==================== AVAILABILITY ====================
+  useEffect(() => {
+    if (!formData.date || !isOnline) {
+      setAvailability(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const fetchAvailability = async () => {
+      setCheckingAvailability(true);
+      try {
+        console.log(
+          `🔎 Checking availability for ${formData.partySize} on ${formData.date}...`
+        );
+        const slots = await reservationApi.getAvailability(
+          {
+            date: formData.date,
+            partySize: formData.partySize,
+            excludeId: reservationId,
+          },
+          { signal: controller.signal }
+        );
+        setAvailability(slots);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        // Fall back to an unrestricted slot list
+        console.warn("⚠️ Availability unavailable:", error.message);
+        setAvailability(null);
+      } finally {
+        if (!controller.signal.aborted) setCheckingAvailability(false);
+      }
+    };
+
+    fetchAvailability();
+    return () => controller.abort();
+  }, [formData.date, formData.partySize, isOnline, reservationId]);
+
+  // ==================== GUEST LOOKUP ====================
+  // Only profiles matching the typed number, once typing pauses
+  const typedDigits = phoneDigits(formData.phone);
+  useEffect(() => {
+    if (!isOnline || typedDigits.length < GUEST_LOOKUP_MIN_DIGITS) {
+      setGuestMatches([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const result = await guestApi.profiles(
+          { search: typedDigits, pageSize: 6 },
+          { signal: controller.signal }
+        );
+        setGuestMatches(result.items);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        // Booking works the same without returning-guest hints
+        console.warn("⚠️ Guest lookup unavailable:", error.message);
+        setGuestMatches([]);
+      }
+    }, GUEST_LOOKUP_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [typedDigits, isOnline]);
+
+  const slotAvailability = (time) =>
+    availability && availability.find((slot) => slot.time === time);
+
+  const isSlotFull = (time) => {
+    const slot = slotAvailability(time);
+    if (!slot) return false;
+    if (typeof slot.available === "boolean") return !slot.available;
+    return slot.remainingCovers < formData.partySize;
+  };
+
+  // A booking being edited may keep its original slot
+  const isSlotOpen = (time) =>
+    !isSlotFull(time) ||
+    (reservation?.time === time &&
+      formData.date === reservationDate(reservation.date));
+
+  const slotLabel = (time) => {
+    const slot = slotAvailability(time);
+    const label = formatTimeSlot(time);
+    if (!slot) return label;
+    if (isSlotFull(time)) return t("form.slotFull", { time: label });
+    return t("form.seatsLeft", { time: label, count: slot.remainingCovers });
+  };
+
+  const selectedSlotOffered = timeSlots.includes(formData.time);
+  const selectedSlotOpen = selectedSlotOffered && isSlotOpen(formData.time);
+  const alternatives = selectedSlotOpen
+    ? []
+    : findNearestOpenSlots(timeSlots, formData.time, isSlotOpen);
+
+  // ==================== VALIDATION ====================
+  const errors = validate(RESERVATION_SCHEMA, formData, {
+    settings,
+    original: reservation ? initialValues : null,
+  });
+  const dirtyFields = Object.keys(initialValues).filter(
+    (field) =>
+      JSON.stringify(formData[field]) !== JSON.stringify(initialValues[field])
+  );
+
+  // Client errors show once a field has been left (or on submit); server
+  // errors stay until that field is edited
+  const errorFor = (field) =>
+    serverErrors[field] ||
+    ((touched[field] || submitted) && errors[field]) ||
+    null;
+
+  const updateField = (field, value) => {
+    setFormData((current) => ({ ...current, [field]: value }));
+    setServerErrors(({ [field]: cleared, ...rest }) => rest);
+  };
 
-  const handleSubmit = () => {
-    if (!formData.name || !formData.phone || !formData.date) {
-      alert("Please fill in all required fields (Name, Phone, Date)");
-      console.warn("⚠️ Form validation failed - missing required fields");
+  const touch = (field) =>
+    setTouched((current) => ({ ...current, [field]: true }));
+
+  const inputClass = (field) =>
+    `w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500 ${
+      errorFor(field) ? "border-red-400" : "border-slate-300"
+    }`;
+
+  const fieldError = (field) =>
+    errorFor(field) && (
+      <p id={`${field}-error`} className="text-xs text-red-600 mt-1">
+        {errorMessage(errorFor(field))}
+      </p>
+    );
+
+  // ==================== RETURNING GUESTS ====================
+  const knownGuest = findGuest(guestMatches, formData.phone);
+  const guestSuggestions = showGuestSuggestions
+    ? suggestGuests(guestMatches, formData.phone).filter(
+        (guest) => guest !== knownGuest
+      )
+    : [];
+
+  const selectGuest = (guest) => {
+    console.log(`👤 Booking returning guest ${guest.name}`);
+    setFormData({
+      ...formData,
+      name: guest.name,
+      phone: formatPhone(guest.displayPhone),
+      email: formData.email || guest.email,
+    });
+    setShowGuestSuggestions(false);
+  };
+
+  const handleSubmit = async () => {
+    setSubmitted(true);
+    setFormError(null);
+
+    if (Object.keys(errors).length > 0) {
+      console.warn("⚠️ Form validation failed:", errors);
+      return;
+    }
+
+    if (
+      !selectedSlotOpen &&
+      !(await confirmAction({
+        title: t("form.confirmSlot.title"),
+        message: t(
+          `form.confirmSlot.${selectedSlotOffered ? "full" : "notOffered"}`,
+          { time: formatTimeSlot(formData.time) }
+        ),
+        confirmLabel: t("form.confirmSlot.confirm"),
+        cancelLabel: t("common.cancel"),
+      }))
+    ) {
+      console.log("ℹ️ Submission aborted - slot unavailable");
       return;
     }
 
-    console.log("📝 Submitting form data:", formData);
-    onSubmit(formData);
+    // Stored as E.164 so typed numbers match the voice agent's caller IDs
+    const data = { ...formData, phone: toE164(formData.phone) };
+    console.log("📝 Submitting form data:", data);
+
+    setSubmitting(true);
+    try {
+      await onSubmit(data);
+    } catch (error) {
+      // Server-side validation: show each message next to its field
+      const mapped = mapServerErrors(error, Object.keys(formData));
+      console.warn("⚠️ Server rejected the form:", mapped);
+      setServerErrors(mapped.fieldErrors);
+      setFormError(mapped.formError);
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   const addSpecialRequest = (request) => {
     if (!formData.specialRequests.includes(request)) {
       console.log(`➕ Adding special request: ${request}`);
-      setFormData({
-        ...formData,
-        specialRequests: [...formData.specialRequests, request],
-      });
+      updateField("specialRequests", [...formData.specialRequests, request]);
+      touch("specialRequests");
     }
   };
 
   const removeSpecialRequest = (request) => {
     console.log(`➖ Removing special request: ${request}`);
-    setFormData({
-      ...formData,
-      specialRequests: formData.specialRequests.filter((r) => r !== request),
-    });
+    updateField(
+      "specialRequests",
+      formData.specialRequests.filter((r) => r !== request)
+    );
   };
 
   return (
     <div className="space-y-6">
+      {knownGuest && <GuestSummary guest={knownGuest} />}
+
+      {formError && (
+        <div
+          role="alert"
+          className="flex items-center gap-2 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700"
+        >
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          {formError}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Full Name *
+            {t("form.name")}
           </label>
           <input
             type="text"
             value={formData.name}
-            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
-            placeholder="John Doe"
+            onChange={(e) => updateField("name", e.target.value)}
+            onBlur={() => touch("name")}
+            className={inputClass("name")}
+            placeholder={t("form.namePlaceholder")}
+            aria-invalid={Boolean(errorFor("name"))}
+            aria-describedby="name-error"
             required
           />
+          {fieldError("name")}
         </div>
 
-        <div>
+        <div className="relative">
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Phone Number *
+            {t("form.phone")}
           </label>
           <input
             type="tel"
             value={formData.phone}
-            onChange={(e) =>
-              setFormData({ ...formData, phone: e.target.value })
-            }
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
-            placeholder="+1 (555) 123-4567"
+            onChange={(e) => {
+              updateField("phone", e.target.value);
+              setShowGuestSuggestions(true);
+            }}
+            onBlur={() => {
+              setShowGuestSuggestions(false);
+              touch("phone");
+              setFormData((current) => ({
+                ...current,
+                phone: formatPhone(current.phone),
+              }));
+            }}
+            className={inputClass("phone")}
+            placeholder="(555) 123-4567"
+            autoComplete="off"
+            aria-invalid={Boolean(errorFor("phone"))}
+            aria-describedby="phone-error"
             required
           />
+          {fieldError("phone")}
+
+          {guestSuggestions.length > 0 && (
+            <ul className="absolute z-10 mt-1 w-full bg-white border border-slate-200 rounded-lg shadow-lg divide-y divide-slate-100">
+              {guestSuggestions.map((guest) => (
+                <li key={guest.phone}>
+                  <button
+                    type="button"
+                    // mousedown fires before the input's blur hides the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      selectGuest(guest);
+                    }}
+                    className="w-full px-4 py-2 text-left text-sm hover:bg-amber-50"
+                  >
+                    <span className="font-medium text-slate-900">
+                      {guest.name}
+                    </span>{" "}
+                    <span className="text-slate-500">
+                      {formatPhone(guest.displayPhone)} ·{" "}
+                      {t("form.visits", { count: guest.visits })}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Email (Optional)
+            {t("form.email")}
           </label>
           <input
             type="email"
             value={formData.email}
-            onChange={(e) =>
-              setFormData({ ...formData, email: e.target.value })
-            }
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            onChange={(e) => updateField("email", e.target.value)}
+            onBlur={() => touch("email")}
+            className={inputClass("email")}
             placeholder="john@example.com"
+            aria-invalid={Boolean(errorFor("email"))}
+            aria-describedby="email-error"
           />
+          {fieldError("email")}
         </div>
 
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Party Size *
+            {t("form.partySize")}
           </label>
           <select
             value={formData.partySize}
-            onChange={(e) =>
-              setFormData({ ...formData, partySize: parseInt(e.target.value) })
-            }
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            onChange={(e) => {
+              updateField("partySize", parseInt(e.target.value));
+              touch("partySize");
+            }}
+            className={inputClass("partySize")}
+            aria-invalid={Boolean(errorFor("partySize"))}
+            aria-describedby="partySize-error"
             required
           >
-            {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((num) => (
+            {formData.partySize > settings.maxPartySize && (
+              <option value={formData.partySize}>
+                {t("form.guests", { count: formData.partySize })}
+              </option>
+            )}
+            {Array.from(
+              { length: settings.maxPartySize },
+              (_, idx) => idx + 1
+            ).map((num) => (
               <option key={num} value={num}>
-                {num} {num === 1 ? "guest" : "guests"}
+                {t("form.guests", { count: num })}
               </option>
             ))}
           </select>
+          {fieldError("partySize")}
         </div>
 
-            
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Date *
+            {t("form.date")}
           </label>
           <input
             type="date"
             value={formData.date}
-            onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-            min={new Date().toISOString().split("T")[0]}
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            onChange={(e) => updateField("date", e.target.value)}
+            onBlur={() => touch("date")}
+            min={todayDateString()}
+            className={inputClass("date")}
+            aria-invalid={Boolean(errorFor("date"))}
+            aria-describedby="date-error"
             required
           />
+          {fieldError("date")}
         </div>
 
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-2">
-            Time * <span className="text-slate-500">(Pacific Time)</span>
+            {t("form.time")}{" "}
+            <span className="text-slate-500">
+              ({timeZoneLabel({ long: true })})
+            </span>
           </label>
           <select
             value={formData.time}
-            onChange={(e) => setFormData({ ...formData, time: e.target.value })}
-            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            onChange={(e) => {
+              updateField("time", e.target.value);
+              touch("time");
+            }}
+            className={inputClass("time")}
+            aria-invalid={Boolean(errorFor("time"))}
+            aria-describedby="time-error"
             required
           >
+            {!selectedSlotOffered && (
+              <option value={formData.time}>
+                {formatTimeSlot(formData.time)}
+              </option>
+            )}
             {timeSlots.map((time) => (
-              <option key={time} value={time}>
-                {time}
+              <option key={time} value={time} disabled={!isSlotOpen(time)}>
+                {slotLabel(time)}
               </option>
             ))}
           </select>
+
+          {fieldError("time")}
+
+          {checkingAvailability && (
+            <p className="text-xs text-slate-500 mt-1">{t("form.checking")}</p>
+          )}
+
+          {!checkingAvailability && !selectedSlotOpen && (
+            <div className="mt-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900">
+              <p className="flex items-center gap-2">
+                <AlertCircle className="h-4 w-4" />
+                {selectedSlotOffered
+                  ? t("form.slotFullFor", {
+                      time: formatTimeSlot(formData.time),
+                      partySize: formData.partySize,
+                    })
+                  : t("form.slotNotOffered", {
+                      time: formatTimeSlot(formData.time),
+                    })}
+              </p>
+              {alternatives.length > 0 ? (
+                <div className="flex flex-wrap items-center gap-2 mt-2">
+                  <span>{t("form.nearest")}</span>
+                  {alternatives.map((time) => (
+                    <button
+                      key={time}
+                      type="button"
+                      onClick={() => {
+                        console.log(`🕒 Switching to suggested slot ${time}`);
+                        updateField("time", time);
+                      }}
+                      className="px-3 py-1 rounded-full bg-white border border-amber-300 hover:bg-amber-100 transition-colors"
+                    >
+                      {formatTimeSlot(time)}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="mt-1">{t("form.noneLeft")}</p>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
       <div>
         <label className="block text-sm font-medium text-slate-700 mb-2">
-          Special Requests
+          {t("form.specialRequests")}
         </label>
 
         <div className="flex flex-wrap gap-2 mb-3">
-          {commonRequests.map((request) => (
+          {COMMON_REQUESTS.map(({ key, value }) => (
             <button
-              key={request}
+              key={key}
               type="button"
-              onClick={() => addSpecialRequest(request)}
+              onClick={() => addSpecialRequest(value)}
               className={`px-3 py-1 text-sm rounded-full transition-colors ${
-                formData.specialRequests.includes(request)
+                formData.specialRequests.includes(value)
                   ? "bg-amber-500 text-white"
                   : "bg-slate-100 text-slate-700 hover:bg-slate-200"
               }`}
             >
-              {request}
+              {t(`requests.${key}`)}
             </button>
           ))}
         </div>
 
         {formData.specialRequests.length > 0 && (
           <div className="mb-3">
-            <p className="text-sm text-slate-600 mb-2">Selected requests:</p>
+            <p className="text-sm text-slate-600 mb-2">
+              {t("form.selectedRequests")}
+            </p>
             <div className="flex flex-wrap gap-2">
               {formData.specialRequests.map((request) => (
                 <span
                   key={request}
                   className="inline-flex items-center gap-2 px-3 py-1 bg-amber-100 text-amber-800 text-sm rounded-full"
                 >
-                  {request}
+                  {requestLabel(request)}
                   <button
                     type="button"
                     onClick={() => removeSpecialRequest(request)}
@@ -1001,7 +3109,7 @@ function ReservationForm({ reservation, onSubmit, onCancel, isOnline }) {
             type="text"
             value={newRequest}
             onChange={(e) => setNewRequest(e.target.value)}
-            placeholder="Add custom request..."
+            placeholder={t("form.customRequest")}
             className="flex-1 px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
           />
           <button
@@ -1015,23 +3123,28 @@ function ReservationForm({ reservation, onSubmit, onCancel, isOnline }) {
             }}
             className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg hover:bg-slate-300 transition-colors"
           >
-            Add
+            {t("form.add")}
           </button>
         </div>
+        {fieldError("specialRequests")}
       </div>
 
       <div className="flex gap-4 pt-4 border-t border-slate-200">
         <button
           type="button"
           onClick={handleSubmit}
-          disabled={!isOnline}
-          className={`flex-1 px-6 py-3 rounded-lg shadow-lg transition-all ${
-            isOnline
-              ? "bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-xl hover:scale-105"
-              : "bg-gray-300 text-gray-500 cursor-not-allowed"
-          }`}
+          disabled={submitting || (reservation && dirtyFields.length === 0)}
+          title={
+            reservation && dirtyFields.length === 0 ? t("form.noChanges") : ""
+          }
+          className="flex-1 px-6 py-3 rounded-lg shadow-lg transition-all bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-xl hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
         >
-          {reservation ? "Update Reservation" : "Create Reservation"}
+          {submitting
+            ? t("form.saving")
+            : reservation
+              ? t("form.update")
+              : t("form.create")}
+          {!isOnline && t("common.offlineSuffix")}
         </button>
 
         <button
@@ -1039,35 +3152,9 @@ function ReservationForm({ reservation, onSubmit, onCancel, isOnline }) {
           onClick={onCancel}
           className="px-6 py-3 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
         >
-          Cancel
+          {t("common.cancel")}
         </button>
       </div>
     </div>
   );
 }
-
-/**
- * ============================================================================
- * MODAL COMPONENT
- * ============================================================================
- */
-function Modal({ children, onClose, title }) {
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
-        <div className="sticky top-0 bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between">
-          <h2 className="text-2xl font-bold text-slate-900">{title}</h2>
-          <button
-            onClick={onClose}
-            className="text-slate-400 hover:text-slate-600 transition-colors"
-            aria-label="Close modal"
-          >
-            <XCircle className="h-6 w-6" />
-          </button>
-        </div>
-
-        <div className="p-6">{children}</div>
-      </div>
-    </div>
-  );
-}
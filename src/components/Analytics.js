@@ -0,0 +1,523 @@
+/**
+ * ============================================================================
+ * ANALYTICS TAB
+ * ============================================================================
+ *
+ * Reporting for a selectable date range, each figure compared with the
+ * period of the same length just before it:
+ *
+ * ✅ Reservations and covers per day
+ * ✅ Bookings by weekday and hour (heatmap)
+ * ✅ No-show and cancellation rates
+ * ✅ Average party size and booking lead time
+ * ✅ Voice agent vs web vs staff share
+ *
+ * DATA FLOW:
+ * ----------
+ * Both periods are loaded with reservationApi.getRangeStats and summarized
+ * in the browser (utils/analytics); charts are plain SVG and Tailwind, no
+ * chart library.
+ *
+ * @module components/Analytics
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ * @requires ../utils/analytics
+ */
+
+import React, { useEffect, useState } from "react";
+import { TrendingDown, TrendingUp } from "lucide-react";
+import { isAbortError, reservationApi } from "../services/api";
+import { BOOKING_SOURCES } from "./CallDetailsDrawer";
+import {
+  ANALYTICS_SOURCES,
+  percentChange,
+  previousPeriod,
+  rangeLength,
+  summarizeRange,
+} from "../utils/analytics";
+import {
+  addDays,
+  formatDateLabel,
+  timeZoneLabel,
+  todayDateString,
+} from "../utils/dateTime";
+
+// ==================== CONSTANTS ====================
+
+const PRESETS = [7, 30, 90];
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const SOURCE_COLORS = {
+  voice: "bg-purple-500",
+  web: "bg-sky-500",
+  staff: "bg-slate-500",
+  other: "bg-slate-300",
+};
+
+const lastDays = (days) => ({
+  dateFrom: addDays(todayDateString(), -(days - 1)),
+  dateTo: todayDateString(),
+});
+
+// ==================== FORMATTING ====================
+
+const formatNumber = (value, digits = 0) =>
+  value === null
+    ? "—"
+    : value.toLocaleString("en-US", {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+
+const formatPercent = (value) =>
+  value === null ? "—" : `${formatNumber(value * 100, 1)}%`;
+
+const formatHour = (hour) =>
+  `${hour % 12 === 0 ? 12 : hour % 12}${hour < 12 ? "a" : "p"}`;
+
+const formatShortDate = (date) =>
+  formatDateLabel(date, { month: "short", day: "numeric" });
+
+// ==================== METRIC CARD ====================
+
+/**
+ * One figure with its change against the previous period. Rates compare in
+ * percentage points; everything else as a percent change.
+ *
+ * @param {boolean} props.lowerIsBetter - Colors a rise red (no-shows, ...)
+ */
+function MetricCard({
+  label,
+  value,
+  previous,
+  format,
+  isRate = false,
+  lowerIsBetter = false,
+}) {
+  const change = isRate
+    ? value === null || previous === null
+      ? null
+      : value - previous
+    : percentChange(value, previous);
+  const improved = change !== null && (lowerIsBetter ? change < 0 : change > 0);
+  const Icon = change !== null && change < 0 ? TrendingDown : TrendingUp;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-5">
+      <p className="text-sm font-medium text-slate-600">{label}</p>
+      <p className="text-2xl font-bold text-slate-900 mt-1">{format(value)}</p>
+      <p className="text-xs text-slate-500 mt-2">
+        {change !== null && change !== 0 && (
+          <span
+            className={`inline-flex items-center gap-1 font-medium ${
+              improved ? "text-green-700" : "text-red-700"
+            }`}
+          >
+            <Icon className="h-3 w-3" />
+            {change > 0 ? "+" : "−"}
+            {isRate
+              ? `${formatNumber(Math.abs(change) * 100, 1)} pts`
+              : `${formatNumber(Math.abs(change) * 100)}%`}
+            {" · "}
+          </span>
+        )}
+        was {format(previous)}
+      </p>
+    </div>
+  );
+}
+
+// ==================== DAILY CHART ====================
+
+/**
+ * Bars per day for the chosen measure, with the previous period's matching
+ * day as a lighter bar behind each one.
+ */
+function DailyChart({ current, previous, measure }) {
+  const height = 160;
+  const barWidth = 100 / current.days.length;
+  const max = Math.max(
+    1,
+    ...current.days.map((day) => day[measure]),
+    ...previous.days.map((day) => day[measure])
+  );
+  const labelEvery = Math.ceil(current.days.length / 10);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 100 ${height}`}
+        preserveAspectRatio="none"
+        className="w-full h-40"
+        role="img"
+        aria-label={`${measure} per day`}
+      >
+        {current.days.map((day, index) => {
+          const before = previous.days[index];
+          const x = index * barWidth;
+          return (
+            <g key={day.date}>
+              {before && (
+                <rect
+                  x={x + barWidth * 0.1}
+                  width={barWidth * 0.8}
+                  y={height - (before[measure] / max) * height}
+                  height={(before[measure] / max) * height}
+                  className="fill-slate-200"
+                />
+              )}
+              <rect
+                x={x + barWidth * 0.25}
+                width={barWidth * 0.5}
+                y={height - (day[measure] / max) * height}
+                height={(day[measure] / max) * height}
+                className="fill-amber-500"
+              >
+                <title>
+                  {`${formatShortDate(day.date)}: ${day[measure]} ${measure}` +
+                    (before ? ` (was ${before[measure]})` : "")}
+                </title>
+              </rect>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex text-xs text-slate-500 mt-1">
+        {current.days.map((day, index) => (
+          <span
+            key={day.date}
+            className="text-center overflow-hidden whitespace-nowrap"
+            style={{ width: `${barWidth}%` }}
+          >
+            {index % labelEvery === 0 ? formatShortDate(day.date) : ""}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ==================== HEATMAP ====================
+
+function Heatmap({ heatmap }) {
+  const hours = Object.values(heatmap).flatMap((byHour) =>
+    Object.keys(byHour).map(Number)
+  );
+  if (hours.length === 0) {
+    return <p className="text-sm text-slate-500">No bookings in this range.</p>;
+  }
+
+  const range = [];
+  for (let hour = Math.min(...hours); hour <= Math.max(...hours); hour++) {
+    range.push(hour);
+  }
+  const max = Math.max(
+    ...Object.values(heatmap).flatMap((byHour) => Object.values(byHour))
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs">
+        <thead>
+          <tr>
+            <th />
+            {range.map((hour) => (
+              <th key={hour} className="px-1 font-normal text-slate-500">
+                {formatHour(hour)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {WEEKDAYS.map((weekday, index) => (
+            <tr key={weekday}>
+              <th className="pr-2 text-left font-normal text-slate-500">
+                {weekday}
+              </th>
+              {range.map((hour) => {
+                const count = (heatmap[index] || {})[hour] || 0;
+                return (
+                  <td key={hour} className="p-0.5">
+                    <div
+                      className="h-6 w-8 rounded bg-slate-100"
+                      style={
+                        count > 0
+                          ? {
+                              backgroundColor: `rgba(245, 158, 11, ${
+                                0.15 + 0.85 * (count / max)
+                              })`,
+                            }
+                          : undefined
+                      }
+                      title={`${weekday} ${formatHour(hour)}: ${count} bookings`}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ==================== SOURCE SHARE ====================
+
+function SourceShare({ current, previous }) {
+  const share = (summary, source) =>
+    summary.bookings === 0 ? null : summary.sources[source] / summary.bookings;
+
+  return (
+    <div className="space-y-3">
+      {[...ANALYTICS_SOURCES, "other"].map((source) => {
+        const now = share(current, source);
+        const before = share(previous, source);
+        return (
+          <div key={source}>
+            <div className="flex justify-between text-sm">
+              <span className="text-slate-700">
+                {BOOKING_SOURCES[source]
+                  ? BOOKING_SOURCES[source].label
+                  : "Other / unknown"}
+              </span>
+              <span className="text-slate-900 font-medium">
+                {formatPercent(now)}{" "}
+                <span className="text-xs font-normal text-slate-500">
+                  (was {formatPercent(before)})
+                </span>
+              </span>
+            </div>
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden mt-1">
+              <div
+                className={`h-full ${SOURCE_COLORS[source]}`}
+                style={{ width: `${(now || 0) * 100}%` }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onError - Shared API error handler from the dashboard
+ */
+export default function Analytics({ onError }) {
+  const [range, setRange] = useState(() => lastDays(30));
+  const [measure, setMeasure] = useState("covers");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const validRange =
+    range.dateFrom && range.dateTo && range.dateFrom <= range.dateTo;
+
+  useEffect(() => {
+    if (!validRange) return;
+    const controller = new AbortController();
+    const previousRange = previousPeriod(range);
+
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      try {
+        console.log(
+          `📈 Fetching analytics for ${range.dateFrom} – ${range.dateTo}...`
+        );
+        const [current, previous] = await Promise.all([
+          reservationApi.getRangeStats(range, { signal: controller.signal }),
+          reservationApi.getRangeStats(previousRange, {
+            signal: controller.signal,
+          }),
+        ]);
+        setData({
+          current: summarizeRange(current, range),
+          previous: summarizeRange(previous, previousRange),
+          previousRange,
+        });
+        console.log(`✅ Analytics built from ${current.length} reservations`);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("❌ Error fetching analytics:", error);
+        onError(error, "Failed to load analytics");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+    return () => controller.abort();
+  }, [range, validRange, onError]);
+
+  const days = validRange ? rangeLength(range) : 0;
+  const activePreset = PRESETS.find((preset) => {
+    const presetRange = lastDays(preset);
+    return (
+      presetRange.dateFrom === range.dateFrom &&
+      presetRange.dateTo === range.dateTo
+    );
+  });
+
+  return (
+    <div className="space-y-6">
+      {/* ==================== RANGE PICKER ==================== */}
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6 flex flex-col md:flex-row md:items-end gap-4">
+        <div className="flex gap-2">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset}
+              onClick={() => setRange(lastDays(preset))}
+              className={`px-4 py-2 text-sm rounded-lg transition-colors ${
+                activePreset === preset
+                  ? "bg-amber-500 text-white"
+                  : "border border-slate-300 text-slate-700 hover:bg-slate-50"
+              }`}
+            >
+              Last {preset} days
+            </button>
+          ))}
+        </div>
+        <label className="text-sm font-medium text-slate-700">
+          From
+          <input
+            type="date"
+            value={range.dateFrom}
+            onChange={(e) => setRange({ ...range, dateFrom: e.target.value })}
+            className="block mt-1 px-3 py-2 border border-slate-300 rounded-lg"
+          />
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          To
+          <input
+            type="date"
+            value={range.dateTo}
+            onChange={(e) => setRange({ ...range, dateTo: e.target.value })}
+            className="block mt-1 px-3 py-2 border border-slate-300 rounded-lg"
+          />
+        </label>
+        <p className="text-sm text-slate-500 md:ml-auto">
+          {validRange && data
+            ? `Compared with ${formatShortDate(
+                data.previousRange.dateFrom
+              )} – ${formatShortDate(data.previousRange.dateTo)}`
+            : !validRange && "Choose a start date on or before the end date"}
+        </p>
+      </div>
+
+      {loading && !data ? (
+        <div className="px-6 py-12 text-center text-slate-500">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4">Loading analytics...</p>
+        </div>
+      ) : (
+        data && (
+          <div
+            className={`space-y-6 transition-opacity ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            {/* ==================== KEY FIGURES ==================== */}
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              <MetricCard
+                label="Reservations"
+                value={data.current.bookings}
+                previous={data.previous.bookings}
+                format={(value) => formatNumber(value)}
+              />
+              <MetricCard
+                label="Covers"
+                value={data.current.covers}
+                previous={data.previous.covers}
+                format={(value) => formatNumber(value)}
+              />
+              <MetricCard
+                label="Avg party size"
+                value={data.current.averagePartySize}
+                previous={data.previous.averagePartySize}
+                format={(value) => formatNumber(value, 1)}
+              />
+              <MetricCard
+                label="Avg lead time"
+                value={data.current.averageLeadDays}
+                previous={data.previous.averageLeadDays}
+                format={(value) =>
+                  value === null ? "—" : `${formatNumber(value, 1)} days`
+                }
+              />
+              <MetricCard
+                label="No-show rate"
+                value={data.current.noShowRate}
+                previous={data.previous.noShowRate}
+                format={formatPercent}
+                isRate
+                lowerIsBetter
+              />
+              <MetricCard
+                label="Cancellation rate"
+                value={data.current.cancelRate}
+                previous={data.previous.cancelRate}
+                format={formatPercent}
+                isRate
+                lowerIsBetter
+              />
+            </div>
+
+            {/* ==================== PER DAY ==================== */}
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-slate-900">
+                  {measure === "covers" ? "Covers" : "Reservations"} per day
+                </h2>
+                <div className="flex items-center gap-4 text-sm">
+                  <span className="flex items-center gap-1 text-slate-600">
+                    <span className="h-3 w-3 rounded-sm bg-amber-500" />
+                    This period
+                    <span className="h-3 w-3 rounded-sm bg-slate-200 ml-3" />
+                    Previous {days} days
+                  </span>
+                  <select
+                    value={measure}
+                    onChange={(e) => setMeasure(e.target.value)}
+                    aria-label="Measure"
+                    className="px-3 py-1 border border-slate-300 rounded-lg"
+                  >
+                    <option value="covers">Covers</option>
+                    <option value="bookings">Reservations</option>
+                  </select>
+                </div>
+              </div>
+              <DailyChart
+                current={data.current}
+                previous={data.previous}
+                measure={measure}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {/* ==================== HEATMAP ==================== */}
+              <div className="lg:col-span-2 bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">
+                  Bookings by day and hour ({timeZoneLabel()})
+                </h2>
+                <Heatmap heatmap={data.current.heatmap} />
+              </div>
+
+              {/* ==================== SOURCES ==================== */}
+              <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">
+                  Booking source
+                </h2>
+                <SourceShare current={data.current} previous={data.previous} />
+              </div>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,693 @@
+/**
+ * ============================================================================
+ * PUBLIC BOOKING PAGE
+ * ============================================================================
+ *
+ * What guests see at /book: party size → date → time → contact details →
+ * confirmation with their reservationId. It's a separate entry point from
+ * the staff dashboard (see index.js) and only talks to publicApi, so no
+ * other guest's booking, staff note or edit/cancel action is reachable
+ * from here. Anything the page can't handle (large parties, full days,
+ * errors, changes to a booking) points guests to the phone.
+ *
+ * LOCATION:
+ * ---------
+ * /book?location=<id> books at that location; without it (or with an
+ * unknown id) at the first one. The device's dashboard location is left
+ * alone.
+ *
+ * @module components/BookingPage
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ * @requires ../services/i18n
+ * @requires ../services/locations
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+  AlertCircle,
+  Calendar,
+  CheckCircle,
+  ChevronLeft,
+  Clock,
+  Phone,
+  Users,
+} from "lucide-react";
+import { isAbortError, publicApi } from "../services/api";
+import {
+  getLanguage,
+  setLanguage,
+  subscribeToLanguage,
+  t,
+} from "../services/i18n";
+import {
+  findLocation,
+  getLocations,
+  locationDefaults,
+} from "../services/locations";
+import {
+  formatDateLabel,
+  formatTimeSlot,
+  getTimeSlots,
+  slotToInstant,
+  timeZoneLabel,
+  toRestaurantDate,
+} from "../utils/dateTime";
+import { formatPhone, toE164 } from "../utils/phone";
+import {
+  RESERVATION_SCHEMA,
+  errorMessage,
+  isValidationError,
+  mapServerErrors,
+  validate,
+} from "../utils/validation";
+import LanguagePicker from "./LanguagePicker";
+
+const STEPS = ["partySize", "date", "time", "contact"];
+const CONTACT_FIELDS = ["name", "phone", "email"];
+
+// The location named in ?location=, else the first one
+const bookingLocation = () => {
+  const id = new URLSearchParams(window.location.search).get("location");
+  return findLocation(id) || getLocations()[0];
+};
+
+const formatDate = (date) =>
+  formatDateLabel(date, { weekday: "long", month: "long", day: "numeric" });
+
+/**
+ * A tel: link to the location, for everything the page can't do
+ */
+function CallUs({ phone }) {
+  return (
+    <a
+      href={`tel:${phone}`}
+      className="font-semibold text-amber-700 underline hover:text-amber-800"
+    >
+      {phone}
+    </a>
+  );
+}
+
+/**
+ * ============================================================================
+ * BOOKING PAGE
+ * ============================================================================
+ */
+export default function BookingPage() {
+  const [location] = useState(bookingLocation);
+  const [language, setLanguageCode] = useState(getLanguage);
+  const [step, setStep] = useState("partySize");
+  const [booking, setBooking] = useState({
+    partySize: 2,
+    date: "",
+    time: "",
+    name: "",
+    phone: "",
+    email: "",
+  });
+
+  // Built-in hours until the location's own settings load
+  const [settings, setSettings] = useState(() => locationDefaults(location));
+  const [availability, setAvailability] = useState(null);
+  const [loadingTimes, setLoadingTimes] = useState(false);
+  const [timesFailed, setTimesFailed] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const [notice, setNotice] = useState(null);
+
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+
+  useEffect(() => subscribeToLanguage(setLanguageCode), []);
+
+  // ==================== SETTINGS ====================
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchSettings = async () => {
+      try {
+        console.log(`🏪 Fetching booking settings for ${location.id}...`);
+        const data = await publicApi.getSettings(
+          { locationId: location.id },
+          { signal: controller.signal }
+        );
+        setSettings({ ...locationDefaults(location), ...data });
+      } catch (error) {
+        if (isAbortError(error)) return;
+        // Not fatal: availability still decides which times are open
+        console.warn("⚠️ Using default booking settings:", error.message);
+      }
+    };
+
+    fetchSettings();
+    return () => controller.abort();
+  }, [location]);
+
+  const { timeZone } = location;
+  const now = new Date();
+  const today = toRestaurantDate(now, timeZone);
+
+  const update = (changes) =>
+    setBooking((current) => ({ ...current, ...changes }));
+
+  const guests = t("form.guests", { count: booking.partySize });
+
+  // ==================== AVAILABILITY ====================
+  useEffect(() => {
+    if (step !== "time") return;
+
+    const controller = new AbortController();
+    const fetchAvailability = async () => {
+      setLoadingTimes(true);
+      setTimesFailed(false);
+      try {
+        console.log(
+          `🔎 Checking open times for ${booking.partySize} on ${booking.date}...`
+        );
+        const slots = await publicApi.getAvailability(
+          {
+            date: booking.date,
+            partySize: booking.partySize,
+            locationId: location.id,
+          },
+          { signal: controller.signal }
+        );
+        setAvailability(slots);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("❌ Error loading open times:", error);
+        setAvailability(null);
+        setTimesFailed(true);
+      } finally {
+        if (!controller.signal.aborted) setLoadingTimes(false);
+      }
+    };
+
+    fetchAvailability();
+    return () => controller.abort();
+  }, [step, booking.date, booking.partySize, location.id, attempt]);
+
+  // Only times the server confirms can take the party, still ahead of now
+  const isOpen = (time) => {
+    const slot = availability && availability.find((s) => s.time === time);
+    if (!slot) return false;
+    const fits =
+      typeof slot.available === "boolean"
+        ? slot.available
+        : slot.remainingCovers >= booking.partySize;
+    return fits && slotToInstant(booking.date, time, timeZone) > now;
+  };
+  const openTimes =
+    step === "time" && availability
+      ? getTimeSlots(settings, booking.date).filter(isOpen)
+      : [];
+
+  // ==================== CONTACT DETAILS ====================
+  const errors = validate(RESERVATION_SCHEMA, booking, { settings, today });
+  const errorFor = (field) =>
+    serverErrors[field] ||
+    ((touched[field] || submitted) && errors[field]) ||
+    null;
+
+  const updateField = (field, value) => {
+    update({ [field]: value });
+    setServerErrors(({ [field]: cleared, ...rest }) => rest);
+  };
+
+  const touch = (field) =>
+    setTouched((current) => ({ ...current, [field]: true }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitted(true);
+    setFormError(null);
+    setFailed(false);
+
+    if (CONTACT_FIELDS.some((field) => errors[field])) {
+      console.warn("⚠️ Booking details invalid:", errors);
+      return;
+    }
+
+    const data = {
+      name: booking.name.trim(),
+      phone: toE164(booking.phone),
+      email: booking.email.trim(),
+      partySize: booking.partySize,
+      date: booking.date,
+      time: booking.time,
+    };
+
+    setSubmitting(true);
+    try {
+      console.log("📝 Booking a table:", data);
+      const result = await publicApi.book(data, { locationId: location.id });
+      console.log(`✅ Booked ${result.reservationId}`);
+      setConfirmation({ ...data, ...result });
+    } catch (error) {
+      console.error("❌ Error booking a table:", error);
+      if (error.status === 409) {
+        // Someone else took the slot while the guest was typing
+        setNotice(
+          t("booking.slotTaken", { time: formatTimeSlot(booking.time) })
+        );
+        update({ time: "" });
+        setStep("time");
+      } else if (isValidationError(error)) {
+        const mapped = mapServerErrors(error, CONTACT_FIELDS);
+        setServerErrors(mapped.fieldErrors);
+        setFormError(mapped.formError);
+      } else {
+        setFailed(true);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== NAVIGATION ====================
+  const stepIndex = STEPS.indexOf(step);
+
+  const goTo = (next) => {
+    setNotice(null);
+    setStep(next);
+  };
+
+  const startOver = () => {
+    setBooking((current) => ({
+      ...current,
+      date: "",
+      time: "",
+    }));
+    setConfirmation(null);
+    setSubmitted(false);
+    setTouched({});
+    goTo("partySize");
+  };
+
+  const inputClass = (field) =>
+    `w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500 ${
+      errorFor(field) ? "border-red-400" : "border-slate-300"
+    }`;
+
+  const fieldError = (field) =>
+    errorFor(field) && (
+      <p id={`booking-${field}-error`} className="text-xs text-red-600 mt-1">
+        {errorMessage(errorFor(field))}
+      </p>
+    );
+
+  const choiceClass = (selected) =>
+    `px-4 py-3 rounded-lg border text-sm font-medium transition-colors ${
+      selected
+        ? "bg-amber-500 border-amber-500 text-white"
+        : "bg-white border-slate-300 text-slate-700 hover:bg-amber-50"
+    }`;
+
+  const primaryClass =
+    "w-full px-6 py-3 rounded-lg shadow-lg transition-all bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed";
+
+  // ==================== RENDER ====================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex flex-col">
+      <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+        <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-center gap-2 text-sm">
+          <Phone className="h-4 w-4" />
+          <span>{t("header.callToBook")}</span>
+          <a
+            href={`tel:${location.phone}`}
+            className="font-semibold underline hover:text-blue-100 transition-colors"
+          >
+            {location.phone}
+          </a>
+        </div>
+      </div>
+
+      <main className="flex-1 flex justify-center px-4 py-12">
+        <div className="w-full max-w-lg bg-white rounded-xl shadow-lg border border-slate-200 p-8 space-y-6 self-start">
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex items-center space-x-3">
+              <div className="bg-gradient-to-r from-amber-500 to-orange-500 p-3 rounded-xl shadow-lg">
+                <Calendar className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-slate-900">
+                  {location.name}
+                </h1>
+                <p className="text-sm text-slate-600">{t("booking.title")}</p>
+              </div>
+            </div>
+            <LanguagePicker value={language} onChange={setLanguage} />
+          </div>
+
+          {/* ==================== CONFIRMATION ==================== */}
+          {confirmation ? (
+            <div className="space-y-5 text-center">
+              <CheckCircle className="h-12 w-12 mx-auto text-green-600" />
+              <div>
+                <h2 className="text-xl font-semibold text-slate-900">
+                  {t("booking.confirmed")}
+                </h2>
+                <p className="text-slate-600 mt-1">
+                  {t("booking.seeYou", { name: confirmation.name })}
+                </p>
+              </div>
+
+              <div className="rounded-lg bg-amber-50 border border-amber-200 px-4 py-3">
+                <p className="text-xs uppercase tracking-wide text-amber-800">
+                  {t("booking.reference")}
+                </p>
+                <p className="text-2xl font-bold text-slate-900 font-mono">
+                  {confirmation.reservationId}
+                </p>
+              </div>
+
+              <p className="text-sm text-slate-700">
+                {t("booking.when", {
+                  guests: t("form.guests", { count: confirmation.partySize }),
+                  date: formatDate(confirmation.date),
+                  time: formatTimeSlot(confirmation.time),
+                })}{" "}
+                <span className="text-slate-500">
+                  {timeZoneLabel({ timeZone })}
+                </span>
+              </p>
+
+              <p className="text-sm text-slate-600">
+                {t("booking.changes")} <CallUs phone={location.phone} />
+              </p>
+
+              <button
+                type="button"
+                onClick={startOver}
+                className="text-sm text-amber-700 underline hover:text-amber-800"
+              >
+                {t("booking.another")}
+              </button>
+            </div>
+          ) : (
+            <>
+              {/* ==================== PROGRESS ==================== */}
+              <ol className="flex items-center gap-2 text-xs">
+                {STEPS.map((name, idx) => (
+                  <li
+                    key={name}
+                    aria-current={name === step ? "step" : undefined}
+                    className={`flex-1 border-t-4 pt-1 ${
+                      idx <= stepIndex
+                        ? "border-amber-500 text-amber-700 font-medium"
+                        : "border-slate-200 text-slate-400"
+                    }`}
+                  >
+                    {t(`booking.steps.${name}`)}
+                  </li>
+                ))}
+              </ol>
+
+              {stepIndex > 0 && (
+                <button
+                  type="button"
+                  onClick={() => goTo(STEPS[stepIndex - 1])}
+                  className="flex items-center gap-1 text-sm text-slate-600 hover:text-slate-900"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                  {t("booking.back")}
+                </button>
+              )}
+
+              {notice && (
+                <p
+                  role="alert"
+                  className="flex items-center gap-2 text-sm text-amber-900 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2"
+                >
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  {notice}
+                </p>
+              )}
+
+              {/* ==================== PARTY SIZE ==================== */}
+              {step === "partySize" && (
+                <div className="space-y-4">
+                  <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+                    <Users className="h-5 w-5 text-slate-400" />
+                    {t("booking.partySize")}
+                  </h2>
+                  <div className="grid grid-cols-4 gap-2">
+                    {Array.from(
+                      { length: settings.maxPartySize },
+                      (_, idx) => idx + 1
+                    ).map((size) => (
+                      <button
+                        key={size}
+                        type="button"
+                        onClick={() => {
+                          update({ partySize: size, time: "" });
+                          goTo("date");
+                        }}
+                        aria-label={t("form.guests", { count: size })}
+                        className={choiceClass(size === booking.partySize)}
+                      >
+                        {size}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-sm text-slate-600">
+                    {t("booking.largeParty", {
+                      count: settings.maxPartySize,
+                    })}{" "}
+                    <CallUs phone={location.phone} />
+                  </p>
+                </div>
+              )}
+
+              {/* ==================== DATE ==================== */}
+              {step === "date" && (
+                <form
+                  className="space-y-4"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    goTo("time");
+                  }}
+                >
+                  <label
+                    htmlFor="booking-date"
+                    className="flex items-center gap-2 text-lg font-semibold text-slate-900"
+                  >
+                    <Calendar className="h-5 w-5 text-slate-400" />
+                    {t("booking.date")}
+                  </label>
+                  <input
+                    id="booking-date"
+                    type="date"
+                    value={booking.date}
+                    min={today}
+                    onChange={(e) => update({ date: e.target.value, time: "" })}
+                    className={inputClass("date")}
+                    required
+                  />
+                  {booking.date >= today && (
+                    <p className="text-sm text-slate-600">
+                      {formatDate(booking.date)}
+                    </p>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={!booking.date || booking.date < today}
+                    className={primaryClass}
+                  >
+                    {t("booking.next")}
+                  </button>
+                </form>
+              )}
+
+              {/* ==================== TIME ==================== */}
+              {step === "time" && (
+                <div className="space-y-4">
+                  <div>
+                    <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+                      <Clock className="h-5 w-5 text-slate-400" />
+                      {t("booking.time")}
+                    </h2>
+                    <p className="text-sm text-slate-600 mt-1">
+                      {t("booking.summary", {
+                        guests,
+                        date: formatDate(booking.date),
+                      })}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {t("booking.timesIn", {
+                        zone: timeZoneLabel({ long: true, timeZone }),
+                      })}
+                    </p>
+                  </div>
+
+                  {loadingTimes ? (
+                    <p className="text-sm text-slate-500">
+                      {t("booking.loadingTimes")}
+                    </p>
+                  ) : timesFailed || openTimes.length === 0 ? (
+                    <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900 space-y-2">
+                      <p className="flex items-center gap-2">
+                        <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                        {timesFailed
+                          ? t("booking.timesFailed")
+                          : t("booking.noTimes", { guests })}
+                      </p>
+                      <p>
+                        {t("booking.otherDay")}{" "}
+                        <CallUs phone={location.phone} />
+                      </p>
+                      {timesFailed && (
+                        <button
+                          type="button"
+                          onClick={() => setAttempt((count) => count + 1)}
+                          className="px-3 py-1 rounded-full bg-white border border-amber-300 hover:bg-amber-100 transition-colors"
+                        >
+                          {t("booking.tryAgain")}
+                        </button>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-3 gap-2">
+                      {openTimes.map((time) => (
+                        <button
+                          key={time}
+                          type="button"
+                          onClick={() => {
+                            update({ time });
+                            goTo("contact");
+                          }}
+                          className={choiceClass(time === booking.time)}
+                        >
+                          {formatTimeSlot(time)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* ==================== CONTACT DETAILS ==================== */}
+              {step === "contact" && (
+                <form className="space-y-4" onSubmit={handleSubmit} noValidate>
+                  <div>
+                    <h2 className="text-lg font-semibold text-slate-900">
+                      {t("booking.contact")}
+                    </h2>
+                    <p className="text-sm text-slate-600 mt-1">
+                      {t("booking.when", {
+                        guests,
+                        date: formatDate(booking.date),
+                        time: formatTimeSlot(booking.time),
+                      })}
+                    </p>
+                  </div>
+
+                  {(formError || failed) && (
+                    <p
+                      role="alert"
+                      className="flex items-center gap-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2"
+                    >
+                      <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                      {failed ? (
+                        <span>
+                          {t("booking.failed")}{" "}
+                          <CallUs phone={location.phone} />
+                        </span>
+                      ) : (
+                        formError
+                      )}
+                    </p>
+                  )}
+
+                  <div>
+                    <label
+                      htmlFor="booking-name"
+                      className="block text-sm font-medium text-slate-700 mb-2"
+                    >
+                      {t("form.name")}
+                    </label>
+                    <input
+                      id="booking-name"
+                      type="text"
+                      autoComplete="name"
+                      value={booking.name}
+                      onChange={(e) => updateField("name", e.target.value)}
+                      onBlur={() => touch("name")}
+                      placeholder={t("form.namePlaceholder")}
+                      className={inputClass("name")}
+                      aria-invalid={Boolean(errorFor("name"))}
+                      aria-describedby="booking-name-error"
+                    />
+                    {fieldError("name")}
+                  </div>
+
+                  <div>
+                    <label
+                      htmlFor="booking-phone"
+                      className="block text-sm font-medium text-slate-700 mb-2"
+                    >
+                      {t("form.phone")}
+                    </label>
+                    <input
+                      id="booking-phone"
+                      type="tel"
+                      autoComplete="tel"
+                      value={booking.phone}
+                      onChange={(e) => updateField("phone", e.target.value)}
+                      onBlur={() => {
+                        touch("phone");
+                        setBooking((current) => ({
+                          ...current,
+                          phone: formatPhone(current.phone),
+                        }));
+                      }}
+                      placeholder="(555) 123-4567"
+                      className={inputClass("phone")}
+                      aria-invalid={Boolean(errorFor("phone"))}
+                      aria-describedby="booking-phone-error"
+                    />
+                    {fieldError("phone")}
+                  </div>
+
+                  <div>
+                    <label
+                      htmlFor="booking-email"
+                      className="block text-sm font-medium text-slate-700 mb-2"
+                    >
+                      {t("form.email")}
+                    </label>
+                    <input
+                      id="booking-email"
+                      type="email"
+                      autoComplete="email"
+                      value={booking.email}
+                      onChange={(e) => updateField("email", e.target.value)}
+                      onBlur={() => touch("email")}
+                      className={inputClass("email")}
+                      aria-invalid={Boolean(errorFor("email"))}
+                      aria-describedby="booking-email-error"
+                    />
+                    {fieldError("email")}
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className={primaryClass}
+                  >
+                    {submitting ? t("booking.booking") : t("booking.confirm")}
+                  </button>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
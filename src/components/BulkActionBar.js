@@ -0,0 +1,308 @@
+/**
+ * ============================================================================
+ * BULK ACTION BAR
+ * ============================================================================
+ *
+ * Shown above the All Reservations list while rows are selected. Staff pick
+ * a batch action (cancel, change status, move, reassign table), watch it
+ * run row by row, and get a summary of anything skipped or failed.
+ *
+ * DATA FLOW:
+ * ----------
+ * The dashboard owns the selection and the API calls; onRun resolves to
+ * { succeeded, skipped, failed } (or null if the user backed out) and this
+ * component renders the progress and the summary.
+ *
+ * @module components/BulkActionBar
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/locations
+ * @requires ../utils/bulk
+ */
+
+import React, { useState } from "react";
+import { AlertCircle, CheckCircle, X } from "lucide-react";
+import { getActiveLocation } from "../services/locations";
+import { BATCH_ACTIONS, BATCH_STATUSES } from "../utils/bulk";
+import {
+  getTimeSlots,
+  reservationDate,
+  timeZoneLabel,
+} from "../utils/dateTime";
+import { STATUS_ACTIONS } from "../utils/reservationStatus";
+
+const describe = (res) =>
+  `${res.name} · ${reservationDate(res.date)} ${res.time} · ${res.reservationId}`;
+
+/**
+ * @param {Object} props
+ * @param {number} props.selectedCount
+ * @param {number} props.matchingCount - Rows matching the applied filters
+ * @param {boolean} props.selectingAll - Loading every matching row
+ * @param {Function} props.onSelectAll
+ * @param {Function} props.onClear
+ * @param {Function} props.onRun - (action, params, onProgress(done, total))
+ *   => Promise<result|null>
+ * @param {boolean} props.canCancel
+ * @param {boolean} props.canReassign
+ * @param {Object} props.settings - Restaurant settings (time slots)
+ */
+export default function BulkActionBar({
+  selectedCount,
+  matchingCount,
+  selectingAll,
+  onSelectAll,
+  onClear,
+  onRun,
+  canCancel,
+  canReassign,
+  settings,
+}) {
+  const [action, setAction] = useState(null);
+  const [params, setParams] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const actions = Object.keys(BATCH_ACTIONS).filter(
+    (key) => (key !== "cancel" || canCancel) && (key !== "table" || canReassign)
+  );
+
+  const ready =
+    action === "cancel" ||
+    (action === "status" && params.status) ||
+    (action === "move" && (params.date || params.time)) ||
+    (action === "table" && params.tableNumber);
+
+  const chooseAction = (key) => {
+    setAction(action === key ? null : key);
+    setParams({});
+    setResult(null);
+  };
+
+  const handleRun = async () => {
+    setProgress({ done: 0, total: selectedCount });
+    try {
+      const outcome = await onRun(action, params, (done, total) =>
+        setProgress({ done, total })
+      );
+      if (outcome) {
+        setResult({ label: BATCH_ACTIONS[action].label, ...outcome });
+        setAction(null);
+        setParams({});
+      }
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  if (selectedCount === 0 && !result) return null;
+
+  const problems = result
+    ? [
+        ...result.failed.map((item) => ({ ...item, failed: true })),
+        ...result.skipped,
+      ]
+    : [];
+
+  return (
+    <div className="px-6 py-3 border-b border-slate-200 bg-amber-50 space-y-3">
+      {selectedCount > 0 && (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-medium text-slate-900">
+            {selectedCount} selected
+          </span>
+          {selectedCount < matchingCount && (
+            <button
+              onClick={onSelectAll}
+              disabled={selectingAll || Boolean(progress)}
+              className="text-amber-700 hover:underline disabled:opacity-50"
+            >
+              {selectingAll
+                ? "Selecting..."
+                : `Select all ${matchingCount} matching`}
+            </button>
+          )}
+          <button
+            onClick={onClear}
+            disabled={Boolean(progress)}
+            className="text-slate-600 hover:underline disabled:opacity-50"
+          >
+            Clear
+          </button>
+
+          <div className="flex flex-wrap gap-2 md:ml-auto">
+            {actions.map((key) => (
+              <button
+                key={key}
+                onClick={() => chooseAction(key)}
+                disabled={Boolean(progress)}
+                className={`px-3 py-1 rounded-full transition-colors disabled:opacity-50 ${
+                  action === key
+                    ? "bg-amber-500 text-white"
+                    : key === "cancel"
+                      ? "bg-white text-red-600 border border-red-200 hover:bg-red-50"
+                      : "bg-white text-slate-700 border border-slate-300 hover:bg-slate-50"
+                }`}
+              >
+                {BATCH_ACTIONS[key].label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {action && selectedCount > 0 && (
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          {action === "status" && (
+            <select
+              value={params.status || ""}
+              onChange={(e) => setParams({ status: e.target.value })}
+              aria-label="New status"
+              className="px-3 py-2 border border-slate-300 rounded-lg"
+            >
+              <option value="">Choose status...</option>
+              {BATCH_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {STATUS_ACTIONS[status].label} ({status})
+                </option>
+              ))}
+            </select>
+          )}
+
+          {action === "move" && (
+            <>
+              <label className="flex flex-col gap-1 text-slate-700">
+                New date
+                <input
+                  type="date"
+                  value={params.date || ""}
+                  onChange={(e) =>
+                    setParams({ ...params, date: e.target.value, time: "" })
+                  }
+                  className="px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-slate-700">
+                New time
+                <select
+                  value={params.time || ""}
+                  onChange={(e) =>
+                    setParams({ ...params, time: e.target.value })
+                  }
+                  className="px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Keep each booking's time</option>
+                  {getTimeSlots(settings, params.date || undefined).map(
+                    (time) => (
+                      <option key={time} value={time}>
+                        {time} {timeZoneLabel()}
+                      </option>
+                    )
+                  )}
+                </select>
+              </label>
+            </>
+          )}
+
+          {action === "table" && (
+            <select
+              value={params.tableNumber || ""}
+              onChange={(e) =>
+                setParams({ tableNumber: parseInt(e.target.value, 10) })
+              }
+              aria-label="Table"
+              className="px-3 py-2 border border-slate-300 rounded-lg"
+            >
+              <option value="">Choose table...</option>
+              {getActiveLocation().tables.map((table) => (
+                <option key={table.tableNumber} value={table.tableNumber}>
+                  Table {table.tableNumber} ({table.seats} seats)
+                </option>
+              ))}
+            </select>
+          )}
+
+          <button
+            onClick={handleRun}
+            disabled={!ready || Boolean(progress)}
+            className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+              action === "cancel"
+                ? "bg-red-600 hover:bg-red-700"
+                : "bg-amber-500 hover:bg-amber-600"
+            }`}
+          >
+            {BATCH_ACTIONS[action].label} {selectedCount} reservation
+            {selectedCount === 1 ? "" : "s"}
+          </button>
+        </div>
+      )}
+
+      {progress && (
+        <div className="space-y-1 text-sm text-slate-700">
+          <p>
+            Working... {progress.done} of {progress.total}
+          </p>
+          <div
+            className="h-2 bg-amber-100 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+          >
+            <div
+              className="h-full bg-amber-500 transition-all"
+              style={{
+                width: `${(progress.done / Math.max(progress.total, 1)) * 100}%`,
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="text-sm bg-white border border-slate-200 rounded-lg p-3">
+          <div className="flex items-start justify-between gap-3">
+            <p className="flex items-center gap-2 font-medium text-slate-900">
+              {problems.length === 0 ? (
+                <CheckCircle className="h-4 w-4 text-green-600" />
+              ) : (
+                <AlertCircle className="h-4 w-4 text-amber-600" />
+              )}
+              {result.label}: {result.succeeded.length} done
+              {result.skipped.length > 0 &&
+                `, ${result.skipped.length} skipped`}
+              {result.failed.length > 0 && `, ${result.failed.length} failed`}
+            </p>
+            <button
+              onClick={() => setResult(null)}
+              className="text-slate-400 hover:text-slate-600"
+              aria-label="Dismiss summary"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          {problems.length > 0 && (
+            <>
+              <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                {problems.map((item) => (
+                  <li
+                    key={item.reservation._id}
+                    className={item.failed ? "text-red-700" : "text-slate-600"}
+                  >
+                    {describe(item.reservation)}: {item.reason}
+                  </li>
+                ))}
+              </ul>
+              {result.failed.length > 0 && (
+                <p className="mt-2 text-slate-600">
+                  Failed rows are still selected, so you can try again.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,513 @@
+/**
+ * ============================================================================
+ * CALENDAR VIEW COMPONENT
+ * ============================================================================
+ *
+ * Month, week and day views of reservations, shown when
+ * config.features.enableCalendar is on.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Month view - Reservation count and covers per day
+ * ✅ Week view - Days × time slots grid with covers per slot
+ * ✅ Day view - Every slot of one day with its reservations
+ * ✅ Drill down - Click a day to open it in the day view
+ * ✅ Drag to reschedule - Drop a reservation on another day or slot
+ *
+ * DATA:
+ * -----
+ * Loads each visible day with reservationApi.list({ date }), the same
+ * /reservations?date= query the All Reservations tab uses.
+ *
+ * @module components/CalendarView
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ * @requires ../services/notifications
+ * @requires ../utils/dateTime
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { ChevronLeft, ChevronRight, Users } from "lucide-react";
+import {
+  createLatestRequest,
+  isAbortError,
+  reservationApi,
+} from "../services/api";
+import { confirmAction } from "../services/notifications";
+import {
+  addDays,
+  compareByTime,
+  formatDateLabel,
+  getMonthGrid,
+  getTimeSlots,
+  reservationDate,
+  startOfWeek,
+  todayDateString,
+} from "../utils/dateTime";
+
+// ==================== CONSTANTS ====================
+
+const VIEWS = ["month", "week", "day"];
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Statuses that still take up a table (count toward covers)
+const COUNTED_STATUSES = ["confirmed", "arrived", "seated", "completed"];
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Reservation count and covers for a list of reservations.
+ */
+const summarize = (reservations) => {
+  const counted = reservations.filter((res) =>
+    COUNTED_STATUSES.includes(res.status)
+  );
+  return {
+    count: counted.length,
+    covers: counted.reduce((sum, res) => sum + res.partySize, 0),
+  };
+};
+
+/**
+ * Dates that a view needs loaded, in order.
+ */
+const visibleDates = (view, cursor) => {
+  if (view === "day") return [cursor];
+  if (view === "week") {
+    const start = startOfWeek(cursor);
+    return WEEKDAYS.map((_, idx) => addDays(start, idx));
+  }
+  return getMonthGrid(cursor).flat();
+};
+
+/**
+ * ============================================================================
+ * CALENDAR VIEW
+ * ============================================================================
+ *
+ * @param {object} settings - Restaurant settings (time slots)
+ * @param {boolean} isOnline - Disables drag-to-reschedule while offline
+ * @param {Function} onError - Shared API error handler from the dashboard
+ * @param {Function} onEdit - Opens the edit modal for a reservation
+ * @param {Function} onReschedule - (reservation, { date, time }) saves the
+ *   move with the dashboard's outbox and undo; resolves true once saved
+ */
+export default function CalendarView({
+  settings,
+  isOnline,
+  onError,
+  onEdit,
+  onReschedule,
+}) {
+  // ==================== STATE MANAGEMENT ====================
+  const [view, setView] = useState("month");
+  const [cursor, setCursor] = useState(todayDateString());
+  const [byDate, setByDate] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [request] = useState(createLatestRequest);
+
+  const dates = visibleDates(view, cursor);
+  const rangeKey = `${dates[0]}:${dates[dates.length - 1]}`;
+
+  // ==================== API FUNCTIONS ====================
+  const fetchRange = useCallback(async () => {
+    const [first, last] = rangeKey.split(":");
+    const range = [];
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+      range.push(day);
+    }
+
+    const signal = request.next();
+    setLoading(true);
+    try {
+      console.log(`🗓️ Fetching calendar ${first} → ${last}...`);
+      const results = await Promise.all(
+        range.map((date) => reservationApi.list({ date }, { signal }))
+      );
+
+      const next = {};
+      range.forEach((date, idx) => {
+        next[date] = [...results[idx]].sort(compareByTime);
+      });
+      setByDate(next);
+      console.log(`✅ Loaded calendar for ${range.length} days`);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("❌ Error fetching calendar:", error);
+      onError(error, "Failed to fetch calendar");
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }, [rangeKey, onError, request]);
+
+  useEffect(() => {
+    if (isOnline) {
+      fetchRange();
+    }
+  }, [fetchRange, isOnline]);
+
+  // Paging quickly through months aborts the months skipped over
+  useEffect(() => () => request.abort(), [request]);
+
+  const handleReschedule = async (reservation, date, time) => {
+    const fromDate = reservationDate(reservation.date);
+    if (fromDate === date && reservation.time === time) return;
+
+    const confirmed = await confirmAction({
+      title: "Reschedule reservation?",
+      message: `Move ${reservation.name} (${
+        reservation.partySize
+      }) to ${formatDateLabel(date, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      })} at ${time}?`,
+      confirmLabel: "Move",
+    });
+    if (!confirmed) {
+      console.log("ℹ️ Reschedule aborted by user");
+      return;
+    }
+
+    console.log(
+      `🗓️ Rescheduling ${reservation.reservationId} to ${date} ${time}`
+    );
+    if (await onReschedule(reservation, { date, time })) {
+      fetchRange();
+    }
+  };
+
+  // ==================== NAVIGATION ====================
+  const step = (direction) => {
+    if (view === "day") return setCursor(addDays(cursor, direction));
+    if (view === "week") return setCursor(addDays(cursor, 7 * direction));
+
+    const [year, month] = cursor.split("-").map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + direction, 1));
+    setCursor(target.toISOString().split("T")[0]);
+  };
+
+  const openDay = (date) => {
+    console.log(`🗓️ Opening ${date}`);
+    setCursor(date);
+    setView("day");
+  };
+
+  const title =
+    view === "month"
+      ? formatDateLabel(cursor, { month: "long", year: "numeric" })
+      : view === "week"
+        ? `${formatDateLabel(dates[0], {
+            month: "short",
+            day: "numeric",
+          })} – ${formatDateLabel(dates[6], {
+            month: "short",
+            day: "numeric",
+            year: "numeric",
+          })}`
+        : formatDateLabel(cursor, {
+            weekday: "long",
+            month: "long",
+            day: "numeric",
+            year: "numeric",
+          });
+
+  // ==================== DRAG & DROP ====================
+  const findReservation = (id) =>
+    Object.values(byDate)
+      .flat()
+      .find((res) => res._id === id);
+
+  const dropProps = (key, date, time) => ({
+    onDragOver: (event) => {
+      if (!draggedId) return;
+      event.preventDefault();
+      setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (event) => {
+      event.preventDefault();
+      setDropTarget(null);
+
+      const reservation = findReservation(
+        event.dataTransfer.getData("text/plain") || draggedId
+      );
+      setDraggedId(null);
+
+      if (reservation) {
+        handleReschedule(reservation, date, time || reservation.time);
+      }
+    },
+  });
+
+  const renderChip = (reservation, detailed = false) => {
+    const canDrag = isOnline && reservation.status === "confirmed";
+
+    return (
+      <div
+        key={reservation._id}
+        draggable={canDrag}
+        onDragStart={(event) => {
+          event.stopPropagation();
+          event.dataTransfer.setData("text/plain", reservation._id);
+          event.dataTransfer.effectAllowed = "move";
+          setDraggedId(reservation._id);
+        }}
+        onDragEnd={() => {
+          setDraggedId(null);
+          setDropTarget(null);
+        }}
+        onClick={(event) => {
+          event.stopPropagation();
+          if (reservation.status === "confirmed") onEdit(reservation);
+        }}
+        className={`px-2 py-1 rounded text-xs truncate ${
+          COUNTED_STATUSES.includes(reservation.status)
+            ? "bg-amber-100 text-amber-900"
+            : "bg-slate-100 text-slate-500 line-through"
+        } ${canDrag ? "cursor-move hover:bg-amber-200" : ""} ${
+          draggedId === reservation._id ? "opacity-50" : ""
+        }`}
+        title={`${reservation.time} · ${reservation.name} · ${reservation.partySize} guests`}
+      >
+        {!detailed && (
+          <span className="font-semibold">{reservation.time} </span>
+        )}
+        {reservation.name} ({reservation.partySize})
+        {detailed && reservation.tableNumber && (
+          <span className="text-amber-700">
+            {" "}
+            · Table {reservation.tableNumber}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  const renderSummary = (reservations) => {
+    const { count, covers } = summarize(reservations);
+    if (count === 0) return null;
+
+    return (
+      <span className="flex items-center gap-1 text-xs text-slate-600">
+        {count} res · <Users className="h-3 w-3" /> {covers}
+      </span>
+    );
+  };
+
+  // ==================== VIEWS ====================
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 border-t border-l border-slate-200">
+      {WEEKDAYS.map((weekday) => (
+        <div
+          key={weekday}
+          className="px-2 py-2 text-xs font-medium text-slate-500 border-r border-b border-slate-200 bg-slate-50"
+        >
+          {weekday}
+        </div>
+      ))}
+      {dates.map((date) => {
+        const reservations = byDate[date] || [];
+        const inMonth = date.slice(0, 7) === cursor.slice(0, 7);
+
+        return (
+          <div
+            key={date}
+            onClick={() => openDay(date)}
+            {...dropProps(date, date)}
+            className={`min-h-[7rem] p-2 border-r border-b border-slate-200 cursor-pointer transition-colors ${
+              dropTarget === date
+                ? "bg-amber-50"
+                : inMonth
+                  ? "hover:bg-slate-50"
+                  : "bg-slate-50 text-slate-400"
+            }`}
+          >
+            <div className="flex items-center justify-between mb-1">
+              <span
+                className={`text-sm font-semibold ${
+                  date === todayDateString()
+                    ? "bg-amber-500 text-white rounded-full px-2"
+                    : ""
+                }`}
+              >
+                {Number(date.slice(8))}
+              </span>
+              {renderSummary(reservations)}
+            </div>
+            <div className="space-y-1">
+              {reservations.slice(0, 3).map((res) => renderChip(res))}
+              {reservations.length > 3 && (
+                <div className="text-xs text-slate-500">
+                  +{reservations.length - 3} more
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderWeek = () => {
+    const slots = getTimeSlots(settings);
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse text-sm">
+          <thead>
+            <tr>
+              <th className="w-24 border border-slate-200 bg-slate-50"></th>
+              {dates.map((date) => (
+                <th
+                  key={date}
+                  onClick={() => openDay(date)}
+                  className="border border-slate-200 bg-slate-50 px-2 py-2 cursor-pointer hover:bg-slate-100"
+                >
+                  <div className="font-medium text-slate-900">
+                    {formatDateLabel(date, {
+                      weekday: "short",
+                      day: "numeric",
+                    })}
+                  </div>
+                  <div className="flex justify-center">
+                    {renderSummary(byDate[date] || [])}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {slots.map((time) => (
+              <tr key={time}>
+                <td className="border border-slate-200 px-2 py-1 text-xs text-slate-500 whitespace-nowrap">
+                  {time}
+                </td>
+                {dates.map((date) => {
+                  const key = `${date} ${time}`;
+                  const offered = getTimeSlots(settings, date).includes(time);
+                  const reservations = (byDate[date] || []).filter(
+                    (res) => res.time === time
+                  );
+
+                  return (
+                    <td
+                      key={key}
+                      {...(offered ? dropProps(key, date, time) : {})}
+                      className={`border border-slate-200 p-1 align-top min-w-[8rem] ${
+                        dropTarget === key
+                          ? "bg-amber-50"
+                          : offered
+                            ? ""
+                            : "bg-slate-100"
+                      }`}
+                    >
+                      <div className="space-y-1">
+                        {reservations.map((res) => renderChip(res))}
+                      </div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderDay = () => {
+    const reservations = byDate[cursor] || [];
+
+    return (
+      <div className="divide-y divide-slate-200">
+        {getTimeSlots(settings, cursor).map((time) => {
+          const key = `${cursor} ${time}`;
+          const inSlot = reservations.filter((res) => res.time === time);
+
+          return (
+            <div
+              key={key}
+              {...dropProps(key, cursor, time)}
+              className={`flex items-start gap-4 px-6 py-3 ${
+                dropTarget === key ? "bg-amber-50" : ""
+              }`}
+            >
+              <div className="w-24 flex-shrink-0">
+                <div className="text-sm font-medium text-slate-900">{time}</div>
+                {renderSummary(inSlot)}
+              </div>
+              <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-2">
+                {inSlot.map((res) => renderChip(res, true))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // ==================== RENDER ====================
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => step(-1)}
+            className="p-2 rounded-lg text-slate-600 hover:bg-slate-200"
+            aria-label="Previous"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <button
+            onClick={() => setCursor(todayDateString())}
+            className="px-3 py-1 rounded-lg border border-slate-300 text-sm text-slate-700 hover:bg-white"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => step(1)}
+            className="p-2 rounded-lg text-slate-600 hover:bg-slate-200"
+            aria-label="Next"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+          <h2 className="text-xl font-semibold text-slate-900 ml-2">{title}</h2>
+        </div>
+
+        <div className="flex rounded-lg border border-slate-300 overflow-hidden">
+          {VIEWS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-4 py-1 text-sm capitalize transition-colors ${
+                view === option
+                  ? "bg-amber-500 text-white"
+                  : "bg-white text-slate-700 hover:bg-slate-50"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && Object.keys(byDate).length === 0 ? (
+        <div className="px-6 py-12 text-center text-slate-500">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4">Loading calendar...</p>
+        </div>
+      ) : (
+        <div className={loading ? "opacity-60" : ""}>
+          {view === "month" && renderMonth()}
+          {view === "week" && renderWeek()}
+          {view === "day" && renderDay()}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,298 @@
+/**
+ * ============================================================================
+ * CALL DETAILS DRAWER
+ * ============================================================================
+ *
+ * Slide-over panel showing the phone call behind a reservation: how it was
+ * booked, who called and when, the turn-by-turn transcript between the
+ * caller and the voice agent, and the call recording.
+ *
+ * Staff use it to settle "but I told the bot 8 people" disputes without
+ * leaving the dashboard.
+ *
+ * DATA:
+ * -----
+ * Loaded on open via reservationApi.getCall(reservation._id).
+ * A 404 means the booking did not come from a call (web or staff booking).
+ *
+ * @module components/CallDetailsDrawer
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ */
+
+import React, { useState, useEffect } from "react";
+import { Bot, Globe, PhoneIncoming, User, UserCog, X } from "lucide-react";
+import { isAbortError, reservationApi } from "../services/api";
+import { formatInstant, timeZoneLabel } from "../utils/dateTime";
+
+// ==================== CONSTANTS ====================
+
+/**
+ * Booking sources, keyed by the backend's `source` value.
+ */
+export const BOOKING_SOURCES = {
+  voice: {
+    label: "Voice agent",
+    icon: Bot,
+    className: "bg-purple-100 text-purple-800",
+  },
+  web: { label: "Web", icon: Globe, className: "bg-sky-100 text-sky-800" },
+  staff: {
+    label: "Staff",
+    icon: UserCog,
+    className: "bg-slate-100 text-slate-800",
+  },
+};
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Formats a duration in seconds as "m:ss".
+ */
+const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds)) return "—";
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+};
+
+const formatTimestamp = (timestamp) =>
+  timestamp
+    ? formatInstant(timestamp, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "—";
+
+/**
+ * True if a transcript turn was spoken by the voice agent.
+ * Accepts both "agent" and "assistant" speaker values.
+ */
+const isAgentTurn = (turn) =>
+  ["agent", "assistant", "bot"].includes((turn.speaker || "").toLowerCase());
+
+/**
+ * ============================================================================
+ * SOURCE BADGE
+ * ============================================================================
+ */
+export function SourceBadge({ source }) {
+  const details = BOOKING_SOURCES[source];
+  if (!details) return null;
+
+  const Icon = details.icon;
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${details.className}`}
+    >
+      <Icon className="h-3 w-3" />
+      {details.label}
+    </span>
+  );
+}
+
+/**
+ * ============================================================================
+ * CALL DETAILS DRAWER
+ * ============================================================================
+ *
+ * @param {object} reservation - Reservation whose call to show
+ * @param {Function} onClose - Closes the drawer
+ * @param {Function} onError - Shared API error handler from the dashboard
+ */
+export default function CallDetailsDrawer({ reservation, onClose, onError }) {
+  const [call, setCall] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchCall = async () => {
+      setLoading(true);
+      setNotFound(false);
+      try {
+        console.log(`📞 Fetching call for ${reservation.reservationId}...`);
+        const data = await reservationApi.getCall(reservation._id, {
+          signal: controller.signal,
+        });
+        setCall(data);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        if (error.status === 404) {
+          console.log("ℹ️ No call recorded for this reservation");
+          setNotFound(true);
+        } else {
+          console.error("❌ Error fetching call details:", error);
+          onError(error, "Failed to fetch call details");
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchCall();
+    return () => controller.abort();
+  }, [reservation._id, reservation.reservationId, onError]);
+
+  const source = (call && call.source) || reservation.source;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <aside
+        className="relative bg-white w-full max-w-lg h-full shadow-2xl flex flex-col"
+        role="dialog"
+        aria-label="Call details"
+      >
+        <div className="border-b border-slate-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">Call details</h2>
+            <p className="text-sm text-slate-600">
+              {reservation.name} · {reservation.reservationId}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+            aria-label="Close call details"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div className="flex items-center gap-2 text-sm text-slate-600">
+            <span>Booked via</span>
+            {source ? <SourceBadge source={source} /> : <span>unknown</span>}
+          </div>
+
+          {loading ? (
+            <div className="py-12 text-center text-slate-500">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+              <p className="mt-4">Loading call...</p>
+            </div>
+          ) : notFound || !call ? (
+            <div className="py-12 text-center text-slate-500">
+              <PhoneIncoming className="h-12 w-12 mx-auto mb-3 text-slate-300" />
+              <p>No call recorded for this reservation</p>
+            </div>
+          ) : (
+            <>
+              <dl className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <dt className="text-slate-500">Call time</dt>
+                  <dd className="font-medium text-slate-900">
+                    {formatTimestamp(call.startedAt)}{" "}
+                    <span className="text-slate-500 text-xs">
+                      {timeZoneLabel()}
+                    </span>
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Duration</dt>
+                  <dd className="font-medium text-slate-900">
+                    {formatDuration(call.durationSeconds)}
+                  </dd>
+                </div>
+                <div className="col-span-2">
+                  <dt className="text-slate-500">Caller</dt>
+                  <dd className="font-medium text-slate-900">
+                    {call.callerNumber ? (
+                      <a
+                        href={`tel:${call.callerNumber}`}
+                        className="hover:underline"
+                      >
+                        {call.callerNumber}
+                      </a>
+                    ) : (
+                      "Unknown number"
+                    )}
+                  </dd>
+                </div>
+              </dl>
+
+              <div>
+                <h3 className="text-sm font-medium text-slate-700 mb-2">
+                  Recording
+                </h3>
+                {call.recordingUrl ? (
+                  <audio
+                    controls
+                    preload="none"
+                    src={call.recordingUrl}
+                    className="w-full"
+                  >
+                    Your browser does not support audio playback.
+                  </audio>
+                ) : (
+                  <p className="text-sm text-slate-500">
+                    No recording available
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-medium text-slate-700 mb-2">
+                  Transcript
+                </h3>
+                {!call.transcript || call.transcript.length === 0 ? (
+                  <p className="text-sm text-slate-500">
+                    No transcript available
+                  </p>
+                ) : (
+                  <ol className="space-y-3">
+                    {call.transcript.map((turn, idx) => {
+                      const fromAgent = isAgentTurn(turn);
+                      return (
+                        <li
+                          key={idx}
+                          className={`flex gap-2 ${
+                            fromAgent ? "" : "flex-row-reverse text-right"
+                          }`}
+                        >
+                          <div
+                            className={`p-2 rounded-full h-8 w-8 flex-shrink-0 ${
+                              fromAgent
+                                ? "bg-purple-100 text-purple-700"
+                                : "bg-amber-100 text-amber-700"
+                            }`}
+                          >
+                            {fromAgent ? (
+                              <Bot className="h-4 w-4" />
+                            ) : (
+                              <User className="h-4 w-4" />
+                            )}
+                          </div>
+                          <div
+                            className={`rounded-lg px-3 py-2 text-sm max-w-[80%] ${
+                              fromAgent
+                                ? "bg-slate-100 text-slate-800"
+                                : "bg-amber-50 text-slate-800"
+                            }`}
+                          >
+                            <p className="text-xs font-semibold text-slate-500 mb-1">
+                              {fromAgent ? "Voice agent" : "Caller"}
+                            </p>
+                            <p>{turn.text}</p>
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ol>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
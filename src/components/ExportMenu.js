@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * EXPORT MENU
+ * ============================================================================
+ *
+ * "Export" dropdown for a reservation list: CSV (staff pick the columns),
+ * an .ics calendar file, or a printed run sheet grouped by time slot.
+ * Everything is generated in the browser from the list the parent loads.
+ *
+ * PRINTING:
+ * ---------
+ * The run sheet is rendered into document.body (outside the dashboard) and
+ * only shown in print; the dashboard root carries `print:hidden`, so the
+ * printout is just the sheet.
+ *
+ * @module components/ExportMenu
+ * @requires react
+ * @requires lucide-react
+ * @requires ../utils/exports
+ */
+
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  CalendarPlus,
+  ChevronDown,
+  Download,
+  FileSpreadsheet,
+  Printer,
+} from "lucide-react";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  buildRunSheet,
+  downloadFile,
+  toCsv,
+  toICalendar,
+} from "../utils/exports";
+import {
+  formatDateLabel,
+  reservationDate,
+  timeZoneLabel,
+} from "../utils/dateTime";
+import { formatPhone } from "../utils/phone";
+
+// ==================== CONSTANTS ====================
+
+// Chosen CSV columns are remembered per device
+const COLUMNS_STORAGE_KEY = "exportColumns";
+
+const readStoredColumns = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_STORAGE_KEY));
+    return Array.isArray(stored) && stored.length > 0
+      ? stored
+      : DEFAULT_EXPORT_COLUMNS;
+  } catch (error) {
+    return DEFAULT_EXPORT_COLUMNS;
+  }
+};
+
+// ==================== RUN SHEET ====================
+
+/**
+ * Print layout: one section per date (each on its own page), one block per
+ * time slot with table, party size, guest and special requests.
+ */
+function RunSheet({ title, reservations }) {
+  const dates = [
+    ...new Set(reservations.map((res) => reservationDate(res.date))),
+  ].sort();
+
+  return (
+    <div className="text-black text-sm">
+      {dates.map((date) => {
+        const slots = buildRunSheet(
+          reservations.filter((res) => reservationDate(res.date) === date)
+        );
+        const covers = slots.reduce((sum, slot) => sum + slot.covers, 0);
+
+        return (
+          <section key={date} className="break-after-page">
+            <header className="flex items-baseline justify-between border-b-2 border-black pb-2 mb-4">
+              <div>
+                <h1 className="text-2xl font-bold">{title}</h1>
+                <p>{formatDateLabel(date)}</p>
+              </div>
+              <p className="font-semibold">
+                {slots.reduce((sum, slot) => sum + slot.reservations.length, 0)}{" "}
+                bookings · {covers} covers
+              </p>
+            </header>
+
+            {slots.length === 0 && <p>No bookings.</p>}
+
+            {slots.map((slot) => (
+              <div key={slot.time} className="mb-4 break-inside-avoid">
+                <h2 className="font-bold border-b border-black mb-1">
+                  {slot.time} {timeZoneLabel()} · {slot.covers} covers
+                </h2>
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left text-xs uppercase">
+                      <th className="w-16 py-1">Table</th>
+                      <th className="w-16 py-1">Party</th>
+                      <th className="py-1">Guest</th>
+                      <th className="py-1">Special requests</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {slot.reservations.map((res) => (
+                      <tr key={res._id} className="border-t border-gray-300">
+                        <td className="py-1 font-semibold">
+                          {res.tableNumber || "—"}
+                        </td>
+                        <td className="py-1">{res.partySize}</td>
+                        <td className="py-1">
+                          {res.name}
+                          <span className="text-xs">
+                            {" "}
+                            · {formatPhone(res.phone)}
+                            {res.status !== "confirmed" && ` · ${res.status}`}
+                          </span>
+                        </td>
+                        <td className="py-1">
+                          {(res.specialRequests || []).join(", ")}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * @param {Object} props
+ * @param {string} props.title - Heading on the run sheet / calendar name
+ * @param {string} props.filename - File name without extension
+ * @param {Function} props.loadReservations - Resolves to the reservations
+ *   to export (the current filters, every page)
+ * @param {Function} props.onError - Shared API error handler from the dashboard
+ */
+export default function ExportMenu({
+  title,
+  filename,
+  loadReservations,
+  onError,
+}) {
+  const [open, setOpen] = useState(false);
+  const [columns, setColumns] = useState(readStoredColumns);
+  const [busy, setBusy] = useState(false);
+  const [printJob, setPrintJob] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(COLUMNS_STORAGE_KEY, JSON.stringify(columns));
+  }, [columns]);
+
+  // Print once the sheet is in the DOM; drop it when the dialog closes
+  useEffect(() => {
+    if (!printJob) return;
+
+    const handleAfterPrint = () => setPrintJob(null);
+    window.addEventListener("afterprint", handleAfterPrint);
+    window.print();
+
+    return () => window.removeEventListener("afterprint", handleAfterPrint);
+  }, [printJob]);
+
+  const toggleColumn = (key) =>
+    setColumns((current) =>
+      current.includes(key)
+        ? current.filter((item) => item !== key)
+        : [...current, key]
+    );
+
+  const runExport = async (format) => {
+    setBusy(true);
+    try {
+      console.log(`📤 Exporting ${title} as ${format}...`);
+      const reservations = await loadReservations();
+
+      if (format === "csv") {
+        downloadFile(
+          `${filename}.csv`,
+          toCsv(reservations, columns),
+          "text/csv;charset=utf-8"
+        );
+      } else if (format === "ics") {
+        downloadFile(
+          `${filename}.ics`,
+          toICalendar(reservations, { calendarName: title }),
+          "text/calendar;charset=utf-8"
+        );
+      } else {
+        setPrintJob({ reservations });
+      }
+
+      console.log(`✅ Exported ${reservations.length} reservations`);
+      setOpen(false);
+    } catch (error) {
+      console.error("❌ Error exporting reservations:", error);
+      onError(error, "Failed to export reservations");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy}
+        className="flex items-center gap-2 px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50"
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        <Download className="h-4 w-4" />
+        {busy ? "Exporting..." : "Export"}
+        <ChevronDown className="h-4 w-4" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border border-slate-200 rounded-lg shadow-xl z-20 p-3 space-y-3">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">
+              CSV columns
+            </p>
+            <div className="grid grid-cols-2 gap-1">
+              {EXPORT_COLUMNS.map((column) => (
+                <label
+                  key={column.key}
+                  className="flex items-center gap-2 text-sm text-slate-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="border-t border-slate-200 pt-3 space-y-1">
+            <button
+              onClick={() => runExport("csv")}
+              disabled={busy || columns.length === 0}
+              className="w-full flex items-center gap-2 px-2 py-2 text-sm rounded hover:bg-slate-100 disabled:opacity-50"
+            >
+              <FileSpreadsheet className="h-4 w-4 text-green-600" />
+              Download CSV
+            </button>
+            <button
+              onClick={() => runExport("ics")}
+              disabled={busy}
+              className="w-full flex items-center gap-2 px-2 py-2 text-sm rounded hover:bg-slate-100 disabled:opacity-50"
+            >
+              <CalendarPlus className="h-4 w-4 text-blue-600" />
+              Download calendar (.ics)
+            </button>
+            <button
+              onClick={() => runExport("print")}
+              disabled={busy}
+              className="w-full flex items-center gap-2 px-2 py-2 text-sm rounded hover:bg-slate-100 disabled:opacity-50"
+            >
+              <Printer className="h-4 w-4 text-slate-600" />
+              Print run sheet
+            </button>
+          </div>
+        </div>
+      )}
+
+      {printJob &&
+        createPortal(
+          <div className="hidden print:block p-8">
+            <RunSheet title={title} reservations={printJob.reservations} />
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,406 @@
+/**
+ * ============================================================================
+ * FLOOR PLAN COMPONENT - TABLE ASSIGNMENT VIEW
+ * ============================================================================
+ *
+ * Visual dining room layout for hosts. Shows every table of the active
+ * location (its `tables`, see services/locations) with its seat count,
+ * places the reservations for the chosen date/time slot on their tables,
+ * and lets hosts reseat a party by dragging it onto another table.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Configurable layout - Tables and seats come from the location's config
+ * ✅ Slot view - Pick a date and time slot to see who is seated where
+ * ✅ Drag & drop - Drop a party on a table to reassign it
+ * ✅ Conflict warnings - Over-capacity and double-booked tables are flagged
+ *
+ * SLOT MATCHING:
+ * --------------
+ * A party holds its table for config.SEATING_DURATION_MINUTES, so a 7:00 PM
+ * booking still shows on its table when looking at the 7:30 PM slot.
+ *
+ * @module components/FloorPlan
+ * @requires react
+ * @requires lucide-react
+ * @requires ../config
+ * @requires ../services/api
+ * @requires ../services/locations
+ * @requires ../services/notifications
+ * @requires ../utils/dateTime
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Users, Clock, AlertCircle } from "lucide-react";
+import {
+  createLatestRequest,
+  isAbortError,
+  reservationApi,
+} from "../services/api";
+import config from "../config";
+import { getActiveLocation } from "../services/locations";
+import { confirmAction } from "../services/notifications";
+import {
+  getTimeSlots,
+  restaurantMinutes,
+  timeSlotToMinutes,
+  timeZoneLabel,
+  todayDateString,
+} from "../utils/dateTime";
+
+// ==================== UTILITY FUNCTIONS ====================
+
+// Parties that still hold (or will hold) their table
+const ACTIVE_STATUSES = ["confirmed", "arrived", "seated"];
+
+/**
+ * True if the reservation is still at its table during the given slot.
+ */
+const isSeatedDuringSlot = (reservation, slot) => {
+  const start = timeSlotToMinutes(reservation.time);
+  const slotStart = timeSlotToMinutes(slot);
+  if (start === null || slotStart === null) return false;
+
+  return (
+    slotStart >= start && slotStart < start + config.SEATING_DURATION_MINUTES
+  );
+};
+
+/**
+ * The slot under way now when looking at today, else the day's first slot.
+ */
+const defaultSlot = (slots, date, now = new Date()) => {
+  if (date === todayDateString()) {
+    const current = restaurantMinutes(now);
+    const started = slots.filter((slot) => timeSlotToMinutes(slot) <= current);
+    if (started.length > 0) return started[started.length - 1];
+  }
+  return slots[0] || "";
+};
+
+/**
+ * ============================================================================
+ * FLOOR PLAN
+ * ============================================================================
+ *
+ * @param {object} settings - Restaurant settings (service hours for slots)
+ * @param {boolean} isOnline - Disables dragging while offline
+ * @param {boolean} canReassign - False for staff who may only view the floor
+ * @param {Function} onError - Shared API error handler from the dashboard
+ * @param {Function} onAssignTable - (reservation, { tableNumber }) saves the
+ *   move with the dashboard's outbox and undo; resolves true once saved
+ */
+export default function FloorPlan({
+  settings,
+  isOnline,
+  canReassign = true,
+  onError,
+  onAssignTable,
+}) {
+  // ==================== STATE MANAGEMENT ====================
+  const [selectedDate, setSelectedDate] = useState(todayDateString());
+  // null until picked: follows the day's slots (see defaultSlot)
+  const [pickedTime, setPickedTime] = useState(null);
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [request] = useState(createLatestRequest);
+
+  // ==================== API FUNCTIONS ====================
+  const fetchFloorReservations = useCallback(async () => {
+    const signal = request.next();
+    setLoading(true);
+    try {
+      console.log(`🪑 Fetching floor reservations for ${selectedDate}...`);
+      const data = await reservationApi.list(
+        { date: selectedDate },
+        { signal }
+      );
+      setReservations(data);
+      console.log(`✅ Loaded ${data.length} reservations for floor plan`);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("❌ Error fetching floor reservations:", error);
+      onError(error, "Failed to fetch reservations for floor plan");
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }, [selectedDate, onError, request]);
+
+  useEffect(() => {
+    if (isOnline) {
+      fetchFloorReservations();
+    }
+  }, [fetchFloorReservations, isOnline]);
+
+  // Drop any request still in flight when the tab closes
+  useEffect(() => () => request.abort(), [request]);
+
+  const handleAssignTable = async (reservation, table) => {
+    if (reservation.tableNumber === table.tableNumber) return;
+
+    const occupants = seatedAt(table.tableNumber).filter(
+      (res) => res._id !== reservation._id
+    );
+
+    if (
+      occupants.length > 0 &&
+      !(await confirmAction({
+        title: `Table ${table.tableNumber} is taken`,
+        message: `${occupants.map((res) => res.name).join(", ")} already ${
+          occupants.length === 1 ? "has" : "have"
+        } this table. Seat ${reservation.name} there anyway?`,
+        confirmLabel: "Seat anyway",
+      }))
+    ) {
+      console.log("ℹ️ Table reassignment aborted by user");
+      return;
+    }
+
+    if (
+      reservation.partySize > table.seats &&
+      !(await confirmAction({
+        title: "Table too small",
+        message: `Table ${table.tableNumber} only seats ${table.seats} but the party has ${reservation.partySize} guests. Continue?`,
+        confirmLabel: "Seat anyway",
+      }))
+    ) {
+      console.log("ℹ️ Table reassignment aborted by user");
+      return;
+    }
+
+    const previousTable = reservation.tableNumber;
+    const updateTable = (tableNumber) =>
+      setReservations((current) =>
+        current.map((res) =>
+          res._id === reservation._id ? { ...res, tableNumber } : res
+        )
+      );
+
+    console.log(
+      `🪑 Moving ${reservation.reservationId} to table ${table.tableNumber}`
+    );
+    updateTable(table.tableNumber);
+
+    if (
+      !(await onAssignTable(reservation, { tableNumber: table.tableNumber }))
+    ) {
+      updateTable(previousTable);
+    }
+  };
+
+  // ==================== DERIVED DATA ====================
+  const timeSlots = getTimeSlots(settings, selectedDate);
+  const selectedTime = timeSlots.includes(pickedTime)
+    ? pickedTime
+    : defaultSlot(timeSlots, selectedDate);
+
+  const slotReservations = reservations.filter(
+    (res) =>
+      ACTIVE_STATUSES.includes(res.status) &&
+      isSeatedDuringSlot(res, selectedTime)
+  );
+
+  const seatedAt = (tableNumber) =>
+    slotReservations.filter((res) => res.tableNumber === tableNumber);
+
+  const { tables } = getActiveLocation();
+  const knownTables = new Set(tables.map((table) => table.tableNumber));
+  const unassigned = slotReservations.filter(
+    (res) => !knownTables.has(res.tableNumber)
+  );
+
+  const columns = Math.max(...tables.map((t) => t.col || 1));
+
+  // ==================== DRAG & DROP ====================
+  const handleDrop = (event, table) => {
+    event.preventDefault();
+    setDropTarget(null);
+
+    const id = event.dataTransfer.getData("text/plain") || draggedId;
+    const reservation = slotReservations.find((res) => res._id === id);
+    setDraggedId(null);
+
+    if (reservation) {
+      handleAssignTable(reservation, table);
+    }
+  };
+
+  const renderParty = (reservation) => {
+    const canDrag =
+      canReassign && isOnline && ACTIVE_STATUSES.includes(reservation.status);
+
+    return (
+      <div
+        key={reservation._id}
+        draggable={canDrag}
+        onDragStart={(event) => {
+          event.dataTransfer.setData("text/plain", reservation._id);
+          event.dataTransfer.effectAllowed = "move";
+          setDraggedId(reservation._id);
+        }}
+        onDragEnd={() => {
+          setDraggedId(null);
+          setDropTarget(null);
+        }}
+        className={`px-2 py-1 rounded-lg text-xs bg-amber-100 text-amber-900 ${
+          canDrag ? "cursor-move hover:bg-amber-200" : "opacity-75"
+        } ${draggedId === reservation._id ? "opacity-50" : ""}`}
+        title={
+          canReassign
+            ? `${reservation.reservationId} - drag to another table`
+            : reservation.reservationId
+        }
+      >
+        <div className="font-semibold truncate">{reservation.name}</div>
+        <div className="flex items-center gap-2 text-amber-800">
+          <span className="flex items-center gap-1">
+            <Users className="h-3 w-3" />
+            {reservation.partySize}
+          </span>
+          <span className="flex items-center gap-1">
+            <Clock className="h-3 w-3" />
+            {reservation.time}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  // ==================== RENDER ====================
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Date
+            </label>
+            <input
+              type="date"
+              value={selectedDate}
+              onChange={(e) => setSelectedDate(e.target.value)}
+              className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Time Slot{" "}
+              <span className="text-slate-500">
+                ({timeZoneLabel({ long: true })})
+              </span>
+            </label>
+            <select
+              value={selectedTime}
+              onChange={(e) => setPickedTime(e.target.value)}
+              className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            >
+              {timeSlots.map((time) => (
+                <option key={time} value={time}>
+                  {time}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex items-end text-sm text-slate-600">
+            {slotReservations.length} parties seated ·{" "}
+            {slotReservations.reduce((sum, res) => sum + res.partySize, 0)}{" "}
+            guests
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100">
+          <h2 className="text-xl font-semibold text-slate-900">Floor Plan</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            Drag a party onto a table to reseat it
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="px-6 py-12 text-center text-slate-500">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+            <p className="mt-4">Loading floor plan...</p>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div
+              className="grid gap-4"
+              style={{
+                gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+              }}
+            >
+              {tables.map((table) => {
+                const occupants = seatedAt(table.tableNumber);
+                const guests = occupants.reduce(
+                  (sum, res) => sum + res.partySize,
+                  0
+                );
+                const overCapacity = guests > table.seats;
+                const doubleBooked = occupants.length > 1;
+
+                return (
+                  <div
+                    key={table.tableNumber}
+                    style={{ gridRow: table.row, gridColumn: table.col }}
+                    onDragOver={(event) => {
+                      if (!draggedId) return;
+                      event.preventDefault();
+                      setDropTarget(table.tableNumber);
+                    }}
+                    onDragLeave={() => setDropTarget(null)}
+                    onDrop={(event) => handleDrop(event, table)}
+                    className={`min-h-[8rem] rounded-xl border-2 p-3 transition-colors ${
+                      dropTarget === table.tableNumber
+                        ? "border-amber-500 bg-amber-50"
+                        : overCapacity || doubleBooked
+                          ? "border-red-300 bg-red-50"
+                          : occupants.length > 0
+                            ? "border-blue-300 bg-blue-50"
+                            : "border-dashed border-slate-300 bg-slate-50"
+                    }`}
+                  >
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="font-semibold text-slate-900">
+                        Table {table.tableNumber}
+                      </span>
+                      <span className="text-xs text-slate-500">
+                        {guests}/{table.seats} seats
+                      </span>
+                    </div>
+
+                    <div className="space-y-2">
+                      {occupants.map(renderParty)}
+                    </div>
+
+                    {(overCapacity || doubleBooked) && (
+                      <div className="flex items-center gap-1 mt-2 text-xs text-red-700">
+                        <AlertCircle className="h-3 w-3" />
+                        {doubleBooked ? "Double booked" : "Over capacity"}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {unassigned.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-slate-700 mb-2">
+                  Unassigned ({unassigned.length})
+                </h3>
+                <div className="flex flex-wrap gap-2">
+                  {unassigned.map(renderParty)}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
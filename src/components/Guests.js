@@ -0,0 +1,374 @@
+/**
+ * ============================================================================
+ * GUESTS COMPONENT - RETURNING GUEST PROFILES
+ * ============================================================================
+ *
+ * One row per guest (grouped by phone number) with their visit record, and
+ * a detail panel where staff keep notes and tags like VIP or Allergy.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Visit count, no-shows, last visit and typical party size
+ * ✅ Special requests the guest makes again and again
+ * ✅ Staff notes and tags, saved per phone number
+ * ✅ Search by name or phone, paged on the server
+ *
+ * DATA FLOW:
+ * ----------
+ * The backend builds the profiles (guestApi.profiles) and the dashboard
+ * owns the API calls; this component renders one page and reports search,
+ * page and note/tag changes.
+ *
+ * @module components/Guests
+ * @requires react
+ * @requires lucide-react
+ * @requires ../utils/guests
+ * @requires ../utils/phone
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Search,
+  Star,
+  Tag,
+  UserCheck,
+  Users,
+} from "lucide-react";
+import { reservationDate } from "../utils/dateTime";
+import { GUEST_TAGS } from "../utils/guests";
+import { formatPhone } from "../utils/phone";
+
+// Pause in typing before a search is sent
+const SEARCH_DELAY_MS = 300;
+
+// ==================== GUEST SUMMARY ====================
+
+/**
+ * Compact profile shown inline while booking a known guest.
+ *
+ * @param {object} guest - Profile from guestApi.profiles
+ */
+export function GuestSummary({ guest }) {
+  return (
+    <div className="p-3 rounded-lg bg-sky-50 border border-sky-200 text-sm text-sky-900">
+      <p className="flex flex-wrap items-center gap-2 font-semibold">
+        <UserCheck className="h-4 w-4" />
+        Returning guest: {guest.name}
+        {guest.tags.map((tag) => (
+          <TagBadge key={tag} tag={tag} />
+        ))}
+      </p>
+      <p className="mt-1">
+        {guest.visits} {guest.visits === 1 ? "visit" : "visits"}
+        {guest.lastVisit && ` · last ${guest.lastVisit}`}
+        {guest.typicalPartySize && ` · usually ${guest.typicalPartySize}`}
+        {guest.noShows > 0 && (
+          <span className="text-red-700 font-medium">
+            {" "}
+            · {guest.noShows} no-show{guest.noShows === 1 ? "" : "s"}
+          </span>
+        )}
+      </p>
+      {guest.recurringRequests.length > 0 && (
+        <p className="mt-1">
+          Often asks for:{" "}
+          {guest.recurringRequests.map((entry) => entry.request).join(", ")}
+        </p>
+      )}
+      {guest.notes && <p className="mt-1 italic">“{guest.notes}”</p>}
+    </div>
+  );
+}
+
+function TagBadge({ tag }) {
+  const highlighted = tag === "VIP" || tag === "Allergy";
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+        highlighted ? "bg-red-100 text-red-800" : "bg-slate-100 text-slate-700"
+      }`}
+    >
+      {tag === "VIP" ? (
+        <Star className="h-3 w-3" />
+      ) : (
+        <Tag className="h-3 w-3" />
+      )}
+      {tag}
+    </span>
+  );
+}
+
+/**
+ * ============================================================================
+ * GUEST DETAIL
+ * ============================================================================
+ */
+function GuestDetail({ guest, isOnline, onSave }) {
+  const [notes, setNotes] = useState(guest.notes);
+  const [tags, setTags] = useState(guest.tags);
+  const [saving, setSaving] = useState(false);
+
+  const dirty =
+    notes !== guest.notes || tags.join("|") !== guest.tags.join("|");
+
+  const toggleTag = (tag) =>
+    setTags(
+      tags.includes(tag) ? tags.filter((item) => item !== tag) : [...tags, tag]
+    );
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(guest, { notes: notes.trim(), tags });
+    setSaving(false);
+  };
+
+  return (
+    <div className="px-6 py-4 bg-slate-50 grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="space-y-3 text-sm">
+        <dl className="grid grid-cols-2 gap-3">
+          <div>
+            <dt className="text-slate-500">Cancellations</dt>
+            <dd className="font-medium text-slate-900">
+              {guest.cancellations}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-slate-500">Upcoming</dt>
+            <dd className="font-medium text-slate-900">{guest.upcoming}</dd>
+          </div>
+          <div className="col-span-2">
+            <dt className="text-slate-500">Email</dt>
+            <dd className="font-medium text-slate-900">{guest.email || "—"}</dd>
+          </div>
+          <div className="col-span-2">
+            <dt className="text-slate-500">Recurring requests</dt>
+            <dd className="font-medium text-slate-900">
+              {guest.recurringRequests.length > 0
+                ? guest.recurringRequests
+                    .map((entry) => `${entry.request} (${entry.count}×)`)
+                    .join(", ")
+                : "—"}
+            </dd>
+          </div>
+        </dl>
+
+        <div>
+          <p className="text-slate-500 mb-1">Recent bookings</p>
+          <ul className="space-y-1">
+            {guest.reservations.slice(0, 5).map((reservation) => (
+              <li key={reservation._id} className="text-slate-700">
+                {reservationDate(reservation.date)} {reservation.time} ·{" "}
+                {reservation.partySize} guests ·{" "}
+                <span className="text-slate-500">{reservation.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <p className="text-sm font-medium text-slate-700 mb-2">Tags</p>
+          <div className="flex flex-wrap gap-2">
+            {GUEST_TAGS.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => toggleTag(tag)}
+                className={`px-3 py-1 text-sm rounded-full transition-colors ${
+                  tags.includes(tag)
+                    ? "bg-amber-500 text-white"
+                    : "bg-white border border-slate-300 text-slate-700 hover:bg-slate-100"
+                }`}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">
+            Staff notes
+          </label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={3}
+            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            placeholder="Severe nut allergy, prefers booth..."
+          />
+        </div>
+
+        <button
+          onClick={handleSave}
+          disabled={!isOnline || saving || !dirty}
+          className={`px-6 py-2 rounded-lg transition-colors ${
+            isOnline && !saving && dirty
+              ? "bg-amber-500 text-white hover:bg-amber-600"
+              : "bg-gray-300 text-gray-500 cursor-not-allowed"
+          }`}
+        >
+          {saving ? "Saving..." : "Save Notes"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ============================================================================
+ * GUESTS
+ * ============================================================================
+ *
+ * @param {Array} guests - One page of profiles from guestApi.profiles
+ * @param {boolean} loading - Shows a spinner instead of the list
+ * @param {object} query - { search, page, pageSize } the page was loaded for
+ * @param {object} pageInfo - { total, totalPages }
+ * @param {boolean} isOnline - Disables saving and paging while offline
+ * @param {Function} onQueryChange - Called with changes to the query
+ * @param {Function} onSave - Called with (guest, { notes, tags })
+ */
+export default function Guests({
+  guests,
+  loading,
+  query,
+  pageInfo,
+  isOnline,
+  onQueryChange,
+  onSave,
+}) {
+  const [search, setSearch] = useState(query.search);
+  const [expandedPhone, setExpandedPhone] = useState(null);
+
+  // Searches once typing pauses, from the first page
+  useEffect(() => {
+    if (search === query.search) return;
+    const timer = setTimeout(
+      () => onQueryChange({ search, page: 1 }),
+      SEARCH_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [search, query.search, onQueryChange]);
+
+  // ==================== RENDER ====================
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold text-slate-900">
+          Guests ({pageInfo.total})
+        </h2>
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name or phone..."
+            className="pl-9 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="px-6 py-12 text-center text-slate-500">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4">Loading guests...</p>
+        </div>
+      ) : guests.length === 0 ? (
+        <div className="px-6 py-12 text-center text-slate-500">
+          <Users className="h-12 w-12 mx-auto mb-3 text-slate-300" />
+          <p>No guests found</p>
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-200">
+              <th className="px-6 py-3 font-medium">Guest</th>
+              <th className="px-3 py-3 font-medium">Visits</th>
+              <th className="px-3 py-3 font-medium">No-shows</th>
+              <th className="px-3 py-3 font-medium">Last visit</th>
+              <th className="px-3 py-3 font-medium">Usual party</th>
+            </tr>
+          </thead>
+          {guests.map((guest) => (
+            <tbody key={guest.phone} className="border-b border-slate-200">
+              <tr
+                onClick={() =>
+                  setExpandedPhone(
+                    expandedPhone === guest.phone ? null : guest.phone
+                  )
+                }
+                className="cursor-pointer hover:bg-slate-50"
+              >
+                <td className="px-6 py-3">
+                  <div className="flex flex-wrap items-center gap-2 font-medium text-slate-900">
+                    {guest.name}
+                    {guest.tags.map((tag) => (
+                      <TagBadge key={tag} tag={tag} />
+                    ))}
+                  </div>
+                  <div className="text-slate-500">
+                    {formatPhone(guest.displayPhone)}
+                  </div>
+                </td>
+                <td className="px-3 py-3 text-slate-900">{guest.visits}</td>
+                <td
+                  className={`px-3 py-3 ${
+                    guest.noShows > 0 ? "text-red-700 font-medium" : ""
+                  }`}
+                >
+                  {guest.noShows}
+                </td>
+                <td className="px-3 py-3 text-slate-700">
+                  {guest.lastVisit || "—"}
+                </td>
+                <td className="px-3 py-3 text-slate-700">
+                  {guest.typicalPartySize || "—"}
+                </td>
+              </tr>
+              {expandedPhone === guest.phone && (
+                <tr>
+                  <td colSpan={5} className="p-0">
+                    <GuestDetail
+                      guest={guest}
+                      isOnline={isOnline}
+                      onSave={onSave}
+                    />
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          ))}
+        </table>
+      )}
+
+      {pageInfo.totalPages > 1 && (
+        <div className="px-6 py-4 border-t border-slate-200 flex items-center justify-end gap-2 text-sm text-slate-600">
+          <button
+            onClick={() => onQueryChange({ page: query.page - 1 })}
+            disabled={!isOnline || loading || query.page <= 1}
+            className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+            aria-label="Previous page"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <span>
+            Page {query.page} of {pageInfo.totalPages}
+          </span>
+          <button
+            onClick={() => onQueryChange({ page: query.page + 1 })}
+            disabled={!isOnline || loading || query.page >= pageInfo.totalPages}
+            className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+            aria-label="Next page"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,489 @@
+/**
+ * ============================================================================
+ * IMPORT WIZARD
+ * ============================================================================
+ *
+ * Bulk-creates reservations from a CSV file (old booking system exports,
+ * private-event spreadsheets) instead of typing them into ReservationForm.
+ *
+ * STEPS:
+ * ------
+ * 1. Upload   - Pick a .csv file; the first row must be headers
+ * 2. Map      - Match columns to reservation fields (guessed from headers)
+ * 3. Preview  - Rows checked with the form's rules; duplicates and
+ *               over-capacity slots are flagged and skipped unless included
+ * 4. Import   - Rows are created one at a time via POST /reservations
+ * 5. Done     - Summary and a CSV report of every row not imported
+ *
+ * @module components/ImportWizard
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ * @requires ../utils/imports
+ * @requires ../utils/validation
+ */
+
+import React, { useRef, useState } from "react";
+import {
+  AlertCircle,
+  CheckCircle,
+  Download,
+  FileSpreadsheet,
+  Upload,
+  XCircle,
+} from "lucide-react";
+import { api, reservationApi } from "../services/api";
+import { downloadFile } from "../utils/exports";
+import {
+  IMPORT_FIELDS,
+  buildImportRows,
+  flagConflicts,
+  guessColumnMapping,
+  importErrorReport,
+  parseCsv,
+} from "../utils/imports";
+import { toE164 } from "../utils/phone";
+import { errorMessage } from "../utils/validation";
+
+// ==================== UTILITY FUNCTIONS ====================
+
+const isValidRow = (row) => Object.keys(row.errors).length === 0;
+
+const rowMessages = (row) => [
+  ...Object.values(row.errors).map(errorMessage),
+  ...row.warnings,
+];
+
+/**
+ * Remaining covers per date and slot, for flagConflicts. Dates whose
+ * availability can't be loaded are left out (not checked).
+ */
+const loadCapacity = async (dates) => {
+  const capacity = {};
+
+  await Promise.all(
+    dates.map(async (date) => {
+      try {
+        const slots = await reservationApi.getAvailability({
+          date,
+          partySize: 1,
+        });
+        capacity[date] = Object.fromEntries(
+          slots
+            .filter((slot) => typeof slot.remainingCovers === "number")
+            .map((slot) => [slot.time, slot.remainingCovers])
+        );
+      } catch (error) {
+        console.warn(`⚠️ Capacity for ${date} unavailable:`, error.message);
+      }
+    })
+  );
+
+  return capacity;
+};
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * @param {Object} props
+ * @param {Object} props.settings - Restaurant settings (for validation)
+ * @param {boolean} props.isOnline - Imports need a connection
+ * @param {Function} props.onImported - Called after rows were created
+ * @param {Function} props.onClose
+ * @param {Function} props.onError - Shared API error handler from the dashboard
+ */
+export default function ImportWizard({
+  settings,
+  isOnline,
+  onImported,
+  onClose,
+  onError,
+}) {
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [capacityChecked, setCapacityChecked] = useState(true);
+  const [includeWarnings, setIncludeWarnings] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState({ created: 0, failed: [] });
+  const [uploadError, setUploadError] = useState(null);
+  const stopRef = useRef(false);
+
+  const validRows = rows.filter(isValidRow);
+  const readyRows = validRows.filter((row) => row.warnings.length === 0);
+  const warningRows = validRows.filter((row) => row.warnings.length > 0);
+  const invalidRows = rows.filter((row) => !isValidRow(row));
+  const rowsToImport = includeWarnings ? validRows : readyRows;
+  const missingRequired = IMPORT_FIELDS.filter(
+    (field) => field.required && mapping[field.key] === null
+  );
+
+  // ==================== STEP HANDLERS ====================
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setUploadError(null);
+
+    const parsed = parseCsv(await file.text());
+    if (parsed.length < 2) {
+      setUploadError("The file needs a header row and at least one booking.");
+      return;
+    }
+
+    console.log(`📄 Read ${parsed.length - 1} rows from ${file.name}`);
+    setFileName(file.name);
+    setHeaders(parsed[0]);
+    setDataRows(parsed.slice(1));
+    setMapping(guessColumnMapping(parsed[0]));
+    setStep("map");
+  };
+
+  const handleCheck = async () => {
+    setStep("checking");
+    try {
+      const built = buildImportRows(dataRows, mapping, { settings });
+      const dates = [
+        ...new Set(built.filter(isValidRow).map((row) => row.values.date)),
+      ].sort();
+
+      let existing = [];
+      let capacity = {};
+      if (dates.length > 0) {
+        console.log(`🔎 Checking ${dates.length} dates for conflicts...`);
+        [existing, capacity] = await Promise.all([
+          // Only the import's own dates, with the same ?date= query the
+          // dashboard lists use
+          Promise.all(dates.map((date) => reservationApi.list({ date }))).then(
+            (lists) => lists.flat()
+          ),
+          loadCapacity(dates),
+        ]);
+      }
+
+      setCapacityChecked(dates.every((date) => capacity[date]));
+      setRows(flagConflicts(built, existing, capacity));
+      setStep("preview");
+    } catch (error) {
+      console.error("❌ Error checking import:", error);
+      onError(error, "Failed to check the import against existing bookings");
+      setStep("map");
+    }
+  };
+
+  const handleImport = async () => {
+    stopRef.current = false;
+    setProgress({ done: 0, total: rowsToImport.length });
+    setStep("importing");
+
+    let created = 0;
+    const failed = [];
+
+    for (const row of rowsToImport) {
+      if (stopRef.current) break;
+      try {
+        await api.post("/reservations", {
+          ...row.values,
+          phone: toE164(row.values.phone),
+        });
+        created += 1;
+      } catch (error) {
+        console.error(`❌ Import of row ${row.line} failed:`, error);
+        failed.push({ ...row, reason: error.message });
+      }
+      setProgress((current) => ({ ...current, done: current.done + 1 }));
+    }
+
+    console.log(`✅ Imported ${created} reservations, ${failed.length} failed`);
+    setResults({ created, failed });
+    setStep("done");
+    if (created > 0) onImported(created);
+  };
+
+  const downloadReport = () => {
+    const imported = new Set(rowsToImport.map((row) => row.line));
+    // Rows after the last attempted one, if the import was stopped
+    const stopped = rowsToImport.slice(progress.done);
+
+    const report = [
+      ...invalidRows.map((row) => ({
+        ...row,
+        reason: rowMessages(row).join("; "),
+      })),
+      ...warningRows
+        .filter((row) => !imported.has(row.line))
+        .map((row) => ({
+          ...row,
+          reason: `Skipped: ${row.warnings.join("; ")}`,
+        })),
+      ...results.failed,
+      ...stopped.map((row) => ({ ...row, reason: "Import stopped" })),
+    ].sort((a, b) => a.line - b.line);
+
+    downloadFile(
+      `${fileName.replace(/\.csv$/i, "")}-errors.csv`,
+      importErrorReport(headers, report),
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  const notImportedCount = rows.length - results.created;
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className="space-y-6">
+      {step === "upload" && (
+        <div>
+          <label className="flex flex-col items-center justify-center gap-3 px-6 py-12 border-2 border-dashed border-slate-300 rounded-xl cursor-pointer hover:border-amber-400 hover:bg-amber-50 transition-colors">
+            <Upload className="h-10 w-10 text-slate-400" />
+            <span className="font-medium text-slate-700">
+              Choose a CSV file
+            </span>
+            <span className="text-sm text-slate-500">
+              First row must be column headers, e.g. Name, Phone, Party Size,
+              Date, Time
+            </span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="sr-only"
+              onChange={(e) => handleFile(e.target.files[0])}
+            />
+          </label>
+          {uploadError && (
+            <p className="text-sm text-red-600 mt-2">{uploadError}</p>
+          )}
+        </div>
+      )}
+
+      {step === "map" && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            <FileSpreadsheet className="inline h-4 w-4 mr-1" />
+            {fileName} · {dataRows.length} rows. Match each field to a column.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  {field.label}
+                  {field.required && " *"}
+                </label>
+                <select
+                  value={mapping[field.key] ?? ""}
+                  onChange={(e) =>
+                    setMapping({
+                      ...mapping,
+                      [field.key]:
+                        e.target.value === ""
+                          ? null
+                          : parseInt(e.target.value, 10),
+                    })
+                  }
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                >
+                  <option value="">— Not in file —</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                      {dataRows[0][index]
+                        ? ` (e.g. ${dataRows[0][index]})`
+                        : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {missingRequired.length > 0 && (
+            <p className="text-sm text-red-600">
+              Choose a column for:{" "}
+              {missingRequired.map((field) => field.label).join(", ")}
+            </p>
+          )}
+
+          <div className="flex justify-between pt-4 border-t border-slate-200">
+            <button
+              onClick={() => setStep("upload")}
+              className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleCheck}
+              disabled={missingRequired.length > 0 || !isOnline}
+              className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Check rows
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "checking" && (
+        <div className="py-12 text-center text-slate-500">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4">Checking rows against existing bookings...</p>
+        </div>
+      )}
+
+      {step === "preview" && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div className="p-3 rounded-lg bg-green-50 text-green-800">
+              <p className="text-2xl font-bold">{readyRows.length}</p>
+              <p className="text-sm">Ready</p>
+            </div>
+            <div className="p-3 rounded-lg bg-amber-50 text-amber-800">
+              <p className="text-2xl font-bold">{warningRows.length}</p>
+              <p className="text-sm">Duplicates / over capacity</p>
+            </div>
+            <div className="p-3 rounded-lg bg-red-50 text-red-800">
+              <p className="text-2xl font-bold">{invalidRows.length}</p>
+              <p className="text-sm">Invalid (skipped)</p>
+            </div>
+          </div>
+
+          {!capacityChecked && (
+            <p className="text-sm text-slate-600">
+              Capacity couldn't be checked for some dates.
+            </p>
+          )}
+
+          <div className="max-h-80 overflow-y-auto border border-slate-200 rounded-lg divide-y divide-slate-200">
+            {rows.map((row) => {
+              const messages = rowMessages(row);
+              return (
+                <div
+                  key={row.line}
+                  className="px-4 py-2 text-sm flex items-start gap-3"
+                >
+                  {!isValidRow(row) ? (
+                    <XCircle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                  ) : row.warnings.length > 0 ? (
+                    <AlertCircle className="h-4 w-4 text-amber-500 flex-shrink-0 mt-0.5" />
+                  ) : (
+                    <CheckCircle className="h-4 w-4 text-green-500 flex-shrink-0 mt-0.5" />
+                  )}
+                  <div className="flex-1">
+                    <p className="text-slate-900">
+                      <span className="text-slate-400">Row {row.line} · </span>
+                      {row.values.name || "(no name)"} · {row.values.partySize}{" "}
+                      guests · {row.values.date} {row.values.time}
+                    </p>
+                    {messages.length > 0 && (
+                      <p className="text-xs text-slate-600">
+                        {messages.join("; ")}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {warningRows.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={includeWarnings}
+                onChange={(e) => setIncludeWarnings(e.target.checked)}
+              />
+              Also import the {warningRows.length} duplicate / over-capacity
+              rows
+            </label>
+          )}
+
+          <div className="flex justify-between pt-4 border-t border-slate-200">
+            <button
+              onClick={() => setStep("map")}
+              className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={rowsToImport.length === 0 || !isOnline}
+              className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Import {rowsToImport.length} reservation
+              {rowsToImport.length === 1 ? "" : "s"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "importing" && (
+        <div className="py-8 space-y-4">
+          <p className="text-slate-700">
+            Creating reservations... {progress.done} of {progress.total}
+          </p>
+          <div
+            className="h-3 bg-slate-200 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+          >
+            <div
+              className="h-full bg-amber-500 transition-all"
+              style={{
+                width: `${(progress.done / Math.max(progress.total, 1)) * 100}%`,
+              }}
+            />
+          </div>
+          <button
+            onClick={() => {
+              stopRef.current = true;
+            }}
+            className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50"
+          >
+            Stop
+          </button>
+        </div>
+      )}
+
+      {step === "done" && (
+        <div className="space-y-4">
+          <div className="flex items-center gap-3 text-green-700">
+            <CheckCircle className="h-6 w-6" />
+            <p className="font-medium">
+              Imported {results.created} of {rows.length} rows
+            </p>
+          </div>
+          {results.failed.length > 0 && (
+            <p className="text-sm text-red-600">
+              {results.failed.length} row
+              {results.failed.length === 1 ? "" : "s"} failed on the server.
+            </p>
+          )}
+
+          <div className="flex justify-between pt-4 border-t border-slate-200">
+            {notImportedCount > 0 ? (
+              <button
+                onClick={downloadReport}
+                className="flex items-center gap-2 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50"
+              >
+                <Download className="h-4 w-4" />
+                Download report of {notImportedCount} rows not imported
+              </button>
+            ) : (
+              <span />
+            )}
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
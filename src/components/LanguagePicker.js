@@ -0,0 +1,46 @@
+/**
+ * ============================================================================
+ * LANGUAGE PICKER
+ * ============================================================================
+ *
+ * Header picker for the dashboard's language. Each language is listed in
+ * its own script so staff can find theirs whatever is showing.
+ *
+ * @module components/LanguagePicker
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/i18n
+ */
+
+import React from "react";
+import { Languages } from "lucide-react";
+import { LANGUAGES, t } from "../services/i18n";
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Active language code
+ * @param {Function} props.onChange - Called with the chosen code
+ */
+export default function LanguagePicker({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-slate-700">
+      <Languages className="h-4 w-4 text-amber-600" />
+      <span className="sr-only">{t("header.language")}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-3 py-2 border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+      >
+        {LANGUAGES.map((language) => (
+          <option
+            key={language.code}
+            value={language.code}
+            lang={language.code}
+          >
+            {language.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,59 @@
+/**
+ * ============================================================================
+ * LOCATION SWITCHER
+ * ============================================================================
+ *
+ * Header picker for the restaurant location the dashboard works in. Owners
+ * also get "All locations", the combined view. With a single location
+ * configured it renders nothing.
+ *
+ * @module components/LocationSwitcher
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/i18n
+ * @requires ../services/locations
+ */
+
+import React from "react";
+import { MapPin } from "lucide-react";
+import { t } from "../services/i18n";
+import { ALL_LOCATIONS, getLocations } from "../services/locations";
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Active location id or ALL_LOCATIONS
+ * @param {Function} props.onChange - Called with the chosen id
+ * @param {boolean} props.allowCombined - Offer the all-locations view
+ * @param {boolean} props.disabled - e.g. while a batch action runs
+ */
+export default function LocationSwitcher({
+  value,
+  onChange,
+  allowCombined,
+  disabled,
+}) {
+  const locations = getLocations();
+  if (locations.length < 2) return null;
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-slate-700">
+      <MapPin className="h-4 w-4 text-amber-600" />
+      <span className="sr-only">Location</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-3 py-2 border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-amber-500 focus:border-amber-500 disabled:opacity-50"
+      >
+        {locations.map((location) => (
+          <option key={location.id} value={location.id}>
+            {location.name}
+          </option>
+        ))}
+        {allowCombined && (
+          <option value={ALL_LOCATIONS}>{t("header.allLocations")}</option>
+        )}
+      </select>
+    </label>
+  );
+}
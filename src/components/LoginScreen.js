@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * LOGIN SCREEN COMPONENT
+ * ============================================================================
+ *
+ * Shown instead of the dashboard until a staff member signs in. Each person
+ * uses their own account, so what they can do follows their role
+ * (host, manager or admin).
+ *
+ * @module components/LoginScreen
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/locations
+ */
+
+import React, { useState } from "react";
+import { AlertCircle, Calendar, LogIn, Phone } from "lucide-react";
+import { getActiveLocation } from "../services/locations";
+
+/**
+ * ============================================================================
+ * LOGIN SCREEN
+ * ============================================================================
+ *
+ * @param {Function} onLogin - Called with (email, password); rejects with an
+ *   AuthError when the login fails
+ */
+export default function LoginScreen({ onLogin }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      await onLogin(email.trim(), password);
+    } catch (error) {
+      console.error("❌ Login failed:", error);
+      setError(
+        error.status === 401
+          ? "Incorrect email or password."
+          : error.message || "Login failed. Please try again."
+      );
+      setSubmitting(false);
+    }
+  };
+
+  // The location this device last worked in
+  const location = getActiveLocation();
+
+  const inputClass =
+    "w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500";
+
+  // ==================== RENDER ====================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex flex-col">
+      <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+        <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-center gap-2 text-sm">
+          <Phone className="h-4 w-4" />
+          <span>Prefer to call? Make a reservation by phone at</span>
+          <a
+            href={`tel:${location.phone}`}
+            className="font-semibold underline hover:text-blue-100 transition-colors"
+          >
+            {location.phone}
+          </a>
+        </div>
+      </div>
+
+      <main className="flex-1 flex items-center justify-center px-4 py-12">
+        <form
+          onSubmit={handleSubmit}
+          className="w-full max-w-sm bg-white rounded-xl shadow-lg border border-slate-200 p-8 space-y-5"
+        >
+          <div className="flex items-center space-x-3">
+            <div className="bg-gradient-to-r from-amber-500 to-orange-500 p-3 rounded-xl shadow-lg">
+              <Calendar className="h-6 w-6 text-white" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-slate-900">
+                {location.name}
+              </h1>
+              <p className="text-sm text-slate-600">Staff sign in</p>
+            </div>
+          </div>
+
+          {error && (
+            <p
+              role="alert"
+              className="flex items-center gap-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2"
+            >
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+
+          <div>
+            <label
+              htmlFor="login-email"
+              className="block text-sm font-medium text-slate-700 mb-2"
+            >
+              Email
+            </label>
+            <input
+              id="login-email"
+              type="email"
+              autoComplete="username"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="login-password"
+              className="block text-sm font-medium text-slate-700 mb-2"
+            >
+              Password
+            </label>
+            <input
+              id="login-password"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className={`w-full flex items-center justify-center gap-2 px-6 py-2 rounded-lg transition-colors ${
+              submitting
+                ? "bg-gray-300 text-gray-500 cursor-not-allowed"
+                : "bg-gradient-to-r from-amber-500 to-orange-500 text-white hover:shadow-lg"
+            }`}
+          >
+            <LogIn className="h-4 w-4" />
+            {submitting ? "Signing in..." : "Sign In"}
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+}
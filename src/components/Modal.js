@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * MODAL
+ * ============================================================================
+ *
+ * Centered dialog over a dimmed backdrop, used for the reservation forms and
+ * the confirmation dialog. Escape and the close button call onClose.
+ *
+ * @module components/Modal
+ * @requires react
+ * @requires lucide-react
+ */
+
+import React, { useEffect, useRef } from "react";
+import { XCircle } from "lucide-react";
+
+const SIZES = {
+  sm: "max-w-md",
+  lg: "max-w-4xl",
+};
+
+// Open modals, innermost last: Escape only closes the one on top (a
+// confirmation raised from the reservation form shouldn't close the form)
+const openModals = [];
+
+/**
+ * @param {Object} props
+ * @param {string} props.title - Heading (also the dialog's accessible name)
+ * @param {Function} props.onClose
+ * @param {string} props.size - "lg" (default) or "sm"
+ * @param {string} props.role - "dialog" (default) or "alertdialog"
+ */
+export default function Modal({
+  children,
+  onClose,
+  title,
+  size = "lg",
+  role = "dialog",
+}) {
+  // Callers pass inline onClose functions; a ref keeps this modal's place
+  // in openModals from changing on every render
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const token = {};
+    openModals.push(token);
+
+    const handleKeyDown = (event) => {
+      if (
+        event.key === "Escape" &&
+        openModals[openModals.length - 1] === token
+      ) {
+        onCloseRef.current();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      openModals.splice(openModals.indexOf(token), 1);
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        role={role}
+        aria-modal="true"
+        aria-labelledby="modal-title"
+        className={`bg-white rounded-xl shadow-2xl ${SIZES[size]} w-full max-h-[90vh] overflow-y-auto`}
+      >
+        <div className="sticky top-0 bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between">
+          <h2
+            id="modal-title"
+            className={`${
+              size === "sm" ? "text-lg" : "text-2xl"
+            } font-bold text-slate-900`}
+          >
+            {title}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+            aria-label="Close modal"
+          >
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6">{children}</div>
+      </div>
+    </div>
+  );
+}
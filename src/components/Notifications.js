@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * NOTIFICATIONS
+ * ============================================================================
+ *
+ * Renders the toast stack (bottom right, newest at the bottom) and the
+ * confirmation dialog raised through services/notifications. Mounted once
+ * by the dashboard.
+ *
+ * ACCESSIBILITY:
+ * --------------
+ * Screen readers get each new toast through visually hidden live regions:
+ * errors are announced assertively, success and info politely. The dialog
+ * is an alertdialog with focus on the safe choice for destructive actions.
+ *
+ * @module components/Notifications
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/notifications
+ */
+
+import React, { useEffect, useState } from "react";
+import { AlertCircle, CheckCircle, Info, X } from "lucide-react";
+import Modal from "./Modal";
+import {
+  dismissToast,
+  resolveConfirm,
+  runToastAction,
+  subscribeToNotifications,
+} from "../services/notifications";
+
+// ==================== CONSTANTS ====================
+
+const VARIANTS = {
+  success: {
+    icon: CheckCircle,
+    className: "bg-green-50 border-green-200 text-green-900",
+    iconClassName: "text-green-600",
+  },
+  error: {
+    icon: AlertCircle,
+    className: "bg-red-50 border-red-200 text-red-900",
+    iconClassName: "text-red-600",
+  },
+  info: {
+    icon: Info,
+    className: "bg-slate-50 border-slate-200 text-slate-900",
+    iconClassName: "text-slate-600",
+  },
+};
+
+// ==================== COMPONENTS ====================
+
+function Toast({ toast }) {
+  const variant = VARIANTS[toast.variant] || VARIANTS.info;
+  const Icon = variant.icon;
+
+  return (
+    <div
+      className={`flex items-start gap-3 w-80 max-w-full px-4 py-3 rounded-lg border shadow-lg ${variant.className}`}
+    >
+      <Icon
+        className={`h-5 w-5 flex-shrink-0 mt-0.5 ${variant.iconClassName}`}
+      />
+      <p className="flex-1 text-sm font-medium">{toast.message}</p>
+
+      {toast.action && (
+        <button
+          onClick={() => runToastAction(toast.id)}
+          className="text-sm font-semibold underline whitespace-nowrap hover:opacity-75"
+        >
+          {toast.action.label}
+        </button>
+      )}
+
+      <button
+        onClick={() => dismissToast(toast.id)}
+        className="opacity-60 hover:opacity-100"
+        aria-label="Dismiss notification"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+function ConfirmDialog({ dialog }) {
+  const cancel = () => resolveConfirm(dialog.id, false);
+  const confirm = () => resolveConfirm(dialog.id, true);
+  const danger = dialog.tone === "danger";
+
+  return (
+    <Modal title={dialog.title} onClose={cancel} size="sm" role="alertdialog">
+      {dialog.message && (
+        <p className="text-slate-700 mb-6">{dialog.message}</p>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={cancel}
+          autoFocus={danger}
+          className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
+        >
+          {dialog.cancelLabel}
+        </button>
+        <button
+          onClick={confirm}
+          autoFocus={!danger}
+          className={`px-4 py-2 rounded-lg text-white transition-colors ${
+            danger
+              ? "bg-red-600 hover:bg-red-700"
+              : "bg-amber-500 hover:bg-amber-600"
+          }`}
+        >
+          {dialog.confirmLabel}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default function Notifications() {
+  const [state, setState] = useState({ toasts: [], confirm: null });
+
+  useEffect(() => subscribeToNotifications(setState), []);
+
+  const { toasts, confirm } = state;
+  const latest = (variants) =>
+    [...toasts].reverse().find((toast) => variants.includes(toast.variant));
+  const latestError = latest(["error"]);
+  const latestStatus = latest(["success", "info"]);
+
+  return (
+    <>
+      <div role="alert" aria-live="assertive" className="sr-only">
+        {latestError && latestError.message}
+      </div>
+      <div role="status" aria-live="polite" className="sr-only">
+        {latestStatus && latestStatus.message}
+      </div>
+
+      <div className="fixed bottom-4 right-4 z-[60] flex flex-col gap-2">
+        {toasts.map((toast) => (
+          <Toast key={toast.id} toast={toast} />
+        ))}
+      </div>
+
+      {confirm && <ConfirmDialog key={confirm.id} dialog={confirm} />}
+    </>
+  );
+}
@@ -0,0 +1,239 @@
+/**
+ * ============================================================================
+ * OUTBOX REVIEW COMPONENT
+ * ============================================================================
+ *
+ * Lists reservation changes made offline: ones still waiting to sync and
+ * ones whose replay failed. For a failure staff can retry, overwrite the
+ * server's copy (conflicts only), or discard their offline change.
+ *
+ * DATA FLOW:
+ * ----------
+ * The dashboard subscribes to the outbox and passes the operations in;
+ * this component renders them and reports the chosen action.
+ *
+ * @module components/OutboxReview
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/i18n
+ */
+
+import React, { useState } from "react";
+import { AlertCircle, CloudOff, RefreshCw, Trash2 } from "lucide-react";
+import { t } from "../services/i18n";
+import { formatInstant, reservationDate } from "../utils/dateTime";
+
+// ==================== CONSTANTS ====================
+
+const OPERATION_LABELS = {
+  create: "New reservation",
+  update: "Edit",
+  cancel: "Cancellation",
+};
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Best description of the reservation an operation touches.
+ */
+const describe = (operation) => {
+  const reservation = { ...operation.base, ...operation.payload };
+  const date = reservation.date ? reservationDate(reservation.date) : "";
+
+  return `${reservation.name || "Unknown guest"} · ${
+    reservation.partySize || "?"
+  } guests · ${date} ${reservation.time || ""}`;
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  return String(value);
+};
+
+/**
+ * ============================================================================
+ * OUTBOX REVIEW
+ * ============================================================================
+ *
+ * @param {Array} operations - Outbox operations, oldest first
+ * @param {boolean} isOnline - Disables retry while offline
+ * @param {Function} onRetry - Called with (seq, { force }); resolves when done
+ * @param {Function} onDiscard - Called with seq; resolves when done
+ */
+export default function OutboxReview({
+  operations,
+  isOnline,
+  onRetry,
+  onDiscard,
+}) {
+  const [busySeq, setBusySeq] = useState(null);
+
+  const failed = operations.filter((op) => op.state === "failed");
+  const pending = operations.filter((op) => op.state === "pending");
+
+  const run = async (seq, action) => {
+    setBusySeq(seq);
+    try {
+      await action();
+    } finally {
+      setBusySeq(null);
+    }
+  };
+
+  if (operations.length === 0) {
+    return (
+      <div className="py-12 text-center text-slate-500">
+        <CloudOff className="h-12 w-12 mx-auto mb-3 text-slate-300" />
+        <p>Everything is synced</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {failed.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900 mb-3">
+            Needs review ({failed.length})
+          </h3>
+
+          <div className="space-y-4">
+            {failed.map((operation) => {
+              const { conflict, server } = operation;
+              const yours =
+                operation.type === "cancel"
+                  ? { ...operation.base, status: "cancelled" }
+                  : { ...operation.base, ...operation.payload };
+
+              return (
+                <div
+                  key={operation.seq}
+                  className="border border-red-200 bg-red-50 rounded-lg p-4"
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className="font-semibold text-slate-900">
+                        {OPERATION_LABELS[operation.type]}:{" "}
+                        {describe(operation)}
+                      </p>
+                      <p className="flex items-center gap-1 text-sm text-red-700 mt-1">
+                        <AlertCircle className="h-4 w-4" />
+                        {conflict ? t(conflict.reason) : operation.error}
+                      </p>
+                    </div>
+                    <span className="text-xs text-slate-500 whitespace-nowrap">
+                      Saved offline {formatInstant(operation.createdAt)}
+                    </span>
+                  </div>
+
+                  {conflict && server && conflict.fields.length > 0 && (
+                    <table className="w-full mt-3 text-sm bg-white rounded">
+                      <thead>
+                        <tr className="text-left text-slate-500">
+                          <th className="px-3 py-2 font-medium">Field</th>
+                          <th className="px-3 py-2 font-medium">
+                            Your offline change
+                          </th>
+                          <th className="px-3 py-2 font-medium">
+                            Now on server
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {conflict.fields.map((field) => (
+                          <tr key={field} className="border-t border-slate-100">
+                            <td className="px-3 py-2 text-slate-600">
+                              {field}
+                            </td>
+                            <td className="px-3 py-2 font-medium text-slate-900">
+                              {formatValue(yours[field])}
+                            </td>
+                            <td className="px-3 py-2 font-medium text-red-700">
+                              {formatValue(server[field])}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    <button
+                      onClick={() =>
+                        run(operation.seq, () =>
+                          onRetry(operation.seq, { force: false })
+                        )
+                      }
+                      disabled={!isOnline || busySeq !== null}
+                      className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg border border-slate-300 bg-white text-slate-700 hover:bg-slate-50 disabled:text-gray-400"
+                    >
+                      <RefreshCw className="h-4 w-4" />
+                      Retry
+                    </button>
+                    {conflict && server && (
+                      <button
+                        onClick={() =>
+                          run(operation.seq, () =>
+                            onRetry(operation.seq, { force: true })
+                          )
+                        }
+                        disabled={!isOnline || busySeq !== null}
+                        className="px-3 py-1 text-sm rounded-lg bg-amber-500 text-white hover:bg-amber-600 disabled:bg-gray-300 disabled:text-gray-500"
+                      >
+                        Keep my change
+                      </button>
+                    )}
+                    <button
+                      onClick={() =>
+                        run(operation.seq, () => onDiscard(operation.seq))
+                      }
+                      disabled={busySeq !== null}
+                      className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg text-red-600 hover:bg-red-100 disabled:text-gray-400"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      Discard
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {pending.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900 mb-3">
+            Waiting to sync ({pending.length})
+          </h3>
+          <ul className="divide-y divide-slate-200 border border-slate-200 rounded-lg">
+            {pending.map((operation) => (
+              <li
+                key={operation.seq}
+                className="px-4 py-3 flex items-center justify-between text-sm"
+              >
+                <span className="text-slate-900">
+                  <span className="font-medium">
+                    {OPERATION_LABELS[operation.type]}:
+                  </span>{" "}
+                  {describe(operation)}
+                </span>
+                <button
+                  onClick={() =>
+                    run(operation.seq, () => onDiscard(operation.seq))
+                  }
+                  disabled={busySeq !== null}
+                  className="p-1 rounded text-red-600 hover:bg-red-50 disabled:text-gray-400"
+                  title="Discard offline change"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+/**
+ * ============================================================================
+ * RESERVATION HISTORY DRAWER
+ * ============================================================================
+ *
+ * Slide-over timeline of every change made to a reservation: who made it
+ * (staff member, voice agent or customer), when, and the before/after value
+ * of each field that changed.
+ *
+ * Managers use it when a guest disputes a cancellation or a changed time.
+ *
+ * DATA:
+ * -----
+ * Loaded on open via reservationApi.getHistory(reservation._id).
+ *
+ * @module components/ReservationHistoryDrawer
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/api
+ * @requires ../utils/reservationHistory
+ */
+
+import React, { useState, useEffect } from "react";
+import { Bot, Cog, History, User, UserCog, X } from "lucide-react";
+import { isAbortError, reservationApi } from "../services/api";
+import { formatInstant, timeZoneLabel } from "../utils/dateTime";
+import {
+  ACTION_LABELS,
+  FIELD_LABELS,
+  describeActor,
+  formatHistoryValue,
+  normalizeHistory,
+} from "../utils/reservationHistory";
+
+// ==================== CONSTANTS ====================
+
+const ACTOR_STYLES = {
+  staff: { icon: UserCog, className: "bg-slate-100 text-slate-700" },
+  voice: { icon: Bot, className: "bg-purple-100 text-purple-700" },
+  customer: { icon: User, className: "bg-sky-100 text-sky-700" },
+  system: { icon: Cog, className: "bg-gray-100 text-gray-600" },
+};
+
+const formatTimestamp = (timestamp) =>
+  formatInstant(timestamp, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+/**
+ * ============================================================================
+ * RESERVATION HISTORY DRAWER
+ * ============================================================================
+ *
+ * @param {object} reservation - Reservation whose history to show
+ * @param {Function} onClose - Closes the drawer
+ * @param {Function} onError - Shared API error handler from the dashboard
+ */
+export default function ReservationHistoryDrawer({
+  reservation,
+  onClose,
+  onError,
+}) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        console.log(`🕘 Fetching history for ${reservation.reservationId}...`);
+        const data = await reservationApi.getHistory(reservation._id, {
+          signal: controller.signal,
+        });
+        setHistory(normalizeHistory(data));
+        console.log(`✅ Loaded ${data.length} history entries`);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("❌ Error fetching reservation history:", error);
+        onError(error, "Failed to fetch reservation history");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => controller.abort();
+  }, [reservation._id, reservation.reservationId, onError]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <aside
+        className="relative bg-white w-full max-w-lg h-full shadow-2xl flex flex-col"
+        role="dialog"
+        aria-label="Reservation history"
+      >
+        <div className="border-b border-slate-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">History</h2>
+            <p className="text-sm text-slate-600">
+              {reservation.name} · {reservation.reservationId}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+            aria-label="Close history"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading ? (
+            <div className="py-12 text-center text-slate-500">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+              <p className="mt-4">Loading history...</p>
+            </div>
+          ) : history.length === 0 ? (
+            <div className="py-12 text-center text-slate-500">
+              <History className="h-12 w-12 mx-auto mb-3 text-slate-300" />
+              <p>No changes recorded for this reservation</p>
+            </div>
+          ) : (
+            <ol className="relative border-l border-slate-200 ml-4 space-y-6">
+              {history.map((entry, idx) => {
+                const style =
+                  ACTOR_STYLES[entry.actor.type] || ACTOR_STYLES.system;
+                const Icon = style.icon;
+
+                return (
+                  <li key={entry._id || idx} className="ml-6">
+                    <span
+                      className={`absolute -left-4 flex items-center justify-center h-8 w-8 rounded-full ring-4 ring-white ${style.className}`}
+                    >
+                      <Icon className="h-4 w-4" />
+                    </span>
+
+                    <p className="text-sm font-semibold text-slate-900">
+                      {ACTION_LABELS[entry.action] || entry.action}
+                      <span className="font-normal text-slate-600">
+                        {" "}
+                        by {describeActor(entry.actor)}
+                      </span>
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {formatTimestamp(entry.at)} {timeZoneLabel()}
+                    </p>
+
+                    {entry.changes.length > 0 && (
+                      <table className="w-full mt-2 text-sm">
+                        <tbody>
+                          {entry.changes.map((change) => (
+                            <tr
+                              key={change.field}
+                              className="border-t border-slate-100"
+                            >
+                              <td className="py-1 pr-3 text-slate-500">
+                                {FIELD_LABELS[change.field] || change.field}
+                              </td>
+                              <td className="py-1 pr-3 text-red-700 line-through">
+                                {formatHistoryValue(change.field, change.from)}
+                              </td>
+                              <td className="py-1 font-medium text-green-700">
+                                {formatHistoryValue(change.field, change.to)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+/**
+ * ============================================================================
+ * SETTINGS PANEL COMPONENT
+ * ============================================================================
+ *
+ * Admin-only editor for the restaurant settings that drive the booking
+ * form, floor plan and waitlist: service hours, slot interval and the
+ * largest party that can be booked.
+ *
+ * DATA FLOW:
+ * ----------
+ * The dashboard passes the current settings in and saves through
+ * restaurantApi.updateSettings; this component only edits a draft copy.
+ *
+ * @module components/SettingsPanel
+ * @requires react
+ * @requires lucide-react
+ * @requires ../utils/dateTime
+ */
+
+import React, { useState } from "react";
+import { Plus, Settings, Trash2 } from "lucide-react";
+import { timeSlotToMinutes, timeZoneLabel } from "../utils/dateTime";
+
+// ==================== CONSTANTS ====================
+
+const SLOT_INTERVALS = [15, 30, 60];
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * First problem with the draft settings, or null if they can be saved.
+ */
+const validateSettings = (settings) => {
+  if (settings.serviceHours.length === 0) {
+    return "Add at least one service period";
+  }
+
+  for (const period of settings.serviceHours) {
+    const first = timeSlotToMinutes(period.firstSeating);
+    const last = timeSlotToMinutes(period.lastSeating);
+
+    if (!period.name.trim()) return "Every service period needs a name";
+    if (first === null || last === null) {
+      return `${period.name}: use times like "5:00 PM"`;
+    }
+    if (first > last) {
+      return `${period.name}: first seating must be before last seating`;
+    }
+  }
+
+  if (!(settings.maxPartySize >= 1)) {
+    return "Max party size must be at least 1";
+  }
+
+  return null;
+};
+
+/**
+ * ============================================================================
+ * SETTINGS PANEL
+ * ============================================================================
+ *
+ * @param {object} settings - Current restaurant settings
+ * @param {boolean} isOnline - Disables saving while offline
+ * @param {Function} onSave - Called with the new settings; resolves true on success
+ */
+export default function SettingsPanel({ settings, isOnline, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  const [saving, setSaving] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  const updatePeriod = (index, changes) =>
+    setDraft({
+      ...draft,
+      serviceHours: draft.serviceHours.map((period, idx) =>
+        idx === index ? { ...period, ...changes } : period
+      ),
+    });
+
+  const addPeriod = () =>
+    setDraft({
+      ...draft,
+      serviceHours: [
+        ...draft.serviceHours,
+        { name: "", firstSeating: "5:00 PM", lastSeating: "9:00 PM" },
+      ],
+    });
+
+  const removePeriod = (index) =>
+    setDraft({
+      ...draft,
+      serviceHours: draft.serviceHours.filter((_, idx) => idx !== index),
+    });
+
+  const handleSave = async () => {
+    const problem = validateSettings(draft);
+    setValidationError(problem);
+    if (problem) {
+      console.warn("⚠️ Settings validation failed:", problem);
+      return;
+    }
+
+    setSaving(true);
+    await onSave(draft);
+    setSaving(false);
+  };
+
+  const inputClass =
+    "w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500";
+
+  // ==================== RENDER ====================
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6 space-y-6">
+      <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+        <Settings className="h-5 w-5 text-slate-500" />
+        Restaurant Settings
+      </h2>
+
+      {/* ==================== SERVICE HOURS ==================== */}
+      <div>
+        <h3 className="text-sm font-medium text-slate-700 mb-2">
+          Service Hours ({timeZoneLabel()})
+        </h3>
+        <div className="space-y-3">
+          {draft.serviceHours.map((period, index) => (
+            <div
+              key={index}
+              className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1fr_auto] gap-3 items-center"
+            >
+              <input
+                type="text"
+                value={period.name}
+                onChange={(e) => updatePeriod(index, { name: e.target.value })}
+                className={inputClass}
+                placeholder="Dinner"
+                aria-label="Service name"
+              />
+              <input
+                type="text"
+                value={period.firstSeating}
+                onChange={(e) =>
+                  updatePeriod(index, { firstSeating: e.target.value })
+                }
+                className={inputClass}
+                placeholder="5:00 PM"
+                aria-label="First seating"
+              />
+              <input
+                type="text"
+                value={period.lastSeating}
+                onChange={(e) =>
+                  updatePeriod(index, { lastSeating: e.target.value })
+                }
+                className={inputClass}
+                placeholder="9:30 PM"
+                aria-label="Last seating"
+              />
+              <button
+                onClick={() => removePeriod(index)}
+                className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                title="Remove service period"
+              >
+                <Trash2 className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={addPeriod}
+          className="flex items-center gap-1 mt-3 text-sm text-amber-600 hover:text-amber-700"
+        >
+          <Plus className="h-4 w-4" />
+          Add service period
+        </button>
+      </div>
+
+      {/* ==================== BOOKING RULES ==================== */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">
+            Slot Interval
+          </label>
+          <select
+            value={draft.slotIntervalMinutes}
+            onChange={(e) =>
+              setDraft({
+                ...draft,
+                slotIntervalMinutes: parseInt(e.target.value),
+              })
+            }
+            className={inputClass}
+          >
+            {SLOT_INTERVALS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                Every {minutes} minutes
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">
+            Max Party Size
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={draft.maxPartySize}
+            onChange={(e) =>
+              setDraft({ ...draft, maxPartySize: parseInt(e.target.value) })
+            }
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {validationError && (
+        <p className="text-sm text-red-600">{validationError}</p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleSave}
+          disabled={!isOnline || saving}
+          className={`px-6 py-2 rounded-lg transition-colors ${
+            isOnline && !saving
+              ? "bg-amber-500 text-white hover:bg-amber-600"
+              : "bg-gray-300 text-gray-500 cursor-not-allowed"
+          }`}
+        >
+          {saving ? "Saving..." : "Save Settings"}
+        </button>
+        <button
+          onClick={() => {
+            setDraft(settings);
+            setValidationError(null);
+          }}
+          disabled={saving}
+          className="px-6 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,428 @@
+/**
+ * ============================================================================
+ * WAITLIST COMPONENT
+ * ============================================================================
+ *
+ * Queue of parties waiting for a table when their preferred slot is full.
+ * Hosts can add callers, quote a wait, reorder the line, and convert an
+ * entry into a real reservation with one click.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Add/remove parties with name, phone, party size and time window
+ * ✅ Quoted wait time per party
+ * ✅ Reorder with move up/down
+ * ✅ Convert to reservation (pre-fills the reservation form)
+ * ✅ Highlights parties that match a freshly cancelled booking
+ *
+ * DATA FLOW:
+ * ----------
+ * The dashboard owns the entries and the API calls (waitlistApi);
+ * this component renders them and reports user actions.
+ *
+ * @module components/Waitlist
+ * @requires react
+ * @requires lucide-react
+ * @requires ../services/notifications
+ * @requires ../utils/dateTime
+ */
+
+import React, { useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  CalendarPlus,
+  Clock,
+  Hourglass,
+  ListOrdered,
+  Phone,
+  Trash2,
+  Users,
+} from "lucide-react";
+import { toast } from "../services/notifications";
+import {
+  getTimeSlots,
+  reservationDate,
+  timeSlotToMinutes,
+  timeZoneLabel,
+  todayDateString,
+} from "../utils/dateTime";
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Finds waitlisted parties that could take a cancelled reservation's place:
+ * same date, time inside the party's window, and no bigger than the party
+ * that cancelled.
+ *
+ * @param {Array} entries - Waitlist entries
+ * @param {object} reservation - The reservation that was cancelled
+ * @returns {Array} - Matching entries, in queue order
+ */
+export const findWaitlistMatches = (entries, reservation) => {
+  const date = reservationDate(reservation.date);
+  const time = timeSlotToMinutes(reservation.time);
+
+  return entries.filter((entry) => {
+    const from = timeSlotToMinutes(entry.timeFrom) ?? 0;
+    const to = timeSlotToMinutes(entry.timeTo) ?? 24 * 60;
+
+    return (
+      entry.date === date &&
+      time !== null &&
+      time >= from &&
+      time <= to &&
+      entry.partySize <= reservation.partySize
+    );
+  });
+};
+
+/**
+ * ============================================================================
+ * WAITLIST
+ * ============================================================================
+ *
+ * @param {Array} entries - Waitlist entries in queue order
+ * @param {boolean} loading - Shows a spinner instead of the list
+ * @param {Set} highlightedIds - Entry ids to flag as matching an opening
+ * @param {object} settings - Restaurant settings (time slots, party limits)
+ * @param {boolean} isOnline - Disables actions while offline
+ * @param {Function} onAdd - Called with a new entry; resolves true on success
+ * @param {Function} onRemove - Called with the entry to remove
+ * @param {Function} onMove - Called with (index, -1 | 1) to move an entry
+ * @param {Function} onConvert - Called with the entry to book
+ */
+export default function Waitlist({
+  entries,
+  loading,
+  highlightedIds,
+  settings,
+  isOnline,
+  onAdd,
+  onRemove,
+  onMove,
+  onConvert,
+}) {
+  const emptyEntry = {
+    name: "",
+    phone: "",
+    partySize: 2,
+    date: todayDateString(),
+    timeFrom: "6:00 PM",
+    timeTo: "8:00 PM",
+    quotedWaitMinutes: 30,
+    notes: "",
+  };
+
+  const [formData, setFormData] = useState(emptyEntry);
+  const [saving, setSaving] = useState(false);
+
+  const timeSlots = getTimeSlots(settings, formData.date);
+
+  const handleSubmit = async () => {
+    if (!formData.name || !formData.phone || !formData.date) {
+      toast.error("Please fill in all required fields (Name, Phone, Date)");
+      console.warn("⚠️ Waitlist validation failed - missing required fields");
+      return;
+    }
+
+    if (
+      timeSlotToMinutes(formData.timeFrom) > timeSlotToMinutes(formData.timeTo)
+    ) {
+      toast.error("The earliest time must be before the latest time");
+      return;
+    }
+
+    setSaving(true);
+    const added = await onAdd(formData);
+    setSaving(false);
+
+    if (added) {
+      setFormData({ ...emptyEntry, date: formData.date });
+    }
+  };
+
+  const inputClass =
+    "w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500";
+
+  // ==================== RENDER ====================
+  return (
+    <div className="space-y-6">
+      {/* ==================== ADD TO WAITLIST ==================== */}
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">
+          Add to Waitlist
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Name *
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) =>
+                setFormData({ ...formData, name: e.target.value })
+              }
+              className={inputClass}
+              placeholder="John Doe"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Phone *
+            </label>
+            <input
+              type="tel"
+              value={formData.phone}
+              onChange={(e) =>
+                setFormData({ ...formData, phone: e.target.value })
+              }
+              className={inputClass}
+              placeholder="+1 (555) 123-4567"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Party Size *
+            </label>
+            <select
+              value={formData.partySize}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  partySize: parseInt(e.target.value),
+                })
+              }
+              className={inputClass}
+            >
+              {Array.from(
+                { length: settings.maxPartySize },
+                (_, idx) => idx + 1
+              ).map((num) => (
+                <option key={num} value={num}>
+                  {num} {num === 1 ? "guest" : "guests"}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Date *
+            </label>
+            <input
+              type="date"
+              value={formData.date}
+              onChange={(e) =>
+                setFormData({ ...formData, date: e.target.value })
+              }
+              min={todayDateString()}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Earliest Time
+            </label>
+            <select
+              value={formData.timeFrom}
+              onChange={(e) =>
+                setFormData({ ...formData, timeFrom: e.target.value })
+              }
+              className={inputClass}
+            >
+              {timeSlots.map((time) => (
+                <option key={time} value={time}>
+                  {time}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Latest Time
+            </label>
+            <select
+              value={formData.timeTo}
+              onChange={(e) =>
+                setFormData({ ...formData, timeTo: e.target.value })
+              }
+              className={inputClass}
+            >
+              {timeSlots.map((time) => (
+                <option key={time} value={time}>
+                  {time}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Quoted Wait (min)
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="5"
+              value={formData.quotedWaitMinutes}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  quotedWaitMinutes: parseInt(e.target.value) || 0,
+                })
+              }
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Notes
+            </label>
+            <input
+              type="text"
+              value={formData.notes}
+              onChange={(e) =>
+                setFormData({ ...formData, notes: e.target.value })
+              }
+              className={inputClass}
+              placeholder="Patio OK, has stroller..."
+            />
+          </div>
+        </div>
+
+        <button
+          onClick={handleSubmit}
+          disabled={!isOnline || saving}
+          className={`mt-4 w-full md:w-auto px-6 py-2 rounded-lg transition-colors ${
+            isOnline && !saving
+              ? "bg-amber-500 text-white hover:bg-amber-600"
+              : "bg-gray-300 text-gray-500 cursor-not-allowed"
+          }`}
+        >
+          {saving ? "Adding..." : "Add to Waitlist"}
+        </button>
+      </div>
+
+      {/* ==================== QUEUE ==================== */}
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-200 bg-gradient-to-r from-slate-50 to-slate-100">
+          <h2 className="text-xl font-semibold text-slate-900">
+            Waitlist ({entries.length})
+          </h2>
+        </div>
+
+        <div className="divide-y divide-slate-200">
+          {loading ? (
+            <div className="px-6 py-12 text-center text-slate-500">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+              <p className="mt-4">Loading waitlist...</p>
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="px-6 py-12 text-center text-slate-500">
+              <ListOrdered className="h-12 w-12 mx-auto mb-3 text-slate-300" />
+              <p>Nobody is waiting</p>
+            </div>
+          ) : (
+            entries.map((entry, index) => (
+              <div
+                key={entry._id}
+                className={`px-6 py-4 flex items-start justify-between transition-colors ${
+                  highlightedIds.has(entry._id)
+                    ? "bg-green-50"
+                    : "hover:bg-slate-50"
+                }`}
+              >
+                <div className="flex-1">
+                  <div className="flex items-center gap-3 mb-2">
+                    <span className="text-sm font-semibold text-slate-400">
+                      #{index + 1}
+                    </span>
+                    <h3 className="text-lg font-semibold text-slate-900">
+                      {entry.name}
+                    </h3>
+                    {highlightedIds.has(entry._id) && (
+                      <span className="px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        Table opened
+                      </span>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-slate-600">
+                    <div className="flex items-center gap-2">
+                      <Phone className="h-4 w-4 text-slate-400" />
+                      <span>{entry.phone}</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Users className="h-4 w-4 text-slate-400" />
+                      <span>{entry.partySize} guests</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Clock className="h-4 w-4 text-slate-400" />
+                      <span>
+                        {entry.date} · {entry.timeFrom}–{entry.timeTo}{" "}
+                        <span className="text-slate-500 text-xs">
+                          {timeZoneLabel()}
+                        </span>
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Hourglass className="h-4 w-4 text-slate-400" />
+                      <span>Quoted {entry.quotedWaitMinutes} min</span>
+                    </div>
+                  </div>
+
+                  {entry.notes && (
+                    <p className="mt-2 text-sm text-slate-600">{entry.notes}</p>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2 ml-4">
+                  <button
+                    onClick={() => onMove(index, -1)}
+                    disabled={!isOnline || index === 0}
+                    className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title="Move up"
+                  >
+                    <ArrowUp className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => onMove(index, 1)}
+                    disabled={!isOnline || index === entries.length - 1}
+                    className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title="Move down"
+                  >
+                    <ArrowDown className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => onConvert(entry)}
+                    disabled={!isOnline}
+                    className="p-2 rounded-lg text-green-600 hover:bg-green-50 disabled:text-gray-400"
+                    title="Convert to reservation"
+                  >
+                    <CalendarPlus className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => onRemove(entry)}
+                    disabled={!isOnline}
+                    className="p-2 rounded-lg text-red-600 hover:bg-red-50 disabled:text-gray-400"
+                    title="Remove from waitlist"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
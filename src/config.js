@@ -19,8 +19,17 @@
  *
  * Required:
  * - REACT_APP_API_URL: Backend API base URL
- * - REACT_APP_API_KEY: API authentication key
  * - REACT_APP_RESERVATION_PHONE: Phone number for reservations
+ *
+ * Optional:
+ * - REACT_APP_AUTH_URL: Base URL of the staff login endpoints (/auth/*)
+ * - REACT_APP_API_KEY: Legacy shared API key, for backends without staff login
+ * - REACT_APP_USE_LEGACY_API_KEY: "true" to send REACT_APP_API_KEY (off by
+ *   default, so a key left in the environment is ignored)
+ * - REACT_APP_TABLE_LAYOUT: JSON array describing the dining room tables
+ * - REACT_APP_EVENTS_URL: Base URL of the realtime reservation event stream
+ * - REACT_APP_RESTAURANT_TIME_ZONE: IANA timezone of the restaurant
+ * - REACT_APP_LOCATIONS: JSON array of restaurant locations (see getLocations)
  */
 
 const getApiUrl = () => {
@@ -41,11 +50,15 @@ const getApiUrl = () => {
 const getApiKey = () => {
   const apiKey = process.env.REACT_APP_API_KEY;
 
-  if (!apiKey && process.env.NODE_ENV === "production") {
-    console.error("❌ REACT_APP_API_KEY not set in production!");
-    console.error("❌ All API requests will fail with 401 Unauthorized.");
-    console.error("❌ Set REACT_APP_API_KEY in Vercel environment variables.");
-    console.error("❌ API key must match backend API_KEY exactly.");
+  if (apiKey && process.env.REACT_APP_USE_LEGACY_API_KEY !== "true") {
+    console.warn("⚠️ REACT_APP_API_KEY is ignored: staff log in instead.");
+    console.warn("⚠️ Set REACT_APP_USE_LEGACY_API_KEY=true to send it.");
+    return undefined;
+  }
+
+  if (apiKey && process.env.NODE_ENV === "production") {
+    console.warn("⚠️ REACT_APP_API_KEY is set: it is visible in the bundle.");
+    console.warn("⚠️ Remove it once the backend accepts staff logins.");
   }
 
   return apiKey;
@@ -66,13 +79,212 @@ const getReservationPhone = () => {
   return phone;
 };
 
+/**
+ * Get API request timeout (ms) from environment
+ * Falls back to 15 seconds if not set or not a number
+ */
+const getRequestTimeout = () => {
+  const timeout = parseInt(process.env.REACT_APP_REQUEST_TIMEOUT_MS, 10);
+  return Number.isNaN(timeout) ? 15000 : timeout;
+};
+
+/**
+ * Default dining room layout used by the Floor tab.
+ * Each table has a number (matches reservation.tableNumber), a seat count
+ * and a position on the floor grid (row/col, 1-based).
+ */
+const DEFAULT_TABLE_LAYOUT = [
+  { tableNumber: 1, seats: 2, row: 1, col: 1 },
+  { tableNumber: 2, seats: 2, row: 1, col: 2 },
+  { tableNumber: 3, seats: 4, row: 1, col: 3 },
+  { tableNumber: 4, seats: 4, row: 1, col: 4 },
+  { tableNumber: 5, seats: 4, row: 2, col: 1 },
+  { tableNumber: 6, seats: 4, row: 2, col: 2 },
+  { tableNumber: 7, seats: 6, row: 2, col: 3 },
+  { tableNumber: 8, seats: 6, row: 2, col: 4 },
+  { tableNumber: 9, seats: 2, row: 3, col: 1 },
+  { tableNumber: 10, seats: 4, row: 3, col: 2 },
+  { tableNumber: 11, seats: 8, row: 3, col: 3 },
+  { tableNumber: 12, seats: 12, row: 3, col: 4 },
+];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the restaurant's IANA timezone from environment
+ * Falls back to America/Los_Angeles if not set or not a known zone
+ */
+const getRestaurantTimeZone = () => {
+  const timeZone = process.env.REACT_APP_RESTAURANT_TIME_ZONE;
+
+  if (!timeZone) {
+    return "America/Los_Angeles";
+  }
+
+  if (isValidTimeZone(timeZone)) {
+    return timeZone;
+  }
+
+  console.warn(
+    `⚠️ REACT_APP_RESTAURANT_TIME_ZONE "${timeZone}" is not a valid IANA timezone. Using America/Los_Angeles.`
+  );
+  return "America/Los_Angeles";
+};
+
+const isValidLayout = (layout) =>
+  Array.isArray(layout) &&
+  layout.every(
+    (table) =>
+      Number.isInteger(table.tableNumber) && Number.isInteger(table.seats)
+  );
+
+/**
+ * Get dining room table layout from environment
+ * Falls back to DEFAULT_TABLE_LAYOUT if not set or invalid
+ */
+const getTableLayout = () => {
+  const layout = process.env.REACT_APP_TABLE_LAYOUT;
+
+  if (!layout) {
+    return DEFAULT_TABLE_LAYOUT;
+  }
+
+  try {
+    const parsed = JSON.parse(layout);
+
+    if (!isValidLayout(parsed)) {
+      throw new Error("each table needs an integer tableNumber and seats");
+    }
+
+    return parsed;
+  } catch (error) {
+    console.warn("⚠️ REACT_APP_TABLE_LAYOUT is invalid. Using default layout.");
+    console.warn("⚠️", error.message);
+    return DEFAULT_TABLE_LAYOUT;
+  }
+};
+
+/**
+ * Default service hours (restaurant time). A service may list `days`
+ * (0 = Sunday) it runs on.
+ */
+const DEFAULT_SERVICE_HOURS = [
+  { name: "Lunch", firstSeating: "11:00 AM", lastSeating: "2:30 PM" },
+  { name: "Dinner", firstSeating: "5:00 PM", lastSeating: "9:30 PM" },
+];
+
+/**
+ * Get the restaurant's locations from environment
+ *
+ * REACT_APP_LOCATIONS is a JSON array of
+ *   { id, name, phone?, timeZone?, serviceHours?, tables? }
+ * Missing fields fall back to the single-location settings above
+ * (REACT_APP_RESERVATION_PHONE, REACT_APP_RESTAURANT_TIME_ZONE,
+ * REACT_APP_TABLE_LAYOUT). Without it there is one location, "main".
+ */
+const getLocations = (defaults) => {
+  const locations = process.env.REACT_APP_LOCATIONS;
+
+  if (!locations) {
+    return [{ id: "main", name: "Chaat Corner", ...defaults }];
+  }
+
+  try {
+    const parsed = JSON.parse(locations);
+
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error("expected a non-empty array of locations");
+    }
+
+    return parsed.map((location) => {
+      if (!location.id || !location.name) {
+        throw new Error("each location needs an id and a name");
+      }
+      if (location.timeZone && !isValidTimeZone(location.timeZone)) {
+        throw new Error(
+          `${location.id}: unknown timeZone ${location.timeZone}`
+        );
+      }
+      if (location.tables && !isValidLayout(location.tables)) {
+        throw new Error(
+          `${location.id}: each table needs an integer tableNumber and seats`
+        );
+      }
+
+      return {
+        ...defaults,
+        ...location,
+        id: String(location.id),
+      };
+    });
+  } catch (error) {
+    console.warn("⚠️ REACT_APP_LOCATIONS is invalid. Using one location.");
+    console.warn("⚠️", error.message);
+    return [{ id: "main", name: "Chaat Corner", ...defaults }];
+  }
+};
+
+const apiUrl = getApiUrl();
+const reservationPhone = getReservationPhone();
+const restaurantTimeZone = getRestaurantTimeZone();
+const tableLayout = getTableLayout();
+
 export const config = {
   // Backend API configuration
-  API_URL: getApiUrl(),
+  API_URL: apiUrl,
+  // Legacy shared key, only when REACT_APP_USE_LEGACY_API_KEY is on
   API_KEY: getApiKey(),
 
-  // Restaurant contact information
-  RESERVATION_PHONE: getReservationPhone(),
+  // Staff login endpoints (defaults to the API itself)
+  AUTH_URL: process.env.REACT_APP_AUTH_URL || apiUrl,
+
+  // Per-request timeout for API calls (0 disables it)
+  REQUEST_TIMEOUT_MS: getRequestTimeout(),
+
+  // Realtime event stream (defaults to the API itself)
+  EVENTS_URL: process.env.REACT_APP_EVENTS_URL || apiUrl,
+
+  // Restaurant contact information (default for every location)
+  RESERVATION_PHONE: reservationPhone,
+
+  // Restaurant timezone: reservation dates and times are wall-clock
+  // values here, wherever the dashboard is opened (see utils/dateTime).
+  // Default for every location.
+  RESTAURANT_TIME_ZONE: restaurantTimeZone,
+
+  // Dining room layout (Floor tab), default for every location
+  TABLE_LAYOUT: tableLayout,
+
+  // Restaurant locations: { id, name, phone, timeZone, serviceHours, tables }.
+  // The active one is picked in the header (see services/locations).
+  LOCATIONS: getLocations({
+    phone: reservationPhone,
+    timeZone: restaurantTimeZone,
+    serviceHours: DEFAULT_SERVICE_HOURS,
+    tables: tableLayout,
+  }),
+
+  // Default restaurant settings (restaurant time). The dashboard replaces these
+  // with GET /restaurant/settings at runtime, so service hours can change
+  // without a redeploy. Each location's serviceHours replace these.
+  RESTAURANT_DEFAULTS: {
+    serviceHours: DEFAULT_SERVICE_HOURS,
+    slotIntervalMinutes: 30,
+    maxPartySize: 12,
+  },
+
+  // How long a party holds its table (used to detect table conflicts)
+  SEATING_DURATION_MINUTES: 90,
+
+  // Minutes after booking time before a confirmed party is marked late
+  LATE_GRACE_MINUTES: 15,
 
   // Environment detection
   isDevelopment: process.env.NODE_ENV === "development",
@@ -90,7 +302,15 @@ if (config.isDevelopment) {
   console.log("🔧 Application Configuration:");
   console.log("  API URL:", config.API_URL);
   console.log("  API Key:", config.API_KEY ? "✅ Set" : "❌ Not set");
+  console.log("  Events URL:", config.EVENTS_URL);
+  console.log("  Auth URL:", config.AUTH_URL);
   console.log("  Phone:", config.RESERVATION_PHONE);
+  console.log("  Time zone:", config.RESTAURANT_TIME_ZONE);
+  console.log("  Tables:", config.TABLE_LAYOUT.length);
+  console.log(
+    "  Locations:",
+    config.LOCATIONS.map((location) => location.id).join(", ")
+  );
   console.log("  Environment:", process.env.NODE_ENV);
   console.log("  Features:", config.features);
 }
@@ -108,11 +328,6 @@ if (config.isProduction) {
     console.warn("⚠️ This is insecure and may not work on Vercel.");
     console.warn("⚠️ Backend URL should start with https://");
   }
-
-  if (!config.API_KEY) {
-    console.error("❌ PRODUCTION ERROR: API_KEY is not set!");
-    console.error("❌ All API requests will fail.");
-  }
 }
 
 export default config;
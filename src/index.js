@@ -5,23 +5,36 @@
  * It renders the main App component into the DOM.
  *
  * Features:
+ * - Picks the page from the URL: /book is the public booking page,
+ *   everything else the staff dashboard
  * - Creates React root element
  * - Wraps app in StrictMode for development warnings
  * - Imports global CSS styles
  * - Optionally reports web vitals for performance monitoring
  */
 
-import React from "react";
+import React, { Suspense, lazy } from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css"; // Global styles including Tailwind
-import App from "./App";
 import reportWebVitals from "./reportWebVitals";
 
+// Guests at /book get the booking page only: the staff dashboard is a
+// separate chunk their browser never downloads
+const BOOKING_PATH = `${process.env.PUBLIC_URL}/book`;
+const isBookingPage =
+  window.location.pathname.replace(/\/+$/, "") === BOOKING_PATH;
+
+const Page = lazy(() =>
+  isBookingPage ? import("./components/BookingPage") : import("./App")
+);
+
 // Create root element and mount React app
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
   <React.StrictMode>
-    <App />
+    <Suspense fallback={null}>
+      <Page />
+    </Suspense>
   </React.StrictMode>
 );
 
@@ -0,0 +1,399 @@
+/**
+ * ============================================================================
+ * ENGLISH MESSAGES (FALLBACK)
+ * ============================================================================
+ *
+ * Every key the dashboard uses must exist here: other catalogs fall back to
+ * these messages for anything they don't translate.
+ *
+ * FORMAT:
+ * -------
+ * - "{name}" placeholders are filled from t()'s params; numbers are
+ *   formatted for the active locale
+ * - An object with plural categories ({ one, other, ... }) is picked by
+ *   params.count (see Intl.PluralRules); "other" is the fallback
+ *
+ * @module locales/en
+ */
+
+const en = {
+  common: {
+    cancel: "Cancel",
+    retry: "Retry",
+    undo: "Undo",
+    review: "Review",
+    offlineSuffix: " (offline)",
+  },
+
+  header: {
+    callToBook: "Prefer to call? Make a reservation by phone at",
+    subtitle: "Reservation Management System",
+    allLocations: "All locations",
+    language: "Language",
+    logOut: "Log out",
+    newReservation: "New Reservation",
+    pickLocation: "Choose a location to add a booking",
+    live: {
+      live: "Live updates",
+      connecting: "Connecting to live updates...",
+      reconnecting: "Reconnecting...",
+      polling: "Auto-refreshing",
+    },
+    waitingToSync: "{count} waiting to sync",
+    needReview: "{count} need review",
+  },
+
+  offline: {
+    banner:
+      "You are offline. New bookings, edits and cancellations are saved on this device and sync when the connection is back.",
+  },
+
+  tabs: {
+    dashboard: "Dashboard",
+    all: "All Reservations",
+    calendar: "Calendar",
+    floor: "Floor",
+    waitlist: "Waitlist",
+    guests: "Guests",
+    analytics: "Analytics",
+    settings: "Settings",
+  },
+
+  waitlistAlert: {
+    opened: "A table for {partySize} just opened at {time} {zone} on {date}",
+    fits: "Waitlisted parties that fit: {names}",
+    view: "View Waitlist",
+    dismiss: "Dismiss waitlist alert",
+  },
+
+  stats: {
+    today: "Today's Reservations",
+    total: "Total Reservations",
+    cancelledToday: "Cancelled Today",
+  },
+
+  schedule: {
+    title: "Today's Schedule",
+    empty: "No reservations scheduled for today",
+  },
+
+  summary: {
+    expected: "Expected",
+    late: "Late",
+    arrived: "Arrived",
+    seated: "Seated",
+    gone: "Gone",
+  },
+
+  filters: {
+    search: "Search",
+    searchPlaceholder: "Name, phone, or ID...",
+    from: "From",
+    to: "To",
+    status: "Status",
+    partySize: "Party Size",
+    min: "Min",
+    max: "Max",
+    minLabel: "Minimum party size",
+    maxLabel: "Maximum party size",
+    sortBy: "Sort By",
+    asc: "Asc",
+    desc: "Desc",
+    toggleSort: "Toggle sort order",
+    apply: "Apply Filters",
+    clear: "Clear Filters ({count})",
+    statuses: {
+      confirmed: "Confirmed",
+      arrived: "Arrived",
+      seated: "Seated",
+      cancelled: "Cancelled",
+      completed: "Completed",
+      "no-show": "No-show",
+    },
+  },
+
+  sort: {
+    date: "Date",
+    time: "Time",
+    name: "Name",
+    partySize: "Party size",
+  },
+
+  list: {
+    title: "All Reservations ({count})",
+    exportTitle: "Reservations",
+    selectPage: "Select all on this page",
+    import: "Import",
+    loading: "Loading reservations...",
+    empty: "No reservations found",
+    showing: "Showing {from}–{to} of {total}",
+    page: "Page {page} of {pages}",
+    previous: "Previous page",
+    next: "Next page",
+    perPage: "Per page",
+  },
+
+  modals: {
+    create: "Create New Reservation",
+    edit: "Edit Reservation",
+    bookFromWaitlist: "Book {name} from Waitlist",
+    outbox: "Offline Changes",
+    import: "Import Reservations",
+  },
+
+  status: {
+    confirmed: "confirmed",
+    arrived: "arrived",
+    seated: "seated",
+    cancelled: "cancelled",
+    completed: "completed",
+    "no-show": "no-show",
+  },
+
+  statusActions: {
+    arrived: "Check in",
+    seated: "Seat",
+    completed: "Complete",
+    "no-show": "No-show",
+  },
+
+  card: {
+    select: "Select {name}",
+    selectHint: "Select (shift-click to select a range)",
+    late: "Late {minutes} min",
+    pendingSync: "Pending sync",
+    guests: { one: "{count} guest", other: "{count} guests" },
+    table: "Table {number}",
+    specialRequests: "Special Requests:",
+    id: "ID: {id}",
+    timestamps: {
+      arrived: "arrived at {time}",
+      seated: "seated at {time}",
+      completed: "completed at {time}",
+      "no-show": "No-show at {time}",
+    },
+    callDetails: "Call details",
+    history: "Change history",
+    edit: "Edit Reservation",
+    cancel: "Cancel Reservation",
+    restore: "Restore Reservation",
+  },
+
+  form: {
+    name: "Full Name *",
+    namePlaceholder: "John Doe",
+    phone: "Phone Number *",
+    visits: { one: "{count} visit", other: "{count} visits" },
+    email: "Email (Optional)",
+    partySize: "Party Size *",
+    guests: { one: "{count} guest", other: "{count} guests" },
+    date: "Date *",
+    time: "Time *",
+    slotFull: "{time} — Full",
+    seatsLeft: {
+      one: "{time} — {count} seat left",
+      other: "{time} — {count} seats left",
+    },
+    checking: "Checking availability...",
+    slotFullFor: "{time} is fully booked for {partySize}.",
+    slotNotOffered: "{time} is not offered on this date.",
+    nearest: "Nearest open times:",
+    noneLeft: "No open times left on this date.",
+    specialRequests: "Special Requests",
+    selectedRequests: "Selected requests:",
+    customRequest: "Add custom request...",
+    add: "Add",
+    noChanges: "No changes to save",
+    saving: "Saving...",
+    update: "Update Reservation",
+    create: "Create Reservation",
+    confirmSlot: {
+      title: "Book it anyway?",
+      full: "{time} is fully booked on this date.",
+      notOffered: "{time} is not offered on this date.",
+      confirm: "Book anyway",
+    },
+  },
+
+  // Suggested special requests; the English text is what gets saved
+  requests: {
+    windowSeat: "Window seat",
+    highChair: "High chair",
+    birthday: "Birthday celebration",
+    anniversary: "Anniversary",
+    vegetarian: "Vegetarian options",
+    glutenFree: "Gluten-free options",
+    wheelchair: "Wheelchair accessible",
+    quiet: "Quiet area",
+    outdoor: "Outdoor seating",
+  },
+
+  confirm: {
+    noShow: {
+      title: "Mark as no-show?",
+      message:
+        "{name} (party of {partySize}, {time}) will be recorded as a no-show.",
+      confirm: "Mark no-show",
+    },
+    cancel: {
+      title: "Cancel reservation?",
+      message:
+        "{name}'s reservation for {partySize} at {time} will be cancelled.",
+      confirm: "Cancel reservation",
+      keep: "Keep it",
+    },
+    batchCancel: {
+      title: {
+        one: "Cancel {count} reservation?",
+        other: "Cancel {count} reservations?",
+      },
+      skipped: {
+        one: "{count} selected reservation isn't confirmed and will be skipped.",
+        other:
+          "{count} selected reservations aren't confirmed and will be skipped.",
+      },
+      confirm: "Cancel reservations",
+      keep: "Keep them",
+    },
+    removeWaitlist: {
+      title: "Remove from waitlist?",
+      message: "{name} (party of {partySize}) will be taken off the waitlist.",
+      confirm: "Remove",
+    },
+  },
+
+  toast: {
+    syncFailed: {
+      one: "{count} offline change could not be synced.",
+      other: "{count} offline changes could not be synced.",
+    },
+    synced: {
+      one: "Synced {count} offline change.",
+      other: "Synced {count} offline changes.",
+    },
+    created: "Reservation created for {name}",
+    updated: "Reservation updated for {name}",
+    cancelled: "Reservation cancelled for {name}",
+    restored: "Reservation restored for {name}",
+    imported: {
+      one: "Imported {count} reservation",
+      other: "Imported {count} reservations",
+    },
+    settingsSaved: "Settings saved",
+    savedOffline: {
+      create:
+        "Saved offline. The reservation will sync when you're back online.",
+      edit: "Saved offline. The change will sync when you're back online.",
+      cancel:
+        "Saved offline. The cancellation will sync when you're back online.",
+      undo: "Undo saved offline. It will sync when you're back online.",
+      restore: "Restore saved offline. It will sync when you're back online.",
+      status:
+        "Saved offline. The status change will sync when you're back online.",
+    },
+    batchQueued: {
+      one: "{count} change saved offline. It'll sync when you're back online.",
+      other:
+        "{count} changes saved offline. They'll sync when you're back online.",
+    },
+    undone: {
+      edit: "Undid edit for {name}",
+      cancellation: "Undid cancellation for {name}",
+    },
+  },
+
+  booking: {
+    title: "Book a table",
+    steps: {
+      partySize: "Guests",
+      date: "Date",
+      time: "Time",
+      contact: "Details",
+    },
+    back: "Back",
+    next: "Continue",
+    partySize: "How many guests?",
+    largeParty: "More than {count} guests? Call us at",
+    date: "Which day?",
+    time: "Pick a time",
+    summary: "{guests} · {date}",
+    timesIn: "Times are {zone}",
+    loadingTimes: "Finding open tables...",
+    noTimes: "Nothing is open online for {guests} on this day.",
+    timesFailed: "We couldn't load open times.",
+    tryAgain: "Try again",
+    otherDay: "Pick another day, or call us at",
+    contact: "Your details",
+    when: "{guests} · {date} at {time}",
+    confirm: "Confirm booking",
+    booking: "Booking...",
+    slotTaken: "Sorry, {time} was just taken. Please pick another time.",
+    failed: "We couldn't complete your booking. Please try again or call us at",
+    confirmed: "You're booked!",
+    seeYou: "We look forward to seeing you, {name}.",
+    reference: "Confirmation number",
+    changes: "To change or cancel, call us at",
+    another: "Book another table",
+  },
+
+  outbox: {
+    conflicts: {
+      deleted: "Reservation no longer exists",
+      cancelled: "Cancelled by someone else",
+      changed: "Changed by someone else while offline",
+    },
+  },
+
+  validation: {
+    nameRequired: "Name is required",
+    nameTooLong: "Name must be {max} characters or fewer",
+    phoneRequired: "Phone number is required",
+    phoneInvalid:
+      "Enter a 10-digit number, or start international numbers with +",
+    email: "Enter a valid email address",
+    partySizeMin: "Party size must be at least 1",
+    partySizeMax: "We take bookings for up to {max} guests",
+    dateRequired: "Date is required",
+    datePast: "Date can't be in the past",
+    importDate: "Use YYYY-MM-DD or MM/DD/YYYY",
+    timeRequired: "Time is required",
+    timeOutsideHours: "Pick a time during service hours",
+    tooManyRequests: "No more than {max} special requests",
+    requestTooLong: "Each request must be {max} characters or fewer",
+  },
+
+  errors: {
+    generic: "An error occurred",
+    sessionExpired: "Your session has expired. Please log in again.",
+    forbidden: "Your role doesn't allow this action.",
+    notFound: "Resource not found.",
+    timeout: "The server is taking too long to respond. Please try again.",
+    rateLimited: "Too many requests. Please wait a moment and try again.",
+    server: "Server error. Please try again later.",
+    offline: "No internet connection. Please check your network.",
+    waitingToSync: "Waiting to sync",
+    fetchStats: "Failed to fetch statistics",
+    fetchToday: "Failed to fetch today's reservations",
+    fetchAll: "Failed to fetch reservations",
+    create: "Failed to create reservation",
+    update: "Failed to update reservation",
+    status: "Failed to update reservation status",
+    cancel: "Failed to cancel reservation",
+    undo: {
+      edit: "Failed to undo edit",
+      cancellation: "Failed to undo cancellation",
+    },
+    restore: "Failed to restore reservation",
+    fetchGuests: "Failed to fetch guests",
+    saveGuestNotes: "Failed to save guest notes",
+    saveSettings: "Failed to save settings",
+    fetchWaitlist: "Failed to fetch waitlist",
+    addWaitlist: "Failed to add to waitlist",
+    removeWaitlist: "Failed to remove from waitlist",
+    reorderWaitlist: "Failed to reorder waitlist",
+    selectAll: "Failed to select all matching reservations",
+    syncOutbox: "Failed to sync offline changes",
+  },
+};
+
+export default en;
@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * SPANISH MESSAGES
+ * ============================================================================
+ *
+ * Same keys as locales/en; anything missing here is shown in English.
+ *
+ * @module locales/es
+ */
+
+const es = {
+  common: {
+    cancel: "Cancelar",
+    retry: "Reintentar",
+    undo: "Deshacer",
+    review: "Revisar",
+    offlineSuffix: " (sin conexión)",
+  },
+
+  header: {
+    callToBook: "¿Prefiere llamar? Reserve por teléfono al",
+    subtitle: "Sistema de gestión de reservas",
+    allLocations: "Todas las sucursales",
+    language: "Idioma",
+    logOut: "Cerrar sesión",
+    newReservation: "Nueva reserva",
+    pickLocation: "Elija una sucursal para añadir una reserva",
+    live: {
+      live: "Actualizaciones en vivo",
+      connecting: "Conectando con las actualizaciones en vivo...",
+      reconnecting: "Reconectando...",
+      polling: "Actualización automática",
+    },
+    waitingToSync: "{count} pendientes de sincronizar",
+    needReview: "{count} por revisar",
+  },
+
+  offline: {
+    banner:
+      "Sin conexión. Las reservas, cambios y cancelaciones nuevas se guardan en este dispositivo y se sincronizan al volver la conexión.",
+  },
+
+  tabs: {
+    dashboard: "Panel",
+    all: "Todas las reservas",
+    calendar: "Calendario",
+    floor: "Salón",
+    waitlist: "Lista de espera",
+    guests: "Clientes",
+    analytics: "Estadísticas",
+    settings: "Ajustes",
+  },
+
+  waitlistAlert: {
+    opened: "Se liberó una mesa para {partySize} a las {time} {zone} el {date}",
+    fits: "Grupos en espera que caben: {names}",
+    view: "Ver lista de espera",
+    dismiss: "Descartar aviso de lista de espera",
+  },
+
+  stats: {
+    today: "Reservas de hoy",
+    total: "Reservas totales",
+    cancelledToday: "Canceladas hoy",
+  },
+
+  schedule: {
+    title: "Agenda de hoy",
+    empty: "No hay reservas para hoy",
+  },
+
+  summary: {
+    expected: "Esperados",
+    late: "Con retraso",
+    arrived: "Llegaron",
+    seated: "Sentados",
+    gone: "Se fueron",
+  },
+
+  filters: {
+    search: "Buscar",
+    searchPlaceholder: "Nombre, teléfono o ID...",
+    from: "Desde",
+    to: "Hasta",
+    status: "Estado",
+    partySize: "Personas",
+    min: "Mín.",
+    max: "Máx.",
+    minLabel: "Mínimo de personas",
+    maxLabel: "Máximo de personas",
+    sortBy: "Ordenar por",
+    asc: "Asc.",
+    desc: "Desc.",
+    toggleSort: "Cambiar el orden",
+    apply: "Aplicar filtros",
+    clear: "Quitar filtros ({count})",
+    statuses: {
+      confirmed: "Confirmada",
+      arrived: "Llegó",
+      seated: "Sentada",
+      cancelled: "Cancelada",
+      completed: "Completada",
+      "no-show": "No se presentó",
+    },
+  },
+
+  sort: {
+    date: "Fecha",
+    time: "Hora",
+    name: "Nombre",
+    partySize: "Personas",
+  },
+
+  list: {
+    title: "Todas las reservas ({count})",
+    exportTitle: "Reservas",
+    selectPage: "Seleccionar todas en esta página",
+    import: "Importar",
+    loading: "Cargando reservas...",
+    empty: "No se encontraron reservas",
+    showing: "Mostrando {from}–{to} de {total}",
+    page: "Página {page} de {pages}",
+    previous: "Página anterior",
+    next: "Página siguiente",
+    perPage: "Por página",
+  },
+
+  modals: {
+    create: "Crear nueva reserva",
+    edit: "Editar reserva",
+    bookFromWaitlist: "Reservar para {name} desde la lista de espera",
+    outbox: "Cambios sin conexión",
+    import: "Importar reservas",
+  },
+
+  status: {
+    confirmed: "confirmada",
+    arrived: "llegó",
+    seated: "sentada",
+    cancelled: "cancelada",
+    completed: "completada",
+    "no-show": "no se presentó",
+  },
+
+  statusActions: {
+    arrived: "Registrar llegada",
+    seated: "Sentar",
+    completed: "Completar",
+    "no-show": "No se presentó",
+  },
+
+  card: {
+    select: "Seleccionar a {name}",
+    selectHint: "Seleccionar (mayús + clic para un rango)",
+    late: "{minutes} min de retraso",
+    pendingSync: "Pendiente de sincronizar",
+    guests: { one: "{count} persona", other: "{count} personas" },
+    table: "Mesa {number}",
+    specialRequests: "Peticiones especiales:",
+    id: "ID: {id}",
+    timestamps: {
+      arrived: "llegó a las {time}",
+      seated: "sentada a las {time}",
+      completed: "completada a las {time}",
+      "no-show": "No se presentó a las {time}",
+    },
+    callDetails: "Detalles de la llamada",
+    history: "Historial de cambios",
+    edit: "Editar reserva",
+    cancel: "Cancelar reserva",
+    restore: "Restaurar reserva",
+  },
+
+  form: {
+    name: "Nombre completo *",
+    namePlaceholder: "Juan Pérez",
+    phone: "Teléfono *",
+    visits: { one: "{count} visita", other: "{count} visitas" },
+    email: "Correo electrónico (opcional)",
+    partySize: "Personas *",
+    guests: { one: "{count} persona", other: "{count} personas" },
+    date: "Fecha *",
+    time: "Hora *",
+    slotFull: "{time} — Completo",
+    seatsLeft: {
+      one: "{time} — queda {count} lugar",
+      other: "{time} — quedan {count} lugares",
+    },
+    checking: "Comprobando disponibilidad...",
+    slotFullFor: "{time} está completo para {partySize}.",
+    slotNotOffered: "{time} no se ofrece en esta fecha.",
+    nearest: "Horas libres más cercanas:",
+    noneLeft: "No quedan horas libres en esta fecha.",
+    specialRequests: "Peticiones especiales",
+    selectedRequests: "Peticiones elegidas:",
+    customRequest: "Añadir otra petición...",
+    add: "Añadir",
+    noChanges: "No hay cambios que guardar",
+    saving: "Guardando...",
+    update: "Actualizar reserva",
+    create: "Crear reserva",
+    confirmSlot: {
+      title: "¿Reservar de todos modos?",
+      full: "{time} está completo en esta fecha.",
+      notOffered: "{time} no se ofrece en esta fecha.",
+      confirm: "Reservar de todos modos",
+    },
+  },
+
+  requests: {
+    windowSeat: "Junto a la ventana",
+    highChair: "Silla para bebé",
+    birthday: "Cumpleaños",
+    anniversary: "Aniversario",
+    vegetarian: "Opciones vegetarianas",
+    glutenFree: "Opciones sin gluten",
+    wheelchair: "Acceso para silla de ruedas",
+    quiet: "Zona tranquila",
+    outdoor: "Terraza",
+  },
+
+  confirm: {
+    noShow: {
+      title: "¿Marcar como no presentado?",
+      message:
+        "{name} (grupo de {partySize}, {time}) quedará registrado como no presentado.",
+      confirm: "Marcar no presentado",
+    },
+    cancel: {
+      title: "¿Cancelar la reserva?",
+      message:
+        "Se cancelará la reserva de {name} para {partySize} a las {time}.",
+      confirm: "Cancelar reserva",
+      keep: "Mantenerla",
+    },
+    batchCancel: {
+      title: {
+        one: "¿Cancelar {count} reserva?",
+        other: "¿Cancelar {count} reservas?",
+      },
+      skipped: {
+        one: "{count} reserva seleccionada no está confirmada y se omitirá.",
+        other:
+          "{count} reservas seleccionadas no están confirmadas y se omitirán.",
+      },
+      confirm: "Cancelar reservas",
+      keep: "Mantenerlas",
+    },
+    removeWaitlist: {
+      title: "¿Quitar de la lista de espera?",
+      message: "{name} (grupo de {partySize}) saldrá de la lista de espera.",
+      confirm: "Quitar",
+    },
+  },
+
+  toast: {
+    syncFailed: {
+      one: "No se pudo sincronizar {count} cambio sin conexión.",
+      other: "No se pudieron sincronizar {count} cambios sin conexión.",
+    },
+    synced: {
+      one: "Se sincronizó {count} cambio sin conexión.",
+      other: "Se sincronizaron {count} cambios sin conexión.",
+    },
+    created: "Reserva creada para {name}",
+    updated: "Reserva actualizada para {name}",
+    cancelled: "Reserva cancelada para {name}",
+    restored: "Reserva restaurada para {name}",
+    imported: {
+      one: "Se importó {count} reserva",
+      other: "Se importaron {count} reservas",
+    },
+    settingsSaved: "Ajustes guardados",
+    savedOffline: {
+      create:
+        "Guardada sin conexión. La reserva se sincronizará cuando vuelva la conexión.",
+      edit: "Guardado sin conexión. El cambio se sincronizará cuando vuelva la conexión.",
+      cancel:
+        "Guardada sin conexión. La cancelación se sincronizará cuando vuelva la conexión.",
+      undo: "Deshacer guardado sin conexión. Se sincronizará cuando vuelva la conexión.",
+      restore:
+        "Restauración guardada sin conexión. Se sincronizará cuando vuelva la conexión.",
+      status:
+        "Guardado sin conexión. El cambio de estado se sincronizará cuando vuelva la conexión.",
+    },
+    batchQueued: {
+      one: "{count} cambio guardado sin conexión. Se sincronizará cuando vuelva la conexión.",
+      other:
+        "{count} cambios guardados sin conexión. Se sincronizarán cuando vuelva la conexión.",
+    },
+    undone: {
+      edit: "Se deshizo el cambio de {name}",
+      cancellation: "Se deshizo la cancelación de {name}",
+    },
+  },
+
+  booking: {
+    title: "Reserve una mesa",
+    steps: {
+      partySize: "Personas",
+      date: "Fecha",
+      time: "Hora",
+      contact: "Datos",
+    },
+    back: "Atrás",
+    next: "Continuar",
+    partySize: "¿Cuántas personas?",
+    largeParty: "¿Más de {count} personas? Llámenos al",
+    date: "¿Qué día?",
+    time: "Elija una hora",
+    summary: "{guests} · {date}",
+    timesIn: "Horas en {zone}",
+    loadingTimes: "Buscando mesas libres...",
+    noTimes: "No hay horas libres en línea para {guests} ese día.",
+    timesFailed: "No pudimos cargar las horas libres.",
+    tryAgain: "Reintentar",
+    otherDay: "Elija otro día o llámenos al",
+    contact: "Sus datos",
+    when: "{guests} · {date} a las {time}",
+    confirm: "Confirmar reserva",
+    booking: "Reservando...",
+    slotTaken: "Lo sentimos, {time} se acaba de ocupar. Elija otra hora.",
+    failed: "No pudimos completar su reserva. Inténtelo de nuevo o llámenos al",
+    confirmed: "¡Reserva confirmada!",
+    seeYou: "Le esperamos, {name}.",
+    reference: "Número de confirmación",
+    changes: "Para cambiarla o cancelarla, llámenos al",
+    another: "Reservar otra mesa",
+  },
+
+  outbox: {
+    conflicts: {
+      deleted: "La reserva ya no existe",
+      cancelled: "Otra persona la canceló",
+      changed: "Otra persona la cambió mientras estaba sin conexión",
+    },
+  },
+
+  validation: {
+    nameRequired: "El nombre es obligatorio",
+    nameTooLong: "El nombre no puede superar los {max} caracteres",
+    phoneRequired: "El teléfono es obligatorio",
+    phoneInvalid:
+      "Escriba un número de 10 dígitos o empiece los internacionales con +",
+    email: "Escriba un correo electrónico válido",
+    partySizeMin: "Debe haber al menos 1 persona",
+    partySizeMax: "Aceptamos reservas de hasta {max} personas",
+    dateRequired: "La fecha es obligatoria",
+    datePast: "La fecha no puede ser pasada",
+    importDate: "Use AAAA-MM-DD o MM/DD/AAAA",
+    timeRequired: "La hora es obligatoria",
+    timeOutsideHours: "Elija una hora dentro del horario de servicio",
+    tooManyRequests: "No más de {max} peticiones especiales",
+    requestTooLong: "Cada petición puede tener como máximo {max} caracteres",
+  },
+
+  errors: {
+    generic: "Se produjo un error",
+    sessionExpired: "Su sesión ha caducado. Vuelva a iniciar sesión.",
+    forbidden: "Su rol no permite esta acción.",
+    notFound: "No se encontró el recurso.",
+    timeout: "El servidor tarda demasiado en responder. Inténtelo de nuevo.",
+    rateLimited:
+      "Demasiadas solicitudes. Espere un momento e inténtelo de nuevo.",
+    server: "Error del servidor. Inténtelo más tarde.",
+    offline: "Sin conexión a internet. Revise su red.",
+    waitingToSync: "Pendiente de sincronizar",
+    fetchStats: "No se pudieron cargar las estadísticas",
+    fetchToday: "No se pudieron cargar las reservas de hoy",
+    fetchAll: "No se pudieron cargar las reservas",
+    create: "No se pudo crear la reserva",
+    update: "No se pudo actualizar la reserva",
+    status: "No se pudo cambiar el estado de la reserva",
+    cancel: "No se pudo cancelar la reserva",
+    undo: {
+      edit: "No se pudo deshacer el cambio",
+      cancellation: "No se pudo deshacer la cancelación",
+    },
+    restore: "No se pudo restaurar la reserva",
+    fetchGuests: "No se pudieron cargar los clientes",
+    saveGuestNotes: "No se pudieron guardar las notas del cliente",
+    saveSettings: "No se pudieron guardar los ajustes",
+    fetchWaitlist: "No se pudo cargar la lista de espera",
+    addWaitlist: "No se pudo añadir a la lista de espera",
+    removeWaitlist: "No se pudo quitar de la lista de espera",
+    reorderWaitlist: "No se pudo reordenar la lista de espera",
+    selectAll: "No se pudieron seleccionar todas las reservas",
+    syncOutbox: "No se pudieron sincronizar los cambios sin conexión",
+  },
+};
+
+export default es;
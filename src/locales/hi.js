@@ -0,0 +1,387 @@
+/**
+ * ============================================================================
+ * HINDI MESSAGES
+ * ============================================================================
+ *
+ * Same keys as locales/en; anything missing here is shown in English.
+ * Hindi treats 0 and 1 alike ("one"), so both forms are usually the same.
+ *
+ * @module locales/hi
+ */
+
+const hi = {
+  common: {
+    cancel: "रद्द करें",
+    retry: "फिर से कोशिश करें",
+    undo: "पूर्ववत करें",
+    review: "देखें",
+    offlineSuffix: " (ऑफ़लाइन)",
+  },
+
+  header: {
+    callToBook: "फ़ोन करना पसंद है? इस नंबर पर फ़ोन से बुकिंग करें",
+    subtitle: "आरक्षण प्रबंधन प्रणाली",
+    allLocations: "सभी शाखाएँ",
+    language: "भाषा",
+    logOut: "लॉग आउट",
+    newReservation: "नया आरक्षण",
+    pickLocation: "बुकिंग जोड़ने के लिए एक शाखा चुनें",
+    live: {
+      live: "लाइव अपडेट",
+      connecting: "लाइव अपडेट से जुड़ रहे हैं...",
+      reconnecting: "फिर से जुड़ रहे हैं...",
+      polling: "अपने-आप रीफ़्रेश हो रहा है",
+    },
+    waitingToSync: "{count} सिंक होने बाकी",
+    needReview: "{count} जाँचने हैं",
+  },
+
+  offline: {
+    banner:
+      "आप ऑफ़लाइन हैं। नई बुकिंग, बदलाव और रद्दीकरण इसी डिवाइस पर सहेजे जाते हैं और कनेक्शन लौटने पर सिंक हो जाते हैं।",
+  },
+
+  tabs: {
+    dashboard: "डैशबोर्ड",
+    all: "सभी आरक्षण",
+    calendar: "कैलेंडर",
+    floor: "फ़्लोर",
+    waitlist: "प्रतीक्षा सूची",
+    guests: "मेहमान",
+    analytics: "विश्लेषण",
+    settings: "सेटिंग्स",
+  },
+
+  waitlistAlert: {
+    opened:
+      "{date} को {time} {zone} पर {partySize} लोगों के लिए एक टेबल खाली हुई है",
+    fits: "प्रतीक्षा में जिनके लिए यह सही है: {names}",
+    view: "प्रतीक्षा सूची देखें",
+    dismiss: "प्रतीक्षा सूची सूचना हटाएँ",
+  },
+
+  stats: {
+    today: "आज के आरक्षण",
+    total: "कुल आरक्षण",
+    cancelledToday: "आज रद्द",
+  },
+
+  schedule: {
+    title: "आज का कार्यक्रम",
+    empty: "आज के लिए कोई आरक्षण नहीं है",
+  },
+
+  summary: {
+    expected: "अपेक्षित",
+    late: "देर से",
+    arrived: "पहुँचे",
+    seated: "बैठे",
+    gone: "जा चुके",
+  },
+
+  filters: {
+    search: "खोजें",
+    searchPlaceholder: "नाम, फ़ोन या आईडी...",
+    from: "से",
+    to: "तक",
+    status: "स्थिति",
+    partySize: "लोगों की संख्या",
+    min: "न्यूनतम",
+    max: "अधिकतम",
+    minLabel: "न्यूनतम लोग",
+    maxLabel: "अधिकतम लोग",
+    sortBy: "क्रम",
+    asc: "बढ़ते",
+    desc: "घटते",
+    toggleSort: "क्रम बदलें",
+    apply: "फ़िल्टर लागू करें",
+    clear: "फ़िल्टर हटाएँ ({count})",
+    statuses: {
+      confirmed: "पुष्टि हुई",
+      arrived: "पहुँचे",
+      seated: "बैठे",
+      cancelled: "रद्द",
+      completed: "पूरा",
+      "no-show": "नहीं आए",
+    },
+  },
+
+  sort: {
+    date: "तारीख",
+    time: "समय",
+    name: "नाम",
+    partySize: "लोगों की संख्या",
+  },
+
+  list: {
+    title: "सभी आरक्षण ({count})",
+    exportTitle: "आरक्षण",
+    selectPage: "इस पेज के सभी चुनें",
+    import: "इम्पोर्ट करें",
+    loading: "आरक्षण लोड हो रहे हैं...",
+    empty: "कोई आरक्षण नहीं मिला",
+    showing: "{total} में से {from}–{to}",
+    page: "पेज {page} / {pages}",
+    previous: "पिछला पेज",
+    next: "अगला पेज",
+    perPage: "प्रति पेज",
+  },
+
+  modals: {
+    create: "नया आरक्षण बनाएँ",
+    edit: "आरक्षण बदलें",
+    bookFromWaitlist: "प्रतीक्षा सूची से {name} की बुकिंग करें",
+    outbox: "ऑफ़लाइन बदलाव",
+    import: "आरक्षण इम्पोर्ट करें",
+  },
+
+  status: {
+    confirmed: "पुष्टि हुई",
+    arrived: "पहुँचे",
+    seated: "बैठे",
+    cancelled: "रद्द",
+    completed: "पूरा",
+    "no-show": "नहीं आए",
+  },
+
+  statusActions: {
+    arrived: "चेक इन",
+    seated: "बैठाएँ",
+    completed: "पूरा करें",
+    "no-show": "नहीं आए",
+  },
+
+  card: {
+    select: "{name} चुनें",
+    selectHint: "चुनें (कई चुनने के लिए शिफ़्ट-क्लिक)",
+    late: "{minutes} मिनट देर",
+    pendingSync: "सिंक बाकी",
+    guests: { one: "{count} मेहमान", other: "{count} मेहमान" },
+    table: "टेबल {number}",
+    specialRequests: "विशेष अनुरोध:",
+    id: "आईडी: {id}",
+    timestamps: {
+      arrived: "{time} पर पहुँचे",
+      seated: "{time} पर बैठे",
+      completed: "{time} पर पूरा",
+      "no-show": "{time} तक नहीं आए",
+    },
+    callDetails: "कॉल का विवरण",
+    history: "बदलावों का इतिहास",
+    edit: "आरक्षण बदलें",
+    cancel: "आरक्षण रद्द करें",
+    restore: "आरक्षण वापस लाएँ",
+  },
+
+  form: {
+    name: "पूरा नाम *",
+    namePlaceholder: "राहुल शर्मा",
+    phone: "फ़ोन नंबर *",
+    visits: { one: "{count} बार आए", other: "{count} बार आए" },
+    email: "ईमेल (वैकल्पिक)",
+    partySize: "लोगों की संख्या *",
+    guests: { one: "{count} मेहमान", other: "{count} मेहमान" },
+    date: "तारीख *",
+    time: "समय *",
+    slotFull: "{time} — भरा हुआ",
+    seatsLeft: {
+      one: "{time} — {count} सीट बाकी",
+      other: "{time} — {count} सीटें बाकी",
+    },
+    checking: "उपलब्धता देख रहे हैं...",
+    slotFullFor: "{time} पर {partySize} लोगों के लिए जगह नहीं है।",
+    slotNotOffered: "इस तारीख को {time} उपलब्ध नहीं है।",
+    nearest: "सबसे नज़दीकी खाली समय:",
+    noneLeft: "इस तारीख को कोई समय खाली नहीं है।",
+    specialRequests: "विशेष अनुरोध",
+    selectedRequests: "चुने गए अनुरोध:",
+    customRequest: "अपना अनुरोध जोड़ें...",
+    add: "जोड़ें",
+    noChanges: "सहेजने के लिए कोई बदलाव नहीं",
+    saving: "सहेज रहे हैं...",
+    update: "आरक्षण अपडेट करें",
+    create: "आरक्षण बनाएँ",
+    confirmSlot: {
+      title: "फिर भी बुक करें?",
+      full: "इस तारीख को {time} पूरी तरह भरा हुआ है।",
+      notOffered: "इस तारीख को {time} उपलब्ध नहीं है।",
+      confirm: "फिर भी बुक करें",
+    },
+  },
+
+  requests: {
+    windowSeat: "खिड़की के पास",
+    highChair: "बच्चों की कुर्सी",
+    birthday: "जन्मदिन",
+    anniversary: "सालगिरह",
+    vegetarian: "शाकाहारी विकल्प",
+    glutenFree: "ग्लूटेन-मुक्त विकल्प",
+    wheelchair: "व्हीलचेयर के लिए सुलभ",
+    quiet: "शांत जगह",
+    outdoor: "बाहर बैठने की जगह",
+  },
+
+  confirm: {
+    noShow: {
+      title: "नहीं आए के रूप में दर्ज करें?",
+      message:
+        "{name} ({partySize} लोग, {time}) को नहीं आए के रूप में दर्ज किया जाएगा।",
+      confirm: "नहीं आए दर्ज करें",
+    },
+    cancel: {
+      title: "आरक्षण रद्द करें?",
+      message: "{name} का {time} पर {partySize} लोगों का आरक्षण रद्द हो जाएगा।",
+      confirm: "आरक्षण रद्द करें",
+      keep: "रहने दें",
+    },
+    batchCancel: {
+      title: {
+        one: "{count} आरक्षण रद्द करें?",
+        other: "{count} आरक्षण रद्द करें?",
+      },
+      skipped: {
+        one: "चुना गया {count} आरक्षण पुष्ट नहीं है और छोड़ दिया जाएगा।",
+        other: "चुने गए {count} आरक्षण पुष्ट नहीं हैं और छोड़ दिए जाएँगे।",
+      },
+      confirm: "आरक्षण रद्द करें",
+      keep: "रहने दें",
+    },
+    removeWaitlist: {
+      title: "प्रतीक्षा सूची से हटाएँ?",
+      message: "{name} ({partySize} लोग) को प्रतीक्षा सूची से हटा दिया जाएगा।",
+      confirm: "हटाएँ",
+    },
+  },
+
+  toast: {
+    syncFailed: {
+      one: "{count} ऑफ़लाइन बदलाव सिंक नहीं हो सका।",
+      other: "{count} ऑफ़लाइन बदलाव सिंक नहीं हो सके।",
+    },
+    synced: {
+      one: "{count} ऑफ़लाइन बदलाव सिंक हुआ।",
+      other: "{count} ऑफ़लाइन बदलाव सिंक हुए।",
+    },
+    created: "{name} के लिए आरक्षण बनाया गया",
+    updated: "{name} का आरक्षण अपडेट किया गया",
+    cancelled: "{name} का आरक्षण रद्द किया गया",
+    restored: "{name} का आरक्षण वापस लाया गया",
+    imported: {
+      one: "{count} आरक्षण इम्पोर्ट हुआ",
+      other: "{count} आरक्षण इम्पोर्ट हुए",
+    },
+    settingsSaved: "सेटिंग्स सहेजी गईं",
+    savedOffline: {
+      create: "ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर आरक्षण सिंक हो जाएगा।",
+      edit: "ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर बदलाव सिंक हो जाएगा।",
+      cancel: "ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर रद्दीकरण सिंक हो जाएगा।",
+      undo: "पूर्ववत ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर सिंक हो जाएगा।",
+      restore: "वापसी ऑफ़लाइन सहेजी गई। ऑनलाइन होने पर सिंक हो जाएगी।",
+      status:
+        "ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर स्थिति का बदलाव सिंक हो जाएगा।",
+    },
+    batchQueued: {
+      one: "{count} बदलाव ऑफ़लाइन सहेजा गया। ऑनलाइन होने पर सिंक हो जाएगा।",
+      other: "{count} बदलाव ऑफ़लाइन सहेजे गए। ऑनलाइन होने पर सिंक हो जाएँगे।",
+    },
+    undone: {
+      edit: "{name} का बदलाव पूर्ववत किया गया",
+      cancellation: "{name} का रद्दीकरण पूर्ववत किया गया",
+    },
+  },
+
+  booking: {
+    title: "टेबल बुक करें",
+    steps: {
+      partySize: "मेहमान",
+      date: "तारीख",
+      time: "समय",
+      contact: "विवरण",
+    },
+    back: "पीछे",
+    next: "आगे बढ़ें",
+    partySize: "कितने मेहमान?",
+    largeParty: "{count} से ज़्यादा मेहमान? हमें फ़ोन करें",
+    date: "कौन-सा दिन?",
+    time: "समय चुनें",
+    summary: "{guests} · {date}",
+    timesIn: "समय {zone} में है",
+    loadingTimes: "खाली टेबल ढूँढ रहे हैं...",
+    noTimes: "इस दिन {guests} के लिए ऑनलाइन कोई समय खाली नहीं है।",
+    timesFailed: "खाली समय लोड नहीं हो सके।",
+    tryAgain: "फिर से कोशिश करें",
+    otherDay: "कोई और दिन चुनें, या हमें फ़ोन करें",
+    contact: "आपका विवरण",
+    when: "{guests} · {date}, {time}",
+    confirm: "बुकिंग पक्की करें",
+    booking: "बुक कर रहे हैं...",
+    slotTaken: "माफ़ कीजिए, {time} अभी-अभी बुक हो गया। कृपया कोई और समय चुनें।",
+    failed: "आपकी बुकिंग पूरी नहीं हो सकी। फिर से कोशिश करें या हमें फ़ोन करें",
+    confirmed: "आपकी बुकिंग हो गई!",
+    seeYou: "{name}, हमें आपका इंतज़ार रहेगा।",
+    reference: "पुष्टि संख्या",
+    changes: "बदलने या रद्द करने के लिए हमें फ़ोन करें",
+    another: "एक और टेबल बुक करें",
+  },
+
+  outbox: {
+    conflicts: {
+      deleted: "यह आरक्षण अब मौजूद नहीं है",
+      cancelled: "किसी और ने रद्द कर दिया",
+      changed: "ऑफ़लाइन रहते समय किसी और ने बदल दिया",
+    },
+  },
+
+  validation: {
+    nameRequired: "नाम ज़रूरी है",
+    nameTooLong: "नाम {max} अक्षरों से लंबा नहीं हो सकता",
+    phoneRequired: "फ़ोन नंबर ज़रूरी है",
+    phoneInvalid:
+      "10 अंकों का नंबर डालें, या अंतरराष्ट्रीय नंबर + से शुरू करें",
+    email: "सही ईमेल पता डालें",
+    partySizeMin: "कम से कम 1 व्यक्ति होना चाहिए",
+    partySizeMax: "हम अधिकतम {max} लोगों तक की बुकिंग लेते हैं",
+    dateRequired: "तारीख ज़रूरी है",
+    datePast: "तारीख बीती हुई नहीं हो सकती",
+    importDate: "YYYY-MM-DD या MM/DD/YYYY इस्तेमाल करें",
+    timeRequired: "समय ज़रूरी है",
+    timeOutsideHours: "सेवा के समय में से कोई समय चुनें",
+    tooManyRequests: "{max} से ज़्यादा विशेष अनुरोध नहीं",
+    requestTooLong: "हर अनुरोध {max} अक्षरों से लंबा नहीं हो सकता",
+  },
+
+  errors: {
+    generic: "कोई त्रुटि हुई",
+    sessionExpired: "आपका सत्र समाप्त हो गया है। कृपया फिर से लॉग इन करें।",
+    forbidden: "आपकी भूमिका में यह कार्य करने की अनुमति नहीं है।",
+    notFound: "संसाधन नहीं मिला।",
+    timeout: "सर्वर जवाब देने में बहुत समय ले रहा है। कृपया फिर से कोशिश करें।",
+    rateLimited: "बहुत सारे अनुरोध। कृपया थोड़ा रुककर फिर से कोशिश करें।",
+    server: "सर्वर त्रुटि। कृपया बाद में कोशिश करें।",
+    offline: "इंटरनेट कनेक्शन नहीं है। कृपया अपना नेटवर्क जाँचें।",
+    waitingToSync: "सिंक बाकी",
+    fetchStats: "आँकड़े लोड नहीं हो सके",
+    fetchToday: "आज के आरक्षण लोड नहीं हो सके",
+    fetchAll: "आरक्षण लोड नहीं हो सके",
+    create: "आरक्षण नहीं बन सका",
+    update: "आरक्षण अपडेट नहीं हो सका",
+    status: "आरक्षण की स्थिति नहीं बदली जा सकी",
+    cancel: "आरक्षण रद्द नहीं हो सका",
+    undo: {
+      edit: "बदलाव पूर्ववत नहीं हो सका",
+      cancellation: "रद्दीकरण पूर्ववत नहीं हो सका",
+    },
+    restore: "आरक्षण वापस नहीं लाया जा सका",
+    fetchGuests: "मेहमान लोड नहीं हो सके",
+    saveGuestNotes: "मेहमान के नोट्स सहेजे नहीं जा सके",
+    saveSettings: "सेटिंग्स सहेजी नहीं जा सकीं",
+    fetchWaitlist: "प्रतीक्षा सूची लोड नहीं हो सकी",
+    addWaitlist: "प्रतीक्षा सूची में नहीं जोड़ा जा सका",
+    removeWaitlist: "प्रतीक्षा सूची से नहीं हटाया जा सका",
+    reorderWaitlist: "प्रतीक्षा सूची का क्रम नहीं बदला जा सका",
+    selectAll: "सभी मिलते आरक्षण नहीं चुने जा सके",
+    syncOutbox: "ऑफ़लाइन बदलाव सिंक नहीं हो सके",
+  },
+};
+
+export default hi;
@@ -9,7 +9,7 @@
  * PURPOSE:
  * --------
  * - Single source for all API calls (DRY principle)
- * - Automatic API key authentication on every request
+ * - Automatic staff session authentication on every request
  * - Consistent error handling across the application
  * - Request/response logging for debugging
  * - Network error detection and user-friendly messages
@@ -17,16 +17,25 @@
  * 
  * FEATURES:
  * ---------
- * ✅ Automatic authentication (X-API-Key header)
+ * ✅ Automatic authentication (Bearer token, refreshed on 401)
+ * ✅ Active restaurant location sent on every request (X-Location-Id)
  * ✅ Error handling with custom ApiError class
  * ✅ Network error detection
  * ✅ Development logging (request/response)
  * ✅ Retry mechanism with exponential backoff
+ * ✅ Cancellation (AbortSignal) and per-request timeouts
+ * ✅ De-duplication of identical concurrent GETs
+ * ✅ Query string builder (arrays, empty values, encoding)
+ * ✅ Realtime reservation events (SSE) with polling fallback
  * ✅ TypeScript-ready (JSDoc annotations)
  * 
  * SECURITY:
  * ---------
- * - API key automatically added to all requests
+ * - Staff access token added to all requests (see services/auth)
+ * - Legacy X-API-Key only when REACT_APP_USE_LEGACY_API_KEY is on and
+ *   nobody is logged in (off by default)
+ * - The realtime stream authenticates with a short-lived ticket, never
+ *   the access token in its URL
  * - Credentials included for CORS (cookies/session)
  * - HTTPS enforced in production (via config)
  * 
@@ -53,6 +62,9 @@
  */
 
 import config from '../config';
+import { getAccessToken, refreshSession } from './auth';
+import { getActiveLocationId } from './locations';
+import { isPhoneLike, phoneDigits } from '../utils/phone';
 
 /**
  * ========================================================================
@@ -86,7 +98,9 @@ import config from '../config';
  * - 400: Bad request (validation error)
  * - 401: Unauthorized (invalid API key)
  * - 404: Not found (resource doesn't exist)
+ * - 408: Timeout (no response within the request timeout)
  * - 429: Too many requests (rate limit exceeded)
+ * - 499: Aborted (cancelled by the caller; safe to ignore)
  * - 500: Server error (backend crashed)
  */
 export class ApiError extends Error {
@@ -105,6 +119,25 @@ export class ApiError extends Error {
   }
 }
 
+/**
+ * Statuses the client assigns itself when no HTTP response arrived.
+ */
+export const ERROR_STATUS = {
+  NETWORK: 0,
+  TIMEOUT: 408,
+  ABORTED: 499,
+};
+
+/**
+ * True if the error only means "the caller stopped waiting".
+ * Callers should drop these silently instead of showing an error.
+ */
+export const isAbortError = (error) =>
+  error instanceof ApiError && error.status === ERROR_STATUS.ABORTED;
+
+const abortedError = () =>
+  new ApiError('Request cancelled', ERROR_STATUS.ABORTED, null);
+
 /**
  * ========================================================================
  * FETCH WITH AUTHENTICATION
@@ -115,27 +148,48 @@ export class ApiError extends Error {
  * 
  * PROCESS FLOW:
  * 1. Build full URL (config.API_URL + endpoint)
- * 2. Add authentication headers (X-API-Key)
- * 3. Add Content-Type header (application/json)
- * 4. Make fetch request
+ * 2. Add authentication headers (Authorization: Bearer <token>)
+ * 3. Add Content-Type and X-Location-Id headers
+ * 4. Make fetch request (abortable, with timeout)
  * 5. Parse response (JSON or text)
  * 6. Check for HTTP errors (status code)
- * 7. Return data or throw ApiError
+ * 7. On 401, refresh the session once and retry
+ * 8. Return data or throw ApiError
  * 
  * @param {string} endpoint - API endpoint (e.g., '/reservations')
  * @param {object} options - Fetch options (method, body, headers, etc.)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @param {number} options.timeout - Milliseconds before giving up
+ *   (default: config.REQUEST_TIMEOUT_MS, 0 = no timeout)
+ * @param {string} options.locationId - Location the request is for
+ *   (default: the active location, see services/locations)
+ * @param {boolean} options.anonymous - Send no staff credentials (the
+ *   public booking page, see publicApi)
+ * @param {string} options.baseUrl - Server to call (default:
+ *   config.API_URL)
  * @returns {Promise<any>} - Parsed response data
  * @throws {ApiError} - On HTTP errors or network failures
  * 
  * AUTHENTICATION:
  * ---------------
- * - Adds X-API-Key header if config.API_KEY is set
- * - Backend validates this key on protected endpoints
- * - Missing/invalid key returns 401 Unauthorized
+ * - Adds Authorization: Bearer <access token> for the logged-in user
+ * - Falls back to X-API-Key if config.API_KEY is set, which it only is
+ *   when the legacy key is switched on (see config)
+ * - A 401 triggers one refreshSession() and a retry; if the refresh is
+ *   rejected the session is cleared and the login screen shows again
+ * - anonymous requests carry neither, even on a device a staff member
+ *   is logged in on
+ * 
+ * LOCATION:
+ * ---------
+ * - X-Location-Id names the restaurant location; the backend scopes
+ *   stats, lists and searches to it ('all' = every location, owners only)
  * 
  * ERROR HANDLING:
  * ---------------
  * - Network errors: Throws ApiError with status 0
+ * - Timeouts: Throws ApiError with status 408
+ * - Cancelled by caller: Throws ApiError with status 499
  * - HTTP errors (4xx, 5xx): Throws ApiError with actual status
  * - Success (2xx): Returns parsed data
  * 
@@ -152,27 +206,63 @@ export class ApiError extends Error {
  * });
  */
 async function fetchWithAuth(endpoint, options = {}) {
+  const {
+    signal,
+    timeout = config.REQUEST_TIMEOUT_MS,
+    retryOnUnauthorized = true,
+    locationId = getActiveLocationId(),
+    anonymous = false,
+    baseUrl = config.API_URL,
+    ...requestOptions
+  } = options;
+
   // Build full URL
-  const url = `${config.API_URL}${endpoint}`;
+  const url = `${baseUrl}${endpoint}`;
   
   // Prepare headers
   const headers = {
     'Content-Type': 'application/json',
-    ...options.headers,
+    'X-Location-Id': locationId,
+    ...requestOptions.headers,
   };
 
-  // Add API key if available
-  if (config.API_KEY) {
+  // Add the staff access token, or the legacy shared key
+  const accessToken = anonymous ? null : getAccessToken();
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`;
+  } else if (anonymous) {
+    // Public endpoints take no credentials
+  } else if (config.API_KEY) {
     headers['X-API-Key'] = config.API_KEY;
-  } else {
-    // Warn if API key is missing (should never happen in production)
-    console.warn('⚠️ API key not configured. Requests may fail.');
+  } else if (config.isDevelopment) {
+    console.warn('⚠️ Not logged in. Requests may fail.');
+  }
+
+  // Abort on the caller's signal or when the timeout fires
+  if (signal && signal.aborted) {
+    throw abortedError();
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const abortFromCaller = () => controller.abort();
+  const timeoutId =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+  if (signal) {
+    signal.addEventListener('abort', abortFromCaller);
   }
 
   // Merge options
   const fetchOptions = {
-    ...options,
+    ...requestOptions,
     headers,
+    signal: controller.signal,
   };
 
   // Log request in development
@@ -196,6 +286,20 @@ async function fetchWithAuth(endpoint, options = {}) {
       data = await response.text();
     }
 
+    // Expired access token: refresh once and try again
+    if (
+      response.status === 401 &&
+      accessToken &&
+      retryOnUnauthorized &&
+      (await refreshSession())
+    ) {
+      return fetchWithAuth(endpoint, {
+        ...options,
+        locationId,
+        retryOnUnauthorized: false,
+      });
+    }
+
     // Handle HTTP errors (4xx, 5xx status codes)
     if (!response.ok) {
       // Extract error message from response
@@ -230,6 +334,22 @@ async function fetchWithAuth(endpoint, options = {}) {
       throw error;
     }
 
+    if (timedOut) {
+      if (config.isDevelopment) {
+        console.error(`⏱️ Timed out after ${timeout}ms:`, endpoint);
+      }
+
+      throw new ApiError(
+        'The server took too long to respond. Please try again.',
+        ERROR_STATUS.TIMEOUT,
+        { timeout }
+      );
+    }
+
+    if (controller.signal.aborted) {
+      throw abortedError();
+    }
+
     // Handle network errors (no response from server)
     if (config.isDevelopment) {
       console.error('❌ Network Error:', error.message);
@@ -240,12 +360,147 @@ async function fetchWithAuth(endpoint, options = {}) {
     // Throw ApiError for network failures
     throw new ApiError(
       'Network error. Please check your connection and try again.',
-      0,
+      ERROR_STATUS.NETWORK,
       { originalError: error.message }
     );
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) {
+      signal.removeEventListener('abort', abortFromCaller);
+    }
   }
 }
 
+/**
+ * ========================================================================
+ * GET DE-DUPLICATION
+ * ========================================================================
+ * 
+ * Identical GETs that are in flight at the same time share one request.
+ * Two tabs mounting together, or a realtime poll racing a manual refresh,
+ * cost a single round trip.
+ * 
+ * - Keyed by location and endpoint (query string included)
+ * - Each caller keeps its own AbortSignal: aborting one caller only
+ *   rejects that caller; the shared request is aborted once every
+ *   caller with a signal has given up
+ * - Pass { dedupe: false } to always send a fresh request
+ */
+const inflightGets = new Map();
+
+function dedupedGet(endpoint, options) {
+  const {
+    signal,
+    dedupe = true,
+    locationId = getActiveLocationId(),
+    ...requestOptions
+  } = options;
+
+  if (!dedupe) {
+    return fetchWithAuth(endpoint, { ...requestOptions, locationId, signal });
+  }
+
+  if (signal && signal.aborted) {
+    return Promise.reject(abortedError());
+  }
+
+  const key = `${locationId} ${endpoint}`;
+  let entry = inflightGets.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = {
+      controller,
+      waiting: 0,
+      promise: fetchWithAuth(endpoint, {
+        ...requestOptions,
+        locationId,
+        signal: controller.signal,
+      }),
+    };
+
+    const forget = () => {
+      if (inflightGets.get(key) === entry) {
+        inflightGets.delete(key);
+      }
+    };
+    entry.promise.then(forget, forget);
+    inflightGets.set(key, entry);
+  } else if (config.isDevelopment) {
+    console.log(`♻️ Reusing in-flight request: GET ${endpoint}`);
+  }
+
+  const shared = entry;
+  shared.waiting += 1;
+
+  // Callers without a signal never leave, so the request always finishes
+  if (!signal) {
+    return shared.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      shared.waiting -= 1;
+      reject(abortedError());
+
+      if (shared.waiting === 0) {
+        if (inflightGets.get(key) === shared) {
+          inflightGets.delete(key);
+        }
+        shared.controller.abort();
+      }
+    };
+
+    signal.addEventListener('abort', leave, { once: true });
+    shared.promise.then(
+      (data) => {
+        signal.removeEventListener('abort', leave);
+        resolve(data);
+      },
+      (error) => {
+        signal.removeEventListener('abort', leave);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * ========================================================================
+ * LATEST REQUEST
+ * ========================================================================
+ * 
+ * Keeps only the newest of a series of requests alive. Each call to
+ * next() aborts the previous signal and returns a fresh one, so a slow
+ * older response can never overwrite a newer one. abort() cancels the
+ * current request (e.g. on unmount).
+ * 
+ * USAGE:
+ * ------
+ * const latest = createLatestRequest();
+ * 
+ * const load = async (filters) => {
+ *   const data = await reservationApi.search(filters, { signal: latest.next() });
+ *   setReservations(data.items); // never runs for a superseded call
+ * };
+ * 
+ * @returns {{ next: Function, abort: Function }}
+ */
+export function createLatestRequest() {
+  let controller = null;
+
+  return {
+    next() {
+      if (controller) controller.abort();
+      controller = new AbortController();
+      return controller.signal;
+    },
+    abort() {
+      if (controller) controller.abort();
+      controller = null;
+    },
+  };
+}
+
 /**
  * ========================================================================
  * API SERVICE OBJECT
@@ -256,7 +511,7 @@ async function fetchWithAuth(endpoint, options = {}) {
  * 
  * METHODS:
  * --------
- * - get(endpoint, options) - GET request
+ * - get(endpoint, options) - GET request (de-duplicated)
  * - post(endpoint, data, options) - POST request
  * - patch(endpoint, data, options) - PATCH request
  * - delete(endpoint, options) - DELETE request
@@ -281,6 +536,13 @@ async function fetchWithAuth(endpoint, options = {}) {
  * 
  * // DELETE
  * await api.delete('/reservations/123');
+ * 
+ * // Cancellable, with a 5 second timeout
+ * const controller = new AbortController();
+ * const data = await api.get('/reservations', {
+ *   signal: controller.signal,
+ *   timeout: 5000
+ * });
  */
 export const api = {
   /**
@@ -289,7 +551,8 @@ export const api = {
    * Retrieves data from the server.
    * 
    * @param {string} endpoint - API endpoint (e.g., '/reservations')
-   * @param {object} options - Additional fetch options (optional)
+   * @param {object} options - Additional fetch options (optional), plus
+   *   signal, timeout and dedupe (default true)
    * @returns {Promise<any>} - Response data
    * @throws {ApiError} - On errors
    * 
@@ -299,7 +562,7 @@ export const api = {
    * const reservations = await api.get('/reservations?status=confirmed');
    */
   get: (endpoint, options = {}) => {
-    return fetchWithAuth(endpoint, {
+    return dedupedGet(endpoint, {
       ...options,
       method: 'GET',
     });
@@ -383,6 +646,532 @@ export const api = {
   },
 };
 
+/**
+ * ========================================================================
+ * QUERY BUILDER
+ * ========================================================================
+ * 
+ * Turns a params object into a URL query string so callers never
+ * concatenate or encode query parameters by hand.
+ * 
+ * RULES:
+ * ------
+ * - undefined, null and '' values are left out
+ * - Arrays become repeated keys: { status: ['a', 'b'] } → status=a&status=b
+ * - Empty arrays are left out
+ * - Everything else is converted with String() and URL-encoded
+ * 
+ * @param {object} params - Query parameters
+ * @returns {string} - "?key=value&..." or '' when nothing is left
+ * 
+ * EXAMPLE:
+ * --------
+ * buildQuery({ q: 'Priya & co', status: ['confirmed', 'seated'], page: 2 });
+ * // '?q=Priya+%26+co&status=confirmed&status=seated&page=2'
+ */
+export const buildQuery = (params = {}) => {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    values
+      .filter((item) => item !== undefined && item !== null && item !== '')
+      .forEach((item) => query.append(key, String(item)));
+  });
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+// One page of a paged list endpoint as { items, total, page, pageSize,
+// totalPages }. Older backends answer with a plain array of every match.
+const toPage = (data, query, listKey) => {
+  if (Array.isArray(data)) {
+    return {
+      items: data,
+      total: data.length,
+      page: 1,
+      pageSize: data.length,
+      totalPages: 1,
+    };
+  }
+
+  const items = data.items || data[listKey] || [];
+  const pageSize = data.pageSize || query.pageSize || items.length || 1;
+  const total = data.total ?? items.length;
+
+  return {
+    items,
+    total,
+    page: data.page || query.page || 1,
+    pageSize,
+    totalPages: data.totalPages || Math.max(1, Math.ceil(total / pageSize)),
+  };
+};
+
+// Phone-like search terms are sent as digits only, so "(555) 123" matches
+// the stored "+15551234567"
+const searchTerm = (search) => {
+  const term = (search || '').trim();
+  return isPhoneLike(term) ? phoneDigits(term) : term;
+};
+
+/**
+ * ========================================================================
+ * ENDPOINT HELPERS
+ * ========================================================================
+ * 
+ * Thin wrappers around api.get/post/patch/delete for endpoints that
+ * have a fixed shape. Keeps URL building in one place.
+ * 
+ * reservationApi:
+ * - list(filters) - Reservations filtered by status and/or date
+ * - search(query) - One page of reservations, filtered and sorted server-side
+ * - searchAll(query) - Every page of a search (exports)
+ * - get(id) - One reservation
+ * - getCall(id) - Voice call that produced the booking
+ * - getHistory(id) - Audit trail of every change to a booking
+ * - getAvailability(params) - Remaining capacity per time slot
+ * - getRangeStats(range) - Reservations of a date range, for analytics
+ * 
+ * restaurantApi:
+ * - getSettings() - Service hours and capacity rules
+ * - updateSettings(settings) - Save service hours and capacity rules (admin)
+ * 
+ * waitlistApi:
+ * - list(params) - Waitlisted parties in queue order
+ * - add(entry) - Add a party to the end of the queue
+ * - update(id, changes) - Edit a waitlist entry
+ * - remove(id) - Remove a party from the queue
+ * - reorder(ids) - Save a new queue order
+ * 
+ * guestApi:
+ * - profiles(query) - One page of guest profiles, aggregated server-side
+ * - update(phone, changes) - Save notes/tags for one guest
+ * 
+ * publicApi (no login, for the customer booking page):
+ * - getSettings(params) - A location's service hours and party limits
+ * - getAvailability(params) - Which time slots can still take a party
+ * - book(booking) - Book a table; returns only the guest's confirmation
+ * 
+ * USAGE:
+ * ------
+ * import { reservationApi } from './services/api';
+ * 
+ * const call = await reservationApi.getCall('507f1f77bcf86cd799439011');
+ */
+export const reservationApi = {
+  /**
+   * List reservations, optionally filtered
+   * 
+   * @param {object} filters - Query filters (empty values are ignored)
+   * @param {string} filters.status - e.g. 'confirmed'
+   * @param {string} filters.date - Date as "YYYY-MM-DD"
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - Matching reservations
+   * @throws {ApiError} - On errors
+   * 
+   * EXAMPLE:
+   * --------
+   * await reservationApi.list({ date: '2024-12-25' });
+   * // GET /reservations?date=2024-12-25
+   */
+  list: ({ status, date } = {}, options = {}) => {
+    return api.get(`/reservations${buildQuery({ status, date })}`, options);
+  },
+
+  /**
+   * Search reservations with server-side filtering, sorting and pagination
+   * 
+   * @param {object} query - Search query (empty values are ignored)
+   * @param {string} query.search - Free text: name, phone or reservation ID.
+   *   Phone-like terms are sent as digits only, so "(555) 123" matches the
+   *   stored "+15551234567".
+   * @param {string} query.dateFrom - First date, "YYYY-MM-DD" (inclusive)
+   * @param {string} query.dateTo - Last date, "YYYY-MM-DD" (inclusive)
+   * @param {string[]} query.statuses - Any of these statuses
+   * @param {number} query.partySizeMin - Smallest party size (inclusive)
+   * @param {number} query.partySizeMax - Largest party size (inclusive)
+   * @param {string} query.sortBy - 'date' | 'time' | 'name' | 'partySize'
+   * @param {string} query.sortOrder - 'asc' | 'desc'
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.pageSize - Reservations per page
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - One page:
+   *   { items: Array, total: number, page: number, pageSize: number, totalPages: number }
+   * @throws {ApiError} - On errors
+   * 
+   * EXAMPLE:
+   * --------
+   * await reservationApi.search({ statuses: ['confirmed'], sortBy: 'name', page: 2 });
+   * // GET /reservations/search?status=confirmed&sortBy=name&page=2
+   */
+  search: async (query = {}, options = {}) => {
+    const data = await api.get(
+      `/reservations/search${buildQuery({
+        q: searchTerm(query.search),
+        dateFrom: query.dateFrom,
+        dateTo: query.dateTo,
+        status: query.statuses,
+        partySizeMin: query.partySizeMin,
+        partySizeMax: query.partySizeMax,
+        sortBy: query.sortBy,
+        sortOrder: query.sortOrder,
+        page: query.page,
+        pageSize: query.pageSize,
+      })}`,
+      options
+    );
+    return toPage(data, query, 'reservations');
+  },
+
+  /**
+   * Every reservation matching a search, fetched page by page
+   * 
+   * Used by exports, which cover the whole filtered list rather than the
+   * page on screen.
+   * 
+   * @param {object} query - Same as search(); page and pageSize are ignored
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - Matching reservations in the query's order
+   * @throws {ApiError} - On errors
+   */
+  searchAll: async (query = {}, options = {}) => {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const result = await reservationApi.search(
+        { ...query, page, pageSize: 100 },
+        options
+      );
+      items.push(...result.items);
+      totalPages = result.totalPages;
+      page += 1;
+    } while (page <= totalPages);
+
+    return items;
+  },
+
+  /**
+   * Get one reservation by _id
+   * 
+   * @param {string} id - Reservation _id
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - The reservation
+   * @throws {ApiError} - 404 if it doesn't exist
+   */
+  get: (id, options = {}) => {
+    return api.get(`/reservations/${id}`, options);
+  },
+
+  /**
+   * Get the voice call behind a reservation
+   * 
+   * @param {string} id - Reservation _id
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - Call details:
+   *   {
+   *     source: 'voice' | 'web' | 'staff',
+   *     startedAt: ISO timestamp,
+   *     callerNumber: string,
+   *     durationSeconds: number,
+   *     transcript: [{ speaker: 'agent' | 'user', text, timestamp }],
+   *     recordingUrl: string | null
+   *   }
+   * @throws {ApiError} - 404 when the booking did not come from a call
+   */
+  getCall: (id, options = {}) => {
+    return api.get(`/reservations/${id}/call`, options);
+  },
+
+  /**
+   * Get the audit trail of a reservation, oldest change first. The backend
+   * records who made each change from the caller's access token.
+   * 
+   * @param {string} id - Reservation _id
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - History entries:
+   *   [{
+   *     _id,
+   *     at: ISO timestamp,
+   *     action: 'created' | 'updated' | 'cancelled' | 'status',
+   *     actor: { type: 'staff' | 'voice' | 'customer' | 'system', name? },
+   *     changes: [{ field, from, to }]
+   *   }]
+   * @throws {ApiError} - On errors
+   */
+  getHistory: (id, options = {}) => {
+    return api.get(`/reservations/${id}/history`, options);
+  },
+
+  /**
+   * Get remaining capacity per time slot for a date and party size
+   * 
+   * @param {object} params - Query parameters
+   * @param {string} params.date - Date as "YYYY-MM-DD"
+   * @param {number} params.partySize - Number of guests
+   * @param {string} params.excludeId - Reservation _id to leave out of the
+   *   count (optional, used when editing so a booking doesn't block itself)
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - [{ time: '7:00 PM', remainingCovers: 12, available: true }]
+   * @throws {ApiError} - On errors
+   */
+  getAvailability: async ({ date, partySize, excludeId }, options = {}) => {
+    const query = buildQuery({ date, partySize, excludeId });
+    const data = await api.get(`/reservations/availability${query}`, options);
+    return Array.isArray(data) ? data : data.slots || [];
+  },
+
+  /**
+   * Get the reservations of a date range for the Analytics tab, which
+   * draws its charts from them in the browser
+   * 
+   * Asks the stats endpoint for the range. Backends that don't support
+   * ranges answer with today's counts only; the range is then read through
+   * search instead.
+   * 
+   * @param {object} range - { dateFrom, dateTo } as "YYYY-MM-DD" (inclusive)
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - Reservations dated within the range,
+   *   cancelled ones included
+   * @throws {ApiError} - On errors
+   * 
+   * EXAMPLE:
+   * --------
+   * await reservationApi.getRangeStats({ dateFrom: '2024-12-01', dateTo: '2024-12-31' });
+   * // GET /reservations/stats?dateFrom=2024-12-01&dateTo=2024-12-31
+   */
+  getRangeStats: async ({ dateFrom, dateTo }, options = {}) => {
+    const data = await api.get(
+      `/reservations/stats${buildQuery({ dateFrom, dateTo })}`,
+      options
+    );
+    if (data && Array.isArray(data.reservations)) return data.reservations;
+
+    return reservationApi.searchAll({ dateFrom, dateTo }, options);
+  },
+};
+
+export const restaurantApi = {
+  /**
+   * Get restaurant settings (service hours, slot interval, party limits)
+   * 
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - Same shape as config.RESTAURANT_DEFAULTS:
+   *   {
+   *     serviceHours: [{ name, firstSeating, lastSeating, days? }],
+   *     slotIntervalMinutes: number,
+   *     maxPartySize: number
+   *   }
+   * @throws {ApiError} - On errors
+   */
+  getSettings: (options = {}) => {
+    return api.get('/restaurant/settings', options);
+  },
+
+  /**
+   * Save restaurant settings. The backend only accepts this from admins.
+   * 
+   * @param {object} settings - Fields to change, same shape as getSettings()
+   * @returns {Promise<object>} - The saved settings
+   * @throws {ApiError} - 403 for non-admins, 400 for invalid hours
+   */
+  updateSettings: (settings) => {
+    return api.patch('/restaurant/settings', settings);
+  },
+};
+
+export const waitlistApi = {
+  /**
+   * Get waitlisted parties in queue order
+   * 
+   * @param {object} params - Optional filters, e.g. { date: '2024-12-25' }
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - Waitlist entries:
+   *   {
+   *     _id, name, phone, partySize,
+   *     date: 'YYYY-MM-DD', timeFrom: '6:00 PM', timeTo: '8:00 PM',
+   *     quotedWaitMinutes: number, notes: string, createdAt: ISO timestamp
+   *   }
+   * @throws {ApiError} - On errors
+   */
+  list: (params = {}, options = {}) => {
+    return api.get(`/waitlist${buildQuery(params)}`, options);
+  },
+
+  /**
+   * Add a party to the end of the waitlist
+   * 
+   * @param {object} entry - Entry fields (without _id)
+   * @returns {Promise<object>} - Created entry
+   * @throws {ApiError} - On errors (400 for invalid fields)
+   */
+  add: (entry, options = {}) => {
+    return api.post('/waitlist', entry, options);
+  },
+
+  /**
+   * Update a waitlist entry (partial update)
+   * 
+   * @param {string} id - Entry _id
+   * @param {object} changes - Fields to update
+   * @returns {Promise<object>} - Updated entry
+   * @throws {ApiError} - On errors
+   */
+  update: (id, changes, options = {}) => {
+    return api.patch(`/waitlist/${id}`, changes, options);
+  },
+
+  /**
+   * Remove a party from the waitlist
+   * 
+   * @param {string} id - Entry _id
+   * @returns {Promise<any>} - Response data
+   * @throws {ApiError} - On errors
+   */
+  remove: (id, options = {}) => {
+    return api.delete(`/waitlist/${id}`, options);
+  },
+
+  /**
+   * Save a new queue order
+   * 
+   * @param {string[]} ids - Every entry _id, first in line first
+   * @returns {Promise<Array>} - Entries in their new order
+   * @throws {ApiError} - On errors
+   */
+  reorder: (ids, options = {}) => {
+    return api.patch('/waitlist/order', { ids }, options);
+  },
+};
+
+export const guestApi = {
+  /**
+   * Search guest profiles. The backend groups the location's reservations
+   * by phone number (digits only, so "+1 (555) 123-4567" and
+   * "555.123.4567" are one guest) and pages the result, so the dashboard
+   * never downloads booking history to build them.
+   * 
+   * @param {object} query - Search query (empty values are ignored)
+   * @param {string} query.search - Name or phone; phone-like terms are
+   *   sent as digits only
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.pageSize - Profiles per page
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - { items, total, page, pageSize, totalPages };
+   *   most visits first, each item:
+   *   {
+   *     phone,                   // digits only
+   *     displayPhone, name, email,
+   *     reservations,            // most recent few, newest first
+   *     visits,                  // arrived/seated/completed, or past confirmed
+   *     noShows, cancellations,
+   *     upcoming,                // confirmed, today or later
+   *     lastVisit,               // "YYYY-MM-DD" or null
+   *     typicalPartySize,        // most common; ties go to the larger party
+   *     recurringRequests,       // [{ request, count }], asked more than once
+   *     notes, tags              // staff notes, see update()
+   *   }
+   * @throws {ApiError} - On errors
+   * 
+   * EXAMPLE:
+   * --------
+   * await guestApi.profiles({ search: '(555) 123', pageSize: 5 });
+   * // GET /guests/profiles?q=555123&pageSize=5
+   */
+  profiles: async (query = {}, options = {}) => {
+    const data = await api.get(
+      `/guests/profiles${buildQuery({
+        q: searchTerm(query.search),
+        page: query.page,
+        pageSize: query.pageSize,
+      })}`,
+      options
+    );
+    return toPage(data, query, 'guests');
+  },
+
+  /**
+   * Save notes and tags for a guest
+   * 
+   * @param {string} phone - Normalized phone number (digits only)
+   * @param {object} changes - { notes?, tags? }
+   * @returns {Promise<object>} - The saved { phone, notes, tags }
+   * @throws {ApiError} - On errors
+   */
+  update: (phone, changes, options = {}) => {
+    return api.patch(`/guests/${encodeURIComponent(phone)}`, changes, options);
+  },
+};
+
+/**
+ * Endpoints for the public booking page. They're sent without staff
+ * credentials and the backend answers them for anyone, so they expose
+ * nothing but open slots and the guest's own confirmation.
+ */
+export const publicApi = {
+  /**
+   * Get the service hours and party limits guests can book within
+   * 
+   * @param {object} params - Query parameters
+   * @param {string} params.locationId - Location to book at
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<object>} - Same shape as restaurantApi.getSettings()
+   * @throws {ApiError} - On errors
+   */
+  getSettings: ({ locationId }, options = {}) => {
+    return api.get('/public/settings', {
+      ...options,
+      locationId,
+      anonymous: true,
+    });
+  },
+
+  /**
+   * Get which time slots can still take a party
+   * 
+   * @param {object} params - Query parameters
+   * @param {string} params.date - Date as "YYYY-MM-DD"
+   * @param {number} params.partySize - Number of guests
+   * @param {string} params.locationId - Location to book at
+   * @param {object} options - Additional fetch options (optional)
+   * @returns {Promise<Array>} - [{ time: '7:00 PM', available: true }]
+   * @throws {ApiError} - On errors
+   */
+  getAvailability: async ({ date, partySize, locationId }, options = {}) => {
+    const data = await api.get(
+      `/public/availability${buildQuery({ date, partySize })}`,
+      { ...options, locationId, anonymous: true }
+    );
+    return Array.isArray(data) ? data : data.slots || [];
+  },
+
+  /**
+   * Book a table as a guest
+   * 
+   * @param {object} booking - { name, phone, email, partySize, date, time }
+   * @param {object} options - { locationId } and other fetch options
+   * @returns {Promise<object>} - { reservationId, name, partySize, date, time }
+   * @throws {ApiError} - 400 for invalid fields, 409 if the slot just filled
+   * 
+   * EXAMPLE:
+   * --------
+   * await publicApi.book(
+   *   { name: 'Asha', phone: '+14155550123', partySize: 2, date: '2024-12-24', time: '7:00 PM' },
+   *   { locationId: 'main' }
+   * );
+   * // POST /public/reservations → { reservationId: 'RES-1A2B3C', ... }
+   */
+  book: (booking, options = {}) => {
+    return api.post('/public/reservations', booking, {
+      ...options,
+      anonymous: true,
+    });
+  },
+};
+
 /**
  * ========================================================================
  * RETRY WRAPPER
@@ -395,8 +1184,8 @@ export const api = {
  * ------------
  * - Retries up to maxRetries times (default: 3)
  * - Uses exponential backoff: 1s, 2s, 4s, 8s, etc.
- * - Does NOT retry on client errors (4xx status codes)
- * - Only retries on network errors or 5xx server errors
+ * - Does NOT retry on client errors (4xx status codes) or cancellations
+ * - Only retries on network errors, timeouts or 5xx server errors
  * 
  * @param {Function} apiCall - API function to retry (e.g., () => api.get('/stats'))
  * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
@@ -444,7 +1233,11 @@ export async function withRetry(apiCall, maxRetries = 3, delayMs = 1000) {
     } catch (error) {
       // Don't retry on client errors (4xx status codes)
       // These are usually validation errors that won't change
-      if (error.status >= 400 && error.status < 500) {
+      if (
+        error.status >= 400 &&
+        error.status < 500 &&
+        error.status !== ERROR_STATUS.TIMEOUT
+      ) {
         console.log('❌ Client error - not retrying:', error.message);
         throw error;
       }
@@ -468,13 +1261,213 @@ export async function withRetry(apiCall, maxRetries = 3, delayMs = 1000) {
   }
 }
 
+// Named SSE events on the reservation stream
+export const RESERVATION_EVENT_TYPES = ['created', 'updated', 'cancelled'];
+
+/**
+ * ========================================================================
+ * REALTIME RESERVATION EVENTS
+ * ========================================================================
+ * 
+ * Subscribes to the backend's reservation event stream (Server-Sent Events)
+ * so bookings made by the voice agent show up without a page refresh.
+ * 
+ * EVENT STREAM:
+ * -------------
+ * POST {config.EVENTS_URL}/reservations/events/ticket  → { ticket }
+ * GET  {config.EVENTS_URL}/reservations/events?ticket=...
+ * 
+ * Named SSE events, each carrying the reservation as JSON:
+ *   event: created     data: { "_id": "...", "name": "...", ... }
+ *   event: updated     data: { ... }
+ *   event: cancelled   data: { ... }
+ * 
+ * The payload may also be wrapped as { "reservation": { ... } }.
+ * 
+ * AUTHENTICATION:
+ * ---------------
+ * EventSource cannot send custom headers, so each connection first asks
+ * for a stream ticket with an ordinary authenticated request (Bearer
+ * token, refreshed on 401). The ticket goes in the URL instead of the
+ * access token: it is short-lived and single-use, so server and proxy
+ * access logs that record it hold nothing reusable. The active location
+ * is passed as locationId. A failed ticket request counts as a dropped
+ * connection.
+ * 
+ * RECONNECTION:
+ * -------------
+ * - On a dropped connection, reconnects with exponential backoff
+ *   (1s, 2s, 4s, ... capped at maxDelayMs)
+ * - After maxAttemptsBeforePolling failures, starts calling onPoll
+ *   every pollIntervalMs while it keeps trying to reconnect
+ * - Browsers without EventSource go straight to polling
+ * - After a reconnect, onPoll is called once to catch up on missed events
+ * 
+ * STATUS VALUES (onStatusChange):
+ * -------------------------------
+ * - 'connecting': Opening the first connection
+ * - 'live': Stream connected, events arriving in realtime
+ * - 'reconnecting': Stream dropped, waiting to retry
+ * - 'polling': Stream unavailable, falling back to onPoll
+ * 
+ * @param {object} handlers - Subscription callbacks
+ * @param {Function} handlers.onEvent - Called with { type, reservation }
+ * @param {Function} handlers.onPoll - Refetch callback used for polling fallback
+ * @param {Function} handlers.onStatusChange - Called with the new status
+ * @param {object} options - Tuning options (optional)
+ * @returns {Function} - Unsubscribe function (closes stream, stops timers)
+ * 
+ * USAGE:
+ * ------
+ * const unsubscribe = subscribeToReservations({
+ *   onEvent: ({ type, reservation }) => console.log(type, reservation),
+ *   onPoll: () => fetchTodayReservations(),
+ *   onStatusChange: (status) => setLiveStatus(status),
+ * });
+ * 
+ * // Later (e.g. useEffect cleanup)
+ * unsubscribe();
+ */
+export function subscribeToReservations(handlers = {}, options = {}) {
+  const { onEvent, onPoll, onStatusChange } = handlers;
+  const {
+    endpoint = '/reservations/events',
+    initialDelayMs = 1000,
+    maxDelayMs = 30000,
+    maxAttemptsBeforePolling = 3,
+    pollIntervalMs = 30000,
+  } = options;
+
+  let source = null;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let attempts = 0;
+  let closed = false;
+  let status = null;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    if (config.isDevelopment) {
+      console.log(`📡 Realtime status: ${next}`);
+    }
+    if (onStatusChange) onStatusChange(next);
+  };
+
+  const startPolling = () => {
+    setStatus('polling');
+    if (pollTimer || !onPoll) return;
+    pollTimer = setInterval(onPoll, pollIntervalMs);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const handleMessage = (type) => (message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message.data);
+    } catch (error) {
+      console.error(`❌ Invalid ${type} event payload:`, message.data);
+      return;
+    }
+
+    const reservation = payload && payload.reservation ? payload.reservation : payload;
+    if (config.isDevelopment) {
+      console.log(`📨 Reservation ${type}:`, reservation);
+    }
+    if (onEvent) onEvent({ type, reservation });
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+
+    attempts += 1;
+    if (attempts >= maxAttemptsBeforePolling) {
+      startPolling();
+    } else if (status !== 'polling') {
+      setStatus('reconnecting');
+    }
+
+    const waitTime = Math.min(initialDelayMs * Math.pow(2, attempts - 1), maxDelayMs);
+    reconnectTimer = setTimeout(connect, waitTime);
+  };
+
+  const connect = async () => {
+    if (closed) return;
+
+    if (typeof EventSource === 'undefined') {
+      console.warn('⚠️ EventSource not supported. Falling back to polling.');
+      startPolling();
+      return;
+    }
+
+    if (status === null) setStatus('connecting');
+
+    const locationId = getActiveLocationId();
+    let ticket;
+    try {
+      ({ ticket } = await fetchWithAuth(`${endpoint}/ticket`, {
+        method: 'POST',
+        baseUrl: config.EVENTS_URL,
+        locationId,
+      }));
+    } catch (error) {
+      console.warn('⚠️ Could not get a realtime stream ticket:', error.message);
+      scheduleReconnect();
+      return;
+    }
+    if (closed) return;
+
+    const query = buildQuery({ ticket, locationId });
+    source = new EventSource(`${config.EVENTS_URL}${endpoint}${query}`);
+
+    source.onopen = () => {
+      const recovered = attempts > 0;
+      attempts = 0;
+      stopPolling();
+      setStatus('live');
+
+      // Catch up on anything that happened while disconnected
+      if (recovered && onPoll) onPoll();
+    };
+
+    RESERVATION_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, handleMessage(type));
+    });
+
+    source.onerror = () => {
+      // Take over from the browser's fixed-interval auto-reconnect
+      source.close();
+      source = null;
+      scheduleReconnect();
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    stopPolling();
+    if (source) {
+      source.close();
+      source = null;
+    }
+  };
+}
+
 /**
  * ========================================================================
  * DEFAULT EXPORT
  * ========================================================================
  * 
  * Exports the api object as default export.
- * Also exports ApiError and withRetry as named exports.
+ * Also exports ApiError, ERROR_STATUS, isAbortError, createLatestRequest,
+ * buildQuery, reservationApi, restaurantApi, waitlistApi, withRetry
+ * and subscribeToReservations as named exports.
  * 
  * IMPORT OPTIONS:
  * ---------------
@@ -482,7 +1475,7 @@ export async function withRetry(apiCall, maxRetries = 3, delayMs = 1000) {
  * import api from './services/api';
  * 
  * // Named imports
- * import { api, ApiError, withRetry } from './services/api';
+ * import { api, ApiError, reservationApi, withRetry } from './services/api';
  * 
  * // Mixed import
  * import api, { ApiError, withRetry } from './services/api';
@@ -577,9 +1570,9 @@ export default api;
  * 
  * ISSUE: "401 Unauthorized" on all requests
  * SOLUTION:
- *   - Check config.API_KEY is set correctly
- *   - Verify API key matches backend exactly
- *   - Check browser DevTools → Network → Headers → X-API-Key
+ *   - Log out and back in (the refresh token may have expired)
+ *   - Check config.AUTH_URL points at the same backend as config.API_URL
+ *   - Check browser DevTools → Network → Headers → Authorization
  * 
  * ISSUE: "Network error" message
  * SOLUTION:
@@ -0,0 +1,407 @@
+/**
+ * Tests for the API service: cancellation, query builder, range stats,
+ * guest profiles, session refresh, public booking and realtime
+ * subscription
+ */
+
+import {
+  api,
+  buildQuery,
+  createLatestRequest,
+  ERROR_STATUS,
+  guestApi,
+  publicApi,
+  reservationApi,
+  subscribeToReservations,
+} from "./api";
+import { getAccessToken, login, logout } from "./auth";
+
+test("builds query strings, skipping empty values and repeating arrays", () => {
+  expect(
+    buildQuery({
+      q: "Priya & co",
+      status: ["confirmed", "seated"],
+      dateFrom: "",
+      partySizeMin: 0,
+      partySizeMax: null,
+      page: 2,
+    })
+  ).toBe(
+    "?q=Priya+%26+co&status=confirmed&status=seated&partySizeMin=0&page=2"
+  );
+  expect(buildQuery({ status: [], date: undefined })).toBe("");
+});
+
+// ==================== CANCELLATION ====================
+
+// fetch that never answers until aborted, like a hung server
+const hangingFetch = () =>
+  jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError"))
+        );
+      })
+  );
+
+const jsonResponse = (data) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => "application/json" },
+  json: () => Promise.resolve(data),
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("times out with a distinct status", async () => {
+  global.fetch = hangingFetch();
+
+  const request = api.get("/reservations/stats", { timeout: 1000 });
+  jest.advanceTimersByTime(1000);
+
+  await expect(request).rejects.toMatchObject({
+    status: ERROR_STATUS.TIMEOUT,
+  });
+});
+
+test("aborts when the caller's signal fires", async () => {
+  global.fetch = hangingFetch();
+  const controller = new AbortController();
+
+  const request = api.post("/reservations", {}, { signal: controller.signal });
+  controller.abort();
+
+  await expect(request).rejects.toMatchObject({
+    status: ERROR_STATUS.ABORTED,
+  });
+});
+
+test("shares identical concurrent GETs", async () => {
+  global.fetch = jest.fn(() => Promise.resolve(jsonResponse([{ _id: "1" }])));
+
+  const [first, second] = await Promise.all([
+    api.get("/reservations/today"),
+    api.get("/reservations/today"),
+  ]);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(first).toEqual(second);
+});
+
+test("sends the location with every request, and shares GETs per location", async () => {
+  global.fetch = jest.fn(() => Promise.resolve(jsonResponse([])));
+
+  await Promise.all([
+    api.get("/reservations/today"),
+    api.get("/reservations/today", { locationId: "all" }),
+  ]);
+  await api.delete("/reservations/abc", { locationId: "fremont" });
+
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(
+    global.fetch.mock.calls.map(
+      ([, options]) => options.headers["X-Location-Id"]
+    )
+  ).toEqual(["main", "all", "fremont"]);
+});
+
+test("keeps a shared GET alive until every caller has aborted", async () => {
+  global.fetch = hangingFetch();
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const firstRequest = api.get("/waitlist", { signal: first.signal });
+  const secondRequest = api.get("/waitlist", { signal: second.signal });
+  const sharedSignal = global.fetch.mock.calls[0][1].signal;
+
+  first.abort();
+  await expect(firstRequest).rejects.toMatchObject({
+    status: ERROR_STATUS.ABORTED,
+  });
+  expect(sharedSignal.aborted).toBe(false);
+
+  second.abort();
+  await expect(secondRequest).rejects.toMatchObject({
+    status: ERROR_STATUS.ABORTED,
+  });
+  expect(sharedSignal.aborted).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test("aborts the previous request when a newer one starts", () => {
+  const latest = createLatestRequest();
+
+  const older = latest.next();
+  const newer = latest.next();
+  expect(older.aborted).toBe(true);
+  expect(newer.aborted).toBe(false);
+
+  latest.abort();
+  expect(newer.aborted).toBe(true);
+});
+
+// ==================== RANGE STATS ====================
+
+test("reads range stats, falling back to search on older backends", async () => {
+  const range = { dateFrom: "2024-12-01", dateTo: "2024-12-07" };
+  global.fetch = jest.fn(() =>
+    Promise.resolve(jsonResponse({ reservations: [{ _id: "1" }] }))
+  );
+
+  expect(await reservationApi.getRangeStats(range)).toEqual([{ _id: "1" }]);
+  expect(global.fetch.mock.calls[0][0]).toMatch(
+    /\/reservations\/stats\?dateFrom=2024-12-01&dateTo=2024-12-07$/
+  );
+
+  global.fetch = jest.fn((url) =>
+    Promise.resolve(
+      jsonResponse(
+        url.includes("/search")
+          ? { items: [{ _id: "2" }], total: 1, totalPages: 1 }
+          : { todayReservations: 3, totalReservations: 40 }
+      )
+    )
+  );
+
+  expect(await reservationApi.getRangeStats(range)).toEqual([{ _id: "2" }]);
+  expect(global.fetch.mock.calls[1][0]).toMatch(
+    /\/reservations\/search\?dateFrom=2024-12-01&dateTo=2024-12-07/
+  );
+});
+
+test("pages guest profiles from the server, searching phones by digits", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve(
+      jsonResponse({ guests: [{ phone: "5551234567" }], total: 30 })
+    )
+  );
+
+  await expect(
+    guestApi.profiles({ search: "(555) 123", page: 2, pageSize: 10 })
+  ).resolves.toEqual({
+    items: [{ phone: "5551234567" }],
+    total: 30,
+    page: 2,
+    pageSize: 10,
+    totalPages: 3,
+  });
+  expect(global.fetch.mock.calls[0][0]).toMatch(
+    /\/guests\/profiles\?q=555123&page=2&pageSize=10$/
+  );
+});
+
+// ==================== AUTH ====================
+
+test("refreshes an expired access token once and retries", async () => {
+  const user = { id: "u-host", name: "Hana", role: "host" };
+  global.fetch = jest.fn((url, { headers }) => {
+    if (url.endsWith("/auth/login")) {
+      return Promise.resolve(
+        jsonResponse({ accessToken: "old", refreshToken: "r1", user })
+      );
+    }
+    if (url.endsWith("/auth/refresh")) {
+      return Promise.resolve(
+        jsonResponse({ accessToken: "new", refreshToken: "r2" })
+      );
+    }
+    if (url.endsWith("/auth/logout")) {
+      return Promise.resolve({ ok: true, status: 204, headers: new Headers() });
+    }
+    return Promise.resolve(
+      headers.Authorization === "Bearer new"
+        ? jsonResponse({ todayReservations: 3 })
+        : {
+            ...jsonResponse({ message: "Token expired" }),
+            ok: false,
+            status: 401,
+          }
+    );
+  });
+
+  await login("host@example.com", "password");
+
+  await expect(api.get("/reservations/stats")).resolves.toEqual({
+    todayReservations: 3,
+  });
+  expect(getAccessToken()).toBe("new");
+  expect(global.fetch).toHaveBeenCalledTimes(4);
+
+  await logout();
+  expect(getAccessToken()).toBeNull();
+});
+
+test("sends public booking requests without staff credentials", async () => {
+  const user = { id: "u-host", name: "Hana", role: "host" };
+  global.fetch = jest.fn((url) =>
+    Promise.resolve(
+      url.endsWith("/auth/login")
+        ? jsonResponse({ accessToken: "staff", refreshToken: "r1", user })
+        : jsonResponse({ slots: [{ time: "7:00 PM", available: true }] })
+    )
+  );
+
+  // Even on a device where staff are logged in
+  await login("host@example.com", "password");
+
+  await expect(
+    publicApi.getAvailability({
+      date: "2024-12-24",
+      partySize: 2,
+      locationId: "fremont",
+    })
+  ).resolves.toEqual([{ time: "7:00 PM", available: true }]);
+
+  const [url, { headers }] = global.fetch.mock.calls[1];
+  expect(url).toMatch(/\/public\/availability\?date=2024-12-24&partySize=2$/);
+  expect(headers.Authorization).toBeUndefined();
+  expect(headers["X-API-Key"]).toBeUndefined();
+  expect(headers["X-Location-Id"]).toBe("fremont");
+
+  await publicApi.getSettings({ locationId: "fremont" });
+  const [settingsUrl, settingsRequest] = global.fetch.mock.calls[2];
+  expect(settingsUrl).toMatch(/\/public\/settings$/);
+  expect(settingsRequest.headers.Authorization).toBeUndefined();
+  expect(settingsRequest.headers["X-Location-Id"]).toBe("fremont");
+
+  await logout();
+});
+
+// ==================== REALTIME ====================
+
+// Minimal stand-in for the browser EventSource
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+const latestSource = () =>
+  FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+// Lets the stream ticket request settle before the EventSource opens
+const flushPromises = () =>
+  new Promise(jest.requireActual("timers").setImmediate);
+
+const ticketFetch = () =>
+  jest.fn(() => Promise.resolve(jsonResponse({ ticket: "t-1" })));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeEventSource.instances = [];
+  global.EventSource = FakeEventSource;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.EventSource;
+});
+
+test("connects with a stream ticket instead of the access token", async () => {
+  const user = { id: "u-host", name: "Hana", role: "host" };
+  global.fetch = jest.fn((url) =>
+    Promise.resolve(
+      url.endsWith("/auth/login")
+        ? jsonResponse({ accessToken: "staff", refreshToken: "r1", user })
+        : jsonResponse({ ticket: "t-1" })
+    )
+  );
+  await login("host@example.com", "secret");
+
+  const unsubscribe = subscribeToReservations({});
+  await flushPromises();
+
+  const [ticketUrl, ticketRequest] = global.fetch.mock.calls[1];
+  expect(ticketUrl).toContain("/reservations/events/ticket");
+  expect(ticketRequest.headers.Authorization).toBe("Bearer staff");
+  expect(latestSource().url).toContain("ticket=t-1");
+  expect(latestSource().url).not.toContain("staff");
+  expect(latestSource().url).not.toMatch(/accessToken|apiKey/);
+
+  unsubscribe();
+  await logout();
+});
+
+test("forwards reservation events with their type", async () => {
+  global.fetch = ticketFetch();
+  const onEvent = jest.fn();
+  const unsubscribe = subscribeToReservations({ onEvent });
+  await flushPromises();
+
+  latestSource().onopen();
+  latestSource().emit("created", { _id: "1", name: "Asha" });
+  latestSource().emit("cancelled", { reservation: { _id: "2" } });
+
+  expect(latestSource().url).toContain("/reservations/events");
+  expect(onEvent).toHaveBeenCalledWith({
+    type: "created",
+    reservation: { _id: "1", name: "Asha" },
+  });
+  expect(onEvent).toHaveBeenCalledWith({
+    type: "cancelled",
+    reservation: { _id: "2" },
+  });
+
+  unsubscribe();
+  expect(latestSource().closed).toBe(true);
+});
+
+test("reconnects with backoff and falls back to polling", async () => {
+  global.fetch = ticketFetch();
+  const onPoll = jest.fn();
+  const onStatusChange = jest.fn();
+  const unsubscribe = subscribeToReservations(
+    { onPoll, onStatusChange },
+    { maxAttemptsBeforePolling: 2, initialDelayMs: 10000, pollIntervalMs: 5000 }
+  );
+  await flushPromises();
+
+  latestSource().onerror();
+  expect(onStatusChange).toHaveBeenLastCalledWith("reconnecting");
+
+  jest.advanceTimersByTime(10000);
+  await flushPromises();
+  expect(FakeEventSource.instances).toHaveLength(2);
+
+  // Second failure switches to polling; next retry waits twice as long
+  latestSource().onerror();
+  expect(onStatusChange).toHaveBeenLastCalledWith("polling");
+
+  jest.advanceTimersByTime(15000);
+  expect(onPoll).toHaveBeenCalledTimes(3);
+  expect(FakeEventSource.instances).toHaveLength(2);
+
+  jest.advanceTimersByTime(5000);
+  await flushPromises();
+  expect(FakeEventSource.instances).toHaveLength(3);
+
+  // Recovery stops polling after one catch-up refetch
+  latestSource().onopen();
+  expect(onStatusChange).toHaveBeenLastCalledWith("live");
+  expect(onPoll).toHaveBeenCalledTimes(5);
+
+  jest.advanceTimersByTime(20000);
+  expect(onPoll).toHaveBeenCalledTimes(5);
+
+  unsubscribe();
+});
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * AUTH SERVICE - STAFF SESSIONS
+ * ============================================================================
+ *
+ * Staff log in with their own account instead of every browser sharing a
+ * bundled API key. The backend can then tell which host changed a booking,
+ * and a leaked token expires instead of granting permanent write access.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Login / logout against config.AUTH_URL
+ * ✅ Token storage (localStorage, survives reloads)
+ * ✅ Single-flight token refresh (used by fetchWithAuth on 401)
+ * ✅ Session change subscriptions for the UI
+ *
+ * ENDPOINTS:
+ * ----------
+ * POST /auth/login   { email, password }  → { accessToken, refreshToken, user }
+ * POST /auth/refresh { refreshToken }     → { accessToken, refreshToken?, user? }
+ * POST /auth/logout  { refreshToken }     → 204
+ *
+ * user: { id, name, email, role: 'host' | 'manager' | 'admin' }
+ *
+ * Run `npm run mock:auth` for a local stand-in (see scripts/mock-auth-server.js).
+ *
+ * WHY NOT api.js?
+ * ---------------
+ * fetchWithAuth calls refreshSession() when it sees a 401. Auth requests
+ * use plain fetch so a failing refresh can never trigger another refresh.
+ *
+ * @module services/auth
+ * @requires ../config
+ */
+
+import config from '../config';
+
+const STORAGE_KEY = 'restaurant-dashboard.session';
+
+/**
+ * ========================================================================
+ * SESSION STORAGE
+ * ========================================================================
+ */
+const readStoredSession = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable stored session:', error.message);
+    return null;
+  }
+};
+
+let session = readStoredSession();
+const listeners = new Set();
+
+const setSession = (next) => {
+  session = next;
+
+  if (next) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  listeners.forEach((listener) => listener(next));
+};
+
+/**
+ * Current session: { accessToken, refreshToken, user } or null
+ */
+export const getSession = () => session;
+
+/**
+ * Access token for the Authorization header, or null when logged out
+ */
+export const getAccessToken = () => (session ? session.accessToken : null);
+
+/**
+ * Calls listener with the new session (or null) whenever it changes
+ *
+ * @param {Function} listener - Called with the session
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * ========================================================================
+ * AUTH REQUESTS
+ * ========================================================================
+ */
+
+/**
+ * Error from an auth endpoint. status 0 means no response.
+ */
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+async function postAuth(path, body) {
+  let response;
+  try {
+    response = await fetch(`${config.AUTH_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new AuthError(
+      'Cannot reach the login server. Please check your connection.',
+      0
+    );
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const data = contentType.includes('application/json')
+    ? await response.json()
+    : null;
+
+  if (!response.ok) {
+    throw new AuthError(
+      (data && data.message) || `HTTP ${response.status}`,
+      response.status
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Logs a staff member in and stores the session
+ *
+ * @param {string} email - Staff email
+ * @param {string} password - Password
+ * @returns {Promise<object>} - The logged-in user
+ * @throws {AuthError} - 401 on wrong credentials, 0 when unreachable
+ */
+export async function login(email, password) {
+  console.log(`🔑 Logging in ${email}...`);
+  const data = await postAuth('/auth/login', { email, password });
+
+  setSession({
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken,
+    user: data.user,
+  });
+  console.log(`✅ Logged in as ${data.user.name} (${data.user.role})`);
+  return data.user;
+}
+
+let refreshing = null;
+
+/**
+ * Swaps the refresh token for a new access token. Concurrent callers share
+ * one request. Logs out when the refresh token is rejected.
+ *
+ * @returns {Promise<boolean>} - True if a new access token is available
+ */
+export function refreshSession() {
+  if (!session || !session.refreshToken) return Promise.resolve(false);
+
+  if (!refreshing) {
+    const { refreshToken } = session;
+
+    refreshing = postAuth('/auth/refresh', { refreshToken })
+      .then((data) => {
+        setSession({
+          accessToken: data.accessToken,
+          refreshToken: data.refreshToken || refreshToken,
+          user: data.user || session.user,
+        });
+        console.log('🔄 Session refreshed');
+        return true;
+      })
+      .catch((error) => {
+        // Keep the session through network blips; drop it when rejected
+        if (error.status !== 0) {
+          console.warn('⚠️ Session expired - logging out');
+          setSession(null);
+        }
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
+
+/**
+ * Ends the session locally and tells the server (best effort)
+ */
+export async function logout() {
+  const current = session;
+  setSession(null);
+  console.log('👋 Logged out');
+
+  if (current && current.refreshToken) {
+    try {
+      await postAuth('/auth/logout', { refreshToken: current.refreshToken });
+    } catch (error) {
+      console.warn('⚠️ Logout request failed:', error.message);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for messages, plurals, fallback and the per-device language choice
+ */
+
+import en from "../locales/en";
+import es from "../locales/es";
+import hi from "../locales/hi";
+import { formatTimeSlot } from "../utils/dateTime";
+import {
+  formatNumber,
+  getLanguage,
+  getLocale,
+  setLanguage,
+  subscribeToLanguage,
+  t,
+} from "./i18n";
+
+// Dotted paths of every message, plural forms counted as one message
+const messageKeys = (catalog, prefix = "") =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === "string" || "other" in value
+      ? [`${prefix}${key}`]
+      : messageKeys(value, `${prefix}${key}.`)
+  );
+
+afterEach(() => setLanguage("en"));
+
+test("interpolates English messages and picks plural forms", () => {
+  expect(getLanguage()).toBe("en");
+  expect(t("toast.created", { name: "Asha" })).toBe(
+    "Reservation created for Asha"
+  );
+  expect(t("card.guests", { count: 1 })).toBe("1 guest");
+  expect(t("card.guests", { count: 4 })).toBe("4 guests");
+  expect(t("list.title", { count: 1234 })).toBe("All Reservations (1,234)");
+});
+
+test("falls back to English, then to the key", () => {
+  setLanguage("es");
+  expect(t("tabs.waitlist")).toBe("Lista de espera");
+
+  // Only English has this one
+  en.tabs.testOnly = "English only";
+  expect(t("tabs.testOnly")).toBe("English only");
+  delete en.tabs.testOnly;
+
+  expect(t("tabs.nowhere")).toBe("tabs.nowhere");
+});
+
+test("uses the language's plural rules", () => {
+  setLanguage("hi");
+  // Hindi counts 0 as "one", like 1
+  expect(t("form.seatsLeft", { time: "7:00 PM", count: 0 })).toBe(
+    "7:00 PM — 0 सीट बाकी"
+  );
+  expect(t("form.seatsLeft", { time: "7:00 PM", count: 3 })).toBe(
+    "7:00 PM — 3 सीटें बाकी"
+  );
+  expect(formatNumber(123456)).toBe("1,23,456");
+
+  setLanguage("es");
+  expect(t("card.guests", { count: 0 })).toBe("0 personas");
+});
+
+test("remembers the language and notifies subscribers", () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToLanguage(listener);
+
+  setLanguage("hi");
+  expect(getLocale()).toBe("hi-IN");
+  expect(localStorage.getItem("restaurant-dashboard.language")).toBe("hi");
+  expect(document.documentElement.lang).toBe("hi");
+  expect(listener).toHaveBeenCalledWith("hi");
+
+  // Unknown codes are ignored
+  setLanguage("fr");
+  expect(getLanguage()).toBe("hi");
+
+  unsubscribe();
+});
+
+test("formats time slots for the active locale", () => {
+  expect(formatTimeSlot("7:05 PM")).toBe("7:05 PM");
+
+  setLanguage("es");
+  expect(formatTimeSlot("7:05 PM")).toMatch(/^7:05\sp\.\s?m\.$/);
+  expect(formatTimeSlot("not a slot")).toBe("not a slot");
+});
+
+test("every catalog translates every English message", () => {
+  const keys = messageKeys(en);
+  expect(messageKeys(es).sort()).toEqual([...keys].sort());
+  expect(messageKeys(hi).sort()).toEqual([...keys].sort());
+});
@@ -0,0 +1,138 @@
+/**
+ * ============================================================================
+ * LOCATIONS - ACTIVE RESTAURANT LOCATION
+ * ============================================================================
+ *
+ * The restaurant can run several locations (config.LOCATIONS), each with its
+ * own phone, timezone, service hours and tables. Staff pick the location
+ * they're working in from the header; every API request then carries its
+ * id (X-Location-Id, see fetchWithAuth) and the backend scopes stats,
+ * schedules and searches to it.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Active location, remembered per device (localStorage)
+ * ✅ Combined view across all locations ('all') for owners
+ * ✅ Change subscriptions for the UI
+ *
+ * COMBINED VIEW:
+ * --------------
+ * The 'all' id asks the backend for every location's data. Times, hours
+ * and tables in that view follow the first location in config.LOCATIONS.
+ * Reservation ids are unique across locations, so changes to an existing
+ * booking still reach the right one.
+ *
+ * @module services/locations
+ * @requires ../config
+ */
+
+import config from '../config';
+
+const STORAGE_KEY = 'restaurant-dashboard.location';
+
+/**
+ * Location id of the combined view across every location
+ */
+export const ALL_LOCATIONS = 'all';
+
+/**
+ * Every configured location, in config order
+ */
+export const getLocations = () => config.LOCATIONS;
+
+/**
+ * The location with this id, or null
+ */
+export const findLocation = (id) =>
+  config.LOCATIONS.find((location) => location.id === id) || null;
+
+const isKnownId = (id) =>
+  (id === ALL_LOCATIONS && config.LOCATIONS.length > 1) ||
+  Boolean(findLocation(id));
+
+/**
+ * ========================================================================
+ * STORAGE
+ * ========================================================================
+ */
+const readStoredLocation = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isKnownId(stored) ? stored : config.LOCATIONS[0].id;
+  } catch (error) {
+    return config.LOCATIONS[0].id;
+  }
+};
+
+let activeId = readStoredLocation();
+const listeners = new Set();
+
+/**
+ * Id of the active location, or ALL_LOCATIONS in the combined view
+ */
+export const getActiveLocationId = () => activeId;
+
+/**
+ * True in the combined view across every location
+ */
+export const isCombinedView = () => activeId === ALL_LOCATIONS;
+
+/**
+ * True if a reservation (or queued booking) belongs in the active view.
+ * Items without a locationId predate locations and show everywhere.
+ */
+export const inActiveLocation = (item) =>
+  activeId === ALL_LOCATIONS ||
+  !item.locationId ||
+  item.locationId === activeId;
+
+/**
+ * The location whose timezone, hours and tables apply right now. The
+ * combined view uses the first location's.
+ */
+export const getActiveLocation = () =>
+  findLocation(activeId) || config.LOCATIONS[0];
+
+/**
+ * Restaurant settings to use until GET /restaurant/settings answers:
+ * config.RESTAURANT_DEFAULTS with the location's service hours
+ *
+ * @param {object} location - Defaults to the active location
+ */
+export const locationDefaults = (location = getActiveLocation()) => ({
+  ...config.RESTAURANT_DEFAULTS,
+  serviceHours:
+    location.serviceHours || config.RESTAURANT_DEFAULTS.serviceHours,
+});
+
+/**
+ * Switches the active location. Unknown ids are ignored.
+ *
+ * @param {string} id - Location id or ALL_LOCATIONS
+ */
+export function setActiveLocation(id) {
+  if (id === activeId || !isKnownId(id)) return;
+
+  activeId = id;
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.warn('⚠️ Could not remember the location:', error.message);
+  }
+
+  console.log(
+    `📍 Location: ${id === ALL_LOCATIONS ? 'all locations' : findLocation(id).name}`
+  );
+  listeners.forEach((listener) => listener(id));
+}
+
+/**
+ * Calls listener with the new location id whenever it changes
+ *
+ * @param {Function} listener - Called with the location id
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToLocation(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,85 @@
+/**
+ * Tests for the active location store: switching, the combined view and
+ * per-device memory
+ */
+
+import {
+  ALL_LOCATIONS,
+  getActiveLocation,
+  getActiveLocationId,
+  inActiveLocation,
+  locationDefaults,
+  setActiveLocation,
+  subscribeToLocation,
+} from "./locations";
+
+jest.mock("../config", () => {
+  const config = {
+    LOCATIONS: [
+      {
+        id: "sf",
+        name: "Chaat Corner SF",
+        phone: "+14155550100",
+        timeZone: "America/Los_Angeles",
+        serviceHours: [
+          { name: "Dinner", firstSeating: "5:00 PM", lastSeating: "9:30 PM" },
+        ],
+        tables: [{ tableNumber: 1, seats: 4 }],
+      },
+      {
+        id: "nyc",
+        name: "Chaat Corner NYC",
+        phone: "+12125550100",
+        timeZone: "America/New_York",
+        tables: [{ tableNumber: 1, seats: 2 }],
+      },
+    ],
+    RESTAURANT_DEFAULTS: {
+      serviceHours: [],
+      slotIntervalMinutes: 30,
+      maxPartySize: 12,
+    },
+  };
+  return { __esModule: true, default: config, config };
+});
+
+test("starts at the first location and remembers the switch", () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToLocation(listener);
+
+  expect(getActiveLocationId()).toBe("sf");
+
+  setActiveLocation("nyc");
+  expect(getActiveLocationId()).toBe("nyc");
+  expect(getActiveLocation().timeZone).toBe("America/New_York");
+  expect(localStorage.getItem("restaurant-dashboard.location")).toBe("nyc");
+  expect(listener).toHaveBeenCalledWith("nyc");
+
+  // Unknown ids are ignored
+  setActiveLocation("la");
+  expect(getActiveLocationId()).toBe("nyc");
+
+  unsubscribe();
+});
+
+test("the combined view uses the first location's settings", () => {
+  setActiveLocation(ALL_LOCATIONS);
+
+  expect(getActiveLocation().id).toBe("sf");
+  expect(inActiveLocation({ locationId: "nyc" })).toBe(true);
+
+  setActiveLocation("sf");
+  expect(inActiveLocation({ locationId: "nyc" })).toBe(false);
+  expect(inActiveLocation({ locationId: "sf" })).toBe(true);
+  // Bookings from before locations existed
+  expect(inActiveLocation({})).toBe(true);
+});
+
+test("defaults use each location's service hours", () => {
+  setActiveLocation("sf");
+  expect(locationDefaults().serviceHours).toHaveLength(1);
+  expect(locationDefaults().maxPartySize).toBe(12);
+
+  setActiveLocation("nyc");
+  expect(locationDefaults().serviceHours).toEqual([]);
+});
@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * NOTIFICATIONS
+ * ============================================================================
+ *
+ * App-wide toasts and confirmation dialogs, replacing window.alert and
+ * window.confirm (which block the whole tab - a frozen host stand tablet in
+ * the middle of service).
+ *
+ * Any module can raise a toast or ask for confirmation; the <Notifications />
+ * component renders whatever this store holds.
+ *
+ * USAGE:
+ * ------
+ * import { toast, confirmAction } from './services/notifications';
+ *
+ * toast.success('Reservation created');
+ * toast.error('Failed to cancel reservation', {
+ *   action: { label: 'Retry', onClick: () => handleCancel(reservation) },
+ * });
+ *
+ * if (await confirmAction({ title: 'Cancel reservation?', tone: 'danger' })) {
+ *   // ...
+ * }
+ *
+ * TOAST SHAPE:
+ * ------------
+ * {
+ *   id: number,
+ *   variant: 'success' | 'error' | 'info',
+ *   message: string,
+ *   action: { label, onClick } | null,
+ *   duration: number | null       // ms before auto-dismiss, null = sticky
+ * }
+ *
+ * @module services/notifications
+ */
+
+// Errors stay up longer, and a toast with a button gives time to press it
+const DURATIONS = {
+  success: 4000,
+  info: 5000,
+  error: 8000,
+  action: 10000,
+};
+
+// Older toasts are dropped beyond this, so a burst can't cover the screen
+export const MAX_TOASTS = 4;
+
+let toasts = [];
+let confirms = [];
+let nextId = 1;
+const timers = new Map();
+const listeners = new Set();
+
+const notify = () => {
+  const state = { toasts, confirm: confirms[0] || null };
+  listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Calls listener with { toasts, confirm } now and after every change.
+ * confirm is the dialog to show (one at a time; later requests queue).
+ *
+ * @param {Function} listener
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToNotifications(listener) {
+  listeners.add(listener);
+  listener({ toasts, confirm: confirms[0] || null });
+  return () => listeners.delete(listener);
+}
+
+/**
+ * ========================================================================
+ * TOASTS
+ * ========================================================================
+ */
+
+/**
+ * Removes a toast (no-op if it's already gone)
+ */
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+
+  const remaining = toasts.filter((item) => item.id !== id);
+  if (remaining.length !== toasts.length) {
+    toasts = remaining;
+    notify();
+  }
+}
+
+/**
+ * Shows a toast.
+ *
+ * The same message shown again replaces the earlier toast instead of
+ * stacking, so four failing requests during an outage read as one error.
+ *
+ * @param {string} variant - 'success' | 'error' | 'info'
+ * @param {string} message
+ * @param {Object} options
+ * @param {Object} options.action - { label, onClick } button on the toast
+ * @param {number|null} options.duration - Override auto-dismiss (null = sticky)
+ * @returns {number} - Toast id (for dismissToast)
+ */
+export function showToast(variant, message, { action = null, duration } = {}) {
+  const duplicate = toasts.find(
+    (item) => item.variant === variant && item.message === message
+  );
+  if (duplicate) dismissToast(duplicate.id);
+
+  const defaultDuration = action ? DURATIONS.action : DURATIONS[variant];
+  const id = nextId++;
+  const item = {
+    id,
+    variant,
+    message,
+    action,
+    duration: duration !== undefined ? duration : defaultDuration,
+  };
+
+  toasts = [...toasts, item];
+  while (toasts.length > MAX_TOASTS) {
+    dismissToast(toasts[0].id);
+  }
+
+  if (item.duration) {
+    timers.set(
+      id,
+      setTimeout(() => dismissToast(id), item.duration)
+    );
+  }
+
+  notify();
+  return id;
+}
+
+export const toast = {
+  success: (message, options) => showToast('success', message, options),
+  error: (message, options) => showToast('error', message, options),
+  info: (message, options) => showToast('info', message, options),
+};
+
+/**
+ * Runs a toast's action, then dismisses the toast
+ */
+export function runToastAction(id) {
+  const item = toasts.find((entry) => entry.id === id);
+  if (!item || !item.action) return;
+
+  dismissToast(id);
+  item.action.onClick();
+}
+
+/**
+ * ========================================================================
+ * CONFIRMATION DIALOG
+ * ========================================================================
+ */
+
+/**
+ * Asks the user to confirm an action.
+ *
+ * @param {Object} options
+ * @param {string} options.title - Dialog heading
+ * @param {string} options.message - Details (optional)
+ * @param {string} options.confirmLabel - Default "Confirm"
+ * @param {string} options.cancelLabel - Default "Cancel"
+ * @param {string} options.tone - 'danger' styles the confirm button red
+ * @returns {Promise<boolean>} - true if confirmed, false if dismissed
+ */
+export function confirmAction({
+  title,
+  message = '',
+  confirmLabel = 'Confirm',
+  cancelLabel = 'Cancel',
+  tone = 'default',
+}) {
+  return new Promise((resolve) => {
+    confirms = [
+      ...confirms,
+      {
+        id: nextId++,
+        title,
+        message,
+        confirmLabel,
+        cancelLabel,
+        tone,
+        resolve,
+      },
+    ];
+    notify();
+  });
+}
+
+/**
+ * Closes the open dialog with the user's answer
+ *
+ * @param {number} id - Dialog id
+ * @param {boolean} confirmed
+ */
+export function resolveConfirm(id, confirmed) {
+  const dialog = confirms.find((entry) => entry.id === id);
+  if (!dialog) return;
+
+  confirms = confirms.filter((entry) => entry.id !== id);
+  notify();
+  dialog.resolve(confirmed);
+}
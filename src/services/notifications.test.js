@@ -0,0 +1,74 @@
+/**
+ * Tests for the toast and confirmation store
+ */
+
+import {
+  MAX_TOASTS,
+  confirmAction,
+  resolveConfirm,
+  runToastAction,
+  subscribeToNotifications,
+  toast,
+} from "./notifications";
+
+let state;
+let unsubscribe;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  unsubscribe = subscribeToNotifications((next) => {
+    state = next;
+  });
+});
+
+afterEach(() => {
+  jest.runAllTimers();
+  unsubscribe();
+  jest.useRealTimers();
+});
+
+test("stacks toasts, merges repeats and dismisses them on a timer", () => {
+  toast.success("Reservation created");
+  toast.error("Server error. Please try again later.");
+  toast.error("Server error. Please try again later.");
+
+  expect(state.toasts.map((item) => item.variant)).toEqual([
+    "success",
+    "error",
+  ]);
+
+  for (let i = 0; i < MAX_TOASTS + 2; i++) toast.info(`Update ${i}`);
+  expect(state.toasts).toHaveLength(MAX_TOASTS);
+  expect(state.toasts[MAX_TOASTS - 1].message).toBe(`Update ${MAX_TOASTS + 1}`);
+
+  jest.advanceTimersByTime(5000);
+  expect(state.toasts).toEqual([]);
+});
+
+test("runs a toast's action once and removes the toast", () => {
+  const onClick = jest.fn();
+  const id = toast.error("Failed to cancel reservation", {
+    action: { label: "Retry", onClick },
+  });
+
+  runToastAction(id);
+  runToastAction(id);
+
+  expect(onClick).toHaveBeenCalledTimes(1);
+  expect(state.toasts).toEqual([]);
+});
+
+test("resolves confirmations one dialog at a time", async () => {
+  const first = confirmAction({ title: "Cancel reservation?" });
+  const second = confirmAction({ title: "Remove from waitlist?" });
+
+  expect(state.confirm.title).toBe("Cancel reservation?");
+  resolveConfirm(state.confirm.id, true);
+
+  expect(state.confirm.title).toBe("Remove from waitlist?");
+  resolveConfirm(state.confirm.id, false);
+
+  expect(state.confirm).toBeNull();
+  await expect(first).resolves.toBe(true);
+  await expect(second).resolves.toBe(false);
+});
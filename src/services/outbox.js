@@ -0,0 +1,625 @@
+/**
+ * ============================================================================
+ * OFFLINE OUTBOX
+ * ============================================================================
+ *
+ * Keeps reservation changes made while offline and sends them once the
+ * connection comes back, so a Wi-Fi drop at the host stand doesn't lose
+ * walk-in bookings.
+ *
+ * FEATURES:
+ * ---------
+ * ✅ Create / update / cancel work offline (queued in IndexedDB)
+ * ✅ Survives page reloads
+ * ✅ Replays in the order the changes were made
+ * ✅ Conflict detection against the server's current copy
+ * ✅ Failed replays are kept for review (retry, force, or discard)
+ *
+ * OPERATION SHAPE:
+ * ----------------
+ * {
+ *   seq: number,                 // IndexedDB key, gives replay order
+ *   type: 'create' | 'update' | 'cancel',
+ *   reservationId: string|null,  // Server _id (null for creates)
+ *   tempId: string|null,         // Local id shown for a pending create
+ *   payload: object|null,        // Create: form data, update: changed fields
+ *   base: object|null,           // Reservation as it was when queued
+ *   locationId: string,          // Location active when queued, replayed there
+ *   state: 'pending' | 'failed',
+ *   error: string|null,          // Why the replay failed
+ *   conflict: object|null,       // { reason, fields } from detectConflict
+ *   server: object|null,         // Server copy at the time of the conflict
+ *   createdAt: ISO timestamp
+ * }
+ *
+ * USAGE:
+ * ------
+ * import { reservationMutations, replayOutbox } from './services/outbox';
+ *
+ * const result = await reservationMutations.create(formData);
+ * if (result.queued) {
+ *   // Saved locally, will sync when back online
+ * }
+ *
+ * window.addEventListener('online', () => replayOutbox());
+ *
+ * @module services/outbox
+ * @requires ./api
+ * @requires ./i18n
+ * @requires ./locations
+ */
+
+import { api, ApiError, ERROR_STATUS, reservationApi } from './api';
+import { t } from './i18n';
+import { getActiveLocationId } from './locations';
+import { reservationDate } from '../utils/dateTime';
+import { buildStatusUpdate } from '../utils/reservationStatus';
+
+const DB_NAME = 'restaurant-dashboard';
+const STORE_NAME = 'outbox';
+
+/**
+ * ========================================================================
+ * STORAGE
+ * ========================================================================
+ *
+ * Thin promise wrapper around one IndexedDB object store. Falls back to
+ * memory when IndexedDB is unavailable (private browsing, tests); queued
+ * changes then only last until the page reloads.
+ */
+let dbPromise = null;
+const memoryStore = new Map();
+let memorySeq = 0;
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: 'seq',
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, action) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+const storage = {
+  getAll: async () => {
+    if (hasIndexedDB()) return withStore('readonly', (store) => store.getAll());
+    return [...memoryStore.values()];
+  },
+
+  add: async (operation) => {
+    if (hasIndexedDB()) {
+      return withStore('readwrite', (store) => store.add(operation));
+    }
+    memorySeq += 1;
+    memoryStore.set(memorySeq, { ...operation, seq: memorySeq });
+    return memorySeq;
+  },
+
+  put: async (operation) => {
+    if (hasIndexedDB()) {
+      return withStore('readwrite', (store) => store.put(operation));
+    }
+    memoryStore.set(operation.seq, operation);
+    return operation.seq;
+  },
+
+  remove: async (seq) => {
+    if (hasIndexedDB()) {
+      return withStore('readwrite', (store) => store.delete(seq));
+    }
+    memoryStore.delete(seq);
+  },
+};
+
+/**
+ * ========================================================================
+ * SUBSCRIPTIONS
+ * ========================================================================
+ */
+const listeners = new Set();
+
+/**
+ * All queued operations (pending and failed), oldest first
+ *
+ * @returns {Promise<Array>}
+ */
+export async function listOperations() {
+  const operations = await storage.getAll();
+  return operations.sort((a, b) => a.seq - b.seq);
+}
+
+// Callers don't wait for this: a failed read only leaves the UI's copy of
+// the outbox stale until the next change, so it is logged, never thrown
+async function notify() {
+  try {
+    const operations = await listOperations();
+    listeners.forEach((listener) => listener(operations));
+  } catch (error) {
+    console.error('❌ Could not read the offline outbox:', error);
+  }
+}
+
+/**
+ * Calls listener with the current operations now and after every change
+ *
+ * @param {Function} listener - Called with the operations array
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  listOperations()
+    .then((operations) => {
+      if (listeners.has(listener)) listener(operations);
+    })
+    .catch((error) =>
+      console.error('❌ Could not read the offline outbox:', error)
+    );
+
+  return () => listeners.delete(listener);
+}
+
+/**
+ * ========================================================================
+ * CONFLICT DETECTION
+ * ========================================================================
+ */
+
+// Fields whose change on the server makes a queued cancel unsafe
+const CANCEL_WATCHED_FIELDS = ['date', 'time', 'partySize', 'status'];
+
+const comparable = (field, value) => {
+  if (field === 'date' && typeof value === 'string')
+    return reservationDate(value);
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sameValue = (field, a, b) =>
+  comparable(field, a) === comparable(field, b);
+
+/**
+ * Fields of formData that differ from the reservation
+ *
+ * @param {object} reservation - Reservation before the edit
+ * @param {object} formData - Edited values
+ * @returns {object} - Only the changed fields
+ */
+export function diffReservation(reservation, formData) {
+  return Object.fromEntries(
+    Object.entries(formData).filter(
+      ([field, value]) => !sameValue(field, reservation[field], value)
+    )
+  );
+}
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * The reservation's values for the fields an edit changes, i.e. the PATCH
+ * that undoes the edit. Capture it before sending the edit.
+ *
+ * Fields the reservation never had and the form sends empty (email: '')
+ * are not changes and are left out.
+ *
+ * @param {object} reservation - Reservation before the edit
+ * @param {object} formData - Edited values
+ * @returns {object} - { field: previous value }
+ */
+export function previousValues(reservation, formData) {
+  return Object.fromEntries(
+    Object.keys(diffReservation(reservation, formData))
+      .filter(
+        (field) =>
+          !(reservation[field] === undefined && isBlank(formData[field]))
+      )
+      .map((field) => [
+        field,
+        field === 'date'
+          ? reservationDate(reservation.date)
+          : reservation[field],
+      ])
+  );
+}
+
+/**
+ * Checks whether the server changed a reservation after the operation was
+ * queued in a way that the operation would silently overwrite.
+ *
+ * A field conflicts when the server value differs from the value we saw
+ * when queuing (someone else changed it) and isn't already what we want.
+ *
+ * @param {object} operation - Queued update or cancel
+ * @param {object|null} server - Current server copy (null if it is gone)
+ * @returns {object|null} - { reason, fields } or null when safe to send;
+ *   reason is a message key (see locales, outbox.conflicts)
+ */
+export function detectConflict(operation, server) {
+  const { base } = operation;
+
+  if (!server) {
+    return { reason: 'outbox.conflicts.deleted', fields: [] };
+  }
+
+  if (
+    server.updatedAt &&
+    base.updatedAt &&
+    server.updatedAt === base.updatedAt
+  ) {
+    return null;
+  }
+
+  if (server.status === 'cancelled' && base.status !== 'cancelled') {
+    return { reason: 'outbox.conflicts.cancelled', fields: ['status'] };
+  }
+
+  const fields =
+    operation.type === 'cancel'
+      ? CANCEL_WATCHED_FIELDS
+      : Object.keys(operation.payload);
+
+  const conflicts = fields.filter(
+    (field) =>
+      !sameValue(field, server[field], base[field]) &&
+      (operation.type === 'cancel' ||
+        !sameValue(field, server[field], operation.payload[field]))
+  );
+
+  return conflicts.length > 0
+    ? { reason: 'outbox.conflicts.changed', fields: conflicts }
+    : null;
+}
+
+/**
+ * ========================================================================
+ * PENDING OVERLAY
+ * ========================================================================
+ */
+
+/**
+ * Applies pending operations to a list so the UI shows what staff did
+ * offline. Touched reservations get pendingSync: true.
+ *
+ * @param {Array} reservations - Reservations from the server
+ * @param {Array} operations - Outbox operations
+ * @param {Function} includeCreated - Which pending creates belong in this
+ *   list (e.g. only today's); defaults to none
+ * @returns {Array}
+ */
+export function applyPendingOperations(
+  reservations,
+  operations,
+  includeCreated = () => false
+) {
+  const pending = operations.filter((op) => op.state === 'pending');
+  if (pending.length === 0) return reservations;
+
+  const updated = reservations.map((reservation) =>
+    pending
+      .filter((op) => op.reservationId === reservation._id)
+      .reduce(
+        (current, op) =>
+          op.type === 'cancel'
+            ? { ...current, status: 'cancelled', pendingSync: true }
+            : { ...current, ...op.payload, pendingSync: true },
+        reservation
+      )
+  );
+
+  const created = pending
+    .filter((op) => op.type === 'create')
+    .map((op) => ({
+      _id: op.tempId,
+      // The server assigns it on sync; cards show "Pending sync" until then
+      reservationId: null,
+      status: 'confirmed',
+      locationId: op.locationId,
+      ...op.payload,
+      pendingSync: true,
+    }))
+    .filter(includeCreated);
+
+  return [...updated, ...created];
+}
+
+/**
+ * ========================================================================
+ * QUEUEING
+ * ========================================================================
+ */
+
+export const isLocalId = (id) =>
+  typeof id === 'string' && id.startsWith('local-');
+
+/**
+ * Saves an operation for later. Changes to a reservation that was itself
+ * created offline are folded into the queued create instead.
+ *
+ * @param {object} operation - { type, reservation?, payload? }
+ * @returns {Promise<object>} - The queued operation
+ */
+export async function enqueueOperation({ type, reservation, payload = null }) {
+  if (reservation && isLocalId(reservation._id)) {
+    const operations = await listOperations();
+    const create = operations.find((op) => op.tempId === reservation._id);
+
+    if (create) {
+      if (type === 'cancel') {
+        await storage.remove(create.seq);
+      } else {
+        await storage.put({
+          ...create,
+          payload: { ...create.payload, ...payload },
+        });
+      }
+      notify();
+      return create;
+    }
+  }
+
+  const operation = {
+    type,
+    reservationId: type === 'create' ? null : reservation._id,
+    tempId:
+      type === 'create'
+        ? `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+        : null,
+    payload,
+    base: type === 'create' ? null : reservation,
+    locationId: getActiveLocationId(),
+    state: 'pending',
+    error: null,
+    conflict: null,
+    server: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const seq = await storage.add(operation);
+  console.log(`📥 Queued offline ${type} (#${seq})`);
+  notify();
+  return { ...operation, seq };
+}
+
+/**
+ * Runs send() when online; queues the operation instead when offline or
+ * when the network drops mid-request. Timeouts are NOT queued: the server
+ * may already have applied the change.
+ *
+ * @returns {Promise<object>} - { queued: false, data } or { queued: true, operation }
+ */
+async function sendOrQueue(operation, send) {
+  if (navigator.onLine && !isLocalId(operation.reservation?._id)) {
+    try {
+      return { queued: false, data: await send() };
+    } catch (error) {
+      if (error.status !== ERROR_STATUS.NETWORK) throw error;
+      console.warn('⚠️ Network dropped - queuing change for later');
+    }
+  }
+
+  return { queued: true, operation: await enqueueOperation(operation) };
+}
+
+/**
+ * Reservation create/update/status/cancel that fall back to the outbox
+ */
+export const reservationMutations = {
+  create: (formData) =>
+    sendOrQueue({ type: 'create', payload: formData }, () =>
+      api.post('/reservations', formData)
+    ),
+
+  update: (reservation, formData) =>
+    sendOrQueue(
+      {
+        type: 'update',
+        reservation,
+        payload: diffReservation(reservation, formData),
+      },
+      () => api.patch(`/reservations/${reservation._id}`, formData)
+    ),
+
+  // Queued as an update, so replay checks it for conflicts like an edit
+  status: (reservation, status) => {
+    const changes = buildStatusUpdate(status);
+    return sendOrQueue({ type: 'update', reservation, payload: changes }, () =>
+      api.patch(`/reservations/${reservation._id}`, changes)
+    );
+  },
+
+  cancel: (reservation) =>
+    sendOrQueue({ type: 'cancel', reservation }, () =>
+      api.delete(`/reservations/${reservation._id}`)
+    ),
+};
+
+/**
+ * ========================================================================
+ * REPLAY
+ * ========================================================================
+ */
+
+async function fetchServerCopy(id, locationId) {
+  try {
+    return await reservationApi.get(id, { dedupe: false, locationId });
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Sends one operation. Updates and cancels are checked for conflicts
+ * first unless force is set.
+ *
+ * @throws {ApiError} - 409 with data { conflict, server } on a conflict
+ */
+async function sendOperation(operation, { force = false } = {}) {
+  // Operations queued before locations existed go to the active one
+  const options = operation.locationId
+    ? { locationId: operation.locationId }
+    : {};
+
+  if (operation.type === 'create') {
+    // Lets the backend drop a duplicate if an earlier replay's response
+    // was lost after the booking was saved
+    return api.post('/reservations', operation.payload, {
+      ...options,
+      headers: { 'Idempotency-Key': operation.tempId },
+    });
+  }
+
+  const id = operation.reservationId;
+
+  if (!force) {
+    const server = await fetchServerCopy(id, options.locationId);
+    const conflict = detectConflict(operation, server);
+    if (conflict) {
+      throw new ApiError(t(conflict.reason), 409, { conflict, server });
+    }
+  }
+
+  if (operation.type === 'update') {
+    return api.patch(`/reservations/${id}`, operation.payload, options);
+  }
+  return api.delete(`/reservations/${id}`, options);
+}
+
+const isConnectionError = (error) =>
+  error.status === ERROR_STATUS.NETWORK ||
+  error.status === ERROR_STATUS.TIMEOUT;
+
+async function markFailed(operation, error) {
+  await storage.put({
+    ...operation,
+    state: 'failed',
+    error: error.message,
+    conflict: (error.data && error.data.conflict) || null,
+    server: (error.data && error.data.server) || null,
+  });
+}
+
+let replaying = null;
+
+async function runReplay() {
+  const pending = (await listOperations()).filter(
+    (op) => op.state === 'pending'
+  );
+  const summary = { synced: 0, failed: 0, remaining: 0 };
+
+  if (pending.length === 0) return summary;
+  console.log(`📤 Replaying ${pending.length} offline changes...`);
+
+  for (let idx = 0; idx < pending.length; idx++) {
+    const operation = pending[idx];
+    try {
+      await sendOperation(operation);
+      await storage.remove(operation.seq);
+      summary.synced += 1;
+    } catch (error) {
+      if (isConnectionError(error)) {
+        // Still offline: keep this and everything after it, in order
+        console.warn('⚠️ Connection lost during replay - will retry later');
+        summary.remaining = pending.length - idx;
+        break;
+      }
+
+      console.error(
+        `❌ Replay of ${operation.type} #${operation.seq} failed:`,
+        error
+      );
+      await markFailed(operation, error);
+      summary.failed += 1;
+    }
+  }
+
+  console.log(
+    `✅ Replay done: ${summary.synced} synced, ${summary.failed} failed, ${summary.remaining} waiting`
+  );
+  await notify();
+  return summary;
+}
+
+/**
+ * Sends every pending operation in order. Failed operations stay in the
+ * outbox with state 'failed' for review. Concurrent calls share one run.
+ *
+ * @returns {Promise<object>} - { synced, failed, remaining }
+ */
+export function replayOutbox() {
+  if (!replaying) {
+    replaying = runReplay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+/**
+ * ========================================================================
+ * REVIEW ACTIONS
+ * ========================================================================
+ */
+
+async function findOperation(seq) {
+  const operation = (await listOperations()).find((op) => op.seq === seq);
+  if (!operation) throw new Error(`Outbox operation #${seq} not found`);
+  return operation;
+}
+
+/**
+ * Sends a failed operation again
+ *
+ * @param {number} seq - Operation key
+ * @param {object} options - { force: true } skips the conflict check so
+ *   the offline change overwrites the server
+ * @returns {Promise<boolean>} - True if it went through
+ */
+export async function retryOperation(seq, { force = false } = {}) {
+  const operation = await findOperation(seq);
+
+  try {
+    await sendOperation(operation, { force });
+    await storage.remove(seq);
+    return true;
+  } catch (error) {
+    await markFailed(operation, error);
+    return false;
+  } finally {
+    notify();
+  }
+}
+
+/**
+ * Drops an operation without sending it
+ *
+ * @param {number} seq - Operation key
+ */
+export async function discardOperation(seq) {
+  await storage.remove(seq);
+  console.log(`🗑️ Discarded offline change #${seq}`);
+  notify();
+}
@@ -0,0 +1,193 @@
+/**
+ * Tests for the offline outbox: conflict detection, pending overlay and
+ * in-order replay (IndexedDB is absent in jsdom, so the memory store is used)
+ */
+
+import {
+  applyPendingOperations,
+  detectConflict,
+  diffReservation,
+  enqueueOperation,
+  listOperations,
+  previousValues,
+  replayOutbox,
+  reservationMutations,
+} from "./outbox";
+
+const reservation = {
+  _id: "abc",
+  reservationId: "RES-1",
+  name: "Priya Shah",
+  partySize: 4,
+  date: "2024-12-24T00:00:00.000Z",
+  time: "7:00 PM",
+  status: "confirmed",
+};
+
+const jsonResponse = (status, data) => ({
+  ok: status < 400,
+  status,
+  statusText: "",
+  headers: { get: () => "application/json" },
+  json: () => Promise.resolve(data),
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("diffs only the fields an edit changed", () => {
+  expect(
+    diffReservation(reservation, {
+      name: "Priya Shah",
+      partySize: 6,
+      date: "2024-12-24",
+      time: "8:00 PM",
+    })
+  ).toEqual({ partySize: 6, time: "8:00 PM" });
+});
+
+test("captures the values an edit replaces for undo", () => {
+  expect(
+    previousValues(reservation, {
+      name: "Priya Shah",
+      email: "",
+      partySize: 6,
+      date: "2024-12-26",
+      specialRequests: [],
+    })
+  ).toEqual({ partySize: 4, date: "2024-12-24" });
+});
+
+test("flags server changes an offline edit would overwrite", () => {
+  const update = {
+    type: "update",
+    base: reservation,
+    payload: { time: "8:00 PM" },
+  };
+
+  expect(detectConflict(update, reservation)).toBeNull();
+  expect(detectConflict(update, { ...reservation, partySize: 2 })).toBeNull();
+  expect(
+    detectConflict(update, { ...reservation, time: "8:00 PM" })
+  ).toBeNull();
+  expect(detectConflict(update, { ...reservation, time: "6:30 PM" })).toEqual({
+    reason: "outbox.conflicts.changed",
+    fields: ["time"],
+  });
+  expect(
+    detectConflict(update, { ...reservation, status: "cancelled" })
+  ).toMatchObject({ fields: ["status"] });
+  expect(detectConflict(update, null)).toMatchObject({ fields: [] });
+});
+
+test("flags a seated party for an offline cancel", () => {
+  const cancel = { type: "cancel", base: reservation, payload: null };
+
+  expect(
+    detectConflict(cancel, { ...reservation, status: "seated" })
+  ).toMatchObject({ fields: ["status"] });
+});
+
+test("overlays pending changes and creates on a list", () => {
+  const operations = [
+    {
+      seq: 1,
+      type: "update",
+      reservationId: "abc",
+      payload: { time: "8:00 PM" },
+      state: "pending",
+    },
+    {
+      seq: 2,
+      type: "create",
+      tempId: "local-1",
+      payload: { name: "Walk-in", partySize: 2, date: "2024-12-24" },
+      state: "pending",
+    },
+    {
+      seq: 3,
+      type: "cancel",
+      reservationId: "abc",
+      payload: null,
+      state: "failed",
+    },
+  ];
+
+  const result = applyPendingOperations([reservation], operations, () => true);
+
+  expect(result).toHaveLength(2);
+  expect(result[0]).toMatchObject({
+    time: "8:00 PM",
+    status: "confirmed",
+    pendingSync: true,
+  });
+  expect(result[1]).toMatchObject({
+    _id: "local-1",
+    reservationId: null,
+    pendingSync: true,
+  });
+});
+
+test("replays in order and keeps conflicts for review", async () => {
+  const calls = [];
+  global.fetch = jest.fn((url, { method }) => {
+    calls.push(`${method} ${url.replace(/^.*?\/reservations/, "")}`);
+
+    if (method === "GET") {
+      return Promise.resolve(
+        jsonResponse(200, { ...reservation, time: "6:30 PM" })
+      );
+    }
+    return Promise.resolve(jsonResponse(200, {}));
+  });
+
+  const created = await enqueueOperation({
+    type: "create",
+    payload: { name: "Walk-in", partySize: 2 },
+  });
+  await enqueueOperation({
+    type: "update",
+    reservation: { _id: created.tempId },
+    payload: { partySize: 3 },
+  });
+  await enqueueOperation({
+    type: "update",
+    reservation,
+    payload: { time: "8:00 PM" },
+  });
+
+  // The edit to the offline booking was folded into its create
+  expect(await listOperations()).toHaveLength(2);
+
+  const summary = await replayOutbox();
+
+  expect(summary).toEqual({ synced: 1, failed: 1, remaining: 0 });
+  expect(calls).toEqual(["POST ", "GET /abc"]);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+    name: "Walk-in",
+    partySize: 3,
+  });
+  // Sent to the location that was active when it was queued
+  expect(global.fetch.mock.calls[0][1].headers["X-Location-Id"]).toBe("main");
+
+  const [failed] = await listOperations();
+  expect(failed).toMatchObject({
+    state: "failed",
+    conflict: { fields: ["time"] },
+  });
+});
+
+test("queues a status change offline as an update", async () => {
+  jest.spyOn(window.navigator, "onLine", "get").mockReturnValue(false);
+
+  const result = await reservationMutations.status(reservation, "arrived");
+
+  expect(result.queued).toBe(true);
+  expect(result.operation).toMatchObject({
+    type: "update",
+    reservationId: "abc",
+    payload: { status: "arrived", arrivedAt: expect.any(String) },
+  });
+  jest.restoreAllMocks();
+});
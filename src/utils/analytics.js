@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * RESERVATION ANALYTICS
+ * ============================================================================
+ *
+ * Turns the reservations of a date range into the numbers and chart data of
+ * the Analytics tab:
+ *
+ *   previousPeriod(range)         - Same-length range just before
+ *   summarizeRange(list, range)   - Totals, rates, per-day and heatmap data
+ *   percentChange(now, before)    - Change against the previous period
+ *
+ * COUNTING RULES:
+ * ---------------
+ * - Bookings, covers, party size, lead time, sources and the heatmap count
+ *   reservations that weren't cancelled
+ * - Cancellation rate = cancelled / every reservation in the range
+ * - No-show rate      = no-shows / reservations that weren't cancelled
+ *
+ * @module utils/analytics
+ */
+
+import {
+  addDays,
+  dayOfWeek,
+  reservationDate,
+  timeSlotToMinutes,
+  toRestaurantDate,
+} from "./dateTime";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sources shown in the breakdown; anything else counts as "other"
+ */
+export const ANALYTICS_SOURCES = ["voice", "web", "staff"];
+
+// ==================== RANGES ====================
+
+/**
+ * Number of days in an inclusive "YYYY-MM-DD" range.
+ */
+export const rangeLength = ({ dateFrom, dateTo }) =>
+  Math.round(
+    (Date.parse(`${dateTo}T00:00:00Z`) - Date.parse(`${dateFrom}T00:00:00Z`)) /
+      DAY_MS
+  ) + 1;
+
+/**
+ * The range of the same length ending the day before `range` starts.
+ *
+ * @example
+ * previousPeriod({ dateFrom: '2024-12-08', dateTo: '2024-12-14' });
+ * // { dateFrom: '2024-12-01', dateTo: '2024-12-07' }
+ */
+export const previousPeriod = (range) => ({
+  dateFrom: addDays(range.dateFrom, -rangeLength(range)),
+  dateTo: addDays(range.dateFrom, -1),
+});
+
+// ==================== SUMMARY ====================
+
+const average = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Whole days from booking to reservation date (0 = booked for the same day),
+// both on the restaurant's calendar
+const leadDays = (reservation) => {
+  if (!reservation.createdAt) return null;
+  const booked = Date.parse(
+    `${toRestaurantDate(reservation.createdAt)}T00:00:00Z`
+  );
+  const date = Date.parse(`${reservationDate(reservation.date)}T00:00:00Z`);
+  return Number.isNaN(booked) || Number.isNaN(date)
+    ? null
+    : Math.max(0, Math.round((date - booked) / DAY_MS));
+};
+
+/**
+ * Analytics for the reservations of one date range.
+ *
+ * @param {Array} reservations - Every reservation dated within the range
+ * @param {object} range - { dateFrom, dateTo } as "YYYY-MM-DD"
+ * @returns {object} - {
+ *   bookings, covers, cancelled, noShows,
+ *   cancelRate, noShowRate,              // 0-1, null without bookings
+ *   averagePartySize, averageLeadDays,   // null without data
+ *   days: [{ date, bookings, covers }],  // every day of the range
+ *   heatmap: { [weekday 0-6]: { [hour 0-23]: bookings } },
+ *   sources: { voice, web, staff, other }
+ * }
+ */
+export const summarizeRange = (reservations, range) => {
+  const inRange = reservations.filter((res) => {
+    const date = reservationDate(res.date);
+    return date >= range.dateFrom && date <= range.dateTo;
+  });
+  const kept = inRange.filter((res) => res.status !== "cancelled");
+  const noShows = kept.filter((res) => res.status === "no-show").length;
+
+  const days = Array.from({ length: rangeLength(range) }, (_, index) => ({
+    date: addDays(range.dateFrom, index),
+    bookings: 0,
+    covers: 0,
+  }));
+  const dayIndex = new Map(days.map((day, index) => [day.date, index]));
+
+  const heatmap = {};
+  const sources = { other: 0 };
+  ANALYTICS_SOURCES.forEach((source) => (sources[source] = 0));
+
+  kept.forEach((res) => {
+    const date = reservationDate(res.date);
+    const day = days[dayIndex.get(date)];
+    day.bookings += 1;
+    day.covers += res.partySize;
+
+    const minutes = timeSlotToMinutes(res.time);
+    if (minutes !== null) {
+      const weekday = dayOfWeek(date);
+      const hour = Math.floor(minutes / 60);
+      heatmap[weekday] = heatmap[weekday] || {};
+      heatmap[weekday][hour] = (heatmap[weekday][hour] || 0) + 1;
+    }
+
+    const source = ANALYTICS_SOURCES.includes(res.source)
+      ? res.source
+      : "other";
+    sources[source] += 1;
+  });
+
+  const leads = kept.map(leadDays).filter((lead) => lead !== null);
+
+  return {
+    bookings: kept.length,
+    covers: kept.reduce((sum, res) => sum + res.partySize, 0),
+    cancelled: inRange.length - kept.length,
+    noShows,
+    cancelRate:
+      inRange.length === 0
+        ? null
+        : (inRange.length - kept.length) / inRange.length,
+    noShowRate: kept.length === 0 ? null : noShows / kept.length,
+    averagePartySize: average(kept.map((res) => res.partySize)),
+    averageLeadDays: average(leads),
+    days,
+    heatmap,
+    sources,
+  };
+};
+
+/**
+ * Relative change from the previous period, e.g. 0.25 for +25%.
+ * null when there's nothing to compare against.
+ */
+export const percentChange = (current, previous) =>
+  current === null || previous === null || previous === 0
+    ? null
+    : (current - previous) / previous;
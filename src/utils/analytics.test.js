@@ -0,0 +1,96 @@
+/**
+ * Tests for reservation analytics
+ */
+
+import {
+  percentChange,
+  previousPeriod,
+  rangeLength,
+  summarizeRange,
+} from "./analytics";
+
+const range = { dateFrom: "2024-12-09", dateTo: "2024-12-15" };
+
+const reservation = (overrides) => ({
+  date: "2024-12-09T00:00:00.000Z",
+  time: "7:00 PM",
+  partySize: 2,
+  status: "confirmed",
+  source: "voice",
+  createdAt: "2024-12-02T18:00:00.000Z",
+  ...overrides,
+});
+
+test("previous period is the same length, just before", () => {
+  expect(rangeLength(range)).toBe(7);
+  expect(previousPeriod(range)).toEqual({
+    dateFrom: "2024-12-02",
+    dateTo: "2024-12-08",
+  });
+  expect(
+    previousPeriod({ dateFrom: "2024-12-01", dateTo: "2024-12-01" })
+  ).toEqual({ dateFrom: "2024-11-30", dateTo: "2024-11-30" });
+});
+
+test("summarizes bookings, covers, rates and sources", () => {
+  const summary = summarizeRange(
+    [
+      reservation({ partySize: 4 }),
+      reservation({ partySize: 2, status: "no-show", source: "web" }),
+      reservation({ partySize: 6, status: "cancelled" }),
+      reservation({
+        date: "2024-12-11",
+        time: "12:30 PM",
+        partySize: 3,
+        source: "staff",
+        createdAt: "2024-12-11T17:00:00.000Z",
+      }),
+      reservation({ source: undefined }),
+      // Outside the range
+      reservation({ date: "2024-12-16" }),
+    ],
+    range
+  );
+
+  expect(summary.bookings).toBe(4);
+  expect(summary.covers).toBe(11);
+  expect(summary.cancelled).toBe(1);
+  expect(summary.cancelRate).toBeCloseTo(1 / 5);
+  expect(summary.noShowRate).toBeCloseTo(1 / 4);
+  expect(summary.averagePartySize).toBeCloseTo(11 / 4);
+  // 7, 7, 0 and 7 days ahead
+  expect(summary.averageLeadDays).toBeCloseTo(21 / 4);
+  expect(summary.sources).toEqual({ voice: 1, web: 1, staff: 1, other: 1 });
+
+  expect(summary.days).toHaveLength(7);
+  expect(summary.days[0]).toEqual({
+    date: "2024-12-09",
+    bookings: 3,
+    covers: 8,
+  });
+  expect(summary.days[2]).toEqual({
+    date: "2024-12-11",
+    bookings: 1,
+    covers: 3,
+  });
+
+  // 2024-12-09 is a Monday, 2024-12-11 a Wednesday
+  expect(summary.heatmap[1][19]).toBe(3);
+  expect(summary.heatmap[3][12]).toBe(1);
+});
+
+test("an empty range has no rates to show", () => {
+  const summary = summarizeRange([], range);
+
+  expect(summary.bookings).toBe(0);
+  expect(summary.cancelRate).toBeNull();
+  expect(summary.noShowRate).toBeNull();
+  expect(summary.averagePartySize).toBeNull();
+});
+
+test("percent change needs a non-zero previous value", () => {
+  expect(percentChange(15, 10)).toBeCloseTo(0.5);
+  expect(percentChange(5, 10)).toBeCloseTo(-0.5);
+  expect(percentChange(5, 0)).toBeNull();
+  expect(percentChange(null, 10)).toBeNull();
+});
@@ -0,0 +1,129 @@
+/**
+ * ============================================================================
+ * BULK ACTIONS
+ * ============================================================================
+ *
+ * Multi-select and batch changes for the All Reservations list (closing the
+ * patio for weather, a private event taking over the room):
+ *
+ *   selectRange(...)  - Shift-click selection between two rows
+ *   skipReason(...)   - Why a batch action doesn't apply to a reservation
+ *   runBatch(...)     - Applies an action one reservation at a time,
+ *                       collecting failures instead of stopping on them
+ *
+ * BATCH ACTIONS:
+ * --------------
+ * cancel  - Cancel confirmed bookings
+ * status  - Move to a service status (arrived, seated, ...)
+ * move    - New date and/or time for confirmed bookings
+ * table   - Assign every selected confirmed booking to one table
+ *
+ * @module utils/bulk
+ */
+
+import { STATUS_ACTIONS, canTransition } from "./reservationStatus";
+
+export const BATCH_ACTIONS = {
+  cancel: { label: "Cancel" },
+  status: { label: "Change status" },
+  move: { label: "Move" },
+  table: { label: "Reassign table" },
+};
+
+/**
+ * Statuses offered for a batch status change (the service statuses;
+ * cancelling has its own action)
+ */
+export const BATCH_STATUSES = Object.keys(STATUS_ACTIONS);
+
+// ==================== SELECTION ====================
+
+/**
+ * Selects (or deselects) every row between the last clicked row and this
+ * one, inclusive, in list order. Without an anchor on the list, only the
+ * clicked row changes.
+ *
+ * @param {string[]} orderedIds - Ids of the rows as listed
+ * @param {Set<string>} selectedIds - Current selection
+ * @param {string|null} anchorId - Row clicked before this one
+ * @param {string} targetId - Row clicked now
+ * @param {boolean} checked - Whether the clicked row becomes selected
+ * @returns {Set<string>} - New selection
+ */
+export const selectRange = (
+  orderedIds,
+  selectedIds,
+  anchorId,
+  targetId,
+  checked
+) => {
+  const next = new Set(selectedIds);
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(targetId);
+  const range =
+    from === -1 || to === -1
+      ? [targetId]
+      : orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+
+  range.forEach((id) => (checked ? next.add(id) : next.delete(id)));
+  return next;
+};
+
+// ==================== ELIGIBILITY ====================
+
+/**
+ * Why a batch action would be skipped for a reservation, or null if it
+ * applies. Mirrors what the row's own buttons allow.
+ *
+ * @param {string} action - Key of BATCH_ACTIONS
+ * @param {object} reservation
+ * @param {object} params - { status } for "status", { tableNumber } for "table"
+ * @returns {string|null}
+ */
+export const skipReason = (action, reservation, params = {}) => {
+  if (action === "status") {
+    if (reservation.status === params.status) {
+      return `Already ${reservation.status}`;
+    }
+    return canTransition(reservation.status, params.status)
+      ? null
+      : `Can't go from ${reservation.status} to ${params.status}`;
+  }
+
+  if (reservation.status !== "confirmed") {
+    return `Reservation is ${reservation.status}`;
+  }
+  if (action === "table" && reservation.tableNumber === params.tableNumber) {
+    return `Already at table ${params.tableNumber}`;
+  }
+  return null;
+};
+
+// ==================== RUNNING ====================
+
+/**
+ * Runs `apply` for each reservation in turn. A failure is recorded and the
+ * batch carries on, so one stale booking doesn't block the other forty.
+ *
+ * @param {Array} reservations
+ * @param {Function} apply - async (reservation) => result
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the number done so far
+ * @returns {Promise<object>} - { succeeded: [{ reservation, result }],
+ *   failed: [{ reservation, reason }] }
+ */
+export const runBatch = async (reservations, apply, { onProgress } = {}) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (const reservation of reservations) {
+    try {
+      succeeded.push({ reservation, result: await apply(reservation) });
+    } catch (error) {
+      failed.push({ reservation, reason: error.message });
+    }
+    if (onProgress) onProgress(succeeded.length + failed.length);
+  }
+
+  return { succeeded, failed };
+};
@@ -0,0 +1,73 @@
+/**
+ * Tests for bulk selection and batch actions
+ */
+
+import { runBatch, selectRange, skipReason } from "./bulk";
+
+const ids = ["a", "b", "c", "d", "e"];
+
+test("shift-click selects or clears the range from the anchor", () => {
+  expect([...selectRange(ids, new Set(["a"]), "b", "d", true)]).toEqual([
+    "a",
+    "b",
+    "c",
+    "d",
+  ]);
+
+  // Upward ranges work too
+  expect([...selectRange(ids, new Set(), "e", "c", true)].sort()).toEqual([
+    "c",
+    "d",
+    "e",
+  ]);
+
+  expect([...selectRange(ids, new Set(ids), "d", "b", false)]).toEqual([
+    "a",
+    "e",
+  ]);
+});
+
+test("without an anchor on the list only the clicked row changes", () => {
+  expect([...selectRange(ids, new Set(), null, "c", true)]).toEqual(["c"]);
+  expect([...selectRange(ids, new Set(), "gone", "c", true)]).toEqual(["c"]);
+});
+
+test("skips reservations the action doesn't apply to", () => {
+  const confirmed = { status: "confirmed", tableNumber: 4 };
+  const seated = { status: "seated", tableNumber: 4 };
+
+  expect(skipReason("cancel", confirmed)).toBeNull();
+  expect(skipReason("cancel", seated)).toBe("Reservation is seated");
+  expect(skipReason("move", seated)).toBe("Reservation is seated");
+
+  expect(skipReason("table", confirmed, { tableNumber: 5 })).toBeNull();
+  expect(skipReason("table", confirmed, { tableNumber: 4 })).toBe(
+    "Already at table 4"
+  );
+
+  expect(skipReason("status", confirmed, { status: "arrived" })).toBeNull();
+  expect(skipReason("status", seated, { status: "seated" })).toBe(
+    "Already seated"
+  );
+  expect(skipReason("status", seated, { status: "arrived" })).toBe(
+    "Can't go from seated to arrived"
+  );
+});
+
+test("keeps going after a failure and reports it", async () => {
+  const progress = [];
+  const result = await runBatch(
+    [{ name: "A" }, { name: "B" }, { name: "C" }],
+    async (res) => {
+      if (res.name === "B") throw new Error("Slot is full");
+      return res.name;
+    },
+    { onProgress: (done) => progress.push(done) }
+  );
+
+  expect(result.succeeded.map((item) => item.result)).toEqual(["A", "C"]);
+  expect(result.failed).toEqual([
+    { reservation: { name: "B" }, reason: "Slot is full" },
+  ]);
+  expect(progress).toEqual([1, 2, 3]);
+});
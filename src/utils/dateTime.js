@@ -0,0 +1,389 @@
+/**
+ * ============================================================================
+ * DATE & TIME HELPERS
+ * ============================================================================
+ *
+ * Every date and time the dashboard shows or compares goes through here.
+ * Reservation dates ("2024-12-25") and time slot labels ("7:00 PM") are
+ * wall-clock values in the restaurant's timezone (the active location's
+ * timeZone, an IANA name such as "America/Los_Angeles"), whatever timezone
+ * the browser running the dashboard is in.
+ *
+ * THREE KINDS OF VALUES:
+ * ----------------------
+ * - Date strings   "YYYY-MM-DD", a day at the restaurant. Arithmetic on
+ *                  them (addDays, dayOfWeek) is pure calendar math in UTC,
+ *                  so it never shifts with the browser's zone or DST
+ * - Slot labels    "7:00 PM", minutes after the restaurant's midnight
+ * - Instants       Date objects / ISO timestamps (createdAt, seatedAt, now).
+ *                  Converted to restaurant dates and times with
+ *                  toRestaurantDate / restaurantMinutes, and back with
+ *                  slotToInstant
+ *
+ * reservation.date from the API may be a plain date, a UTC-midnight ISO
+ * string or a full timestamp; reservationDate() reads all three.
+ *
+ * @module utils/dateTime
+ */
+
+import { getLocale } from "../services/i18n";
+import { getActiveLocation } from "../services/locations";
+
+/**
+ * Converts a time slot label ("7:30 PM") to minutes after midnight.
+ * Returns null for anything that doesn't look like a slot label.
+ *
+ * @param {string} slot - Time slot label
+ * @returns {number|null} - Minutes after midnight
+ *
+ * EXAMPLE:
+ * --------
+ * timeSlotToMinutes('7:30 PM'); // 1170
+ */
+export const timeSlotToMinutes = (slot) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec((slot || "").trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10) % 12;
+  if (match[3].toUpperCase() === "PM") hours += 12;
+
+  return hours * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Converts minutes after midnight back to a time slot label.
+ *
+ * EXAMPLE:
+ * --------
+ * minutesToTimeSlot(1170); // '7:30 PM'
+ */
+export const minutesToTimeSlot = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  const period = hours >= 12 ? "PM" : "AM";
+  const displayHours = hours % 12 || 12;
+
+  return `${displayHours}:${String(minutes % 60).padStart(2, "0")} ${period}`;
+};
+
+/**
+ * Builds the bookable time slots from restaurant settings.
+ * Each service contributes a slot every `slotIntervalMinutes` from its
+ * first to its last seating. Services with a `days` list only apply on
+ * those weekdays of `date` (0 = Sunday); without a date all services apply.
+ *
+ * @param {object} settings - Restaurant settings (see config.RESTAURANT_DEFAULTS)
+ * @param {string} date - Optional "YYYY-MM-DD" date
+ * @returns {string[]} - Slot labels in chronological order
+ *
+ * EXAMPLE:
+ * --------
+ * getTimeSlots({
+ *   serviceHours: [{ name: 'Lunch', firstSeating: '11:00 AM', lastSeating: '12:00 PM' }],
+ *   slotIntervalMinutes: 30,
+ * }); // ['11:00 AM', '11:30 AM', '12:00 PM']
+ */
+export const getTimeSlots = (settings, date) => {
+  const weekday = date ? dayOfWeek(date) : null;
+  const interval = settings.slotIntervalMinutes || 30;
+  const slots = [];
+
+  settings.serviceHours
+    .filter(
+      (service) =>
+        weekday === null || !service.days || service.days.includes(weekday)
+    )
+    .forEach((service) => {
+      const first = timeSlotToMinutes(service.firstSeating);
+      const last = timeSlotToMinutes(service.lastSeating);
+      if (first === null || last === null) return;
+
+      for (let minutes = first; minutes <= last; minutes += interval) {
+        slots.push(minutes);
+      }
+    });
+
+  return [...new Set(slots)].sort((a, b) => a - b).map(minutesToTimeSlot);
+};
+
+/**
+ * Sort comparator that orders reservations by their time slot.
+ */
+export const compareByTime = (a, b) =>
+  (timeSlotToMinutes(a.time) ?? 0) - (timeSlotToMinutes(b.time) ?? 0);
+
+// ==================== RESTAURANT TIMEZONE ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are slow to build; one per zone (and purpose) is reused
+const formatters = new Map();
+
+const getFormatter = (timeZone, key, options) => {
+  const cacheKey = `${timeZone}|${key}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(
+      cacheKey,
+      new Intl.DateTimeFormat("en-US", { ...options, timeZone })
+    );
+  }
+  return formatters.get(cacheKey);
+};
+
+/**
+ * IANA timezone of the active location (see services/locations).
+ */
+export const restaurantTimeZone = () => getActiveLocation().timeZone;
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ *
+ * @param {Date|string|number} instant
+ * @param {string} timeZone - IANA zone (defaults to the restaurant's)
+ * @returns {object} - { year, month, day, hour, minute } as numbers
+ */
+export const zonedParts = (instant, timeZone = restaurantTimeZone()) => {
+  const parts = getFormatter(timeZone, "parts", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(instant));
+
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  return {
+    year: value("year"),
+    month: value("month"),
+    day: value("day"),
+    hour: value("hour") % 24,
+    minute: value("minute"),
+  };
+};
+
+/**
+ * The restaurant's date ("YYYY-MM-DD") at an instant.
+ *
+ * EXAMPLE:
+ * --------
+ * // 6 PM on Dec 24 in Los Angeles is already Dec 25 in UTC
+ * toRestaurantDate('2024-12-25T02:00:00Z'); // '2024-12-24'
+ */
+export const toRestaurantDate = (instant, timeZone = restaurantTimeZone()) => {
+  const { year, month, day } = zonedParts(instant, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+};
+
+/**
+ * Minutes after the restaurant's midnight at an instant (compare with
+ * timeSlotToMinutes).
+ */
+export const restaurantMinutes = (instant, timeZone = restaurantTimeZone()) => {
+  const { hour, minute } = zonedParts(instant, timeZone);
+  return hour * 60 + minute;
+};
+
+/**
+ * Today's date at the restaurant as "YYYY-MM-DD", matching reservation
+ * dates. After 5 PM in Los Angeles this is still today there, not
+ * tomorrow as in UTC.
+ *
+ * @param {Date} now - Defaults to the current time
+ */
+export const todayDateString = (now = new Date()) => toRestaurantDate(now);
+
+/**
+ * The "YYYY-MM-DD" day of a reservation date from the API.
+ *
+ * Plain dates and UTC-midnight ISO strings ("2024-12-24T00:00:00.000Z",
+ * how the backend stores a date) are read as written. Any other timestamp
+ * is an instant and becomes the restaurant's date at that instant.
+ */
+export const reservationDate = (value) => {
+  const text = String(value || "");
+  if (/^\d{4}-\d{2}-\d{2}(T00:00(:00(\.0+)?)?Z)?$/.test(text)) {
+    return text.slice(0, 10);
+  }
+
+  const instant = new Date(text);
+  return Number.isNaN(instant.getTime())
+    ? text.slice(0, 10)
+    : toRestaurantDate(instant);
+};
+
+/**
+ * The instant a time slot starts on a restaurant date. DST is handled: on
+ * the spring-forward day 2:30 AM doesn't exist and lands on 3:30 AM; on
+ * the fall-back day a repeated time resolves to its first occurrence.
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string|number} slot - "7:00 PM" or minutes after midnight
+ * @param {string} timeZone - IANA zone (defaults to the restaurant's)
+ * @returns {Date|null} - null if the slot can't be read
+ */
+export const slotToInstant = (date, slot, timeZone = restaurantTimeZone()) => {
+  const minutes = typeof slot === "number" ? slot : timeSlotToMinutes(slot);
+  if (minutes === null) return null;
+
+  // The wall-clock time read as if it were UTC, shifted back by the zone's
+  // offset. The offsets a day either side cover any DST change in between.
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  const offsetAt = (instant) => {
+    const parts = zonedParts(instant, timeZone);
+    const asUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute
+    );
+    return asUtc - Math.floor(instant / 60000) * 60000;
+  };
+
+  const offsets = [offsetAt(wallClock - DAY_MS), offsetAt(wallClock + DAY_MS)];
+  const matches = offsets
+    .map((offset) => wallClock - offset)
+    .filter((instant) => offsetAt(instant) === wallClock - instant);
+
+  // Skipped by spring-forward: no match, move ahead by the DST shift
+  return new Date(
+    matches.length > 0 ? Math.min(...matches) : wallClock - Math.min(...offsets)
+  );
+};
+
+// ==================== DISPLAY ====================
+
+/**
+ * Name of the restaurant's timezone for labels next to times: "PT", or
+ * "Pacific Time" with `long`. Engines without generic names fall back to
+ * the name at `now` ("PST" / "Pacific Standard Time").
+ *
+ * @param {Object} options
+ * @param {boolean} options.long - Spelled out instead of abbreviated
+ * @param {Date} options.now - Defaults to the current time
+ * @param {string} options.timeZone - IANA zone (defaults to the restaurant's)
+ */
+export const timeZoneLabel = ({
+  long = false,
+  now = new Date(),
+  timeZone = restaurantTimeZone(),
+} = {}) => {
+  const style = long ? "long" : "short";
+
+  let formatter;
+  try {
+    formatter = getFormatter(timeZone, `${style}Generic`, {
+      timeZoneName: `${style}Generic`,
+    });
+  } catch (error) {
+    formatter = getFormatter(timeZone, style, { timeZoneName: style });
+  }
+
+  const part = formatter
+    .formatToParts(now)
+    .find((item) => item.type === "timeZoneName");
+  return part ? part.value : timeZone;
+};
+
+/**
+ * Formats a "YYYY-MM-DD" date for display in the active language
+ * (services/i18n) without shifting it a day in browsers west of UTC.
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} options - Intl.DateTimeFormat options
+ *   (defaults to "Tuesday, December 24, 2024")
+ */
+export const formatDateLabel = (
+  date,
+  options = { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString(getLocale(), {
+    ...options,
+    timeZone: "UTC",
+  });
+
+/**
+ * Formats an instant (ISO timestamp) in the restaurant's timezone, in
+ * the active language.
+ *
+ * @param {Date|string} instant
+ * @param {object} options - Intl.DateTimeFormat options
+ *   (defaults to "7:05 PM")
+ */
+export const formatInstant = (
+  instant,
+  options = { hour: "numeric", minute: "2-digit" }
+) =>
+  new Date(instant).toLocaleString(getLocale(), {
+    ...options,
+    timeZone: restaurantTimeZone(),
+  });
+
+/**
+ * Formats a time slot label for display in the active language. The
+ * label itself ("7:00 PM") is what gets saved and compared.
+ *
+ * EXAMPLE:
+ * --------
+ * formatTimeSlot('7:00 PM'); // '7:00 PM' in English, '7:00 p.m.' in Spanish (es-US)
+ */
+export const formatTimeSlot = (slot) => {
+  const minutes = timeSlotToMinutes(slot);
+  if (minutes === null) return slot || "";
+
+  return new Date(Date.UTC(2000, 0, 1, 0, minutes)).toLocaleTimeString(
+    getLocale(),
+    { hour: "numeric", minute: "2-digit", timeZone: "UTC" }
+  );
+};
+
+/**
+ * Adds days to a "YYYY-MM-DD" date string (negative to go back).
+ * Works in UTC so the result never shifts with the browser's timezone.
+ *
+ * EXAMPLE:
+ * --------
+ * addDays('2024-12-31', 1); // '2025-01-01'
+ */
+export const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+};
+
+/**
+ * Day of the week for a "YYYY-MM-DD" date string (0 = Sunday).
+ */
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * The Sunday that starts the week containing `date`.
+ */
+export const startOfWeek = (date) => addDays(date, -dayOfWeek(date));
+
+/**
+ * Calendar grid for the month containing `date`: an array of weeks, each
+ * an array of seven "YYYY-MM-DD" strings starting on Sunday. Leading and
+ * trailing days from neighbouring months fill out the first/last week.
+ */
+export const getMonthGrid = (date) => {
+  const first = `${date.slice(0, 7)}-01`;
+  const weeks = [];
+  let day = startOfWeek(first);
+
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(day);
+      day = addDays(day, 1);
+    }
+    weeks.push(week);
+  } while (day.slice(0, 7) === first.slice(0, 7));
+
+  return weeks;
+};
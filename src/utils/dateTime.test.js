@@ -0,0 +1,140 @@
+/**
+ * Tests for date & time helpers
+ */
+
+import config from "../config";
+import {
+  addDays,
+  formatDateLabel,
+  formatInstant,
+  getMonthGrid,
+  getTimeSlots,
+  minutesToTimeSlot,
+  reservationDate,
+  restaurantMinutes,
+  slotToInstant,
+  startOfWeek,
+  timeSlotToMinutes,
+  timeZoneLabel,
+  toRestaurantDate,
+  todayDateString,
+} from "./dateTime";
+
+test("converts between slot labels and minutes", () => {
+  expect(timeSlotToMinutes("12:30 PM")).toBe(750);
+  expect(timeSlotToMinutes("12:00 AM")).toBe(0);
+  expect(timeSlotToMinutes("7:00 pm")).toBe(1140);
+  expect(timeSlotToMinutes("19:00")).toBeNull();
+  expect(minutesToTimeSlot(750)).toBe("12:30 PM");
+  expect(minutesToTimeSlot(0)).toBe("12:00 AM");
+});
+
+test("default service hours produce the classic 18 slots", () => {
+  const slots = getTimeSlots(config.RESTAURANT_DEFAULTS);
+
+  expect(slots).toHaveLength(18);
+  expect(slots[0]).toBe("11:00 AM");
+  expect(slots).toContain("2:30 PM");
+  expect(slots).not.toContain("3:00 PM");
+  expect(slots[slots.length - 1]).toBe("9:30 PM");
+});
+
+test("services limited to certain weekdays only apply on those days", () => {
+  const settings = {
+    slotIntervalMinutes: 60,
+    serviceHours: [
+      {
+        name: "Brunch",
+        firstSeating: "10:00 AM",
+        lastSeating: "11:00 AM",
+        days: [0],
+      },
+      { name: "Dinner", firstSeating: "6:00 PM", lastSeating: "7:00 PM" },
+    ],
+  };
+
+  // 2024-12-22 is a Sunday, 2024-12-23 a Monday
+  expect(getTimeSlots(settings, "2024-12-22")).toEqual([
+    "10:00 AM",
+    "11:00 AM",
+    "6:00 PM",
+    "7:00 PM",
+  ]);
+  expect(getTimeSlots(settings, "2024-12-23")).toEqual(["6:00 PM", "7:00 PM"]);
+});
+
+test("builds a Sunday-first month grid", () => {
+  const weeks = getMonthGrid("2024-12-18");
+
+  // December 2024 starts on a Sunday and ends on a Tuesday
+  expect(weeks).toHaveLength(5);
+  expect(weeks[0][0]).toBe("2024-12-01");
+  expect(weeks[4][2]).toBe("2024-12-31");
+  expect(weeks[4][6]).toBe("2025-01-04");
+  expect(startOfWeek("2025-01-01")).toBe("2024-12-29");
+  expect(addDays("2024-03-09", 1)).toBe("2024-03-10");
+});
+
+// ==================== RESTAURANT TIMEZONE ====================
+// config.RESTAURANT_TIME_ZONE defaults to America/Los_Angeles
+
+test("today is the restaurant's date, not UTC's", () => {
+  // 6:30 PM on Dec 24 in Los Angeles, already Dec 25 in UTC
+  const evening = new Date("2024-12-25T02:30:00Z");
+
+  expect(config.RESTAURANT_TIME_ZONE).toBe("America/Los_Angeles");
+  expect(todayDateString(evening)).toBe("2024-12-24");
+  expect(restaurantMinutes(evening)).toBe(timeSlotToMinutes("6:30 PM"));
+
+  // Midnight in Los Angeles starts the next day
+  expect(toRestaurantDate("2024-12-25T08:00:00Z")).toBe("2024-12-25");
+  expect(toRestaurantDate("2024-12-25T07:59:00Z")).toBe("2024-12-24");
+  expect(toRestaurantDate("2024-12-25T02:30:00Z", "Asia/Kolkata")).toBe(
+    "2024-12-25"
+  );
+});
+
+test("reads reservation dates however the API sends them", () => {
+  expect(reservationDate("2024-12-24")).toBe("2024-12-24");
+  expect(reservationDate("2024-12-24T00:00:00.000Z")).toBe("2024-12-24");
+  // Local midnight stored as an instant
+  expect(reservationDate("2024-12-24T08:00:00.000Z")).toBe("2024-12-24");
+  expect(reservationDate("2024-12-25T02:30:00.000Z")).toBe("2024-12-24");
+});
+
+test("turns slots into instants across DST changes", () => {
+  // Standard time (UTC-8) and daylight time (UTC-7)
+  expect(slotToInstant("2024-12-24", "7:00 PM").toISOString()).toBe(
+    "2024-12-25T03:00:00.000Z"
+  );
+  expect(slotToInstant("2024-07-04", "7:00 PM").toISOString()).toBe(
+    "2024-07-05T02:00:00.000Z"
+  );
+
+  // Spring forward on 2024-03-10: the evening is already on daylight time,
+  // and 2:30 AM doesn't exist so it lands on 3:30 AM
+  expect(slotToInstant("2024-03-10", "7:00 PM").toISOString()).toBe(
+    "2024-03-11T02:00:00.000Z"
+  );
+  expect(slotToInstant("2024-03-10", "2:30 AM").toISOString()).toBe(
+    "2024-03-10T10:30:00.000Z"
+  );
+
+  // Fall back on 2024-11-03: 1:30 AM happens twice, the first one wins
+  expect(slotToInstant("2024-11-03", "1:30 AM").toISOString()).toBe(
+    "2024-11-03T08:30:00.000Z"
+  );
+  expect(slotToInstant("2024-11-03", "7:00 PM").toISOString()).toBe(
+    "2024-11-04T03:00:00.000Z"
+  );
+
+  expect(slotToInstant("2024-12-24", "19:00")).toBeNull();
+});
+
+test("formats dates and times for the restaurant", () => {
+  expect(formatDateLabel("2024-12-24")).toBe("Tuesday, December 24, 2024");
+  expect(formatInstant("2024-12-25T03:05:00Z")).toBe("7:05 PM");
+  expect(timeZoneLabel({ now: new Date("2024-12-24T12:00:00Z") })).toMatch(
+    /^(PT|PST)$/
+  );
+});
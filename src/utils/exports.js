@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ * RESERVATION EXPORTS
+ * ============================================================================
+ *
+ * Builds export files from a list of reservations, entirely in the browser:
+ *
+ *   CSV        - toCsv(reservations, columnKeys)
+ *   iCalendar  - toICalendar(reservations, options)   (.ics, one event each)
+ *   Run sheet  - buildRunSheet(reservations)           (grouped by time slot)
+ *
+ * downloadFile() hands the result to the browser as a download.
+ *
+ * @module utils/exports
+ */
+
+import {
+  compareByTime,
+  reservationDate,
+  restaurantTimeZone,
+  timeSlotToMinutes,
+} from "./dateTime";
+import { formatPhone } from "./phone";
+
+// ==================== CSV ====================
+
+/**
+ * Columns staff can pick for a CSV export, in file order.
+ */
+export const EXPORT_COLUMNS = [
+  { key: "reservationId", label: "Reservation ID" },
+  { key: "date", label: "Date", value: (res) => reservationDate(res.date) },
+  { key: "time", label: "Time" },
+  { key: "name", label: "Name" },
+  { key: "phone", label: "Phone", value: (res) => formatPhone(res.phone) },
+  { key: "email", label: "Email" },
+  { key: "partySize", label: "Party Size" },
+  { key: "tableNumber", label: "Table" },
+  { key: "status", label: "Status" },
+  { key: "source", label: "Source" },
+  {
+    key: "specialRequests",
+    label: "Special Requests",
+    value: (res) => (res.specialRequests || []).join("; "),
+  },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  "date",
+  "time",
+  "name",
+  "phone",
+  "partySize",
+  "tableNumber",
+  "status",
+  "specialRequests",
+];
+
+const columnValue = (column, reservation) => {
+  const value = column.value
+    ? column.value(reservation)
+    : reservation[column.key];
+  return value === undefined || value === null ? "" : String(value);
+};
+
+// Spreadsheets run cells starting with these as formulas; a guest named
+// "=HYPERLINK(...)" shouldn't become a live link in the manager's copy
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^[+-]?[\d\s().-]+$/;
+
+const csvCell = (cell) => {
+  const value = cell === undefined || cell === null ? "" : String(cell);
+  const safe =
+    FORMULA_PREFIX.test(value) && !NUMERIC.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * CSV text from rows of strings (RFC 4180 quoting, CRLF line endings).
+ *
+ * @param {Array<string[]>} rows - First row is the header
+ * @returns {string}
+ */
+export const rowsToCsv = (rows) =>
+  rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * CSV text of reservations with a header row.
+ *
+ * @param {Array} reservations
+ * @param {string[]} columnKeys - Keys from EXPORT_COLUMNS, in any order
+ * @returns {string}
+ */
+export const toCsv = (reservations, columnKeys = DEFAULT_EXPORT_COLUMNS) => {
+  const columns = EXPORT_COLUMNS.filter((column) =>
+    columnKeys.includes(column.key)
+  );
+
+  return rowsToCsv([
+    columns.map((column) => column.label),
+    ...reservations.map((reservation) =>
+      columns.map((column) => columnValue(column, reservation))
+    ),
+  ]);
+};
+
+// ==================== ICALENDAR ====================
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+
+// RFC 5545: lines longer than 75 octets continue on a line starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+// "2024-12-24" + 1140 minutes -> "20241224T190000" (restaurant wall clock,
+// no zone suffix; the TZID parameter names the zone)
+const localDateTime = (date, minutes) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCMinutes(minutes);
+  return day.toISOString().slice(0, 19).replace(/[-:]/g, "");
+};
+
+const utcStamp = (date) =>
+  `${date.toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+
+/**
+ * .ics calendar text with one event per reservation. Cancelled bookings
+ * and bookings without a readable time are left out.
+ *
+ * @param {Array} reservations
+ * @param {Object} options
+ * @param {string} options.calendarName - Shown by calendar apps
+ * @param {number} options.durationMinutes - Event length
+ * @param {Date} options.now - DTSTAMP (defaults to now)
+ * @returns {string}
+ */
+export const toICalendar = (
+  reservations,
+  { calendarName = "Reservations", durationMinutes = 90, now = new Date() } = {}
+) => {
+  const stamp = utcStamp(now);
+  const timeZone = restaurantTimeZone();
+
+  const events = reservations
+    .filter((res) => res.status !== "cancelled")
+    .filter((res) => timeSlotToMinutes(res.time) !== null)
+    .flatMap((res) => {
+      const date = reservationDate(res.date);
+      const start = timeSlotToMinutes(res.time);
+      const details = [
+        `Party of ${res.partySize}`,
+        res.tableNumber && `Table ${res.tableNumber}`,
+        res.phone && `Phone: ${formatPhone(res.phone)}`,
+        res.specialRequests &&
+          res.specialRequests.length > 0 &&
+          `Requests: ${res.specialRequests.join(", ")}`,
+        `Reservation ID: ${res.reservationId}`,
+      ].filter(Boolean);
+
+      return [
+        "BEGIN:VEVENT",
+        `UID:${res._id || res.reservationId}@reservations`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${timeZone}:${localDateTime(date, start)}`,
+        `DTEND;TZID=${timeZone}:${localDateTime(
+          date,
+          start + durationMinutes
+        )}`,
+        `SUMMARY:${escapeText(`${res.name} (${res.partySize})`)}`,
+        `DESCRIPTION:${escapeText(details.join("\n"))}`,
+        "END:VEVENT",
+      ];
+    });
+
+  return (
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Chaat Corner//Reservation Dashboard//EN",
+      "CALSCALE:GREGORIAN",
+      `X-WR-CALNAME:${escapeText(calendarName)}`,
+      `X-WR-TIMEZONE:${timeZone}`,
+      ...events,
+      "END:VCALENDAR",
+    ]
+      .map(foldLine)
+      .join("\r\n") + "\r\n"
+  );
+};
+
+// ==================== RUN SHEET ====================
+
+/**
+ * Groups a day's bookings by time slot for the printed run sheet.
+ * Cancelled bookings are left out.
+ *
+ * @param {Array} reservations
+ * @returns {Array} - [{ time, reservations, covers }] in time order
+ */
+export const buildRunSheet = (reservations) => {
+  const slots = new Map();
+
+  reservations
+    .filter((res) => res.status !== "cancelled")
+    .sort(compareByTime)
+    .forEach((res) => {
+      if (!slots.has(res.time)) slots.set(res.time, []);
+      slots.get(res.time).push(res);
+    });
+
+  return [...slots.entries()].map(([time, slotReservations]) => ({
+    time,
+    reservations: slotReservations,
+    covers: slotReservations.reduce((sum, res) => sum + res.partySize, 0),
+  }));
+};
+
+// ==================== DOWNLOAD ====================
+
+/**
+ * Saves text as a file through the browser's download prompt.
+ *
+ * @param {string} filename - e.g. "reservations-2024-12-24.csv"
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
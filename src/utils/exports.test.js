@@ -0,0 +1,67 @@
+/**
+ * Tests for CSV, iCalendar and run sheet exports
+ */
+
+import { buildRunSheet, toCsv, toICalendar } from "./exports";
+
+const reservation = (overrides) => ({
+  _id: "abc",
+  reservationId: "RES-1",
+  name: "Asha Patel",
+  phone: "+15552345678",
+  partySize: 4,
+  date: "2024-12-24T00:00:00.000Z",
+  time: "7:00 PM",
+  tableNumber: 5,
+  status: "confirmed",
+  specialRequests: [],
+  ...overrides,
+});
+
+test("writes the chosen columns and quotes awkward values", () => {
+  const csv = toCsv(
+    [
+      reservation({ specialRequests: ["Window seat", 'Says "hi"'] }),
+      reservation({ name: '=HYPERLINK("x")', phone: "+442079460958" }),
+    ],
+    ["name", "phone", "specialRequests", "date"]
+  );
+
+  expect(csv.split("\r\n")).toEqual([
+    "Date,Name,Phone,Special Requests",
+    '2024-12-24,Asha Patel,(555) 234-5678,"Window seat; Says ""hi"""',
+    `2024-12-24,"'=HYPERLINK(""x"")",+442079460958,`,
+    "",
+  ]);
+});
+
+test("creates one calendar event per active booking in restaurant time", () => {
+  const ics = toICalendar(
+    [
+      reservation({ time: "11:30 PM", specialRequests: ["Cake; candles"] }),
+      reservation({ _id: "gone", status: "cancelled" }),
+    ],
+    { now: new Date("2024-12-20T10:00:00Z") }
+  );
+
+  expect(ics).toContain("DTSTART;TZID=America/Los_Angeles:20241224T233000");
+  expect(ics).toContain("DTEND;TZID=America/Los_Angeles:20241225T010000");
+  expect(ics).toContain("DTSTAMP:20241220T100000Z");
+  expect(ics.replace(/\r\n /g, "")).toContain("Cake\\; candles");
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  expect(ics.split("\r\n").every((line) => line.length <= 75)).toBe(true);
+});
+
+test("groups the run sheet by time slot with covers", () => {
+  const sheet = buildRunSheet([
+    reservation({ time: "7:30 PM", partySize: 2 }),
+    reservation({ time: "6:00 PM" }),
+    reservation({ time: "7:30 PM", partySize: 3 }),
+    reservation({ time: "6:30 PM", status: "cancelled" }),
+  ]);
+
+  expect(sheet.map(({ time, covers }) => ({ time, covers }))).toEqual([
+    { time: "6:00 PM", covers: 4 },
+    { time: "7:30 PM", covers: 5 },
+  ]);
+});
@@ -0,0 +1,51 @@
+/**
+ * ============================================================================
+ * GUEST PROFILES
+ * ============================================================================
+ *
+ * Helpers for returning-guest profiles. The backend builds the profiles
+ * (guestApi.profiles) by grouping reservations on the guest's phone
+ * number, digits only, and stores staff notes and tags (VIP, allergy, ...)
+ * with them. Numbers are compared the same way here (utils/phone), so
+ * "+1 (555) 123-4567" and "555.123.4567" are the same guest.
+ *
+ * @module utils/guests
+ */
+
+import { phoneDigits } from "./phone";
+
+/**
+ * Tags staff can put on a guest with one click.
+ */
+export const GUEST_TAGS = ["VIP", "Allergy", "Regular", "Accessibility"];
+
+/**
+ * Digits typed before guests are looked up, so a single keystroke doesn't
+ * list everyone.
+ */
+export const GUEST_LOOKUP_MIN_DIGITS = 3;
+
+/**
+ * The profile for exactly this phone number, or null.
+ */
+export const findGuest = (profiles, phone) => {
+  const normalized = phoneDigits(phone);
+  return profiles.find((profile) => profile.phone === normalized) || null;
+};
+
+/**
+ * Profiles whose number contains the typed digits, for autocomplete.
+ *
+ * @param {Array} profiles - From guestApi.profiles
+ * @param {string} input - What has been typed in the phone field
+ * @param {number} limit - Maximum suggestions
+ * @returns {Array}
+ */
+export const suggestGuests = (profiles, input, limit = 5) => {
+  const digits = phoneDigits(input);
+  if (digits.length < GUEST_LOOKUP_MIN_DIGITS) return [];
+
+  return profiles
+    .filter((profile) => profile.phone.includes(digits))
+    .slice(0, limit);
+};
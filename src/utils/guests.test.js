@@ -0,0 +1,23 @@
+/**
+ * Tests for matching guest profiles by phone number
+ */
+
+import { findGuest, suggestGuests } from "./guests";
+
+const profiles = [
+  { phone: "5551234567", name: "Asha Patel" },
+  { phone: "5559990000", name: "Ravi" },
+];
+
+test("finds guests by exact number and suggests partial matches", () => {
+  expect(findGuest(profiles, "+1 (555) 123-4567").name).toBe("Asha Patel");
+  expect(findGuest(profiles, "5550000000")).toBeNull();
+  expect(suggestGuests(profiles, "555").map((p) => p.name)).toEqual([
+    "Asha Patel",
+    "Ravi",
+  ]);
+  expect(suggestGuests(profiles, "(555) 999").map((p) => p.name)).toEqual([
+    "Ravi",
+  ]);
+  expect(suggestGuests(profiles, "55")).toEqual([]);
+});
@@ -0,0 +1,312 @@
+/**
+ * ============================================================================
+ * RESERVATION IMPORTS
+ * ============================================================================
+ *
+ * The pure half of the CSV import wizard:
+ *
+ *   1. parseCsv(text)                    - rows of cells
+ *   2. guessColumnMapping(headers)       - { field: column index }
+ *   3. buildImportRows(rows, mapping, …) - form-shaped values + errors per row
+ *   4. flagConflicts(rows, existing, …)  - duplicates and over-capacity slots
+ *   5. importErrorReport(rows)           - CSV of everything not imported
+ *
+ * Rows are checked with the same RESERVATION_SCHEMA as ReservationForm, so
+ * an imported booking is held to the same rules as a typed one.
+ *
+ * @module utils/imports
+ */
+
+import {
+  minutesToTimeSlot,
+  reservationDate,
+  todayDateString,
+} from "./dateTime";
+import { rowsToCsv } from "./exports";
+import { phoneDigits } from "./phone";
+import { RESERVATION_SCHEMA, validate } from "./validation";
+
+// ==================== CSV PARSING ====================
+
+/**
+ * Parses CSV text (quoted cells, "" escapes, CRLF or LF, optional BOM).
+ * Blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {Array<string[]>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// ==================== COLUMN MAPPING ====================
+
+/**
+ * Reservation fields a CSV column can fill, with header names that map to
+ * them automatically (compared lowercase, without spaces or punctuation).
+ */
+export const IMPORT_FIELDS = [
+  {
+    key: "name",
+    label: "Name",
+    required: true,
+    aliases: ["guest", "guestname", "customer", "fullname"],
+  },
+  {
+    key: "phone",
+    label: "Phone",
+    required: true,
+    aliases: ["phonenumber", "mobile", "cell", "tel", "telephone"],
+  },
+  { key: "email", label: "Email", aliases: ["emailaddress", "mail"] },
+  {
+    key: "partySize",
+    label: "Party size",
+    required: true,
+    aliases: ["party", "guests", "covers", "pax", "size", "people"],
+  },
+  {
+    key: "date",
+    label: "Date",
+    required: true,
+    aliases: ["day", "reservationdate", "bookingdate"],
+  },
+  {
+    key: "time",
+    label: "Time",
+    required: true,
+    aliases: ["reservationtime", "bookingtime", "slot"],
+  },
+  {
+    key: "specialRequests",
+    label: "Special requests",
+    aliases: ["requests", "notes", "comments", "specialrequest"],
+  },
+];
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * Matches CSV headers to fields by name.
+ *
+ * @param {string[]} headers - First row of the file
+ * @returns {object} - { field: column index | null }
+ */
+export const guessColumnMapping = (headers) => {
+  const keys = headers.map(headerKey);
+
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const names = [field.key.toLowerCase(), ...field.aliases];
+      const index = keys.findIndex((key) => names.includes(key));
+      return [field.key, index === -1 ? null : index];
+    })
+  );
+};
+
+// ==================== VALUE PARSING ====================
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * "2024-12-24", "12/24/2024" or "12/24/24" (US order) -> "2024-12-24".
+ * Anything else is returned trimmed, for validation to reject.
+ */
+export const parseImportDate = (value) => {
+  const text = (value || "").trim();
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (iso) return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`;
+
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${pad(us[1])}-${pad(us[2])}`;
+  }
+
+  return text;
+};
+
+/**
+ * "7:00 PM", "7pm", "7:30pm" or "19:30" -> "7:30 PM" (the slot format).
+ * Anything else is returned trimmed, for validation to reject.
+ */
+export const parseImportTime = (value) => {
+  const text = (value || "").trim();
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?$/i.exec(text);
+  if (!match) return text;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || "0", 10);
+  const period = match[3] && match[3].toLowerCase();
+
+  if (period) {
+    if (hours < 1 || hours > 12) return text;
+    hours = (hours % 12) + (period === "p" ? 12 : 0);
+  } else if (!match[2] || hours > 23) {
+    // A bare "7" is ambiguous
+    return text;
+  }
+
+  if (minutes > 59) return text;
+  return minutesToTimeSlot(hours * 60 + minutes);
+};
+
+// ==================== ROWS ====================
+
+/**
+ * Turns CSV rows into form-shaped values and validates each one.
+ *
+ * @param {Array<string[]>} rows - Data rows (header removed)
+ * @param {object} mapping - { field: column index | null }
+ * @param {object} context - { settings, today } for RESERVATION_SCHEMA
+ * @returns {Array} - [{ line, cells, values, errors, warnings }]
+ *   line is the row's number in the file counting the header as 1
+ *   (blank lines aside, what a spreadsheet shows)
+ */
+export const buildImportRows = (rows, mapping, context) => {
+  const cell = (cells, field) =>
+    mapping[field] === null || mapping[field] === undefined
+      ? ""
+      : (cells[mapping[field]] || "").trim();
+
+  return rows.map((cells, index) => {
+    const partySize = cell(cells, "partySize");
+    const values = {
+      name: cell(cells, "name"),
+      phone: cell(cells, "phone"),
+      email: cell(cells, "email"),
+      partySize: /^\d+$/.test(partySize) ? parseInt(partySize, 10) : NaN,
+      date: parseImportDate(cell(cells, "date")),
+      time: parseImportTime(cell(cells, "time")),
+      specialRequests: cell(cells, "specialRequests")
+        .split(/[;|]/)
+        .map((request) => request.trim())
+        .filter(Boolean),
+    };
+
+    const errors = validate(RESERVATION_SCHEMA, values, {
+      today: todayDateString(),
+      ...context,
+    });
+    if (values.date && !/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
+      errors.date = { key: "validation.importDate" };
+    }
+
+    return { line: index + 2, cells, values, errors, warnings: [] };
+  });
+};
+
+const bookingKey = (values) =>
+  `${phoneDigits(values.phone)}|${reservationDate(values.date)}|${values.time}`;
+
+/**
+ * Adds warnings for rows that repeat another row or an existing booking
+ * (same phone, date and time), and for slots the import would overfill.
+ * Only valid rows are considered.
+ *
+ * @param {Array} rows - From buildImportRows
+ * @param {Array} existing - Current reservations for the imported dates
+ * @param {object} capacity - { "YYYY-MM-DD": { "7:00 PM": remainingCovers } };
+ *   dates missing here aren't checked
+ * @returns {Array} - Rows with warnings filled in
+ */
+export const flagConflicts = (rows, existing, capacity = {}) => {
+  const booked = new Map(
+    existing
+      .filter((res) => res.status !== "cancelled")
+      .map((res) => [bookingKey(res), res])
+  );
+  const seen = new Map();
+  const slotCovers = new Map();
+
+  const flagged = rows.map((row) => {
+    if (Object.keys(row.errors).length > 0) return row;
+
+    const warnings = [];
+    const key = bookingKey(row.values);
+
+    if (booked.has(key)) {
+      warnings.push(`Already booked (${booked.get(key).reservationId})`);
+    } else if (seen.has(key)) {
+      warnings.push(`Duplicate of row ${seen.get(key)}`);
+    } else {
+      seen.set(key, row.line);
+    }
+
+    const slot = `${row.values.date}|${row.values.time}`;
+    slotCovers.set(slot, (slotCovers.get(slot) || 0) + row.values.partySize);
+
+    return { ...row, warnings };
+  });
+
+  return flagged.map((row) => {
+    if (Object.keys(row.errors).length > 0) return row;
+
+    const { date, time } = row.values;
+    const remaining = capacity[date] && capacity[date][time];
+    const needed = slotCovers.get(`${date}|${time}`);
+
+    return typeof remaining === "number" && needed > remaining
+      ? {
+          ...row,
+          warnings: [
+            ...row.warnings,
+            `${time} on ${date} would be over capacity (${needed} covers, ${remaining} left)`,
+          ],
+        }
+      : row;
+  });
+};
+
+/**
+ * CSV listing every row that wasn't imported, with the reason, so staff
+ * can fix the file and import just those rows again.
+ *
+ * @param {string[]} headers - Original header row
+ * @param {Array} rows - Rows with a `reason` string
+ * @returns {string}
+ */
+export const importErrorReport = (headers, rows) =>
+  rowsToCsv([
+    ["Row", "Reason", ...headers],
+    ...rows.map((row) => [String(row.line), row.reason, ...row.cells]),
+  ]);
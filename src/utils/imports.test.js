@@ -0,0 +1,132 @@
+/**
+ * Tests for CSV import parsing, validation and conflict checks
+ */
+
+import {
+  buildImportRows,
+  flagConflicts,
+  guessColumnMapping,
+  importErrorReport,
+  parseCsv,
+  parseImportTime,
+} from "./imports";
+
+const settings = {
+  serviceHours: [
+    { name: "Dinner", firstSeating: "5:00 PM", lastSeating: "9:00 PM" },
+  ],
+  slotIntervalMinutes: 30,
+  maxPartySize: 8,
+};
+
+const context = { settings, today: "2024-12-20" };
+
+test("parses quoted cells, escaped quotes and mixed line endings", () => {
+  expect(
+    parseCsv('\uFEFFName,Notes\r\n"Patel, Asha","Says ""hi""\nVIP"\n\nRavi,\n')
+  ).toEqual([
+    ["Name", "Notes"],
+    ["Patel, Asha", 'Says "hi"\nVIP'],
+    ["Ravi", ""],
+  ]);
+});
+
+test("maps common header names and normalizes times", () => {
+  expect(
+    guessColumnMapping(["Guest Name", "Phone Number", "Covers", "Date", "Time"])
+  ).toEqual({
+    name: 0,
+    phone: 1,
+    email: null,
+    partySize: 2,
+    date: 3,
+    time: 4,
+    specialRequests: null,
+  });
+
+  expect(parseImportTime("7pm")).toBe("7:00 PM");
+  expect(parseImportTime("19:30")).toBe("7:30 PM");
+  expect(parseImportTime("7")).toBe("7");
+});
+
+test("validates rows with the form's rules", () => {
+  const mapping = guessColumnMapping([
+    "Name",
+    "Phone",
+    "Party",
+    "Date",
+    "Time",
+  ]);
+  const [valid, invalid] = buildImportRows(
+    [
+      ["Asha Patel", "555-234-5678", "4", "12/24/2024", "7:00 pm"],
+      ["", "12345", "twelve", "2024-12-01", "11pm"],
+    ],
+    mapping,
+    context
+  );
+
+  expect(valid.errors).toEqual({});
+  expect(valid.values).toMatchObject({
+    partySize: 4,
+    date: "2024-12-24",
+    time: "7:00 PM",
+  });
+  expect(Object.keys(invalid.errors)).toEqual([
+    "name",
+    "phone",
+    "partySize",
+    "date",
+    "time",
+  ]);
+  expect(invalid.line).toBe(3);
+});
+
+test("flags duplicates and slots the import would overfill", () => {
+  const mapping = guessColumnMapping([
+    "Name",
+    "Phone",
+    "Party",
+    "Date",
+    "Time",
+  ]);
+  const rows = buildImportRows(
+    [
+      ["Asha Patel", "5552345678", "4", "2024-12-24", "7:00 PM"],
+      ["Asha Patel", "(555) 234-5678", "4", "2024-12-24", "7:00 PM"],
+      ["Ravi", "5559990000", "6", "2024-12-24", "7:30 PM"],
+    ],
+    mapping,
+    context
+  );
+
+  const flagged = flagConflicts(
+    rows,
+    [
+      {
+        reservationId: "RES-9",
+        phone: "+15559990000",
+        date: "2024-12-24T00:00:00.000Z",
+        time: "7:30 PM",
+        status: "confirmed",
+      },
+    ],
+    { "2024-12-24": { "7:00 PM": 6 } }
+  );
+
+  expect(flagged.map((row) => row.warnings)).toEqual([
+    ["7:00 PM on 2024-12-24 would be over capacity (8 covers, 6 left)"],
+    [
+      "Duplicate of row 2",
+      "7:00 PM on 2024-12-24 would be over capacity (8 covers, 6 left)",
+    ],
+    ["Already booked (RES-9)"],
+  ]);
+
+  expect(
+    importErrorReport(
+      ["Name"],
+      [{ line: 3, reason: "Duplicate of row 2", cells: ["Asha Patel"] }]
+    )
+  ).toBe("Row,Reason,Name\r\n3,Duplicate of row 2,Asha Patel\r\n");
+});
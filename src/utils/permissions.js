@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ * STAFF ROLES & PERMISSIONS
+ * ============================================================================
+ *
+ * Which staff role may do what in the dashboard. The backend enforces the
+ * same rules; the dashboard uses them to hide actions a user can't take.
+ *
+ *   host     - Book, edit, check in/seat guests, manage the waitlist
+ *   manager  - Everything a host can, plus cancel, reassign tables,
+ *              import bookings from CSV and view analytics
+ *   admin    - Everything, plus restaurant settings and the combined
+ *              view across all locations (owners)
+ *
+ * @module utils/permissions
+ */
+
+export const ROLES = ["host", "manager", "admin"];
+
+export const ROLE_LABELS = {
+  host: "Host",
+  manager: "Manager",
+  admin: "Admin",
+};
+
+/**
+ * Roles allowed to perform each gated action.
+ */
+export const PERMISSIONS = {
+  cancelReservation: ["manager", "admin"],
+  reassignTable: ["manager", "admin"],
+  importReservations: ["manager", "admin"],
+  viewAnalytics: ["manager", "admin"],
+  manageSettings: ["admin"],
+  viewAllLocations: ["admin"],
+};
+
+/**
+ * True if the user's role allows the action. Unknown actions are denied.
+ *
+ * @param {object|null} user - Logged-in user ({ role })
+ * @param {string} action - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export const can = (user, action) =>
+  Boolean(
+    user && PERMISSIONS[action] && PERMISSIONS[action].includes(user.role)
+  );
@@ -0,0 +1,32 @@
+/**
+ * Tests for staff role permissions
+ */
+
+import { can } from "./permissions";
+
+test("hosts can't cancel, reassign tables or change settings", () => {
+  const host = { role: "host" };
+
+  expect(can(host, "cancelReservation")).toBe(false);
+  expect(can(host, "reassignTable")).toBe(false);
+  expect(can(host, "importReservations")).toBe(false);
+  expect(can(host, "viewAnalytics")).toBe(false);
+  expect(can(host, "manageSettings")).toBe(false);
+  expect(can(host, "viewAllLocations")).toBe(false);
+});
+
+test("managers cancel, reassign, import and see analytics; only admins change settings or see all locations", () => {
+  expect(can({ role: "manager" }, "cancelReservation")).toBe(true);
+  expect(can({ role: "manager" }, "reassignTable")).toBe(true);
+  expect(can({ role: "manager" }, "importReservations")).toBe(true);
+  expect(can({ role: "manager" }, "viewAnalytics")).toBe(true);
+  expect(can({ role: "manager" }, "manageSettings")).toBe(false);
+  expect(can({ role: "admin" }, "manageSettings")).toBe(true);
+  expect(can({ role: "manager" }, "viewAllLocations")).toBe(false);
+  expect(can({ role: "admin" }, "viewAllLocations")).toBe(true);
+});
+
+test("denies unknown users and actions", () => {
+  expect(can(null, "cancelReservation")).toBe(false);
+  expect(can({ role: "admin" }, "deleteEverything")).toBe(false);
+});
@@ -0,0 +1,106 @@
+/**
+ * ============================================================================
+ * PHONE NUMBERS
+ * ============================================================================
+ *
+ * One place to parse, validate and format guest phone numbers so typed
+ * numbers line up with the voice agent's caller IDs.
+ *
+ *   Storage: E.164            "+15551234567"
+ *   Display: national format  "(555) 123-4567"   (other countries: E.164)
+ *   Search:  digits only      "5551234567"
+ *
+ * Numbers without a "+" are read as US/Canada numbers (+1).
+ *
+ * @module utils/phone
+ */
+
+const DEFAULT_COUNTRY_CODE = "1";
+
+/**
+ * Parses a typed or stored phone number.
+ *
+ * @param {string} input - Any format: "+1 (555) 123-4567", "555.123.4567", ...
+ * @returns {object|null} - { countryCode, number, e164 } or null if it
+ *   can't be a valid number
+ */
+export const parsePhone = (input) => {
+  const value = String(input || "").trim();
+  const digits = value.replace(/\D/g, "");
+  let full;
+
+  if (value.startsWith("+") || value.startsWith("00")) {
+    full = value.startsWith("00") ? digits.slice(2) : digits;
+  } else if (digits.length === 10) {
+    full = DEFAULT_COUNTRY_CODE + digits;
+  } else if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    full = digits;
+  } else {
+    return null;
+  }
+
+  // E.164 allows at most 15 digits including the country code
+  if (full.length < 8 || full.length > 15 || full.startsWith("0")) {
+    return null;
+  }
+
+  if (full.startsWith(DEFAULT_COUNTRY_CODE)) {
+    const number = full.slice(1);
+    // North American area codes and exchanges never start with 0 or 1
+    if (number.length !== 10 || !/^[2-9]\d{2}[2-9]/.test(number)) {
+      return null;
+    }
+    return { countryCode: DEFAULT_COUNTRY_CODE, number, e164: `+${full}` };
+  }
+
+  return { countryCode: null, number: full, e164: `+${full}` };
+};
+
+/**
+ * E.164 form for storage, or null when invalid.
+ */
+export const toE164 = (input) => {
+  const parsed = parsePhone(input);
+  return parsed ? parsed.e164 : null;
+};
+
+/**
+ * Display form: "(555) 123-4567" for US/Canada numbers, E.164 for others.
+ * Values that don't parse are shown as they were entered.
+ */
+export const formatPhone = (input) => {
+  const parsed = parsePhone(input);
+  if (!parsed) return input || "";
+  if (parsed.countryCode !== DEFAULT_COUNTRY_CODE) return parsed.e164;
+
+  const { number } = parsed;
+  return `(${number.slice(0, 3)}) ${number.slice(3, 6)}-${number.slice(6)}`;
+};
+
+/**
+ * Error for the phone field as a message key (see utils/validation), or
+ * null if the number is valid.
+ */
+export const validatePhone = (input) => {
+  if (!String(input || "").trim()) return { key: "validation.phoneRequired" };
+  if (!parsePhone(input)) return { key: "validation.phoneInvalid" };
+  return null;
+};
+
+/**
+ * Digits used for matching, without the US/Canada country code, so
+ * "+1 (555) 123-4567" and "555-123-4567" compare equal.
+ */
+export const phoneDigits = (input) => {
+  const digits = String(input || "").replace(/\D/g, "");
+  return digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)
+    ? digits.slice(1)
+    : digits;
+};
+
+/**
+ * True if a search term looks like (part of) a phone number rather than a
+ * name or reservation ID.
+ */
+export const isPhoneLike = (term) =>
+  /^[\d\s().+-]+$/.test(term) && phoneDigits(term).length >= 3;
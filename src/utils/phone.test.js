@@ -0,0 +1,46 @@
+/**
+ * Tests for phone number parsing and formatting
+ */
+
+import {
+  formatPhone,
+  isPhoneLike,
+  phoneDigits,
+  toE164,
+  validatePhone,
+} from "./phone";
+
+test("converts common US formats and international numbers to E.164", () => {
+  expect(toE164("(555) 234-5678")).toBe("+15552345678");
+  expect(toE164("555.234.5678")).toBe("+15552345678");
+  expect(toE164("1-555-234-5678")).toBe("+15552345678");
+  expect(toE164("+44 20 7946 0958")).toBe("+442079460958");
+  expect(toE164("0044 20 7946 0958")).toBe("+442079460958");
+
+  expect(toE164("555-1234")).toBeNull();
+  expect(toE164("(055) 234-5678")).toBeNull();
+  expect(toE164("+1 555 234 567")).toBeNull();
+});
+
+test("formats US numbers nationally and leaves others in E.164", () => {
+  expect(formatPhone("+15552345678")).toBe("(555) 234-5678");
+  expect(formatPhone("+442079460958")).toBe("+442079460958");
+  expect(formatPhone("ask at host stand")).toBe("ask at host stand");
+});
+
+test("explains invalid numbers", () => {
+  expect(validatePhone("")).toEqual({ key: "validation.phoneRequired" });
+  expect(validatePhone("12345")).toEqual({ key: "validation.phoneInvalid" });
+  expect(validatePhone("+1 (555) 234-5678")).toBeNull();
+});
+
+test("matches phone searches on digits only", () => {
+  expect(phoneDigits("+1 (555) 123-4567")).toBe("5551234567");
+  expect(phoneDigits("+15551234").includes(phoneDigits("(555) 123"))).toBe(
+    true
+  );
+
+  expect(isPhoneLike("(555) 123")).toBe(true);
+  expect(isPhoneLike("RES-123")).toBe(false);
+  expect(isPhoneLike("55")).toBe(false);
+});
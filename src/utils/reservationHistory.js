@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * RESERVATION HISTORY (AUDIT TRAIL)
+ * ============================================================================
+ *
+ * Helpers for the per-reservation history timeline: who changed what and
+ * when. Entries come from reservationApi.getHistory; these functions tidy
+ * them up for display so a disputed cancellation can be traced.
+ *
+ * @module utils/reservationHistory
+ */
+
+import { reservationDate } from "./dateTime";
+
+export const ACTOR_LABELS = {
+  staff: "Staff",
+  voice: "Voice agent",
+  customer: "Customer",
+  system: "System",
+};
+
+export const ACTION_LABELS = {
+  created: "Booked",
+  updated: "Edited",
+  cancelled: "Cancelled",
+  status: "Status changed",
+};
+
+export const FIELD_LABELS = {
+  name: "Name",
+  phone: "Phone",
+  partySize: "Party size",
+  date: "Date",
+  time: "Time",
+  tableNumber: "Table",
+  status: "Status",
+  specialRequests: "Special requests",
+};
+
+/**
+ * Changes as [{ field, from, to }]. Accepts that list or a
+ * { field: { from, to } } map.
+ */
+const toChangeList = (changes) => {
+  if (!changes) return [];
+  if (Array.isArray(changes)) return changes;
+
+  return Object.entries(changes).map(([field, change]) => ({
+    field,
+    from: change.from,
+    to: change.to,
+  }));
+};
+
+/**
+ * Puts history entries in display form: newest first, actor as an object
+ * and changes as a list.
+ *
+ * @param {Array} entries - Entries from reservationApi.getHistory
+ * @returns {Array} - [{ ...entry, actor: { type, name }, changes: [...] }]
+ */
+export const normalizeHistory = (entries) =>
+  entries
+    .map((entry) => ({
+      ...entry,
+      actor:
+        typeof entry.actor === "string"
+          ? { type: entry.actor }
+          : entry.actor || { type: "system" },
+      changes: toChangeList(entry.changes),
+    }))
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+
+/**
+ * Who made a change, e.g. "Priya (Staff)" or "Voice agent".
+ */
+export const describeActor = (actor) => {
+  const label = ACTOR_LABELS[actor.type] || actor.type;
+  return actor.name ? `${actor.name} (${label})` : label;
+};
+
+/**
+ * Displays one side of a field change.
+ *
+ * @param {string} field - Reservation field name
+ * @param {*} value - Value before or after the change
+ * @returns {string}
+ */
+export const formatHistoryValue = (field, value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (field === "date") return reservationDate(value);
+  return String(value);
+};
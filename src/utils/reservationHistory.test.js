@@ -0,0 +1,45 @@
+/**
+ * Tests for the reservation audit trail helpers
+ */
+
+import {
+  describeActor,
+  formatHistoryValue,
+  normalizeHistory,
+} from "./reservationHistory";
+
+test("sorts newest first and normalizes actors and changes", () => {
+  const history = normalizeHistory([
+    {
+      _id: "1",
+      at: "2024-12-20T18:00:00.000Z",
+      action: "created",
+      actor: "voice",
+    },
+    {
+      _id: "2",
+      at: "2024-12-21T18:00:00.000Z",
+      action: "updated",
+      actor: { type: "staff", name: "Priya" },
+      changes: { partySize: { from: 4, to: 6 } },
+    },
+  ]);
+
+  expect(history.map((entry) => entry._id)).toEqual(["2", "1"]);
+  expect(history[0].changes).toEqual([{ field: "partySize", from: 4, to: 6 }]);
+  expect(history[1].actor).toEqual({ type: "voice" });
+  expect(history[1].changes).toEqual([]);
+});
+
+test("describes actors and values for display", () => {
+  expect(describeActor({ type: "staff", name: "Priya" })).toBe("Priya (Staff)");
+  expect(describeActor({ type: "voice" })).toBe("Voice agent");
+
+  expect(formatHistoryValue("date", "2024-12-25T00:00:00.000Z")).toBe(
+    "2024-12-25"
+  );
+  expect(formatHistoryValue("specialRequests", ["Window", "Cake"])).toBe(
+    "Window, Cake"
+  );
+  expect(formatHistoryValue("tableNumber", null)).toBe("—");
+});
@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * RESERVATION QUERY MODEL
+ * ============================================================================
+ *
+ * Shape of the All Reservations search: filters, sort and page. The server
+ * does the real filtering (reservationApi.search); the helpers here keep the
+ * loaded page in step with realtime events without refetching.
+ *
+ * @module utils/reservationQuery
+ */
+
+import { reservationDate } from "./dateTime";
+import { isPhoneLike, phoneDigits } from "./phone";
+
+/**
+ * Filters and paging used when nothing has been chosen yet.
+ */
+export const DEFAULT_RESERVATION_QUERY = {
+  search: "",
+  dateFrom: "",
+  dateTo: "",
+  statuses: [],
+  partySizeMin: "",
+  partySizeMax: "",
+  sortBy: "date",
+  sortOrder: "desc",
+  page: 1,
+  pageSize: 20,
+};
+
+export const SORT_OPTIONS = [
+  { value: "date", label: "Date" },
+  { value: "time", label: "Time" },
+  { value: "name", label: "Name" },
+  { value: "partySize", label: "Party size" },
+];
+
+export const PAGE_SIZES = [10, 20, 50, 100];
+
+/**
+ * True if a reservation satisfies the query's filters (sort and page are
+ * ignored). Mirrors the server's rules so realtime events can be merged
+ * into the current page.
+ *
+ * @param {object} reservation - Reservation to check
+ * @param {object} query - Query in DEFAULT_RESERVATION_QUERY shape
+ * @returns {boolean}
+ */
+export const matchesReservationQuery = (reservation, query) => {
+  const date = reservationDate(reservation.date);
+  const search = (query.search || "").trim().toLowerCase();
+  const statuses = query.statuses || [];
+
+  if (query.dateFrom && date < query.dateFrom) return false;
+  if (query.dateTo && date > query.dateTo) return false;
+  if (statuses.length > 0 && !statuses.includes(reservation.status)) {
+    return false;
+  }
+  if (query.partySizeMin && reservation.partySize < query.partySizeMin) {
+    return false;
+  }
+  if (query.partySizeMax && reservation.partySize > query.partySizeMax) {
+    return false;
+  }
+
+  // Phone searches compare digits, whatever format either side is in
+  if (isPhoneLike(search)) {
+    return phoneDigits(reservation.phone).includes(phoneDigits(search));
+  }
+
+  return (
+    !search ||
+    reservation.name.toLowerCase().includes(search) ||
+    reservation.phone.includes(search) ||
+    (reservation.reservationId || "").toLowerCase().includes(search)
+  );
+};
+
+/**
+ * Number of filters in use, for the "Clear filters (n)" button.
+ */
+export const countActiveFilters = (query) =>
+  [
+    query.search.trim(),
+    query.dateFrom,
+    query.dateTo,
+    query.statuses.length > 0,
+    query.partySizeMin,
+    query.partySizeMax,
+  ].filter(Boolean).length;
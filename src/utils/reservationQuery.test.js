@@ -0,0 +1,79 @@
+/**
+ * Tests for the All Reservations query model
+ */
+
+import {
+  DEFAULT_RESERVATION_QUERY,
+  countActiveFilters,
+  matchesReservationQuery,
+} from "./reservationQuery";
+
+const reservation = {
+  reservationId: "RES-1042",
+  name: "Priya Shah",
+  phone: "+14155550123",
+  partySize: 4,
+  date: "2024-12-24T00:00:00.000Z",
+  time: "7:00 PM",
+  status: "confirmed",
+};
+
+const query = (changes) => ({ ...DEFAULT_RESERVATION_QUERY, ...changes });
+
+test("matches date ranges, statuses and party sizes inclusively", () => {
+  expect(matchesReservationQuery(reservation, query({}))).toBe(true);
+  expect(
+    matchesReservationQuery(
+      reservation,
+      query({ dateFrom: "2024-12-24", dateTo: "2024-12-24" })
+    )
+  ).toBe(true);
+  expect(
+    matchesReservationQuery(reservation, query({ dateFrom: "2024-12-25" }))
+  ).toBe(false);
+  expect(
+    matchesReservationQuery(
+      reservation,
+      query({ statuses: ["seated", "confirmed"] })
+    )
+  ).toBe(true);
+  expect(
+    matchesReservationQuery(reservation, query({ statuses: ["cancelled"] }))
+  ).toBe(false);
+  expect(
+    matchesReservationQuery(
+      reservation,
+      query({ partySizeMin: 4, partySizeMax: 4 })
+    )
+  ).toBe(true);
+  expect(matchesReservationQuery(reservation, query({ partySizeMin: 5 }))).toBe(
+    false
+  );
+});
+
+test("searches name, phone and reservation ID", () => {
+  expect(matchesReservationQuery(reservation, query({ search: "priya" }))).toBe(
+    true
+  );
+  expect(matchesReservationQuery(reservation, query({ search: "5550" }))).toBe(
+    true
+  );
+  expect(
+    matchesReservationQuery(reservation, query({ search: "(415) 555-01" }))
+  ).toBe(true);
+  expect(
+    matchesReservationQuery(reservation, query({ search: " res-1042 " }))
+  ).toBe(true);
+  expect(matchesReservationQuery(reservation, query({ search: "Raj" }))).toBe(
+    false
+  );
+});
+
+test("counts filters but not sort or paging", () => {
+  expect(countActiveFilters(query({ sortBy: "name", page: 3 }))).toBe(0);
+  expect(
+    countActiveFilters(
+      query({ search: "Priya", statuses: ["confirmed"], dateTo: "2024-12-31" })
+    )
+  ).toBe(3);
+});
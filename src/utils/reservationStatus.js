@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * RESERVATION STATUS LIFECYCLE
+ * ============================================================================
+ *
+ * State machine for a reservation on the day of service:
+ *
+ *   confirmed ──► arrived ──► seated ──► completed
+ *       │  └──────────────────►┘
+ *       └──► no-show
+ *
+ * cancelled, completed and no-show are final, except that staff can restore
+ * a cancellation (see canRestore). Each transition stamps the
+ * matching timestamp field (arrivedAt, seatedAt, ...) so the dashboard can
+ * show when it happened.
+ *
+ * @module utils/reservationStatus
+ */
+
+import {
+  reservationDate,
+  restaurantMinutes,
+  timeSlotToMinutes,
+} from "./dateTime";
+
+/**
+ * Allowed next statuses for each status.
+ */
+export const STATUS_TRANSITIONS = {
+  confirmed: ["arrived", "seated", "no-show"],
+  arrived: ["seated"],
+  seated: ["completed"],
+  completed: [],
+  "no-show": [],
+  cancelled: [],
+};
+
+/**
+ * Quick-action labels and the timestamp field each transition sets.
+ */
+export const STATUS_ACTIONS = {
+  arrived: { label: "Check in", timestampField: "arrivedAt" },
+  seated: { label: "Seat", timestampField: "seatedAt" },
+  completed: { label: "Complete", timestampField: "completedAt" },
+  "no-show": { label: "No-show", timestampField: "noShowAt" },
+};
+
+/**
+ * True if a reservation may move from one status to another.
+ */
+export const canTransition = (from, to) =>
+  (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Status a cancelled reservation goes back to when restored. Only
+ * confirmed reservations can be cancelled, so this is also what an undo
+ * of a cancellation puts back.
+ */
+export const RESTORED_STATUS = "confirmed";
+
+/**
+ * True if a cancelled reservation can still be restored: its date
+ * ("YYYY-MM-DD" prefix) is today or later.
+ */
+export const canRestore = (reservation, today) =>
+  reservation.status === "cancelled" &&
+  reservationDate(reservation.date) >= today;
+
+/**
+ * Builds the PATCH body for a status change.
+ *
+ * @param {string} status - Next status
+ * @param {Date} now - When it happened (defaults to now)
+ * @returns {object} - e.g. { status: 'seated', seatedAt: '2024-12-25T03:10:00.000Z' }
+ */
+export const buildStatusUpdate = (status, now = new Date()) => ({
+  status,
+  [STATUS_ACTIONS[status].timestampField]: now.toISOString(),
+});
+
+/**
+ * Minutes a confirmed party is past its booking time, or 0 if not late.
+ * Only reservations for `today` ("YYYY-MM-DD") can be late. `now` is
+ * read on the restaurant's clock.
+ *
+ * @param {object} reservation - Reservation to check
+ * @param {Date} now - Current time
+ * @param {string} today - Today's date as "YYYY-MM-DD"
+ * @param {number} graceMinutes - Minutes allowed before a party counts as late
+ * @returns {number} - Minutes late
+ */
+export const minutesLate = (reservation, now, today, graceMinutes = 0) => {
+  if (reservation.status !== "confirmed") return 0;
+  if (reservationDate(reservation.date) !== today) return 0;
+
+  const booked = timeSlotToMinutes(reservation.time);
+  if (booked === null) return 0;
+
+  const late = restaurantMinutes(now) - booked;
+  return late > graceMinutes ? late : 0;
+};
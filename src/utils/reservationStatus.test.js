@@ -0,0 +1,60 @@
+/**
+ * Tests for the reservation status lifecycle
+ */
+
+import {
+  buildStatusUpdate,
+  canRestore,
+  canTransition,
+  minutesLate,
+} from "./reservationStatus";
+
+test("only allows forward service transitions", () => {
+  expect(canTransition("confirmed", "arrived")).toBe(true);
+  expect(canTransition("confirmed", "seated")).toBe(true);
+  expect(canTransition("arrived", "seated")).toBe(true);
+  expect(canTransition("seated", "completed")).toBe(true);
+  expect(canTransition("confirmed", "no-show")).toBe(true);
+
+  expect(canTransition("confirmed", "completed")).toBe(false);
+  expect(canTransition("seated", "no-show")).toBe(false);
+  expect(canTransition("cancelled", "arrived")).toBe(false);
+  expect(canTransition("no-show", "seated")).toBe(false);
+});
+
+test("restores cancellations that haven't happened yet", () => {
+  const cancelled = { status: "cancelled", date: "2024-12-24T00:00:00.000Z" };
+
+  expect(canRestore(cancelled, "2024-12-24")).toBe(true);
+  expect(canRestore(cancelled, "2024-12-25")).toBe(false);
+  expect(canRestore({ ...cancelled, status: "no-show" }, "2024-12-24")).toBe(
+    false
+  );
+});
+
+test("stamps the timestamp field for the new status", () => {
+  const now = new Date("2024-12-25T03:10:00.000Z");
+
+  expect(buildStatusUpdate("seated", now)).toEqual({
+    status: "seated",
+    seatedAt: "2024-12-25T03:10:00.000Z",
+  });
+  expect(buildStatusUpdate("no-show", now)).toHaveProperty("noShowAt");
+});
+
+test("reports lateness past the grace period for today's confirmed parties", () => {
+  // 7:20 PM on Dec 25 in Los Angeles (the default restaurant timezone)
+  const now = new Date("2024-12-26T03:20:00.000Z");
+  const reservation = {
+    status: "confirmed",
+    date: "2024-12-25T00:00:00.000Z",
+    time: "7:00 PM",
+  };
+
+  expect(minutesLate(reservation, now, "2024-12-25", 15)).toBe(20);
+  expect(minutesLate(reservation, now, "2024-12-25", 30)).toBe(0);
+  expect(minutesLate(reservation, now, "2024-12-26", 15)).toBe(0);
+  expect(
+    minutesLate({ ...reservation, status: "arrived" }, now, "2024-12-25", 15)
+  ).toBe(0);
+});
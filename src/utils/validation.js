@@ -0,0 +1,216 @@
+/**
+ * ============================================================================
+ * FORM VALIDATION
+ * ============================================================================
+ *
+ * Declarative validation: a schema maps each field to a list of rules, and
+ * each rule returns an error or null. The first failing rule wins. Errors
+ * are message keys ({ key, params } for t()), so they're translated when
+ * shown, in whatever language is active then:
+ *
+ *   const errors = validate(RESERVATION_SCHEMA, formData, context);
+ *   // { phone: { key: "validation.phoneRequired" }, ... }
+ *   errorMessage(errors.phone); // "Phone number is required"
+ *
+ * Rules get (value, values, context) so they can look at other fields and
+ * at things outside the form (restaurant settings, today's date, the
+ * values the form started with).
+ *
+ * mapServerErrors() turns a 400 response from the API into the same
+ * { field: error } shape (the server's text is shown as sent), so server
+ * and client errors render alike.
+ *
+ * @module utils/validation
+ */
+
+import { t } from "../services/i18n";
+import { getTimeSlots, todayDateString } from "./dateTime";
+import { validatePhone } from "./phone";
+
+// ==================== RULES ====================
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const required = (key) => (value) => (isEmpty(value) ? { key } : null);
+
+export const email =
+  (key = "validation.email") =>
+  (value) =>
+    isEmpty(value) || EMAIL_PATTERN.test(value.trim()) ? null : { key };
+
+export const maxLength = (max, key) => (value) =>
+  !isEmpty(value) && value.trim().length > max
+    ? { key, params: { max } }
+    : null;
+
+/**
+ * Text to show for a field error: client errors are translated, server
+ * messages (plain strings) are shown as they came.
+ *
+ * @param {object|string|null} error - From validate() or mapServerErrors()
+ * @returns {string|null}
+ */
+export const errorMessage = (error) => {
+  if (!error) return null;
+  return typeof error === "string" ? error : t(error.key, error.params);
+};
+
+/**
+ * Runs every field's rules and collects the first error for each field.
+ *
+ * @param {object} schema - { field: [rule, ...] }
+ * @param {object} values - Form values
+ * @param {object} context - Extra data passed to every rule
+ * @returns {object} - { field: error } for fields that failed
+ */
+export const validate = (schema, values, context = {}) => {
+  const errors = {};
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    for (const rule of rules) {
+      const message = rule(values[field], values, context);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  });
+
+  return errors;
+};
+
+// ==================== RESERVATION SCHEMA ====================
+
+export const MAX_NAME_LENGTH = 100;
+export const MAX_SPECIAL_REQUEST_LENGTH = 100;
+export const MAX_SPECIAL_REQUESTS = 10;
+
+/**
+ * Rules for ReservationForm. Context:
+ *   settings - Restaurant settings (service hours, max party size)
+ *   original - Values the form opened with; unchanged dates and times of an
+ *              existing booking stay valid even if they're now in the past
+ *              or outside service hours
+ *   today    - "YYYY-MM-DD" (defaults to today)
+ */
+export const RESERVATION_SCHEMA = {
+  name: [
+    required("validation.nameRequired"),
+    maxLength(MAX_NAME_LENGTH, "validation.nameTooLong"),
+  ],
+  phone: [(value) => validatePhone(value)],
+  email: [email()],
+  partySize: [
+    (value, values, { settings }) => {
+      if (!Number.isInteger(value) || value < 1) {
+        return { key: "validation.partySizeMin" };
+      }
+      if (settings && value > settings.maxPartySize) {
+        return {
+          key: "validation.partySizeMax",
+          params: { max: settings.maxPartySize },
+        };
+      }
+      return null;
+    },
+  ],
+  date: [
+    required("validation.dateRequired"),
+    (value, values, { original, today = todayDateString() }) =>
+      value < today && value !== (original && original.date)
+        ? { key: "validation.datePast" }
+        : null,
+  ],
+  time: [
+    required("validation.timeRequired"),
+    (value, values, { settings, original }) => {
+      if (!settings || !values.date) return null;
+
+      const unchanged =
+        original && original.date === values.date && original.time === value;
+      return unchanged || getTimeSlots(settings, values.date).includes(value)
+        ? null
+        : { key: "validation.timeOutsideHours" };
+    },
+  ],
+  specialRequests: [
+    (value = []) => {
+      if (value.length > MAX_SPECIAL_REQUESTS) {
+        return {
+          key: "validation.tooManyRequests",
+          params: { max: MAX_SPECIAL_REQUESTS },
+        };
+      }
+      const tooLong = value.find(
+        (request) => request.length > MAX_SPECIAL_REQUEST_LENGTH
+      );
+      return tooLong
+        ? {
+            key: "validation.requestTooLong",
+            params: { max: MAX_SPECIAL_REQUEST_LENGTH },
+          }
+        : null;
+    },
+  ],
+};
+
+// ==================== SERVER ERRORS ====================
+
+/**
+ * True for an API error that carries field validation problems.
+ */
+export const isValidationError = (error) =>
+  Boolean(error && error.status === 400);
+
+// "specialRequests.2" and "specialRequests[2]" belong to specialRequests
+const baseField = (path) => String(path || "").split(/[.[]/)[0];
+
+/**
+ * Maps a 400 ApiError's body onto form fields. Understands:
+ *   { errors: { phone: "Invalid phone" } }
+ *   { errors: [{ field | path | param, message | msg }] }
+ *   { message: ["phone must be a valid phone number", ...] }
+ *
+ * @param {object} error - ApiError (uses error.data)
+ * @param {string[]} fields - Fields the form has
+ * @returns {object} - { fieldErrors: { field: message }, formError }
+ *   formError holds anything that didn't match a field (or null)
+ */
+export const mapServerErrors = (error, fields) => {
+  const data = (error && error.data) || {};
+  const fieldErrors = {};
+  const unmatched = [];
+
+  const add = (path, message) => {
+    const field = baseField(path);
+    if (fields.includes(field)) {
+      fieldErrors[field] = fieldErrors[field] || message;
+    } else {
+      unmatched.push(message);
+    }
+  };
+
+  if (Array.isArray(data.errors)) {
+    data.errors.forEach((entry) =>
+      add(entry.field || entry.path || entry.param, entry.message || entry.msg)
+    );
+  } else if (data.errors && typeof data.errors === "object") {
+    Object.entries(data.errors).forEach(([path, message]) =>
+      add(path, Array.isArray(message) ? message[0] : message)
+    );
+  } else if (Array.isArray(data.message)) {
+    data.message.forEach((message) => add(message.split(" ")[0], message));
+  } else if (error && error.message) {
+    unmatched.push(error.message);
+  }
+
+  return {
+    fieldErrors,
+    formError: unmatched.length > 0 ? unmatched.join(". ") : null,
+  };
+};
@@ -0,0 +1,126 @@
+/**
+ * Tests for schema validation and server error mapping
+ */
+
+import { setLanguage } from "../services/i18n";
+import {
+  RESERVATION_SCHEMA,
+  errorMessage,
+  mapServerErrors,
+  validate,
+} from "./validation";
+
+const settings = {
+  serviceHours: [
+    { name: "Dinner", firstSeating: "5:00 PM", lastSeating: "9:00 PM" },
+  ],
+  slotIntervalMinutes: 30,
+  maxPartySize: 8,
+};
+
+const valid = {
+  name: "Asha Patel",
+  phone: "(555) 234-5678",
+  email: "",
+  partySize: 4,
+  date: "2024-12-25",
+  time: "7:00 PM",
+  specialRequests: ["Window seat"],
+};
+
+const context = { settings, today: "2024-12-20" };
+
+test("accepts a complete reservation", () => {
+  expect(validate(RESERVATION_SCHEMA, valid, context)).toEqual({});
+});
+
+test("reports the first problem with each field", () => {
+  const errors = validate(
+    RESERVATION_SCHEMA,
+    {
+      ...valid,
+      name: " ",
+      email: "asha@",
+      partySize: 9,
+      date: "2024-12-19",
+      time: "11:00 PM",
+      specialRequests: ["x".repeat(101)],
+    },
+    context
+  );
+
+  expect(errors.partySize).toEqual({
+    key: "validation.partySizeMax",
+    params: { max: 8 },
+  });
+
+  const messages = Object.fromEntries(
+    Object.entries(errors).map(([field, error]) => [field, errorMessage(error)])
+  );
+  expect(messages).toEqual({
+    name: "Name is required",
+    email: "Enter a valid email address",
+    partySize: "We take bookings for up to 8 guests",
+    date: "Date can't be in the past",
+    time: "Pick a time during service hours",
+    specialRequests: "Each request must be 100 characters or fewer",
+  });
+});
+
+test("shows errors in the active language and server messages as sent", () => {
+  const errors = validate(RESERVATION_SCHEMA, { ...valid, name: "" }, context);
+
+  setLanguage("es");
+  expect(errorMessage(errors.name)).toBe("El nombre es obligatorio");
+  setLanguage("en");
+
+  expect(errorMessage("Slot is full")).toBe("Slot is full");
+  expect(errorMessage(null)).toBeNull();
+});
+
+test("lets an existing booking keep its original date and time", () => {
+  const original = { ...valid, date: "2024-12-01", time: "11:00 PM" };
+
+  expect(
+    validate(RESERVATION_SCHEMA, original, { ...context, original })
+  ).toEqual({});
+});
+
+test("maps server validation errors onto form fields", () => {
+  const fields = Object.keys(valid);
+
+  expect(
+    mapServerErrors(
+      {
+        status: 400,
+        data: {
+          message: [
+            "phone must be a valid phone number",
+            "source must be one of voice, web, staff",
+          ],
+        },
+      },
+      fields
+    )
+  ).toEqual({
+    fieldErrors: { phone: "phone must be a valid phone number" },
+    formError: "source must be one of voice, web, staff",
+  });
+
+  expect(
+    mapServerErrors(
+      {
+        status: 400,
+        data: { errors: [{ path: "specialRequests[1]", msg: "Too long" }] },
+      },
+      fields
+    ).fieldErrors
+  ).toEqual({ specialRequests: "Too long" });
+
+  expect(
+    mapServerErrors(
+      { status: 400, data: { errors: { time: ["Slot is full"] } } },
+      fields
+    ).fieldErrors
+  ).toEqual({ time: "Slot is full" });
+});